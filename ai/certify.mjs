@@ -0,0 +1,89 @@
+/**
+ * certify.mjs — can a board be played, and how well?
+ *
+ *   certifyPuzzle(puzzle, budget?) -> { valid, reason?, certificate }
+ *
+ * Searches for the best placement it can find: the dealt layout, any placements
+ * already found (a rating's, say), and RESTARTS policy rings (placeByPolicy),
+ * each legal start refined by policy.optimize, stopping as soon as one holds
+ * to the cap. The budget is a count of steps, not time, so a certificate
+ * repeats exactly for the same seed on any machine. Every start is checked with the
+ * engine's placementValid and optimize keeps only legal trials, and the best is
+ * scored again by verifyGame, so the certificate's solution is one the server
+ * would accept at the score it claims.
+ *
+ * The certificate (see js/core/PuzzleFile.js) is that best known solution, its
+ * score, and `estimatedBest`, a guess at the most any solution scores. Lasers
+ * don't touch each other, so a layout can't survive all of a board's spawners
+ * longer than it survives any one of them; the guess is the least of the best
+ * found against each spawner alone, searched from the best known solution so
+ * never below its score. It is found by search too, so it is no bound: a
+ * better layout the search missed may beat it. Only a score at the cap is
+ * certain, which is what certifiedPerfect asks for.
+ *
+ * A board is rejected - not fit to issue - when no legal placement turns up,
+ * or when the best one survives under MIN_SURVIVAL seconds.
+ *
+ * The engine plays plain boards - the full canvas, one core, non-interacting
+ * lasers, no terrain - so those are what this certifies.
+ */
+import { verifyGame } from '../js/core/GameVerifier.js';
+import { hasLayout } from '../js/core/PuzzleFile.js';
+import { placementValid, mulberry32, MAX_TIME } from './engine.mjs';
+import { placeByPolicy, randomTheta, optimize } from './policy.mjs';
+
+// Best-found survival, in seconds, below which a board counts as impossible
+export const MIN_SURVIVAL = 2;
+
+// The board features the engine doesn't play
+const UNPLAYED = ['cores', 'walls', 'blockedCells', 'board', 'laserInteraction'];
+
+/**
+ * Certify `puzzle` (as PuzzleGenerator issues it): { valid: true, certificate:
+ * { score, estimatedBest, placements } }, or { valid: false, reason } for a board
+ * to reject. `starts` are placements to search from besides the dealt layout.
+ * The budget is RESTARTS more starts after those and up to `iterations`
+ * refinement steps each, for the search and again per spawner for the
+ * estimate; the same `seed` gives the same certificate.
+ */
+export function certifyPuzzle(puzzle, { starts = [], restarts = 4, iterations = 400, seed = 1 } = {}) {
+    const unplayed = UNPLAYED.find(key => puzzle[key] !== undefined && puzzle[key] !== null && puzzle[key] !== 'none');
+    if (puzzle.mode === 'endless' || unplayed) {
+        throw new Error(`Only plain main and daily boards can be certified (this one has ${unplayed || 'endless mode'})`);
+    }
+    const inv = puzzle.mirrorInventory;
+    const rng = mulberry32(seed);
+
+    const given = hasLayout(puzzle) ? [puzzle.mirrors.map(m => ({ x: m.x, y: m.y, rotation: m.rotation || 0 })), ...starts] : starts;
+    let best = null;
+    for (let i = 0; i < given.length + restarts; i++) {
+        const start = i < given.length ? given[i] : placeByPolicy(inv, randomTheta(rng), rng);
+        if (!placementValid(inv, start)) continue;
+        const result = optimize(puzzle, start, iterations, rng, 1);
+        if (!best || result.score > best.score) best = result;
+        if (best.score >= MAX_TIME) break;
+    }
+    if (!best) return { valid: false, reason: 'No legal placement of the mirrors was found' };
+
+    const verified = verifyGame(puzzle, best.placements);
+    if (!verified.valid) return { valid: false, reason: `The best placement found was refused: ${verified.reason}` };
+    if (verified.score < MIN_SURVIVAL) {
+        return { valid: false, reason: `The best placement found survives ${verified.score.toFixed(2)}s, under ${MIN_SURVIVAL}s` };
+    }
+
+    let estimatedBest = MAX_TIME;
+    for (const spawner of puzzle.spawners) {
+        if (verified.score >= MAX_TIME) break;
+        const alone = optimize({ ...puzzle, spawners: [spawner] }, best.placements, iterations, rng, 1);
+        estimatedBest = Math.min(estimatedBest, alone.score);
+    }
+
+    return {
+        valid: true,
+        certificate: {
+            score: verified.score,
+            estimatedBest: Math.ceil(Math.max(estimatedBest, verified.score) * 100) / 100,
+            placements: best.placements,
+        },
+    };
+}
@@ -0,0 +1,101 @@
+/**
+ * difficulty.mjs — rating boards by how long the AI can survive them.
+ *
+ *   rateBoard(board, budget?)           -> { survival, difficulty, placements }
+ *   generateRatedPuzzle({ band, ... })  -> a certified main board rated inside a survival band
+ *   rateDaily(date, { variants, ... })  -> the certified variant of a day's daily to play
+ *
+ * A rating starts from the dealt layout and runs policy.optimize until the
+ * budget runs out; the best survival found goes on the 1-10 scale of
+ * js/core/Difficulty.js. The budget is `iterations` refinement steps, not
+ * time, so a rating repeats exactly for the same `seed` on any machine.
+ */
+import { generateMainPuzzle, generateDailyPuzzle } from '../js/core/PuzzleGenerator.js';
+import { hasLayout } from '../js/core/PuzzleFile.js';
+import { difficultyFromSurvival, dailyTarget } from '../js/core/Difficulty.js';
+import { placementValid, mulberry32 } from './engine.mjs';
+import { placeByPolicy, randomTheta, optimize } from './policy.mjs';
+import { certifyPuzzle } from './certify.mjs';
+
+export const DEFAULT_BUDGET = { iterations: 240, seed: 1 };
+
+/**
+ * How hard `board` (a puzzle) is: the best survival the optimizer finds on it
+ * within the budget, in seconds, that survival's difficulty, and the placements
+ * that survived it.
+ */
+export function rateBoard(board, { iterations = DEFAULT_BUDGET.iterations, seed = DEFAULT_BUDGET.seed } = {}) {
+    const rng = mulberry32(seed);
+    const inv = board.mirrorInventory;
+
+    let start = hasLayout(board) ? board.mirrors.map(m => ({ x: m.x, y: m.y, rotation: m.rotation || 0 })) : null;
+    if (!start || !placementValid(inv, start)) start = placeByPolicy(inv, randomTheta(rng), rng);
+
+    const result = optimize(board, start, iterations, rng, 1);
+    return {
+        survival: +result.score.toFixed(2),
+        difficulty: difficultyFromSurvival(result.score),
+        placements: result.placements,
+    };
+}
+
+/**
+ * A main board (generateMainPuzzle `options`) whose best-found survival is
+ * within `band`, [min, max] seconds, and which certifies (see certify.mjs),
+ * with its measured `difficulty` and its `certificate` on it. Tries up to
+ * `candidates` boards, seeded from `seed`, rating each with `budget`; null if
+ * none lands in the band.
+ */
+export function generateRatedPuzzle({ band, candidates = 20, seed = Date.now(), budget, ...options }) {
+    if (!Array.isArray(band) || band.length !== 2 || !(band[0] <= band[1])) {
+        throw new Error(`Invalid survival band: ${JSON.stringify(band)}`);
+    }
+    const rng = mulberry32(seed);
+    for (let i = 0; i < candidates; i++) {
+        const puzzle = generateMainPuzzle({ ...options, seed: Math.floor(rng() * 0x7fffffff) });
+        const rated = certifiedInBand(puzzle, rateBoard(puzzle, budget), band);
+        if (!rated) continue;
+        puzzle.difficulty = rated.difficulty;
+        puzzle.certificate = rated.certificate;
+        return puzzle;
+    }
+    return null;
+}
+
+/**
+ * Which variant of the daily on `date` follows the weekly curve: the first of
+ * `variants` whose best-found survival falls in the day's band (see
+ * dailyTarget) and which certifies. Returns { variant, difficulty, survival,
+ * certificate } - the certificate without its solution, since the daily goes
+ * to players - or null if none does: a day off its curve is left unrated, not
+ * dealt as if it were on it.
+ */
+export function rateDaily(date, { variants = 12, budget } = {}) {
+    const { band } = dailyTarget(date);
+    for (let variant = 0; variant < variants; variant++) {
+        const puzzle = generateDailyPuzzle({ date, variant });
+        const rated = certifiedInBand(puzzle, rateBoard(puzzle, budget), band);
+        if (!rated) continue;
+        const { score, estimatedBest } = rated.certificate;
+        const certificate = { score: Math.floor(score * 100) / 100, estimatedBest };
+        return { variant, difficulty: rated.difficulty, survival: rated.survival, certificate };
+    }
+    return null;
+}
+
+/**
+ * Certify `puzzle` from the placements its `rating` found, and rate it by the
+ * best survival either found: the certificate's search runs longer than the
+ * rating's, so it often proves the board easier. { survival, difficulty,
+ * certificate } if that lands in `band`, else null - as it is when the board
+ * doesn't certify.
+ */
+function certifiedInBand(puzzle, rating, band) {
+    // Certifying never finds a shorter best survival, so past the band stays past it
+    if (rating.survival > band[1]) return null;
+    const result = certifyPuzzle(puzzle, { starts: [rating.placements] });
+    if (!result.valid) return null;
+    const survival = +Math.max(rating.survival, result.certificate.score).toFixed(2);
+    if (survival < band[0] || survival > band[1]) return null;
+    return { survival, difficulty: difficultyFromSurvival(survival), certificate: result.certificate };
+}
@@ -1,17 +1,21 @@
 /**
  * engine.mjs — thin headless wrapper around the game's deterministic physics core
- * (functions/js is the DOM-free shared simulation). Gives the AI three things:
- *   newBoard()                       -> a fresh main-game puzzle (inventory + 5 lasers)
+ * (js/core is the DOM-free simulation the game and server share). Gives the AI four things:
+ *   newBoard(seed?)                  -> a fresh main-game puzzle (inventory + 5 lasers)
+ *   loadBoard(file)                  -> the puzzle (and placements) in a puzzle file
  *   scoreGame(inventory, placements, spawners) -> authoritative survival time
  *   simulateTrace(...)               -> per-frame laser positions for replay
+ *   scoreGames(games)                -> many scores at once, across worker threads
  * plus validity helpers (on-board, out of forbidden zones, non-overlapping).
  */
-import { CONFIG } from '../functions/js/config.js';
-import { generateMainPuzzle } from '../functions/js/core/PuzzleGenerator.js';
+import { CONFIG } from '../js/config.js';
+import { generateMainPuzzle } from '../js/core/PuzzleGenerator.js';
+import { parsePuzzleFile } from '../js/core/PuzzleFile.js';
 import {
-    createMirrorFromConfig, buildSimulation, simulateSurvivalTime,
-} from '../functions/js/core/Simulation.js';
-import { SimpleValidator } from '../functions/js/validation/SimpleValidator.js';
+    createMirrorFromConfig, buildSimulation, simulateSurvivalTime, advanceLaser,
+} from '../js/core/Simulation.js';
+import { SimpleValidator } from '../js/validation/SimpleValidator.js';
+import { ScoringPool } from '../js/core/ScoringPool.js';
 
 export const W = CONFIG.CANVAS_WIDTH;
 export const H = CONFIG.CANVAS_HEIGHT;
@@ -21,8 +25,28 @@ export const FORBID_RADIUS = CONFIG.CORE_EXCLUSION_RADIUS; // mirror-free zone a
 export const EDGE = CONFIG.EDGE_MARGIN;                    // 40 — no mirrors past this from edges
 export const MAX_TIME = CONFIG.MAX_GAME_TIME;              // 300 — perfect score
 
-export function newBoard() {
-    return generateMainPuzzle();
+/** A small seeded PRNG: mulberry32(seed)() gives the next number in [0, 1). */
+export function mulberry32(a) {
+    return function () {
+        a |= 0; a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export function newBoard(seed) {
+    return generateMainPuzzle({ seed });
+}
+
+/**
+ * A puzzle file (see js/core/PuzzleFile.js; the object, its JSON or its string
+ * form) as { board, placements } - placements null if it has none.
+ */
+export function loadBoard(file) {
+    const result = parsePuzzleFile(file);
+    if (!result.valid) throw new Error(result.reason);
+    return { board: result.puzzle, placements: result.placements };
 }
 
 /** Merge fixed inventory (shape/size) with the AI's transform (x,y,rotation). */
@@ -63,20 +87,39 @@ export function placementValid(inventory, placements) {
     return true;
 }
 
-/** Authoritative survival time (seconds) — identical to server verification. */
-export function scoreGame(inventory, placements, spawners) {
-    return simulateSurvivalTime(toMirrorConfigs(inventory, placements), spawners);
+/**
+ * Authoritative survival time (seconds) — identical to server verification.
+ * Pass `observer` to hear the run's events (see js/core/SimulationEvents.js).
+ */
+export function scoreGame(inventory, placements, spawners, { observer } = {}) {
+    return simulateSurvivalTime(toMirrorConfigs(inventory, placements), spawners, { observer });
+}
+
+/**
+ * Score many games across worker threads (see js/core/ScoringPool.js): `games`
+ * are [{ inventory, placements, spawners }], and the scores come back in order.
+ * `workers` defaults to one per CPU.
+ */
+export async function scoreGames(games, { workers } = {}) {
+    const pool = await ScoringPool.forNode(workers);
+    try {
+        return (await pool.scoreAll(games)).map(result => result.score);
+    } finally {
+        pool.close();
+    }
 }
 
 /**
  * Replay trace: re-run the exact physics and record each laser's position at
  * `fps`, capped at `maxSeconds` of footage. Laser slots keep a stable index
- * (null once a laser leaves the field) so the gallery can animate them.
- * Returns static mirror polygons too. Survival time itself comes from scoreGame.
+ * (null once a laser leaves the field; split beams append new slots) so the
+ * gallery can animate them.
+ * Returns static mirror polygons too. Survival time itself comes from scoreGame
+ * (as does the event stream, if you want one).
  */
 export function simulateTrace(inventory, placements, spawners, { fps = 30, maxSeconds = 24 } = {}) {
     const cfgs = toMirrorConfigs(inventory, placements);
-    const { mirrors, lasers, handler } = buildSimulation(cfgs, spawners);
+    const { mirrors, lasers, handler, waves } = buildSimulation(cfgs, spawners);
     const dt = CONFIG.PHYSICS_DT;
     const stepEvery = Math.max(1, Math.round((1 / fps) / dt));
     const capSteps = Math.ceil(Math.min(maxSeconds, MAX_TIME) / dt);
@@ -87,14 +130,23 @@ export function simulateTrace(inventory, placements, spawners, { fps = 30, maxSe
     let breached = false;
 
     for (let s = 0; s < capSteps; s++) {
+        handler.beginStep(); // like stepLasers (mirrorPolys stay the placed poses)
         for (let i = 0; i < lasers.length; i++) {
             if (!alive[i]) continue;
             const laser = lasers[i];
-            laser.update(dt);
-            handler.checkAndHandleCollisions(laser, mirrors);
-            if (handler.checkTargetCollision(laser)) { breached = true; }
+            const core = advanceLaser(laser, mirrors, handler, dt);
+            if (core) {
+                // Same rule as stepLasers: a laser is spent on a core that survives the hit
+                if (handler.damageCore(core)) { breached = true; } else { alive[i] = false; }
+            }
             else if (handler.isOutOfBounds(laser)) { alive[i] = false; }
         }
+        // Beams spawned by splitters get fresh slots at the end, like stepLasers.
+        for (const spawned of handler.takeSpawnedLasers()) { lasers.push(spawned); alive.push(true); }
+        // Wave shots too, in the same order stepLasers adds them.
+        const firstShot = lasers.length;
+        waves.fire(lasers);
+        for (let i = firstShot; i < lasers.length; i++) alive.push(true);
         if (s % stepEvery === 0 || breached) {
             frames.push(lasers.map((l, i) => (alive[i] ? [Math.round(l.x), Math.round(l.y)] : null)));
         }
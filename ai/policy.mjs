@@ -154,25 +154,7 @@ export function optimize(board, startPlacements, iters, rng, checkpoints = 50) {
     const every = Math.max(1, Math.floor(iters / checkpoints));
 
     for (let s = 0; s < iters; s++) {
-        const anneal = 1 - (s / iters) * 0.85;
-        const trial = best.map(p => ({ ...p }));
-        const nMut = rng() < 0.25 ? 2 : 1;
-        for (let k = 0; k < nMut; k++) {
-            const i = Math.floor(rng() * inv.length);
-            const kind = rng();
-            if (kind < 0.5) {                              // nudge position
-                trial[i].x += (rng() * 2 - 1) * (26 * anneal + 4);
-                trial[i].y += (rng() * 2 - 1) * (26 * anneal + 4);
-            } else if (kind < 0.85) {                      // nudge rotation
-                trial[i].rotation += (rng() * 2 - 1) * (30 * anneal + 5);
-            } else {                                       // occasional big relocate
-                const ang = rng() * Math.PI * 2;
-                const r = FORBID_RADIUS + 12 + rng() * 150;
-                trial[i].x = CENTER.x + Math.cos(ang) * r;
-                trial[i].y = CENTER.y + Math.sin(ang) * r;
-                trial[i].rotation = rng() * 360;
-            }
-        }
+        const trial = mutate(inv, best, s / iters, rng);
         if (placementValid(inv, trial)) {
             const sc = scoreGame(inv, trial, spawners);
             if (sc >= bestScore) { best = trial; bestScore = sc; }
@@ -182,3 +164,31 @@ export function optimize(board, startPlacements, iters, rng, checkpoints = 50) {
     trajectory.push(+bestScore.toFixed(2));
     return { placements: best, score: bestScore, trajectory };
 }
+
+/**
+ * One optimize step's trial: `best` with a mirror or two nudged, rotated or
+ * relocated, the moves shrinking as `progress` (0 to 1 through the climb) grows.
+ * The trial may be illegal; the caller checks it.
+ */
+export function mutate(inv, best, progress, rng) {
+    const anneal = 1 - progress * 0.85;
+    const trial = best.map(p => ({ ...p }));
+    const nMut = rng() < 0.25 ? 2 : 1;
+    for (let k = 0; k < nMut; k++) {
+        const i = Math.floor(rng() * inv.length);
+        const kind = rng();
+        if (kind < 0.5) {                              // nudge position
+            trial[i].x += (rng() * 2 - 1) * (26 * anneal + 4);
+            trial[i].y += (rng() * 2 - 1) * (26 * anneal + 4);
+        } else if (kind < 0.85) {                      // nudge rotation
+            trial[i].rotation += (rng() * 2 - 1) * (30 * anneal + 5);
+        } else {                                       // occasional big relocate
+            const ang = rng() * Math.PI * 2;
+            const r = FORBID_RADIUS + 12 + rng() * 150;
+            trial[i].x = CENTER.x + Math.cos(ang) * r;
+            trial[i].y = CENTER.y + Math.sin(ang) * r;
+            trial[i].rotation = rng() * 360;
+        }
+    }
+    return trial;
+}
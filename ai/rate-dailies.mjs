@@ -0,0 +1,77 @@
+/**
+ * rate-dailies.mjs — choose the coming dailies so they follow the weekly curve.
+ *
+ * For each of DAYS days from FROM (default tomorrow), rates variants of that
+ * day's board (see ai/difficulty.mjs rateDaily) until one lands in the day's
+ * difficulty band and certifies (see ai/certify.mjs), and records it in
+ * js/validation/DailyRatings.js, which the game and the server both read to
+ * deal the daily. A variant is rated by the best survival either its rating or
+ * its certificate found. A day none of whose variants lands in its band and
+ * certifies is left unrated, and the run fails listing it: it would play
+ * variant 0, off the curve, so try more VARIANTS or pick its board by hand.
+ * Days already rated are kept unless FORCE is set: re-rating today or an
+ * earlier day would change a board players may already have played. Ratings and certificates
+ * are budgeted in steps (ITERS), so a run repeats on any machine.
+ */
+import { writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { DAILY_RATINGS } from '../js/validation/DailyRatings.js';
+import { dailyTarget } from '../js/core/Difficulty.js';
+import { rateDaily } from './difficulty.mjs';
+
+const HERE = dirname(fileURLToPath(import.meta.url));
+const OUT = join(HERE, '..', 'js', 'validation', 'DailyRatings.js');
+
+const DAY_MS = 86400000;
+const FROM = process.env.FROM || new Date(Date.now() + DAY_MS).toISOString().slice(0, 10);
+const DAYS = Number(process.env.DAYS || 28);
+const VARIANTS = Number(process.env.VARIANTS || 24);
+const ITERS = Number(process.env.ITERS || 240);
+const FORCE = Boolean(process.env.FORCE);
+
+const ratings = { ...DAILY_RATINGS };
+const unrated = [];
+const start = Date.parse(`${FROM}T00:00:00Z`);
+if (Number.isNaN(start)) throw new Error(`Invalid FROM date: ${FROM}`);
+
+console.log(`Rating ${DAYS} dailies from ${FROM}, up to ${VARIANTS} variants each…`);
+for (let d = 0; d < DAYS; d++) {
+    const date = new Date(start + d * DAY_MS).toISOString().slice(0, 10);
+    if (ratings[date] && !FORCE) continue;
+    const pick = rateDaily(date, { variants: VARIANTS, budget: { iterations: ITERS } });
+    if (!pick) {
+        delete ratings[date];
+        unrated.push(date);
+        console.log(`  ${date}  NO VARIANT IN BAND`);
+        continue;
+    }
+    ratings[date] = pick;
+    const target = dailyTarget(date).difficulty;
+    const { score, estimatedBest } = pick.certificate;
+    console.log(`  ${date}  target ${target}  variant ${pick.variant}  rated ${pick.difficulty} (${pick.survival}s)  best ${score}s, estimated best ${estimatedBest}s`);
+}
+
+const lines = Object.keys(ratings).sort().map(date => {
+    const { variant, difficulty, survival, certificate: { score, estimatedBest } } = ratings[date];
+    return `    '${date}': { variant: ${variant}, difficulty: ${difficulty}, survival: ${survival}, certificate: { score: ${score}, estimatedBest: ${estimatedBest} } },`;
+});
+writeFileSync(OUT, `/**
+ * DailyRatings - the dailies chosen to follow the weekly difficulty curve.
+ *
+ * Generated by ai/rate-dailies.mjs; don't edit by hand. Each date maps to the
+ * variant of that day's board that was picked (see
+ * DailyChallenge.generateDailyConfig), its measured difficulty and best-found
+ * survival (see js/core/Difficulty.js), and its certificate less the solution
+ * (see ai/certify.mjs). Days not listed play variant 0 with the estimated
+ * difficulty, uncertified.
+ */
+export const DAILY_RATINGS = {
+${lines.join('\n')}
+};
+`);
+console.log(`Wrote ${OUT} (${lines.length} days)`);
+if (unrated.length) {
+    console.error(`${unrated.length} days left unrated, off the weekly curve: ${unrated.join(', ')}`);
+    process.exitCode = 1;
+}
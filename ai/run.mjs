@@ -5,18 +5,25 @@
  * evolutionary hill-climb (policy.optimize) to survive as long as it can. We log:
  *   - the survival TRAJECTORY per board (best-so-far vs. refinement step),
  *   - each board's final score (a "row"),
- *   - the ten best individual games (board + placements + replay trace).
+ *   - the ten best individual games (board + placements + replay trace, and the
+ *     board and placements as a puzzle file string; see js/core/PuzzleFile.js).
  *
  * The averaged trajectory is the learning curve: the AI's survival climbing as it
- * refines its defense. Writes ai/results.json.
+ * refines its defense. The boards are seeded from SEED too, so a run repeats.
+ * All boards climb together, a step at a time, and each step's trials are scored
+ * at once across worker threads (engine.scoreGames; WORKERS of them, default one
+ * per CPU).
+ * Writes ai/results.json, and the top five as puzzle files (with their
+ * placements) to ai/exhibit-runs.json.
  */
 import { writeFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import {
-    newBoard, simulateTrace, scoreGame, placementValid, MAX_TIME,
+    newBoard, simulateTrace, scoreGames, placementValid, mulberry32, MAX_TIME,
 } from './engine.mjs';
-import { placeByPolicy, optimize } from './policy.mjs';
+import { toPuzzleFile, encodePuzzleFile } from '../js/core/PuzzleFile.js';
+import { placeByPolicy, mutate } from './policy.mjs';
 
 const HERE = dirname(fileURLToPath(import.meta.url));
 
@@ -24,15 +31,8 @@ const ROWS = Number(process.env.ROWS || 260);
 const ITERS = Number(process.env.ITERS || 140);
 const CHECKPOINTS = Number(process.env.CHECKPOINTS || 50);
 const SEED = Number(process.env.SEED || 12345);
+const WORKERS = process.env.WORKERS ? Number(process.env.WORKERS) : undefined;
 
-function mulberry32(a) {
-    return function () {
-        a |= 0; a = (a + 0x6D2B79F5) | 0;
-        let t = Math.imul(a ^ (a >>> 15), 1 | a);
-        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
-        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-    };
-}
 const rng = mulberry32(SEED);
 const DEFAULT_THETA = { radius: 120, tiltDeg: 45, tiltAmp: 30, tiltPhaseDeg: 0, phaseDeg: 0, spreadDeg: 15 };
 
@@ -51,29 +51,56 @@ let bestSoFar = 0;
 const recordLine = [];     // best-so-far across rows
 const t0 = Date.now();
 
+// A board's climb is policy.optimize's, one trial per step kept if it survives
+// at least as long, with the board's own rng so the climbs don't depend on the
+// order their trials are scored in.
+const game = (climb, placements) => ({ inventory: climb.board.mirrorInventory, placements, spawners: climb.board.spawners });
+
 console.log(`Playing ${ROWS} fresh boards, ${ITERS} refinement steps each…`);
+const climbs = [];
 for (let r = 0; r < ROWS; r++) {
-    const board = newBoard();
+    const board = newBoard(Math.floor(rng() * 0x7fffffff));
+    const boardRng = mulberry32(Math.floor(rng() * 0x7fffffff));
 
     // Start from the dealt layout; if that's somehow illegal, fall back to a ring.
     let start = board.mirrors.map(m => ({ x: m.x, y: m.y, rotation: m.rotation || 0 }));
     if (!placementValid(board.mirrorInventory, start)) {
-        start = placeByPolicy(board.mirrorInventory, DEFAULT_THETA, rng);
+        start = placeByPolicy(board.mirrorInventory, DEFAULT_THETA, boardRng);
     }
+    climbs.push({ board, rng: boardRng, best: start, bestScore: 0, trajectory: [] });
+}
 
-    const res = optimize(board, start, ITERS, rng, CHECKPOINTS);
-    trajectories.push(res.trajectory);
-    finals.push(+res.score.toFixed(2));
-    if (placementValid(board.mirrorInventory, res.placements)) offer(res.score, board, res.placements);
-    if (res.score > bestSoFar) bestSoFar = res.score;
-    recordLine.push(+bestSoFar.toFixed(2));
+const startScores = await scoreGames(climbs.map(climb => game(climb, climb.best)), { workers: WORKERS });
+climbs.forEach((climb, r) => { climb.bestScore = startScores[r]; });
+const every = Math.max(1, Math.floor(ITERS / CHECKPOINTS));
+for (let s = 0; s < ITERS; s++) {
+    const trials = climbs.map(climb => {
+        const trial = mutate(climb.board.mirrorInventory, climb.best, s / ITERS, climb.rng);
+        return placementValid(climb.board.mirrorInventory, trial) ? trial : null;
+    });
+    const legal = trials.flatMap((trial, r) => trial ? [r] : []);
+    const scores = await scoreGames(legal.map(r => game(climbs[r], trials[r])), { workers: WORKERS });
+    legal.forEach((r, k) => {
+        if (scores[k] >= climbs[r].bestScore) { climbs[r].best = trials[r]; climbs[r].bestScore = scores[k]; }
+    });
+    if (s % every === 0) climbs.forEach(climb => climb.trajectory.push(+climb.bestScore.toFixed(2)));
 
-    if ((r + 1) % 20 === 0) {
-        const recent = finals.slice(-20).reduce((p, c) => p + c, 0) / 20;
-        process.stdout.write(`  row ${String(r + 1).padStart(3)}/${ROWS}  recent avg=${recent.toFixed(1)}s  best=${bestSoFar.toFixed(1)}s\n`);
+    if ((s + 1) % 20 === 0) {
+        const avg = climbs.reduce((p, climb) => p + climb.bestScore, 0) / ROWS;
+        const best = Math.max(...climbs.map(climb => climb.bestScore));
+        process.stdout.write(`  step ${String(s + 1).padStart(3)}/${ITERS}  avg=${avg.toFixed(1)}s  best=${best.toFixed(1)}s\n`);
     }
 }
 
+for (const { board, best, bestScore, trajectory } of climbs) {
+    trajectory.push(+bestScore.toFixed(2));
+    trajectories.push(trajectory);
+    finals.push(+bestScore.toFixed(2));
+    if (placementValid(board.mirrorInventory, best)) offer(bestScore, board, best);
+    if (bestScore > bestSoFar) bestSoFar = bestScore;
+    recordLine.push(+bestSoFar.toFixed(2));
+}
+
 // Average learning trajectory (+ quartile band) across boards.
 const L = Math.min(...trajectories.map(t => t.length));
 const meanTraj = [], p25Traj = [], p75Traj = [];
@@ -96,22 +123,21 @@ const top10 = top.map((run, idx) => {
         mirrorCount: run.board.mirrorInventory.length,
         spawners: run.board.spawners.map(s => ({ x: Math.round(s.x), y: Math.round(s.y) })),
         placements: run.placements.map(p => ({ x: +p.x.toFixed(1), y: +p.y.toFixed(1), rotation: +p.rotation.toFixed(1) })),
+        puzzle: encodePuzzleFile(toPuzzleFile(run.board, run.placements)),
         trace,
     };
 });
 
-// Full puzzles for the top 5, so the REAL game can load and record them.
+// Puzzle files (board + placements) for the top 5, so the REAL game can load
+// and record them.
 const exhibitRuns = top.slice(0, 5).map((run, i) => ({
     rank: i + 1,
     score: +run.score.toFixed(2),
-    mode: 'main',
-    mirrors: run.board.mirrorInventory.map((inv, j) => ({
-        ...inv,
-        x: +run.placements[j].x.toFixed(2),
-        y: +run.placements[j].y.toFixed(2),
-        rotation: +run.placements[j].rotation.toFixed(2),
-    })),
-    spawners: run.board.spawners.map(s => ({ x: s.x, y: s.y, angle: s.angle })),
+    file: toPuzzleFile(run.board, run.placements.map(p => ({
+        x: +p.x.toFixed(2),
+        y: +p.y.toFixed(2),
+        rotation: +p.rotation.toFixed(2),
+    }))),
 }));
 writeFileSync(join(HERE, 'exhibit-runs.json'), JSON.stringify({ runs: exhibitRuns }));
 console.log(`Wrote exhibit-runs.json (top 5: ${exhibitRuns.map(r => r.score + 's').join(', ')})`);
@@ -19,8 +19,13 @@ import { getFirestore, FieldValue } from 'firebase-admin/firestore';
 import { getStorage } from 'firebase-admin/storage';
 import nodemailer from 'nodemailer';
 
-import { generateMainPuzzle, generateDailyPuzzle } from './js/core/PuzzleGenerator.js';
+import { generateMainPuzzle, generateDailyPuzzle, generateEndlessPuzzle, rankedPuzzleOptions } from './js/core/PuzzleGenerator.js';
 import { verifyGame } from './js/core/GameVerifier.js';
+import { StepTrace, DivergenceCheck } from './js/core/Determinism.js';
+import { CONFIG } from './js/config.js';
+import { timeCap } from './js/core/Endless.js';
+import { encodeBoardCode } from './js/core/BoardCode.js';
+import { SeededRandom } from './js/validation/SeededRandom.js';
 
 initializeApp();
 const db = getFirestore();
@@ -55,6 +60,53 @@ function sanitizeName(name) {
     return cleaned || 'Player';
 }
 
+// Longest step trace a client can send: one 8-digit digest per step of a full
+// run, which on an endless board goes on to CONFIG.ENDLESS_MAX_TIME.
+function maxTraceLength(mode) {
+    return (Math.ceil(timeCap(mode) / CONFIG.PHYSICS_DT) + 2) * 8;
+}
+
+// The board a session was issued, as verifyGame takes it.
+function sessionPuzzle(session) {
+    return {
+        mode: session.mode, mirrorInventory: session.mirrorInventory, spawners: session.spawners,
+        cores: session.cores, scoring: session.scoring,
+        walls: session.walls, blockedCells: session.blockedCells,
+        board: session.board,
+        laserInteraction: session.laserInteraction,
+        physicsVersion: session.physicsVersion,
+        ruleset: session.ruleset,
+    };
+}
+
+// Score-mismatch diagnostics, in two steps (see js/core/Determinism.js). The
+// client submits only its run's digest; if the server's run digest differs, the
+// runs parted ways somewhere, so divergences/{sessionId} is opened and submitGame
+// asks the client for its full step trace, which reportTrace then replays to find
+// the first divergent step. Best-effort, like bumpStats - it must never cost the
+// player their submission. Returns whether the trace is wanted.
+async function recordDivergence(sessionId, uid, puzzle, placements, runDigest, clientScore, score) {
+    try {
+        const trace = new StepTrace();
+        verifyGame(puzzle, placements, { onStep: trace.onStep });
+        // Same digest: every step agreed, so the scores differ for some other reason
+        const agreed = trace.digest() === runDigest;
+        await db.collection('divergences').doc(sessionId).set({
+            uid,
+            clientScore,
+            serverScore: score,
+            placements,
+            serverSteps: trace.digests.length,
+            status: agreed ? 'done' : 'awaiting-trace',
+            divergence: null,
+            createdAt: FieldValue.serverTimestamp(),
+        });
+        return !agreed;
+    } catch (e) {
+        return false; // diagnostics are best-effort
+    }
+}
+
 // Lightweight, fire-and-forget aggregate counters for the /analytics dashboard.
 // Never allowed to break gameplay — any failure is swallowed.
 async function bumpStats(patch) {
@@ -110,19 +162,38 @@ function containsBlockedWord(name) {
     return MODERATE_WORDS.some(w => tokens.has(w));
 }
 
+// Whether a session's board was generated with special pieces (see startGame)
+function hasOptions(session) {
+    return Boolean(session.options) && Object.keys(session.options).length > 0;
+}
+
 /**
  * startGame - issue a fresh, server-generated puzzle and open a session.
- * Input:  { mode: 'main' }
- * Output: { sessionId, puzzle: { mode, mirrors, mirrorInventory, spawners } }
+ * Input:  { mode: 'main' | 'daily' | 'endless' }
+ * Output: { sessionId, puzzle: { mode, mirrors, mirrorInventory, spawners, physicsVersion, ruleset, seed? } }
+ *
+ * Endless boards (see js/core/Endless.js) run past the 5-minute cap; their
+ * verification is bounded by CONFIG.ENDLESS_MAX_TIME, so a submit never
+ * simulates more than that many seconds of play.
+ *
+ * Main and endless boards are seeded here, never by the client, so a ranked
+ * board can't be picked. The seed also picks the board's special pieces
+ * (PuzzleGenerator.rankedPuzzleOptions): at most an absorber or one-way
+ * mirror, never a rule change, since every ranked board of a mode shares one
+ * leaderboard. Seed and options are kept with the session, and so is every
+ * field of the board they generated, which is what submitGame verifies against. A plain main board's
+ * score names it by code (see js/core/BoardCode.js); a code can't name one
+ * with special pieces, so those are issued without their seed.
  */
 export const startGame = onCall(WARM_CALLABLE_OPTS, async (request) => {
     const uid = request.auth?.uid;
     if (!uid) throw new HttpsError('unauthenticated', 'Sign in to play a ranked game.');
 
-    const mode = request.data?.mode === 'daily' ? 'daily' : 'main';
+    const mode = ['daily', 'endless'].includes(request.data?.mode) ? request.data.mode : 'main';
 
     let puzzle;
     let sessionRef;
+    let options = null;
     if (mode === 'daily') {
         puzzle = generateDailyPuzzle();
         // One attempt per day: the daily session doc id is deterministic, so a repeat
@@ -133,8 +204,12 @@ export const startGame = onCall(WARM_CALLABLE_OPTS, async (request) => {
             throw new HttpsError('failed-precondition', "You've already played today's challenge.");
         }
     } else {
-        puzzle = generateMainPuzzle();
-        sessionRef = db.collection('sessions').doc(); // auto id; unlimited main games
+        const seed = SeededRandom.newSeed();
+        options = rankedPuzzleOptions(seed);
+        puzzle = mode === 'endless'
+            ? generateEndlessPuzzle({ seed, ...options })
+            : generateMainPuzzle({ seed, ...options });
+        sessionRef = db.collection('sessions').doc(); // auto id; unlimited main and endless games
     }
 
     await sessionRef.set({
@@ -144,19 +219,35 @@ export const startGame = onCall(WARM_CALLABLE_OPTS, async (request) => {
         // Only what the server needs to verify later. The client cannot read this
         // collection (locked by rules), so it can't peek at or alter the inventory.
         mirrorInventory: puzzle.mirrorInventory,
-        spawners: puzzle.spawners,
+        spawners: puzzle.spawners, // including any wave schedule (delay/repeatEvery/count) and laserProfile
+        physicsVersion: puzzle.physicsVersion, // the backend the score is verified with (missing on older sessions)
+        ruleset: puzzle.ruleset, // the rules it is verified under, pinned at issue (missing on older sessions)
+        // Main and endless boards only: the seed and options they were generated from
+        ...(puzzle.seed !== undefined ? { seed: puzzle.seed } : {}),
+        ...(options ? { options } : {}),
+        // Multi-core puzzles only (Firestore rejects undefined fields)
+        ...(puzzle.cores ? { cores: puzzle.cores, scoring: puzzle.scoring } : {}),
+        // Puzzles with terrain only
+        ...(puzzle.walls ? { walls: puzzle.walls } : {}),
+        ...(puzzle.blockedCells ? { blockedCells: puzzle.blockedCells } : {}),
+        // Shaped boards only (see js/core/Board.js)
+        ...(puzzle.board ? { board: puzzle.board } : {}),
+        ...(puzzle.laserInteraction ? { laserInteraction: puzzle.laserInteraction } : {}),
         status: 'active',
         createdAt: FieldValue.serverTimestamp(),
     });
 
     bumpStats({ gamesStarted: 1 });
+    if (options && Object.keys(options).length > 0) delete puzzle.seed; // no code names this board
     return { sessionId: sessionRef.id, puzzle };
 });
 
 /**
  * submitGame - verify placements against the issued session and record the score.
- * Input:  { sessionId, placements: [{x,y,rotation}], displayName }
- * Output: { verified, score, scoreFormatted, isNewBest }
+ * Input:  { sessionId, placements: [{x,y,rotation}], displayName, clientScore?, digest? }
+ *         (clientScore and digest - the client's run digest - are diagnostics only)
+ * Output: { verified, score, scoreFormatted, isNewBest, traceRequested }
+ *         (traceRequested: the runs diverged - send the step trace to reportTrace)
  */
 export const submitGame = onCall(CALLABLE_OPTS, async (request) => {
     const uid = request.auth?.uid;
@@ -183,10 +274,8 @@ export const submitGame = onCall(CALLABLE_OPTS, async (request) => {
     }
 
     // Recompute the authoritative score from the SERVER-issued board + client placements.
-    const result = verifyGame(
-        { mode: session.mode, mirrorInventory: session.mirrorInventory, spawners: session.spawners },
-        placements
-    );
+    const puzzle = sessionPuzzle(session);
+    const result = verifyGame(puzzle, placements);
 
     if (!result.valid) {
         await sessionRef.update({ status: 'rejected', reason: result.reason });
@@ -196,14 +285,20 @@ export const submitGame = onCall(CALLABLE_OPTS, async (request) => {
     const score = result.score;
 
     // Diagnostics: the client sends the time it actually showed the player. If the
-    // server's re-simulation disagrees, the submitted board didn't match the one
-    // played (e.g. a swapped sessionId) — log it loudly so we can catch regressions.
+    // server's re-simulation disagrees, either the submitted board didn't match the
+    // one played (e.g. a swapped sessionId) or the two runtimes' physics diverged —
+    // log it loudly, and ask for the client's trace if the runs' digests differ.
     const clientScore = Number(request.data?.clientScore);
+    let traceRequested = false;
     if (Number.isFinite(clientScore)) {
         const delta = Math.abs(clientScore - score);
         const line = `[submit] uid=${uid} session=${sessionId} client=${clientScore.toFixed(2)} server=${score.toFixed(2)} delta=${delta.toFixed(2)}`;
-        if (delta > 0.5) console.error('SCORE MISMATCH ' + line);
-        else console.log(line);
+        if (delta > 0.5) {
+            console.error('SCORE MISMATCH ' + line);
+            traceRequested = await recordDivergence(sessionId, uid, puzzle, placements, request.data?.digest, clientScore, score);
+        } else {
+            console.log(line);
+        }
     }
     // The leaderboard name is the user's RESERVED username (server-owned), not
     // whatever the client sent — so it can't be spoofed. Fall back to a sanitized
@@ -212,8 +307,10 @@ export const submitGame = onCall(CALLABLE_OPTS, async (request) => {
     const cleanName = (userSnap.exists && userSnap.data().username)
         ? userSnap.data().username
         : sanitizeName(displayName);
-    const isDaily = session.mode === 'daily';
-    const scoreDocId = isDaily ? `${uid}_${session.dailyDate}` : `${uid}_main`;
+    // One best per player per board kind: each day's daily, main and endless
+    // (endless has its own leaderboard, since its scores run past the cap).
+    const scoreDocId = session.mode === 'daily' ? `${uid}_${session.dailyDate}`
+        : session.mode === 'endless' ? `${uid}_endless` : `${uid}_main`;
     const scoreRef = db.collection('scores').doc(scoreDocId);
 
     const outcome = await db.runTransaction(async (tx) => {
@@ -239,6 +336,9 @@ export const submitGame = onCall(CALLABLE_OPTS, async (request) => {
                 scoreFormatted: formatScore(score),
                 mirrorCount: placements.length,
                 spawnerCount: session.spawners.length,
+                // The code that replays this board (plain main boards only)
+                boardCode: session.mode === 'main' && Number.isInteger(session.seed) && !hasOptions(session)
+                    ? encodeBoardCode(session.seed) : null,
                 // A new best gets a fresh replay: null the video now and let the client
                 // stamp the new path once its upload finishes (setReplayVideoPath). If we
                 // carried the previous video forward and the re-upload then failed, the
@@ -254,7 +354,7 @@ export const submitGame = onCall(CALLABLE_OPTS, async (request) => {
     // A concurrent/duplicate call already recorded this exact session — return the
     // same (idempotent) score without bumping stats again.
     if (outcome.alreadySubmitted) {
-        return { verified: true, score, scoreFormatted: formatScore(score), isNewBest: false };
+        return { verified: true, score, scoreFormatted: formatScore(score), isNewBest: false, traceRequested };
     }
 
     bumpStats({ gamesSubmitted: 1 });
@@ -274,9 +374,53 @@ export const submitGame = onCall(CALLABLE_OPTS, async (request) => {
         score,
         scoreFormatted: formatScore(score),
         isNewBest: outcome.isNewBest,
+        traceRequested,
     };
 });
 
+/**
+ * reportTrace - the client's step trace for a run whose digest disagreed with the
+ * server's (submitGame answered traceRequested). Replays the session's board
+ * against it and records the first divergent step on divergences/{sessionId}.
+ * Input: { sessionId, trace } (trace: StepTrace.toString())
+ */
+export const reportTrace = onCall(CALLABLE_OPTS, async (request) => {
+    const uid = request.auth?.uid;
+    if (!uid) throw new HttpsError('unauthenticated', 'Sign in required.');
+
+    const { sessionId, trace } = request.data || {};
+    if (typeof sessionId !== 'string' || typeof trace !== 'string') {
+        throw new HttpsError('invalid-argument', 'Missing session or trace.');
+    }
+    const divergenceRef = db.collection('divergences').doc(sessionId);
+    const [divergenceSnap, sessionSnap] = await Promise.all([
+        divergenceRef.get(), db.collection('sessions').doc(sessionId).get(),
+    ]);
+    // Only a trace the server asked for, once, from the player who submitted.
+    if (!divergenceSnap.exists || !sessionSnap.exists) throw new HttpsError('not-found', 'No trace was requested.');
+    const record = divergenceSnap.data();
+    if (record.uid !== uid || record.status !== 'awaiting-trace') {
+        throw new HttpsError('failed-precondition', 'No trace was requested.');
+    }
+    const puzzle = sessionPuzzle(sessionSnap.data());
+    const clientDigests = trace.length <= maxTraceLength(puzzle.mode) ? StepTrace.parse(trace) : null;
+    if (!clientDigests) throw new HttpsError('invalid-argument', 'Invalid trace.');
+
+    const check = new DivergenceCheck(clientDigests);
+    verifyGame(puzzle, record.placements, { onStep: check.onStep });
+    const divergence = check.result();
+    await divergenceRef.update({
+        status: 'done',
+        clientSteps: clientDigests.length,
+        // null = every step agreed, so the scores differ for some other reason
+        divergence,
+    });
+    if (divergence) {
+        console.error(`[submit] session=${sessionId} first divergent step ${divergence.step}`);
+    }
+    return { recorded: true };
+});
+
 /**
  * setReplayVideoPath - record the Storage path of a top-score replay on the score
  * doc. Needed because clients can no longer write the scores collection directly:
@@ -0,0 +1,288 @@
+import { Spawner } from './Spawner.js';
+import { createMirrorFromConfig } from '../core/Simulation.js';
+import { useRuleset } from '../core/Ruleset.js';
+import { physicsVersionOn } from '../core/PhysicsBackends.js';
+import { MirrorGenerator } from '../generators/MirrorGenerator.js';
+import { SpawnerGenerator } from '../generators/SpawnerGenerator.js';
+import { MirrorPlacementValidation } from '../validation/MirrorPlacementValidation.js';
+import { DailyChallenge } from '../validation/DailyChallenge.js';
+import { SeededRandom } from '../validation/SeededRandom.js';
+
+/**
+ * BoardLoader - puts a board on the game's field: a server-issued ranked
+ * board, a local one generated as a fallback (or from a board code's seed),
+ * today's daily, or an imported puzzle
+ *
+ * The board's definition - mirrors, spawners, cores, walls, outline and rules -
+ * lives on the game (game.mirrors, game.cores, ...), where the renderer, the
+ * placement rules and the launch read it. getPuzzle() gives it back as a puzzle.
+ */
+export class BoardLoader {
+    constructor(game) {
+        this.game = game;
+        this.mirrorGenerator = new MirrorGenerator(game);
+        this.spawnerGenerator = new SpawnerGenerator(game);
+        this.setupGen = 0;
+    }
+
+    /**
+     * Set up a new board. Main-game boards come from the server (ranked); if the
+     * server is unreachable, or for daily, we generate locally and play unranked.
+     * A `seed` (from a board code) skips the server: that board is generated
+     * locally, and unranked, since the player picked it. So does a `puzzle`
+     * (from a puzzle file), which is played as it is.
+     * Async because the server round-trip is; the launch button stays disabled
+     * until the board is ready so a game can't start on an empty field.
+     */
+    async setup(seed = null, puzzle = null) {
+        const game = this.game;
+        // Each call gets a generation id. Rapid shuffling fires overlapping
+        // setup() calls whose startGame() promises resolve out of order; a
+        // straggler must NOT swap the board (and its sessionId) out from under a
+        // newer setup or an in-progress/just-finished game, or the score ends up
+        // verified against a board that was never played.
+        const gen = ++this.setupGen;
+        const isCurrent = () => gen === this.setupGen && !game.isPlaying;
+
+        game.boardReady = false;
+        game.sessionId = null;
+        game.isRanked = false;
+        game.boardSeed = null;
+        const launchBtn = document.getElementById('launchBtn');
+        if (launchBtn) launchBtn.disabled = true;
+
+        const mode = game.getMode();
+        // Pin the daily date for THIS session so completion records under the date
+        // actually played, even if the game finishes just after local midnight.
+        if (mode === 'daily') game.dailyDate = DailyChallenge.getTodayString();
+        try {
+            // Prefer a server-issued board so the puzzle can't be rigged. gameService
+            // may not exist yet on first load (Firebase inits after the Game object),
+            // so wait briefly for it before deciding.
+            const service = seed === null && puzzle === null ? await this.waitForGameService(3000) : null;
+            if (service) {
+                // A transient blip (App Check token, cold start, network) shouldn't
+                // strand the player on an unrankable local board — retry a couple
+                // times with a short backoff before giving up on a ranked board.
+                for (let attempt = 0; attempt < 3; attempt++) {
+                    try {
+                        const { sessionId, puzzle } = await service.startGame(mode);
+                        if (!isCurrent()) return; // superseded or already playing — discard
+                        this.applyPuzzle(puzzle);
+                        game.sessionId = sessionId;
+                        game.isRanked = true;
+                        return;
+                    } catch (e) {
+                        if (!isCurrent()) return;
+                        console.warn(`[Ranked] startGame(${mode}) attempt ${attempt + 1}/3 failed:`, e.message);
+                        if (attempt < 2) {
+                            await new Promise(resolve => setTimeout(resolve, 400 * (attempt + 1)));
+                            if (!isCurrent()) return;
+                        }
+                    }
+                }
+                console.warn(`[Ranked] startGame(${mode}) failed after retries; using local unranked board.`);
+            }
+
+            if (!isCurrent()) return;
+            if (puzzle) {
+                this.applyPuzzle(puzzle);
+                return;
+            }
+
+            // Fallback: local generation, unranked.
+            this.setRuleset(null);
+            this.setCores(null);
+            game.scoring = null;
+            this.setTerrain(null, null);
+            this.setBoard(null);
+            game.laserInteraction = 'none';
+            game.physicsVersion = physicsVersionOn(DailyChallenge.getTodayString());
+            if (mode !== 'daily') this.seedBoard(seed ?? SeededRandom.newSeed());
+            this.generateMirrors();
+            this.generateSpawners();
+        } finally {
+            // Only the latest, not-yet-launched setup owns the board-ready UI.
+            if (isCurrent()) {
+                game.boardReady = true;
+                if (launchBtn) launchBtn.disabled = false;
+                const loader = document.getElementById('canvasLoader');
+                if (loader) { loader.classList.add('hidden'); loader.remove(); }
+            }
+        }
+    }
+
+    /**
+     * Resolve window.gameService once it exists, or null after timeoutMs.
+     */
+    waitForGameService(timeoutMs) {
+        return new Promise(resolve => {
+            if (window.gameService) return resolve(window.gameService);
+            const start = Date.now();
+            const check = () => {
+                if (window.gameService) return resolve(window.gameService);
+                if (Date.now() - start >= timeoutMs) return resolve(null);
+                setTimeout(check, 100);
+            };
+            check();
+        });
+    }
+
+    /**
+     * Build the live board (mirrors + spawners) from a server-issued or imported
+     * puzzle. Mirrors are kept in the issued order so submitted placements line
+     * up with the server's fixed inventory index-for-index.
+     */
+    applyPuzzle(puzzle) {
+        const game = this.game;
+        const isDaily = puzzle.mode === 'daily';
+        // Rules first: the mirrors, cores and outline below are checked by them
+        this.setRuleset(puzzle.ruleset || null);
+        game.mirrors = puzzle.mirrors.map(cfg => {
+            const mirror = createMirrorFromConfig(cfg);
+            mirror.isDailyChallenge = isDaily;
+            return mirror;
+        });
+        game.spawners = puzzle.spawners.map(s => {
+            const spawner = new Spawner(s.x, s.y, s.angle, s);
+            spawner.isDailyChallenge = isDaily;
+            return spawner;
+        });
+        if (isDaily) {
+            game.dailyTheme = puzzle.theme;
+            game.dailyDifficulty = puzzle.difficulty ?? game.dailyDifficulty;
+            game.dailyCertificate = puzzle.certificate ?? game.dailyCertificate;
+        }
+        this.setCores(puzzle.cores || null);
+        game.scoring = puzzle.scoring || null;
+        this.setTerrain(puzzle.walls || null, puzzle.blockedCells || null);
+        this.setBoard(puzzle.board || null);
+        game.laserInteraction = puzzle.laserInteraction || 'none';
+        game.physicsVersion = puzzle.physicsVersion ?? 1;
+        game.boardSeed = puzzle.seed ?? null;
+    }
+
+    /**
+     * Seed the generators for a local main or endless board, so the board is the
+     * one generateMainPuzzle gives for `seed` and its code plays it again.
+     */
+    seedBoard(seed) {
+        this.game.boardSeed = seed;
+        const rng = new SeededRandom(seed);
+        this.mirrorGenerator = new MirrorGenerator(this.game, rng);
+        this.spawnerGenerator = new SpawnerGenerator(this.game, rng);
+    }
+
+    generateMirrors() {
+        const game = this.game;
+        if (game.isDailyChallenge) {
+            // Daily challenge generates mirrors and spawners together from seed
+            this.generateDailyChallengeConfig();
+        } else {
+            // Delegate mirror generation to the MirrorGenerator
+            game.mirrors = this.mirrorGenerator.generateMirrors();
+        }
+    }
+
+    /**
+     * Generate both mirrors and spawners from the daily seed in one pass
+     */
+    generateDailyChallengeConfig() {
+        const game = this.game;
+        const config = DailyChallenge.generateDailyConfig();
+        game.dailyTheme = config.theme;
+        game.dailyDifficulty = config.difficulty;
+        game.dailyCertificate = config.certificate || null;
+        game.mirrors = DailyChallenge.placeMirrors(config.mirrors, game);
+        game.mirrors.forEach(m => { m.isDailyChallenge = true; });
+        game.spawners = config.spawners.map(s => {
+            const spawner = new Spawner(s.x, s.y, s.angle, s);
+            spawner.isDailyChallenge = true;
+            return spawner;
+        });
+    }
+
+    generateSpawners() {
+        const game = this.game;
+        if (game.isDailyChallenge) {
+            // Already generated in generateDailyChallengeConfig()
+            return;
+        }
+        // Delegate spawner generation to the SpawnerGenerator
+        game.spawners = this.spawnerGenerator.generateSpawners(game.board);
+        if (game.isEndless) game.endlessController.addJoiningSpawners();
+    }
+
+    /**
+     * Switch the page to a puzzle's rules (null = the defaults): the canvas takes
+     * the size of their board, and placement rules, zoom and pan go by them.
+     */
+    setRuleset(rules) {
+        const game = this.game;
+        game.ruleset = useRuleset(rules);
+        const { CANVAS_WIDTH, CANVAS_HEIGHT } = game.ruleset;
+        if (game.canvas.width !== CANVAS_WIDTH || game.canvas.height !== CANVAS_HEIGHT) {
+            game.canvas.width = CANVAS_WIDTH;
+            game.canvas.height = CANVAS_HEIGHT;
+        }
+        game.resetZoom();
+    }
+
+    /**
+     * Switch the board to a puzzle's cores: placement rules keep mirrors clear of
+     * each one, and the next launch defends them all.
+     */
+    setCores(cores) {
+        this.game.cores = cores;
+        MirrorPlacementValidation.setCores(cores);
+    }
+
+    /**
+     * Switch the board to a puzzle's walls and no-build cells: placement rules keep
+     * mirrors off both, and lasers meet the walls from the next launch.
+     */
+    setTerrain(walls, blockedCells) {
+        this.game.walls = walls;
+        this.game.blockedCells = blockedCells;
+        MirrorPlacementValidation.setTerrain(walls, blockedCells);
+    }
+
+    /**
+     * Switch the board to a puzzle's outline (null = the whole canvas): placement
+     * rules keep mirrors inside it, and lasers bounce off it from the next launch.
+     */
+    setBoard(board) {
+        this.game.board = board;
+        MirrorPlacementValidation.setBoard(board);
+        this.game.clampPan();
+    }
+
+    /**
+     * The board being played as a puzzle, as PuzzleGenerator issues them: the
+     * mirrors' shapes (not where they are - see game.getPlacements), the
+     * spawners, the rules and terrain, and where the board came from.
+     */
+    getPuzzle() {
+        const game = this.game;
+        const puzzle = {
+            mode: game.getMode(),
+            mirrorInventory: game.mirrors,
+            spawners: game.spawners,
+            physicsVersion: game.physicsVersion,
+            ruleset: game.ruleset,
+            cores: game.cores,
+            scoring: game.cores ? game.scoring || 'lastCore' : null,
+            walls: game.walls,
+            blockedCells: game.blockedCells,
+            board: game.board,
+            laserInteraction: game.laserInteraction,
+            seed: game.boardSeed,
+        };
+        if (game.isDailyChallenge) {
+            Object.assign(puzzle, {
+                dailyDate: game.dailyDate, theme: game.dailyTheme, difficulty: game.dailyDifficulty, certificate: game.dailyCertificate
+            });
+        }
+        return puzzle;
+    }
+}
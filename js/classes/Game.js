@@ -7,18 +7,31 @@ import { MirrorPlacementValidation } from '../validation/MirrorPlacementValidati
 import { IronCladValidator } from '../validation/IronCladValidator.js';
 import { CollisionSystem } from '../core/CollisionSystem.js';
 import { LaserCollisionHandler } from '../core/LaserCollisionHandler.js';
-import { stepLasers, createMirrorFromConfig } from '../core/Simulation.js';
+import { stepLasers } from '../core/Simulation.js';
+import { stampFallenCores } from '../core/Cores.js';
+import { SpawnerWaves } from '../core/SpawnerWaves.js';
+import { physicsBackend } from '../core/PhysicsBackends.js';
+import { StepTrace } from '../core/Determinism.js';
+import { StabilityCheck } from '../core/Stability.js';
+import { timeCap } from '../core/Endless.js';
+import { boardBounds } from '../core/Board.js';
+import { activeRuleset } from '../core/Ruleset.js';
 import { ShapeGeometry } from '../geometry/ShapeGeometry.js';
 import { GameRenderer } from '../rendering/GameRenderer.js';
-import { MirrorGenerator } from '../generators/MirrorGenerator.js';
-import { SpawnerGenerator } from '../generators/SpawnerGenerator.js';
+import { BurstEffects } from '../rendering/BurstEffects.js';
 import { GridAlignmentSystem } from '../systems/GridAlignmentSystem.js';
 import { MirrorDragAndSnapHandler } from '../handlers/MirrorDragAndSnapHandler.js';
 import { ReplayRecorder } from './ReplayRecorder.js';
+import { ReplayPlayer } from './ReplayPlayer.js';
 import { RotationControl } from './RotationControl.js';
 import { SimpleValidator } from '../validation/SimpleValidator.js';
 import { DailyChallenge } from '../validation/DailyChallenge.js';
 import { MirrorEdgeSnapping } from '../systems/MirrorEdgeSnapping.js';
+import { BoardLoader } from './BoardLoader.js';
+import { EditorController } from '../editor/EditorController.js';
+import { EndlessController } from '../endless/EndlessController.js';
+import { RewindController } from '../rewind/RewindController.js';
+import { BoardSharing } from '../sharing/BoardSharing.js';
 
 export class Game {
     constructor() {
@@ -56,6 +69,7 @@ export class Game {
         this.selectedSpawner = null; // Track which spawner is selected (mobile tap)
         this.selectedMirror = null; // Track which mirror is selected for rotation
         this.isDailyChallenge = false; // Daily challenge mode flag
+        this.isEndless = false; // Endless mode flag: runs go on past the cap (see Endless.js)
 
         // Server-authoritative session state. When isRanked, the board came from the
         // server (startGame) and the score will be verified server-side (submitGame).
@@ -65,6 +79,14 @@ export class Game {
         this.isRanked = false;
         this.boardReady = false;
 
+        // The seed the current main or endless board was generated from (null for
+        // dailies), which names it by board code (see BoardCode.js)
+        this.boardSeed = null;
+
+        // The rules the board is played under (see Ruleset.js): a puzzle's own, or
+        // the defaults. The canvas is the size of their board.
+        this.ruleset = activeRuleset();
+
         // Zoom/pan state for setup phase
         this.zoom = 1;
         this.zoomMin = 1;
@@ -87,6 +109,47 @@ export class Game {
         // Placement feedback (subtle toast when mirror reverts)
         this.placementFeedback = []; // Array of { x, y, message, startTime, duration }
 
+        // Editor mode: building a board by hand (see EditorController.js)
+        this.editorController = new EditorController(this);
+
+        // Endless mode's toggle and joining spawners (see EndlessController.js)
+        this.endlessController = new EndlessController(this);
+
+        // The cores this board defends (null = the single center core; see Cores.js)
+        this.cores = null;
+        this.scoring = null; // How they're scored (see Cores.js), when the puzzle says
+
+        // The board's fixed walls and no-build cells (null = none; see Terrain.js)
+        this.walls = null;
+        this.blockedCells = null;
+
+        // The board's outline (null = the whole canvas; see Board.js)
+        this.board = null;
+
+        // How lasers treat each other ('none' or 'annihilate'; see Simulation.js)
+        // and the sparks where crossing beams cancel out
+        this.laserInteraction = 'none';
+        this.bursts = new BurstEffects();
+
+        // Physics backend the board is played and scored with (see PhysicsBackends.js)
+        this.physicsVersion = CONFIG.PHYSICS_VERSION;
+
+        // Spawner wave schedule for the current run (built at launch), and the
+        // watch for the run becoming unlosable (see Stability.js)
+        this.waves = null;
+        this.stability = null;
+
+        // The rewind scrubber and the run it saves (see RewindController.js)
+        this.rewindController = new RewindController(this);
+
+        // Board codes and puzzle files (see BoardSharing.js)
+        this.boardSharing = new BoardSharing(this);
+
+        // Digest of every physics step of the current run: its run digest goes with
+        // the score, and the full trace only if the server's re-simulation parted
+        // ways with it, so the server can find where (see Determinism.js)
+        this.stepTrace = new StepTrace();
+
         // Initialize collision systems
         this.collisionSystem = new CollisionSystem();
         this.laserCollisionHandler = new LaserCollisionHandler(this.collisionSystem);
@@ -94,17 +157,15 @@ export class Game {
         // Initialize renderer
         this.renderer = new GameRenderer(this.ctx, this);
 
-        // Initialize mirror generator
-        this.mirrorGenerator = new MirrorGenerator(this);
-
-        // Initialize spawner generator
-        this.spawnerGenerator = new SpawnerGenerator(this);
+        // Puts each board on the field, and its mirror and spawner generators
+        this.boardLoader = new BoardLoader(this);
 
         // Initialize drag and snap handler
         this.dragAndSnapHandler = new MirrorDragAndSnapHandler(this);
 
-        // Initialize replay recorder
+        // Initialize replay recorder, and the player that re-simulates its saved run
         this.replayRecorder = new ReplayRecorder(this.canvas);
+        this.replayPlayer = new ReplayPlayer(this);
 
         // Initialize rotation control
         const rotCanvas = document.getElementById('rotationCanvas');
@@ -127,7 +188,7 @@ export class Game {
         this.setupEventListeners();
         this.gameLoop();
         // Fetch the first board (server for ranked, local fallback otherwise).
-        this.setupBoard();
+        this.boardLoader.setup();
     }
 
     /**
@@ -192,6 +253,9 @@ export class Game {
         document.getElementById('launchBtn').addEventListener('click', () => this.launchLasers());
         document.getElementById('resetBtn').addEventListener('click', () => this.resetGame());
 
+        // Rewind scrubber: drag back through the run, LIVE (or the far end) resumes it
+        this.rewindController.setupControls();
+
         // Daily challenge toggle
         const dailyToggle = document.getElementById('dailyChallengeToggle');
         if (dailyToggle) dailyToggle.addEventListener('click', () => this.toggleDailyChallenge());
@@ -205,6 +269,33 @@ export class Game {
             if (overlay) overlay.classList.add('hidden');
             document.body.classList.remove('menu-open');
         });
+
+        // Endless mode toggle
+        this.endlessController.setupControls();
+
+        // Board codes and puzzle files: copy or paste a board, export it, drop a file on the board
+        this.boardSharing.setupControls();
+
+        // Editor mode: build a board by hand, from the one on the field
+        this.editorController.setupControls();
+    }
+
+    /**
+     * Run `action` from a header button and its mobile menu twin; the mobile
+     * one closes the menu first
+     */
+    bindMenuButton(id, mobileId, action) {
+        const button = document.getElementById(id);
+        if (button) button.addEventListener('click', action);
+        const mobileButton = document.getElementById(mobileId);
+        if (mobileButton) mobileButton.addEventListener('click', () => {
+            const menu = document.getElementById('mobileMenu');
+            const overlay = document.getElementById('mobileMenuOverlay');
+            if (menu) menu.classList.remove('open');
+            if (overlay) overlay.classList.add('hidden');
+            document.body.classList.remove('menu-open');
+            action();
+        });
     }
 
     // Helper to get canvas coordinates from mouse or touch event
@@ -260,6 +351,12 @@ export class Game {
 
         const coords = this.getCanvasCoordinates(e);
 
+        // In the editor, a spawner's body or aim handle drags it
+        if (this.editorController.isEditing && this.editorController.startSpawnerDrag(coords.x, coords.y)) {
+            e.preventDefault();
+            return;
+        }
+
         // Check if touching a mirror
         for (let mirror of this.mirrors) {
             if (mirror.containsPoint(coords.x, coords.y)) {
@@ -601,13 +698,14 @@ export class Game {
     }
 
     clampPan() {
-        // Prevent panning so far that the game board goes off-screen
-        const W = CONFIG.CANVAS_WIDTH;
-        const H = CONFIG.CANVAS_HEIGHT;
-        const maxPanX = (this.zoom - 1) * W;
-        const maxPanY = (this.zoom - 1) * H;
-        this.panX = Math.min(0, Math.max(-maxPanX, this.panX));
-        this.panY = Math.min(0, Math.max(-maxPanY, this.panY));
+        // Prevent panning so far that the game board goes off-screen: the view
+        // stays on the board (the box around its outline, if it has one), or,
+        // where the board is smaller than the view, keeps all of it in sight
+        const { CANVAS_WIDTH: W, CANVAS_HEIGHT: H } = this.ruleset;
+        const { minX, minY, maxX, maxY } = boardBounds(this.board);
+        const clamp = (pan, a, b) => Math.min(Math.max(a, b), Math.max(Math.min(a, b), pan));
+        this.panX = clamp(this.panX, W - this.zoom * maxX, -this.zoom * minX);
+        this.panY = clamp(this.panY, H - this.zoom * maxY, -this.zoom * minY);
     }
 
     resetZoom() {
@@ -694,32 +792,6 @@ export class Game {
         }
     }
 
-    generateMirrors() {
-        if (this.isDailyChallenge) {
-            // Daily challenge generates mirrors and spawners together from seed
-            this.generateDailyChallengeConfig();
-        } else {
-            // Delegate mirror generation to the MirrorGenerator
-            this.mirrors = this.mirrorGenerator.generateMirrors();
-        }
-    }
-
-    /**
-     * Generate both mirrors and spawners from the daily seed in one pass
-     */
-    generateDailyChallengeConfig() {
-        const config = DailyChallenge.generateDailyConfig();
-        this.dailyTheme = config.theme;
-        this.dailyDifficulty = config.difficulty;
-        this.mirrors = DailyChallenge.placeMirrors(config.mirrors, this);
-        this.mirrors.forEach(m => { m.isDailyChallenge = true; });
-        this.spawners = config.spawners.map(s => {
-            const spawner = new Spawner(s.x, s.y, s.angle);
-            spawner.isDailyChallenge = true;
-            return spawner;
-        });
-    }
-
     // Helper method to safely update mirror vertices
     safeUpdateVertices(mirror) {
         if (typeof mirror.updateVertices === 'function') {
@@ -733,119 +805,22 @@ export class Game {
         }
     }
 
-    
-    generateSpawners() {
-        if (this.isDailyChallenge) {
-            // Already generated in generateDailyChallengeConfig()
-            return;
-        }
-        // Delegate spawner generation to the SpawnerGenerator
-        this.spawners = this.spawnerGenerator.generateSpawners();
-    }
-
     /**
-     * Set up a new board. Main-game boards come from the server (ranked); if the
-     * server is unreachable, or for daily, we generate locally and play unranked.
-     * Async because the server round-trip is; the launch button stays disabled
-     * until the board is ready so a game can't start on an empty field.
+     * The kind of board being played: 'daily', 'endless' or 'main' (the
+     * startGame mode and the leaderboard it ranks on).
      */
-    async setupBoard() {
-        // Each call gets a generation id. Rapid shuffling fires overlapping
-        // setupBoard() calls whose startGame() promises resolve out of order; a
-        // straggler must NOT swap the board (and its sessionId) out from under a
-        // newer setup or an in-progress/just-finished game, or the score ends up
-        // verified against a board that was never played.
-        const gen = (this._setupGen = (this._setupGen | 0) + 1);
-        const isCurrent = () => gen === this._setupGen && !this.isPlaying;
-
-        this.boardReady = false;
-        this.sessionId = null;
-        this.isRanked = false;
-        const launchBtn = document.getElementById('launchBtn');
-        if (launchBtn) launchBtn.disabled = true;
-
-        const mode = this.isDailyChallenge ? 'daily' : 'main';
-        // Pin the daily date for THIS session so completion records under the date
-        // actually played, even if the game finishes just after local midnight.
-        if (mode === 'daily') this.dailyDate = DailyChallenge.getTodayString();
-        try {
-            // Prefer a server-issued board so the puzzle can't be rigged. gameService
-            // may not exist yet on first load (Firebase inits after the Game object),
-            // so wait briefly for it before deciding.
-            const service = await this._waitForGameService(3000);
-            if (service) {
-                // A transient blip (App Check token, cold start, network) shouldn't
-                // strand the player on an unrankable local board — retry a couple
-                // times with a short backoff before giving up on a ranked board.
-                for (let attempt = 0; attempt < 3; attempt++) {
-                    try {
-                        const { sessionId, puzzle } = await service.startGame(mode);
-                        if (!isCurrent()) return; // superseded or already playing — discard
-                        this.applyServerPuzzle(puzzle);
-                        this.sessionId = sessionId;
-                        this.isRanked = true;
-                        return;
-                    } catch (e) {
-                        if (!isCurrent()) return;
-                        console.warn(`[Ranked] startGame(${mode}) attempt ${attempt + 1}/3 failed:`, e.message);
-                        if (attempt < 2) {
-                            await new Promise(resolve => setTimeout(resolve, 400 * (attempt + 1)));
-                            if (!isCurrent()) return;
-                        }
-                    }
-                }
-                console.warn(`[Ranked] startGame(${mode}) failed after retries; using local unranked board.`);
-            }
-
-            // Fallback: local generation, unranked.
-            if (!isCurrent()) return;
-            this.generateMirrors();
-            this.generateSpawners();
-        } finally {
-            // Only the latest, not-yet-launched setup owns the board-ready UI.
-            if (isCurrent()) {
-                this.boardReady = true;
-                if (launchBtn) launchBtn.disabled = false;
-                const loader = document.getElementById('canvasLoader');
-                if (loader) { loader.classList.add('hidden'); loader.remove(); }
-            }
-        }
+    getMode() {
+        if (this.isDailyChallenge) return 'daily';
+        return this.isEndless ? 'endless' : 'main';
     }
 
     /**
-     * Resolve window.gameService once it exists, or null after timeoutMs.
+     * Hear the simulation's events (see SimulationEvents.js) for every run this
+     * game plays from now on, replays included; null to stop. Nothing is
+     * reported, or built, while no one is listening.
      */
-    _waitForGameService(timeoutMs) {
-        return new Promise(resolve => {
-            if (window.gameService) return resolve(window.gameService);
-            const start = Date.now();
-            const check = () => {
-                if (window.gameService) return resolve(window.gameService);
-                if (Date.now() - start >= timeoutMs) return resolve(null);
-                setTimeout(check, 100);
-            };
-            check();
-        });
-    }
-
-    /**
-     * Build the live board (mirrors + spawners) from a server-issued puzzle.
-     * Mirrors are kept in the issued order so submitted placements line up with
-     * the server's fixed inventory index-for-index.
-     */
-    applyServerPuzzle(puzzle) {
-        const isDaily = puzzle.mode === 'daily';
-        this.mirrors = puzzle.mirrors.map(cfg => {
-            const mirror = createMirrorFromConfig(cfg);
-            mirror.isDailyChallenge = isDaily;
-            return mirror;
-        });
-        this.spawners = puzzle.spawners.map(s => {
-            const spawner = new Spawner(s.x, s.y, s.angle);
-            spawner.isDailyChallenge = isDaily;
-            return spawner;
-        });
-        if (isDaily) this.dailyTheme = puzzle.theme;
+    setSimulationObserver(observer) {
+        this.laserCollisionHandler.setObserver(observer);
     }
 
     /**
@@ -854,7 +829,7 @@ export class Game {
     getPlacements() {
         return this.mirrors.map(m => ({ x: m.x, y: m.y, rotation: m.rotation || 0 }));
     }
-    
+
     snapToGrid(value) {
         return GridAlignmentSystem.snapToGrid(value);
     }
@@ -885,7 +860,8 @@ export class Game {
     launchLasers() {
         // Guard against re-entry BEFORE the async body sets isPlaying (50ms later),
         // so a double click (or any duplicate handler) can't launch twice.
-        if (this.isPlaying || this._launching) return;
+        // A board being edited is played once the editor is closed.
+        if (this.isPlaying || this._launching || this.editorController.isEditing) return;
 
         // Daily challenge: one attempt only
         if (this.isDailyChallenge && DailyChallenge.hasAttemptedToday()) {
@@ -909,8 +885,8 @@ export class Game {
         // Allow UI to update before heavy computation
         setTimeout(async () => {
             // Initialize collision boundaries for all mirrors (iron-clad system)
-            this.collisionSystem.initializeCollisionBoundaries(this.mirrors);
-            this.laserCollisionHandler.initialize(this.mirrors);
+            this.collisionSystem.initializeCollisionBoundaries(this.mirrors, this.ruleset);
+            this.laserCollisionHandler.initialize(this.mirrors, this.cores, this.walls, this.laserInteraction, this.physicsVersion, this.board, this.ruleset);
 
             this.isPlaying = true;
             this._launching = false;
@@ -918,36 +894,46 @@ export class Game {
             this.startTime = Date.now();
             this.gameTime = 0;
             this.lasers = [];
+            this.bursts.clear();
+            this.stepTrace = new StepTrace();
             this.lastTimestamp = null;
             this.physicsAccumulator = 0;
 
             // Snapshot exactly the board being played (session + placements) so the
             // score is always submitted against THIS board, immune to any later
-            // setupBoard() that might swap game.sessionId / game.mirrors.
+            // boardLoader.setup() that might swap game.sessionId / game.mirrors.
             this.rankedSessionId = this.sessionId;
             this.rankedPlacements = this.getPlacements();
 
             // Save game state for canvas replay fallback, then start recording
-            this.replayRecorder.saveGameState(this.mirrors, this.spawners);
+            this.replayRecorder.saveGameState(this.mirrors, this.spawners, {
+                cores: this.cores, walls: this.walls, board: this.board,
+                laserInteraction: this.laserInteraction, physicsVersion: this.physicsVersion, ruleset: this.ruleset
+            });
             await this.replayRecorder.startRecording();
 
             // Create lasers from spawners
             this.createLasersFromSpawners();
+            this.rewindController.start();
         }, 50); // 50ms delay to let the UI paint before heavy computation
     }
 
     createLasersFromSpawners() {
-        // Create lasers from spawners
-        this.spawners.forEach(spawner => {
-            const laser = new Laser(spawner.x, spawner.y, spawner.angle);
-            laser.isDailyChallenge = this.isDailyChallenge;
-            this.lasers.push(laser);
-        });
+        // Fire the launch shots; the waves fire the rest as the run goes on
+        this.spawners.forEach(spawner => { spawner.isDailyChallenge = this.isDailyChallenge; });
+        this.waves = new SpawnerWaves(this.spawners, this.PHYSICS_DT, physicsBackend(this.physicsVersion), this.ruleset);
+        this.waves.fire(this.lasers);
+        this.laserCollisionHandler.reportSpawns(this.lasers, 0, 'wave');
+        this.stability = new StabilityCheck(this.getSimulationState());
 
         document.getElementById('launchBtn').disabled = true;
     }
     
-    resetGame() {
+    resetGame(seed = null, puzzle = null) {
+        this.rewindController.stop();
+        this.laserCollisionHandler.restoreMirrors();
+        if (this.editorController.isEditing) this.editorController.toggle();
+
         // If daily challenge already completed, show frozen state instead
         if (this.isDailyChallenge && DailyChallenge.hasAttemptedToday()) {
             this.showCompletedDailyChallenge();
@@ -971,12 +957,14 @@ export class Game {
         this.startTime = 0;
         this.gameTime = 0;
         this.lasers = [];
+        this.bursts.clear();
         this.dailyCompleted = false;
         this.placementFeedback = [];
         this.resetZoom();
 
-        // Fetch a fresh board (server for ranked main games, local fallback / daily).
-        this.setupBoard();
+        // Fetch a fresh board (server for ranked main games, local fallback / daily),
+        // or build the one a board code names, or play an imported puzzle.
+        this.boardLoader.setup(seed, puzzle);
 
         this.updateModeUI();
     }
@@ -988,6 +976,7 @@ export class Game {
         if (this.isPlaying) return; // Can't toggle during gameplay
 
         this.isDailyChallenge = !this.isDailyChallenge;
+        if (this.isDailyChallenge) this.isEndless = false;
 
         if (this.isDailyChallenge && DailyChallenge.hasAttemptedToday()) {
             // Already completed — show frozen final state
@@ -1016,6 +1005,9 @@ export class Game {
                 mirror.rotation = saved.rotation;
                 if (saved.topWidth) mirror.topWidth = saved.topWidth;
                 if (saved.skew) mirror.skew = saved.skew;
+                if (saved.material) mirror.material = saved.material;
+                if (saved.refractiveIndex) mirror.refractiveIndex = saved.refractiveIndex;
+                if (saved.portalPair !== undefined) mirror.portalPair = saved.portalPair;
                 mirror.isDailyChallenge = true;
                 this.safeUpdateVertices(mirror);
                 return mirror;
@@ -1025,7 +1017,7 @@ export class Game {
         // Restore lasers from saved state (frozen positions with trails)
         if (savedLasers) {
             this.lasers = savedLasers.map(saved => {
-                const laser = new Laser(saved.x, saved.y, 0);
+                const laser = new Laser(saved.x, saved.y, 0, saved.profile, this.ruleset);
                 laser.vx = saved.vx;
                 laser.vy = saved.vy;
                 laser.trail = saved.trail || [];
@@ -1039,8 +1031,9 @@ export class Game {
         // Restore spawners and difficulty from daily config
         const config = DailyChallenge.generateDailyConfig();
         this.dailyDifficulty = config.difficulty;
+        this.dailyCertificate = config.certificate || null;
         this.spawners = config.spawners.map(s => {
-            const spawner = new Spawner(s.x, s.y, s.angle);
+            const spawner = new Spawner(s.x, s.y, s.angle, s);
             spawner.isDailyChallenge = true;
             return spawner;
         });
@@ -1087,6 +1080,8 @@ export class Game {
             if (label) label.textContent = isDaily ? 'Switch to Main Game' : 'Daily Challenge';
         }
 
+        this.endlessController.updateUI();
+
         // Toggle body class for global CSS theming
         document.body.classList.toggle('daily-challenge-mode', isDaily);
     }
@@ -1129,9 +1124,10 @@ export class Game {
         this.hoveredMirror = foundMirror;
         this.hoveredSpawner = foundSpawner;
 
-        // Change cursor based on hover
+        // Change cursor based on hover (in the editor, spawners drag by body and aim handle)
         const defaultCursor = this.zoom > 1.01 ? 'grab' : 'crosshair';
-        this.canvas.style.cursor = foundMirror ? 'grab' : (foundSpawner ? 'pointer' : defaultCursor);
+        const onHandle = this.editorController.isEditing && !foundMirror && this.editorController.editor.handleAt(mouseX, mouseY);
+        this.canvas.style.cursor = foundMirror ? 'grab' : onHandle ? 'move' : (foundSpawner ? 'pointer' : defaultCursor);
     }
 
     isMouseOverMirror(mouseX, mouseY, mirror) {
@@ -1147,6 +1143,9 @@ export class Game {
         const mouseX = coords.x;
         const mouseY = coords.y;
 
+        // In the editor, a spawner's body or aim handle drags it
+        if (this.editorController.isEditing && this.editorController.startSpawnerDrag(mouseX, mouseY)) return;
+
         // Check if clicking on a mirror
         for (let mirror of this.mirrors) {
             if (mirror.containsPoint(mouseX, mouseY)) {
@@ -1539,6 +1538,9 @@ export class Game {
     
     update() {
         if (!this.isPlaying || this.gameOver || this.isGeneratingMP4) return;
+        if (this.rewindController.isScrubbing) return; // paused on an earlier moment of the run
+
+        this.bursts.update(this.deltaTime);
 
         // Handle breach animation phase
         if (this.isBreach) {
@@ -1572,25 +1574,69 @@ export class Game {
         this.gameTime += this.deltaTime;
 
         // Check for victory BEFORE collision checks (prevents losing at exactly 5:00.00)
-        if (this.gameTime >= CONFIG.MAX_GAME_TIME) {
-            this.gameTime = CONFIG.MAX_GAME_TIME;
-            this.updateTimerDisplay();
-            this.gameOver = true; // Set immediately to prevent re-entry
-            this.showVictoryModal().catch(err => {
-                console.error('Victory modal failed:', err);
-                document.getElementById('victoryModal').classList.remove('hidden');
-            });
+        if (this.gameTime >= timeCap(this.getMode())) {
+            this.winAtCap();
             return;
         }
 
+        // Endless boards play on past the cap, with new spawners joining
+        if (this.isEndless && !this.isReplayMode) this.endlessController.announcePastCap();
+
         this.updateTimerDisplay();
 
         // Advance all lasers one physics step via the shared simulation core -- the
         // exact same code path used for headless/server score verification.
-        if (stepLasers(this.lasers, this.mirrors, this.laserCollisionHandler, this.deltaTime)) {
+        const allCoresDown = stepLasers(this.lasers, this.mirrors, this.laserCollisionHandler, this.deltaTime, this.waves);
+        stampFallenCores(this.laserCollisionHandler.cores, this.gameTime);
+        if (!this.isReplayMode) this.stepTrace.record(this.lasers, this.laserCollisionHandler);
+        this.addAnnihilationBursts();
+        if (allCoresDown) {
             this.startBreach();
             return;
         }
+
+        // Nothing can reach the core any more: the defense holds to the cap, so
+        // skip ahead to it, exactly as server verification does
+        if (this.stability.check()) {
+            if (!this.isReplayMode) window.showToast?.('Stable defense achieved! No laser can reach the core now.', 4000);
+            this.winAtCap();
+            return;
+        }
+
+        this.rewindController.afterStep(this.laserCollisionHandler.step);
+    }
+
+    /**
+     * End the run as survived to the time cap (an endless board's ceiling): the
+     * clock shows the cap and the victory modal opens.
+     */
+    winAtCap() {
+        this.gameTime = timeCap(this.getMode());
+        this.updateTimerDisplay();
+        this.gameOver = true; // Set immediately to prevent re-entry
+        this.rewindController.stop();
+        this.showVictoryModal().catch(err => {
+            console.error('Victory modal failed:', err);
+            document.getElementById('victoryModal').classList.remove('hidden');
+        });
+    }
+
+    /**
+     * The live run in the shape buildSimulation returns, for SimulationSnapshot.
+     */
+    getSimulationState() {
+        return { mirrors: this.mirrors, lasers: this.lasers, handler: this.laserCollisionHandler, waves: this.waves, stability: this.stability };
+    }
+
+    /**
+     * Spark a burst wherever two beams cancelled out this step, half in each
+     * beam's colour.
+     */
+    addAnnihilationBursts() {
+        for (const { a, b, x, y } of this.laserCollisionHandler.takeAnnihilations()) {
+            this.bursts.add(x, y, Laser.beamColor(a.profile, a.isDailyChallenge));
+            this.bursts.add(x, y, Laser.beamColor(b.profile, b.isDailyChallenge));
+        }
     }
 
     /**
@@ -1598,6 +1644,7 @@ export class Game {
      * Freezes the timer but continues rendering for ~1.5s before showing game over
      */
     startBreach() {
+        this.rewindController.stop();
         this.isBreach = true;
         this.breachStartTime = Date.now();
         this.breachProgress = 0;
@@ -1869,6 +1916,9 @@ export class Game {
         const centiseconds = Math.floor((finalGameTime % 1) * 100);
         const finalTimeString = `${minutes}:${seconds.toString().padStart(2, '0')}.${centiseconds.toString().padStart(2, '0')}`;
 
+        // Moving mirrors go back where the player placed them
+        this.laserCollisionHandler.restoreMirrors();
+
         // Save daily challenge result if applicable
         if (this.isDailyChallenge && !this.isReplayMode) {
             DailyChallenge.markCompleted(finalGameTime, finalTimeString, this.mirrors, this.lasers, this.dailyDate);
@@ -1926,12 +1976,15 @@ export class Game {
             snapshotImg.src = this.canvas.toDataURL('image/png');
         }
 
-        // Format final time (should be exactly 5:00.00)
+        // Format final time (exactly the cap: 5:00.00, or an endless board's ceiling)
         const minutes = Math.floor(finalGameTime / 60);
         const seconds = Math.floor(finalGameTime % 60);
         const centiseconds = Math.floor((finalGameTime % 1) * 100);
         const finalTimeString = `${minutes}:${seconds.toString().padStart(2, '0')}.${centiseconds.toString().padStart(2, '0')}`;
 
+        // Moving mirrors go back where the player placed them
+        this.laserCollisionHandler.restoreMirrors();
+
         // Save daily challenge result if applicable
         if (this.isDailyChallenge && !this.isReplayMode) {
             DailyChallenge.markCompleted(finalGameTime, finalTimeString, this.mirrors, this.lasers, this.dailyDate);
@@ -1961,241 +2014,6 @@ export class Game {
         this.resetGame();
     }
 
-    /**
-     * Start a canvas-based replay by restoring saved game state and re-simulating
-     * Used on mobile when video recording is unavailable
-     */
-    startCanvasReplay() {
-        const state = this.replayRecorder.savedGameState;
-        if (!state) return false;
-
-        this.isReplayMode = true;
-
-        // Recreate mirrors from saved state
-        this.mirrors = state.mirrors.map(saved => {
-            const mirror = MirrorFactory.createMirror(saved.x, saved.y, saved.shape);
-            mirror.size = saved.size;
-            mirror.width = saved.width;
-            mirror.height = saved.height;
-            mirror.rotation = saved.rotation;
-            if (saved.topWidth !== undefined) mirror.topWidth = saved.topWidth;
-            if (saved.skew !== undefined) mirror.skew = saved.skew;
-            mirror.isDailyChallenge = saved.isDailyChallenge;
-            mirror.updateVertices();
-            return mirror;
-        });
-
-        // Recreate spawners from saved state
-        this.spawners = state.spawners.map(saved => new Spawner(saved.x, saved.y, saved.angle));
-
-        // Re-initialize collision system and launch
-        this.collisionSystem.initializeCollisionBoundaries(this.mirrors);
-        this.laserCollisionHandler.initialize(this.mirrors);
-
-        this.isPlaying = true;
-        this.gameOver = false;
-        this.isBreach = false;
-        this.breachProgress = 0;
-        this.startTime = Date.now();
-        this.gameTime = 0;
-        this.lasers = [];
-        this.lastTimestamp = null;
-        this.physicsAccumulator = 0;
-
-        // Create lasers from spawners
-        this.spawners.forEach(spawner => {
-            const laser = new Laser(spawner.x, spawner.y, spawner.angle);
-            laser.isDailyChallenge = this.isDailyChallenge;
-            this.lasers.push(laser);
-        });
-
-        return true;
-    }
-
-    /**
-     * Generate MP4 by re-simulating the game and encoding frames with h264-mp4-encoder
-     * Used on mobile when real-time video recording wasn't available
-     * @param {function} onProgress - callback(percent) for progress updates
-     * @returns {Promise<Blob>} MP4 video blob
-     */
-    async generateReplayMP4(onProgress) {
-        const state = this.replayRecorder.savedGameState;
-        if (!state || !state.duration || typeof HME === 'undefined') return null;
-
-        const fps = 30;
-        const renderDt = 1 / fps; // Time between rendered frames
-        const physicsDt = this.PHYSICS_DT; // Must match live game physics step
-        const physicsStepsPerFrame = Math.round(renderDt / physicsDt); // 2 steps per frame at 30fps/60hz
-        const totalFrames = Math.ceil(state.duration * fps);
-        const width = this.canvas.width;
-        const height = this.canvas.height;
-
-        // Save current game state
-        const savedMirrors = this.mirrors;
-        const savedSpawners = this.spawners;
-        const savedLasers = this.lasers;
-        const savedIsPlaying = this.isPlaying;
-        const savedGameOver = this.gameOver;
-        const savedGameTime = this.gameTime;
-        const savedDeltaTime = this.deltaTime;
-        const savedStartTime = this.startTime;
-
-        this.isGeneratingMP4 = true;
-
-        try {
-            // Initialize h264-mp4-encoder
-            const encoder = await HME.createH264MP4Encoder();
-            encoder.width = width;
-            encoder.height = height;
-            encoder.frameRate = fps;
-            encoder.quantizationParameter = 28;
-            encoder.initialize();
-
-            // Set up simulation state from saved game
-            this.mirrors = state.mirrors.map(saved => {
-                const mirror = MirrorFactory.createMirror(saved.x, saved.y, saved.shape);
-                mirror.size = saved.size;
-                mirror.width = saved.width;
-                mirror.height = saved.height;
-                mirror.rotation = saved.rotation;
-                // Restore shape-specific dims so the replay geometry matches the real
-                // game exactly (else trapezoid/parallelogram reflections diverge).
-                if (saved.topWidth !== undefined) mirror.topWidth = saved.topWidth;
-                if (saved.skew !== undefined) mirror.skew = saved.skew;
-                mirror.isDailyChallenge = saved.isDailyChallenge;
-                mirror.updateVertices();
-                return mirror;
-            });
-
-            this.spawners = state.spawners.map(s => new Spawner(s.x, s.y, s.angle));
-            this.lasers = [];
-            this.spawners.forEach(s => {
-                const laser = new Laser(s.x, s.y, s.angle);
-                laser.isDailyChallenge = this.isDailyChallenge;
-                this.lasers.push(laser);
-            });
-
-            this.collisionSystem.initializeCollisionBoundaries(this.mirrors);
-            this.laserCollisionHandler.initialize(this.mirrors);
-
-            this.isPlaying = true;
-            this.gameOver = false;
-            this.isBreach = false;
-            this.breachProgress = 0;
-            this.deltaTime = physicsDt;
-            this.startTime = Date.now();
-
-            // Process frames in batches to avoid blocking the UI
-            const BATCH_SIZE = 5;
-            let frameIndex = 0;
-            let breachFrame = -1;
-            // Only render 70% of breach animation - end at same frame as screenshot
-            const breachFrameCount = Math.ceil(this.breachDuration * fps * 0.7);
-
-            const processBatch = () => {
-                return new Promise((resolve) => {
-                    const endFrame = Math.min(frameIndex + BATCH_SIZE, totalFrames + breachFrameCount);
-
-                    for (; frameIndex < endFrame; frameIndex++) {
-                        if (breachFrame >= 0) {
-                            // Playing breach animation
-                            this.breachProgress = breachFrame / breachFrameCount;
-                            breachFrame++;
-                            if (breachFrame >= breachFrameCount) {
-                                // Render final frame and stop
-                                this.breachProgress = 1;
-                                this.renderer.render();
-                                const imageData = this.ctx.getImageData(0, 0, width, height);
-                                encoder.addFrameRgba(imageData.data);
-                                frameIndex = totalFrames + breachFrameCount; // exit
-                                break;
-                            }
-                        } else {
-                            // Normal simulation - sub-step physics to match live game
-                            this.gameTime = frameIndex * renderDt;
-
-                            for (let step = 0; step < physicsStepsPerFrame; step++) {
-                                for (let i = this.lasers.length - 1; i >= 0; i--) {
-                                    const laser = this.lasers[i];
-                                    laser.update(physicsDt);
-                                    this.laserCollisionHandler.checkAndHandleCollisions(laser, this.mirrors);
-
-                                    if (this.laserCollisionHandler.checkTargetCollision(laser)) {
-                                        this.gameOver = true;
-                                        breachFrame = 0;
-                                        this.breachProgress = 0;
-                                        // Snap the frozen timer to the true survival time. The
-                                        // running timer is quantized to the 30fps frame start, but
-                                        // breach lands mid-frame — pin the final value to the exact
-                                        // score so the video reads identically to the leaderboard.
-                                        this.gameTime = state.duration;
-                                    }
-
-                                    if (this.laserCollisionHandler.isOutOfBounds(laser)) {
-                                        this.lasers.splice(i, 1);
-                                    }
-                                }
-                                if (breachFrame >= 0) break; // Stop sub-stepping once breach starts
-                            }
-                        }
-
-                        // Render frame
-                        this.renderer.render();
-
-                        // Capture pixels and encode
-                        const imageData = this.ctx.getImageData(0, 0, width, height);
-                        encoder.addFrameRgba(imageData.data);
-
-                        if (breachFrame >= breachFrameCount) {
-                            frameIndex = totalFrames + breachFrameCount; // exit
-                            break;
-                        }
-                    }
-
-                    if (onProgress) {
-                        const maxFrames = totalFrames + breachFrameCount;
-                        onProgress(Math.min(100, Math.round((frameIndex / maxFrames) * 100)));
-                    }
-
-                    // Yield to UI thread
-                    requestAnimationFrame(resolve);
-                });
-            };
-
-            const maxFrames = totalFrames + breachFrameCount;
-            while (frameIndex < maxFrames) {
-                await processBatch();
-            }
-
-            // Finalize encoding
-            encoder.finalize();
-            const mp4Data = encoder.FS.readFile(encoder.outputFilename);
-            const mp4Blob = new Blob([mp4Data], { type: 'video/mp4' });
-            encoder.delete();
-
-            // Store the generated MP4
-            this.replayRecorder.videoBlob = mp4Blob;
-            this.replayRecorder.videoURL = URL.createObjectURL(mp4Blob);
-
-            return mp4Blob;
-        } finally {
-            this.isGeneratingMP4 = false;
-
-            // Restore original game state
-            this.mirrors = savedMirrors;
-            this.spawners = savedSpawners;
-            this.lasers = savedLasers;
-            this.isPlaying = savedIsPlaying;
-            this.gameOver = savedGameOver;
-            this.gameTime = savedGameTime;
-            this.deltaTime = savedDeltaTime;
-            this.startTime = savedStartTime;
-
-            // Re-render original state
-            this.renderer.render();
-        }
-    }
-
     gameLoop(timestamp) {
         // Skip physics and rendering while tab is hidden
         if (this._paused) {
@@ -2225,7 +2043,7 @@ export class Game {
         this.render();
 
         // Capture frame for MP4 replay (throttled to 30fps internally, skip during replay)
-        if (this.isPlaying && !this.gameOver && !this.isReplayMode) {
+        if (this.isPlaying && !this.gameOver && !this.isReplayMode && !this.rewindController.isScrubbing) {
             this.replayRecorder.captureFrame(timestamp);
         }
 
@@ -1,20 +1,58 @@
 import { CONFIG } from '../config.js';
 import { PALETTE, hex } from '../theme/palette.js';
+import { activeRuleset } from '../core/Ruleset.js';
+
+// Trail colour per laser type (main game; the Daily Challenge keeps mint for normal lasers)
+const PROFILE_BEAMS = {
+    normal: PALETTE.secondary,
+    slow: PALETTE.slowBeam,
+    fast: PALETTE.fastBeam,
+    accelerating: PALETTE.accelBeam
+};
 
 export class Laser {
-    constructor(x, y, angle) {
+    /**
+     * @param {string} profile - laser type, a key of CONFIG.LASER_PROFILES
+     * @param {object} ruleset - the rules it moves by (see Ruleset.js): its
+     *   speed, and the board edges it bounces off. Default the current ones.
+     */
+    constructor(x, y, angle, profile = 'normal', ruleset = activeRuleset()) {
+        // Shot number in firing order, set by SpawnerWaves; split beams get their
+        // parent's id plus `.n` (see SimulationEvents.js)
+        this.id = null;
+        this.splitCount = 0;
         this.x = x;
         this.y = y;
-        this.vx = Math.cos(angle) * CONFIG.LASER_SPEED;
-        this.vy = Math.sin(angle) * CONFIG.LASER_SPEED;
+        this.profile = profile;
+        this.ruleset = ruleset;
+        this.speed = ruleset.LASER_SPEED * (CONFIG.LASER_PROFILES[profile] || CONFIG.LASER_PROFILES.normal).speed;
+        this.vx = Math.cos(angle) * this.speed;
+        this.vy = Math.sin(angle) * this.speed;
         this.trail = [];
         this.lastReflectedMirror = null;
         this.reflectionCooldown = 0;
         this.totalReflections = 0;
         this.maxReflections = 50; // Prevent infinite bouncing
+        // Pass-through (splitter, one-way, glass): the mirror this beam is currently
+        // travelling inside (ignored for collisions) and how far it still has to go
+        // to leave it. Inside glass, transitExit is the exit point + edge to refract at.
+        this.transitMirror = null;
+        this.transitMirrorId = null;
+        this.transitDistance = 0;
+        this.transitExit = null;
         this.isDailyChallenge = false;
     }
     
+    /**
+     * Beam colour ([r, g, b]) for a laser type; normal Daily Challenge lasers are mint.
+     */
+    static beamColor(profile, isDailyChallenge = false) {
+        if (isDailyChallenge && profile === 'normal') {
+            return PALETTE.daily;
+        }
+        return PROFILE_BEAMS[profile] || PALETTE.secondary;
+    }
+
     update(deltaTime) {
         // Store previous position for continuous collision detection
         this.prevX = this.x;
@@ -32,21 +70,48 @@ export class Laser {
         }
         
         // Move laser (frame-rate independent)
-        // Base multiplier 60 (for 60fps), then * 0.4 for 60% slower (40% of original speed)
-        this.x += this.vx * deltaTime * 35;
-        this.y += this.vy * deltaTime * 35;
+        const { LASER_TIME_SCALE, CANVAS_WIDTH, CANVAS_HEIGHT } = this.ruleset;
+        this.x += this.vx * deltaTime * LASER_TIME_SCALE;
+        this.y += this.vy * deltaTime * LASER_TIME_SCALE;
 
         // Bounce off walls (clamp slightly inward to prevent re-trigger next frame)
-        if (this.x <= 0 || this.x >= CONFIG.CANVAS_WIDTH) {
+        if (this.x <= 0 || this.x >= CANVAS_WIDTH) {
             this.vx = -this.vx;
-            this.x = Math.max(1, Math.min(CONFIG.CANVAS_WIDTH - 1, this.x));
+            this.x = Math.max(1, Math.min(CANVAS_WIDTH - 1, this.x));
         }
-        if (this.y <= 0 || this.y >= CONFIG.CANVAS_HEIGHT) {
+        if (this.y <= 0 || this.y >= CANVAS_HEIGHT) {
             this.vy = -this.vy;
-            this.y = Math.max(1, Math.min(CONFIG.CANVAS_HEIGHT - 1, this.y));
+            this.y = Math.max(1, Math.min(CANVAS_HEIGHT - 1, this.y));
         }
     }
     
+    /**
+     * How many collision sub-steps a physics step of `deltaTime` needs so the
+     * laser never moves more than its MAX_LASER_STEP rule between checks (edge
+     * crossing tests assume short moves). Normal lasers need just one.
+     */
+    substepsFor(deltaTime) {
+        const distance = this.speed * deltaTime * this.ruleset.LASER_TIME_SCALE;
+        return Math.max(1, Math.ceil(distance / this.ruleset.MAX_LASER_STEP));
+    }
+
+    /**
+     * Accelerating lasers gain speed off every mirror they bounce from, up to
+     * their profile's cap. Other laser types keep a constant speed.
+     */
+    speedUp() {
+        const profile = CONFIG.LASER_PROFILES[this.profile];
+        if (!profile || !profile.boostPerReflection) {
+            return;
+        }
+        const maxSpeed = this.ruleset.LASER_SPEED * profile.maxSpeed;
+        const speed = Math.min(this.speed * (1 + profile.boostPerReflection), maxSpeed);
+        const scale = speed / this.speed;
+        this.vx *= scale;
+        this.vy *= scale;
+        this.speed = speed;
+    }
+
     reflect(mirror) {
         // Check if laser has reflected too many times (infinite bouncing prevention)
         if (this.totalReflections >= this.maxReflections) {
@@ -66,14 +131,14 @@ export class Laser {
     }
     
     draw(ctx) {
-        // Color palette: pink for main game, mint green for daily challenge
-        const isDaily = this.isDailyChallenge;
         // Amber energy beam for the main game; mint for the Daily Challenge.
-        const beam = isDaily ? PALETTE.daily : PALETTE.secondary;
+        // Slow/fast/accelerating lasers get their own shade in both.
+        const isDaily = this.isDailyChallenge && this.profile === 'normal';
+        const beam = Laser.beamColor(this.profile, this.isDailyChallenge);
         const glowR = beam[0];
         const glowG = beam[1];
         const glowB = beam[2];
-        const glowHex = isDaily ? '#32FFB4' : hex(PALETTE.secondary);
+        const glowHex = isDaily ? '#32FFB4' : hex(beam);
 
         // Draw trail with dramatic fade
         if (this.trail.length > 1) {
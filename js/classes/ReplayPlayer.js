@@ -0,0 +1,246 @@
+import { Spawner } from './Spawner.js';
+import { stepLasers, createMirrorFromConfig } from '../core/Simulation.js';
+import { stampFallenCores } from '../core/Cores.js';
+import { SpawnerWaves } from '../core/SpawnerWaves.js';
+import { physicsBackend } from '../core/PhysicsBackends.js';
+import { StabilityCheck } from '../core/Stability.js';
+
+/**
+ * ReplayPlayer - Plays back the run ReplayRecorder saved, by re-simulating it
+ * from the saved board on the game canvas (strategy 3 there)
+ *
+ * play() re-runs it live on screen; generateMP4() re-runs it frame by frame
+ * into an MP4 and then puts the game back as it was.
+ */
+export class ReplayPlayer {
+    constructor(game) {
+        this.game = game;
+    }
+
+    /**
+     * Start a canvas-based replay by restoring saved game state and re-simulating
+     * Used on mobile when video recording is unavailable
+     */
+    play() {
+        const game = this.game;
+        const state = game.replayRecorder.savedGameState;
+        if (!state) return false;
+
+        game.isReplayMode = true;
+
+        // Recreate mirrors from saved state (same reconstruction as the simulation core)
+        game.mirrors = state.mirrors.map(config => createMirrorFromConfig(config));
+
+        // Recreate spawners from saved state
+        game.spawners = state.spawners.map(saved => new Spawner(saved.x, saved.y, saved.angle, saved));
+        this.loadBoard(state);
+
+        // Re-initialize collision system and launch
+        game.collisionSystem.initializeCollisionBoundaries(game.mirrors, state.ruleset);
+        game.laserCollisionHandler.initialize(game.mirrors, game.cores, game.walls, game.laserInteraction, game.physicsVersion, game.board, state.ruleset);
+
+        game.isPlaying = true;
+        game.gameOver = false;
+        game.isBreach = false;
+        game.breachProgress = 0;
+        game.startTime = Date.now();
+        game.gameTime = 0;
+        game.lasers = [];
+        game.bursts.clear();
+        game.lastTimestamp = null;
+        game.physicsAccumulator = 0;
+
+        // Create lasers from spawners (the waves fire the rest as the replay runs)
+        game.spawners.forEach(spawner => { spawner.isDailyChallenge = game.isDailyChallenge; });
+        game.waves = new SpawnerWaves(game.spawners, game.PHYSICS_DT, physicsBackend(game.physicsVersion), state.ruleset);
+        game.waves.fire(game.lasers);
+        game.laserCollisionHandler.reportSpawns(game.lasers, 0, 'wave');
+        game.stability = new StabilityCheck(game.getSimulationState());
+
+        return true;
+    }
+
+    /**
+     * Put the saved run's cores, terrain, outline, laser interaction and physics
+     * version on the game, so the replay plays and draws the board it was played
+     * on (its rules go to the simulation directly: state.ruleset)
+     */
+    loadBoard(state) {
+        const { cores, walls, board, laserInteraction, physicsVersion } = state;
+        Object.assign(this.game, { cores, walls, board, laserInteraction, physicsVersion });
+    }
+
+    /**
+     * Generate MP4 by re-simulating the game and encoding frames with h264-mp4-encoder
+     * Used on mobile when real-time video recording wasn't available
+     * @param {function} onProgress - callback(percent) for progress updates
+     * @returns {Promise<Blob>} MP4 video blob
+     */
+    async generateMP4(onProgress) {
+        const game = this.game;
+        const state = game.replayRecorder.savedGameState;
+        if (!state || !state.duration || typeof HME === 'undefined') return null;
+
+        const fps = 30;
+        const renderDt = 1 / fps; // Time between rendered frames
+        const physicsDt = game.PHYSICS_DT; // Must match live game physics step
+        const physicsStepsPerFrame = Math.round(renderDt / physicsDt); // 2 steps per frame at 30fps/60hz
+        const totalFrames = Math.ceil(state.duration * fps);
+        const width = game.canvas.width;
+        const height = game.canvas.height;
+
+        // Save current game state
+        const savedMirrors = game.mirrors;
+        const savedSpawners = game.spawners;
+        const savedLasers = game.lasers;
+        const savedIsPlaying = game.isPlaying;
+        const savedGameOver = game.gameOver;
+        const savedGameTime = game.gameTime;
+        const savedDeltaTime = game.deltaTime;
+        const savedStartTime = game.startTime;
+        const savedBoard = {
+            cores: game.cores, walls: game.walls, board: game.board,
+            laserInteraction: game.laserInteraction, physicsVersion: game.physicsVersion
+        };
+
+        game.isGeneratingMP4 = true;
+
+        try {
+            // Initialize h264-mp4-encoder
+            const encoder = await HME.createH264MP4Encoder();
+            encoder.width = width;
+            encoder.height = height;
+            encoder.frameRate = fps;
+            encoder.quantizationParameter = 28;
+            encoder.initialize();
+
+            // Set up simulation state from saved game
+            // createMirrorFromConfig restores shape-specific dims and material, so the
+            // replay geometry matches the real game exactly.
+            game.mirrors = state.mirrors.map(config => createMirrorFromConfig(config));
+
+            game.spawners = state.spawners.map(s => new Spawner(s.x, s.y, s.angle, s));
+            game.spawners.forEach(s => { s.isDailyChallenge = game.isDailyChallenge; });
+            this.loadBoard(state);
+            game.lasers = [];
+            game.bursts.clear();
+            game.waves = new SpawnerWaves(game.spawners, game.PHYSICS_DT, physicsBackend(game.physicsVersion), state.ruleset);
+            game.waves.fire(game.lasers);
+            game.laserCollisionHandler.reportSpawns(game.lasers, 0, 'wave');
+
+            game.collisionSystem.initializeCollisionBoundaries(game.mirrors, state.ruleset);
+            game.laserCollisionHandler.initialize(game.mirrors, game.cores, game.walls, game.laserInteraction, game.physicsVersion, game.board, state.ruleset);
+
+            game.isPlaying = true;
+            game.gameOver = false;
+            game.isBreach = false;
+            game.breachProgress = 0;
+            game.deltaTime = physicsDt;
+            game.startTime = Date.now();
+
+            // Process frames in batches to avoid blocking the UI
+            const BATCH_SIZE = 5;
+            let frameIndex = 0;
+            let breachFrame = -1;
+            // Only render 70% of breach animation - end at same frame as screenshot
+            const breachFrameCount = Math.ceil(game.breachDuration * fps * 0.7);
+
+            const processBatch = () => {
+                return new Promise((resolve) => {
+                    const endFrame = Math.min(frameIndex + BATCH_SIZE, totalFrames + breachFrameCount);
+
+                    for (; frameIndex < endFrame; frameIndex++) {
+                        if (breachFrame >= 0) {
+                            // Playing breach animation
+                            game.breachProgress = breachFrame / breachFrameCount;
+                            breachFrame++;
+                            if (breachFrame >= breachFrameCount) {
+                                // Render final frame and stop
+                                game.breachProgress = 1;
+                                game.renderer.render();
+                                const imageData = game.ctx.getImageData(0, 0, width, height);
+                                encoder.addFrameRgba(imageData.data);
+                                frameIndex = totalFrames + breachFrameCount; // exit
+                                break;
+                            }
+                        } else {
+                            // Normal simulation - sub-step physics to match live game
+                            game.gameTime = frameIndex * renderDt;
+
+                            for (let step = 0; step < physicsStepsPerFrame; step++) {
+                                const allCoresDown = stepLasers(game.lasers, game.mirrors, game.laserCollisionHandler, physicsDt, game.waves);
+                                stampFallenCores(game.laserCollisionHandler.cores, game.gameTime);
+                                game.addAnnihilationBursts();
+                                game.bursts.update(physicsDt);
+                                if (allCoresDown) {
+                                    game.gameOver = true;
+                                    breachFrame = 0;
+                                    game.breachProgress = 0;
+                                    // Snap the frozen timer to the true survival time. The
+                                    // running timer is quantized to the 30fps frame start, but
+                                    // breach lands mid-frame — pin the final value to the exact
+                                    // score so the video reads identically to the leaderboard.
+                                    game.gameTime = state.duration;
+                                    break; // Stop sub-stepping once breach starts
+                                }
+                            }
+                        }
+
+                        // Render frame
+                        game.renderer.render();
+
+                        // Capture pixels and encode
+                        const imageData = game.ctx.getImageData(0, 0, width, height);
+                        encoder.addFrameRgba(imageData.data);
+
+                        if (breachFrame >= breachFrameCount) {
+                            frameIndex = totalFrames + breachFrameCount; // exit
+                            break;
+                        }
+                    }
+
+                    if (onProgress) {
+                        const maxFrames = totalFrames + breachFrameCount;
+                        onProgress(Math.min(100, Math.round((frameIndex / maxFrames) * 100)));
+                    }
+
+                    // Yield to UI thread
+                    requestAnimationFrame(resolve);
+                });
+            };
+
+            const maxFrames = totalFrames + breachFrameCount;
+            while (frameIndex < maxFrames) {
+                await processBatch();
+            }
+
+            // Finalize encoding
+            encoder.finalize();
+            const mp4Data = encoder.FS.readFile(encoder.outputFilename);
+            const mp4Blob = new Blob([mp4Data], { type: 'video/mp4' });
+            encoder.delete();
+
+            // Store the generated MP4
+            game.replayRecorder.videoBlob = mp4Blob;
+            game.replayRecorder.videoURL = URL.createObjectURL(mp4Blob);
+
+            return mp4Blob;
+        } finally {
+            game.isGeneratingMP4 = false;
+
+            // Restore original game state
+            game.mirrors = savedMirrors;
+            game.spawners = savedSpawners;
+            game.lasers = savedLasers;
+            game.isPlaying = savedIsPlaying;
+            game.gameOver = savedGameOver;
+            game.gameTime = savedGameTime;
+            game.deltaTime = savedDeltaTime;
+            game.startTime = savedStartTime;
+            Object.assign(game, savedBoard);
+
+            // Re-render original state
+            game.renderer.render();
+        }
+    }
+}
@@ -257,10 +257,12 @@ export class ReplayRecorder {
     // ─── Game State for Canvas Replay ────────────────────────────
 
     /**
-     * Save mirror/spawner state for deterministic canvas replay and MP4 generation
+     * Save mirror/spawner state for deterministic canvas replay and MP4 generation,
+     * with the cores, terrain, outline, laser interaction, physics version and rules
+     * the run was played under (as PuzzleEditor.toPuzzle gives them)
      * Called when gameplay starts
      */
-    saveGameState(mirrors, spawners) {
+    saveGameState(mirrors, spawners, { cores = null, walls = null, board = null, laserInteraction = 'none', physicsVersion = 1, ruleset } = {}) {
         this.savedGameState = {
             mirrors: mirrors.map(m => ({
                 x: m.x,
@@ -276,13 +278,27 @@ export class ReplayRecorder {
                 // time it shows) diverge from the real game.
                 topWidth: m.topWidth,
                 skew: m.skew,
+                material: m.material,
+                refractiveIndex: m.refractiveIndex,
+                portalPair: m.portalPair,
+                motion: m.motion,
                 isDailyChallenge: m.isDailyChallenge || false,
             })),
             spawners: spawners.map(s => ({
                 x: s.x,
                 y: s.y,
                 angle: s.angle,
+                delay: s.delay,
+                repeatEvery: s.repeatEvery,
+                count: s.count,
+                laserProfile: s.laserProfile,
             })),
+            cores,
+            walls,
+            board,
+            laserInteraction,
+            physicsVersion,
+            ruleset,
         };
     }
 
@@ -1,19 +1,38 @@
-import { PALETTE, hex } from '../theme/palette.js';
+import { PALETTE, hex, rgba } from '../theme/palette.js';
+import { waveFields } from '../core/SpawnerWaves.js';
+import { Laser } from './Laser.js';
+import { boardBounds } from '../core/Board.js';
 
 export class Spawner {
-    constructor(x, y, angle) {
+    /**
+     * @param {Object} [options] - optional { delay, repeatEvery, count } wave schedule
+     *   (see SpawnerWaves) and laserProfile (a key of CONFIG.LASER_PROFILES)
+     */
+    constructor(x, y, angle, options = {}) {
         this.x = x;
         this.y = y;
         this.angle = angle;
+
+        const { delay, repeatEvery, count } = waveFields(options);
+        this.delay = delay;
+        this.repeatEvery = repeatEvery;
+        this.count = count;
+        this.laserProfile = options.laserProfile || 'normal';
     }
 
-    draw(ctx, showPreview = true) {
+    /**
+     * @param {Object} [waveStatus] - { countdown, shotsLeft }: seconds until the next
+     *   shot (null once done) and shots still to fire; omit to hide the countdown
+     * @param {Object} [bounds] - { minX, minY, maxX, maxY } the countdown is kept
+     *   inside (see boardBounds); default the canvas
+     */
+    draw(ctx, showPreview = true, waveStatus = null, bounds = boardBounds(null)) {
         ctx.save();
 
         // Arc-blue ring with an amber energy core (main) / mint (daily) — the core
         // colour matches the beam this spawner fires.
         const outerColor = '#FFB020';  // Arc blue ring
-        const innerColor = this.isDailyChallenge ? '#32FFB4' : hex(PALETTE.secondary);
+        const innerColor = hex(Laser.beamColor(this.laserProfile, this.isDailyChallenge));
 
         // Draw glowing spawner body
         ctx.shadowColor = outerColor;
@@ -112,9 +131,34 @@ export class Spawner {
 
 }
 
+        if (waveStatus) {
+            this.drawCountdown(ctx, waveStatus, bounds);
+        }
+
         ctx.restore();
     }
 
+    /**
+     * Countdown to this spawner's next shot (e.g. "4.2s x3"), placed past the
+     * direction arrow and kept inside the board's bounds. Hidden while a shot is
+     * firing and once the waves are spent.
+     */
+    drawCountdown(ctx, { countdown, shotsLeft }, { minX, minY, maxX, maxY }) {
+        if (countdown === null || countdown <= 0) return;
+
+        const label = shotsLeft > 1 ? `${countdown.toFixed(1)}s ×${shotsLeft}` : `${countdown.toFixed(1)}s`;
+        const dist = 48;
+        const tx = Math.min(Math.max(this.x + Math.cos(this.angle) * dist, minX + 30), maxX - 30);
+        const ty = Math.min(Math.max(this.y + Math.sin(this.angle) * dist, minY + 12), maxY - 12);
+
+        ctx.shadowBlur = 0;
+        ctx.font = '700 11px "Share Tech Mono", "SF Mono", monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = rgba(PALETTE.primary, 0.9);
+        ctx.fillText(label, tx, ty);
+    }
+
     drawAngleTooltip(ctx, arrowTipX, arrowTipY) {
         // Convert radians to degrees (0-360), where 0 = right, 90 = down
         let degrees = (this.angle * 180 / Math.PI) % 360;
@@ -9,6 +9,16 @@ export const CONFIG = {
     MIRROR_MAX_SIZE: 120, // 6x6 grid cells
     MAX_MIRRORS: 15, // Safety limit to prevent infinite loops
     LASER_SPEED: 8,
+    LASER_TIME_SCALE: 35, // Velocity units -> px per second (LASER_SPEED 8 moves ~4.7px per physics step)
+    MAX_LASER_STEP: 5, // Longest move (px) between collision checks; faster lasers sub-step
+    // Per-spawner laser types: speed multiplies LASER_SPEED; accelerating lasers gain
+    // boostPerReflection of their speed off each mirror, up to maxSpeed
+    LASER_PROFILES: {
+        normal: { speed: 1 },
+        slow: { speed: 0.6 },
+        fast: { speed: 1.8 },
+        accelerating: { speed: 1, boostPerReflection: 0.1, maxSpeed: 2.5 }
+    },
     LASER_RADIUS: 2,
     TARGET_RADIUS: 50, // Aligns hexagon top/bottom vertices with grid lines
     // Mirror-free zone around the core (validation + the drawn red zone). Grew
@@ -19,5 +29,28 @@ export const CONFIG = {
     ANGLE_INCREMENT: 1, // degrees
     MIRROR_COUNT: 8,
     MAX_GAME_TIME: 300, // 5 minutes - perfect score threshold
+    // Endless mode (see Endless.js): past the cap a new spawner joins every
+    // ENDLESS_JOIN_INTERVAL seconds, up to a hard ceiling on the run that also
+    // bounds server verification (30 minutes = 108,000 physics steps)
+    ENDLESS_JOIN_INTERVAL: 60,
+    ENDLESS_MAX_TIME: 1800,
+    MAX_SPLIT_BEAMS: 24, // Cap on extra lasers beam-splitter mirrors may spawn in one game
+    GLASS_REFRACTIVE_INDEX: 1.5, // Default index for glass blocks (each piece may override)
+    PORTAL_MIN_SEPARATION: 160, // Linked portals' centers must be at least this far apart
+    MAX_WAVE_LASERS: 60, // Cap on the total shots all spawner waves may fire in one game
+    // Moving mirrors (see MirrorMotion.js)
+    MAX_RAIL_LENGTH: 200, // Longest rail a sliding mirror may run along (px)
+    MIN_MOTION_PERIOD: 2, // Shortest out-and-back time for a sliding mirror (s)
+    MAX_SPIN_RATE: 90, // Fastest a spinning mirror may turn (degrees per second)
+    // Puzzle terrain (see Terrain.js)
+    MAX_WALLS: 24, // Most wall segments a puzzle may declare
+    MAX_BLOCKED_CELLS: 200, // Most no-build grid cells a puzzle may declare
+    MAX_OUTLINE_VERTICES: 64, // Most corners a board outline may have (see Board.js)
+    // Collision broad phase (see MirrorGrid.js)
+    BROAD_PHASE: true, // false = test every mirror on every laser move (for benchmarking)
+    BROAD_PHASE_CELL: 100, // Grid cell size (px)
+    PHYSICS_VERSION: 2, // Physics backend new sessions and local boards are played with (see PhysicsBackends.js)
+    PHYSICS_VERSION_FROM: '2026-10-20', // First day (YYYY-MM-DD) boards are issued with it; until then they keep version 1
+    REWIND_INTERVAL: 0.5, // Seconds of play between the rewind scrubber's saved moments
     PHYSICS_DT: 1 / 60 // Fixed simulation timestep (shared by the live loop and server verification)
 };
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * Annihilation - the 'annihilate' laser interaction: beams whose paths cross
+ * in a step cancel each other out (DOM-free).
+ *
+ * stepLasers records each laser's move for the step and hands them here once
+ * every laser has moved; the crossings are found and resolved in laser order,
+ * so the same step always cancels the same beams, in the game and on the
+ * server alike.
+ */
+
+/**
+ * Where two lasers' paths over one step meet, as { x, y }, or null. Each segment
+ * is { x1, y1, x2, y2 } from where the laser started the step to where it ended
+ * it. Beams on the same line meet where their paths overlap (head-on or one
+ * catching the other); beams leaving the same point (a split) don't meet there.
+ */
+function segmentCrossing(a, b) {
+    if (a.x1 === b.x1 && a.y1 === b.y1) {
+        return null;
+    }
+    const adx = a.x2 - a.x1;
+    const ady = a.y2 - a.y1;
+    const bdx = b.x2 - b.x1;
+    const bdy = b.y2 - b.y1;
+    const ox = b.x1 - a.x1;
+    const oy = b.y1 - a.y1;
+    const denom = adx * bdy - ady * bdx;
+
+    if (denom === 0) {
+        // Parallel: only collinear paths can meet, over the stretch they share
+        const lengthSq = adx * adx + ady * ady;
+        if (lengthSq === 0 || ox * ady - oy * adx !== 0) {
+            return null;
+        }
+        const t0 = (ox * adx + oy * ady) / lengthSq;
+        const t1 = ((b.x2 - a.x1) * adx + (b.y2 - a.y1) * ady) / lengthSq;
+        const from = Math.max(0, Math.min(t0, t1));
+        const to = Math.min(1, Math.max(t0, t1));
+        if (from > to) {
+            return null;
+        }
+        const t = (from + to) / 2;
+        return { x: a.x1 + adx * t, y: a.y1 + ady * t };
+    }
+
+    const t = (ox * bdy - oy * bdx) / denom;
+    const u = (ox * ady - oy * adx) / denom;
+    if (t < 0 || t > 1 || u < 0 || u > 1) {
+        return null;
+    }
+    return { x: a.x1 + adx * t, y: a.y1 + ady * t };
+}
+
+/**
+ * Find the pairs of lasers that cross during a step, for the 'annihilate' rule.
+ * `segments` are [{ laser, x1, y1, x2, y2 }], one per laser, in laser order.
+ * Returns [{ a, b, x, y }]: the two lasers and where they met.
+ *
+ * Broad phase: sweep the segments' bounding boxes left to right so only pairs
+ * whose boxes overlap get the exact test. Pairs are then resolved in segment
+ * order (never sort order), and a laser is spent by its first crossing, so the
+ * same step always cancels the same beams.
+ */
+export function findLaserCrossings(segments) {
+    const boxes = segments.map((s, index) => ({
+        index,
+        minX: Math.min(s.x1, s.x2),
+        maxX: Math.max(s.x1, s.x2),
+        minY: Math.min(s.y1, s.y2),
+        maxY: Math.max(s.y1, s.y2)
+    }));
+    boxes.sort((a, b) => a.minX - b.minX || a.index - b.index);
+
+    const candidates = [];
+    for (let i = 0; i < boxes.length; i++) {
+        const a = boxes[i];
+        for (let j = i + 1; j < boxes.length && boxes[j].minX <= a.maxX; j++) {
+            const b = boxes[j];
+            if (b.minY > a.maxY || b.maxY < a.minY) continue;
+            candidates.push(a.index < b.index ? [a.index, b.index] : [b.index, a.index]);
+        }
+    }
+    candidates.sort((p, q) => p[0] - q[0] || p[1] - q[1]);
+
+    const spent = new Set();
+    const crossings = [];
+    for (const [i, j] of candidates) {
+        if (spent.has(i) || spent.has(j)) continue;
+        const point = segmentCrossing(segments[i], segments[j]);
+        if (!point) continue;
+        spent.add(i);
+        spent.add(j);
+        crossings.push({ a: segments[i].laser, b: segments[j].laser, x: point.x, y: point.y });
+    }
+    return crossings;
+}
+
+/**
+ * Cancel the lasers whose paths crossed this step (`segments`, in laser order;
+ * see findLaserCrossings): take them out of `lasers`, and queue where they met
+ * on the handler, for the burst effect, reporting each to its observer.
+ */
+export function annihilateCrossings(lasers, segments, handler) {
+    const crossings = findLaserCrossings(segments);
+    if (crossings.length === 0) {
+        return;
+    }
+    const observer = handler.observer;
+    const gone = new Set();
+    for (const crossing of crossings) {
+        gone.add(crossing.a);
+        gone.add(crossing.b);
+        handler.annihilations.push(crossing);
+        if (observer) {
+            const { a, b, x, y } = crossing;
+            observer({ type: 'annihilate', step: handler.step, laser: a.id, other: b.id, x, y });
+            observer({ type: 'annihilate', step: handler.step, laser: b.id, other: a.id, x, y });
+        }
+    }
+    for (let i = lasers.length - 1; i >= 0; i--) {
+        if (gone.has(lasers[i])) lasers.splice(i, 1);
+    }
+}
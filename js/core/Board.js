@@ -0,0 +1,265 @@
+/**
+ * Board - the outline of the playing field (DOM-free).
+ *
+ * By default the board is the whole CONFIG.CANVAS_WIDTH x CANVAS_HEIGHT
+ * rectangle, and lasers bounce off its four sides (Laser.update). A puzzle may
+ * instead declare
+ *
+ *   board: { outline: [{ x, y }, ...] }
+ *
+ * a simple polygon inside the canvas - a circular arena, an L - whose edges
+ * lasers bounce off like the canvas sides: the angle is snapped like any other
+ * bounce, and the bounce neither counts toward the laser's reflection limit nor
+ * speeds it up. Mirrors must sit inside the outline, EDGE_MARGIN clear of every
+ * edge; spawners sit on or inside it and cores inside it. A puzzle without an
+ * outline plays exactly as before.
+ *
+ * A bigger board is a bigger canvas: generate and verify under BIG_BOARD (a
+ * ruleset's overrides; see Ruleset.js), with or without an outline.
+ */
+import { CONFIG } from '../config.js';
+import { normalizeCores } from './Cores.js';
+
+export const BOARD_SHAPES = ['circle', 'l-shape'];
+
+// The 1200x900 "big board"
+export const BIG_BOARD = Object.freeze({ CANVAS_WIDTH: 1200, CANVAS_HEIGHT: 900 });
+
+// A spawner counts as on the outline this close to it (px)
+const ON_OUTLINE = 1;
+
+/**
+ * A ready-made board for the current canvas: 'circle' (a 32-sided arena as
+ * wide as the canvas is tall) or 'l-shape' (the canvas less its top-right
+ * corner). Both keep the center, where the default core sits.
+ */
+export function boardShape(name) {
+    const W = CONFIG.CANVAS_WIDTH;
+    const H = CONFIG.CANVAS_HEIGHT;
+    const g = CONFIG.GRID_SIZE;
+
+    if (name === 'circle') {
+        const sides = 32;
+        const radius = Math.min(W, H) / 2;
+        const outline = [];
+        for (let i = 0; i < sides; i++) {
+            const angle = i * 2 * Math.PI / sides;
+            outline.push({
+                x: Math.round(W / 2 + Math.cos(angle) * radius),
+                y: Math.round(H / 2 + Math.sin(angle) * radius)
+            });
+        }
+        return { outline };
+    }
+    if (name === 'l-shape') {
+        const cutX = Math.round(W * 0.7 / g) * g;
+        const cutY = Math.round(H * 0.4 / g) * g;
+        return {
+            outline: [
+                { x: 0, y: 0 }, { x: cutX, y: 0 }, { x: cutX, y: cutY },
+                { x: W, y: cutY }, { x: W, y: H }, { x: 0, y: H }
+            ]
+        };
+    }
+    throw new Error(`Unknown board shape: ${name}`);
+}
+
+/**
+ * The working form of a puzzle's board, or null for the plain canvas: its
+ * outline, each edge as { x1, y1, x2, y2, nx, ny, edge } (n the unit normal
+ * pointing into the board, edge the { start, end } the collision code works
+ * with) and its bounding box { minX, minY, maxX, maxY }.
+ */
+export function normalizeBoard(board) {
+    if (!board || !Array.isArray(board.outline)) return null;
+
+    const outline = board.outline.map(({ x, y }) => ({ x, y }));
+    // Which side of each edge is inside: the left one if the outline runs
+    // counterclockwise (positive signed area), else the right one
+    const turn = Math.sign(signedArea(outline));
+    const edges = outline.map((start, i) => {
+        const end = outline[(i + 1) % outline.length];
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        return {
+            x1: start.x, y1: start.y, x2: end.x, y2: end.y,
+            nx: -dy / length * turn,
+            ny: dx / length * turn,
+            edge: { start, end }
+        };
+    });
+
+    const xs = outline.map(p => p.x);
+    const ys = outline.map(p => p.y);
+    const bounds = { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+    return { outline, edges, bounds };
+}
+
+/**
+ * The box a board fills ({ minX, minY, maxX, maxY }): its outline's bounds, or
+ * the whole canvas.
+ */
+export function boardBounds(board) {
+    const shape = normalizeBoard(board);
+    if (shape) return shape.bounds;
+    return { minX: 0, minY: 0, maxX: CONFIG.CANVAS_WIDTH, maxY: CONFIG.CANVAS_HEIGHT };
+}
+
+/**
+ * Check a puzzle's board (missing = the plain canvas), and that its cores
+ * (default the center one) lie inside it and its spawners on or inside it.
+ * Returns { valid, reason } like the placement validators.
+ */
+export function validateBoard(board, cores = null, spawners = []) {
+    if (board === undefined || board === null) return { valid: true };
+
+    const outline = board.outline;
+    if (!Array.isArray(outline) || outline.length < 3 || outline.length > CONFIG.MAX_OUTLINE_VERTICES) {
+        return { valid: false, reason: 'A board outline needs 3 or more corners, within the cap' };
+    }
+    for (const point of outline) {
+        if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) {
+            return { valid: false, reason: 'A board outline has invalid coordinates' };
+        }
+        if (point.x < 0 || point.x > CONFIG.CANVAS_WIDTH || point.y < 0 || point.y > CONFIG.CANVAS_HEIGHT) {
+            return { valid: false, reason: 'A board outline runs off the canvas' };
+        }
+    }
+    for (let i = 0; i < outline.length; i++) {
+        const next = outline[(i + 1) % outline.length];
+        if (outline[i].x === next.x && outline[i].y === next.y) {
+            return { valid: false, reason: 'A board outline has an edge with no length' };
+        }
+    }
+    if (signedArea(outline) === 0 || crossesItself(outline)) {
+        return { valid: false, reason: 'A board outline must be a simple polygon' };
+    }
+
+    const shape = normalizeBoard(board);
+    for (const core of normalizeCores(cores)) {
+        if (!insideBoard(shape, core.x, core.y)) {
+            return { valid: false, reason: 'A core is outside the board' };
+        }
+    }
+    for (const spawner of spawners) {
+        if (!insideBoard(shape, spawner.x, spawner.y) && distanceToOutline(shape, spawner.x, spawner.y) > ON_OUTLINE) {
+            return { valid: false, reason: 'A spawner is off the board' };
+        }
+    }
+    return { valid: true };
+}
+
+/**
+ * Whether (x, y) is inside a normalized board's outline (null = the canvas).
+ */
+export function insideBoard(shape, x, y) {
+    if (!shape) {
+        return x >= 0 && x <= CONFIG.CANVAS_WIDTH && y >= 0 && y <= CONFIG.CANVAS_HEIGHT;
+    }
+    const outline = shape.outline;
+    let inside = false;
+    for (let i = 0, j = outline.length - 1; i < outline.length; j = i++) {
+        const a = outline[i];
+        const b = outline[j];
+        if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Shortest distance from (x, y) to a normalized board's outline.
+ */
+export function distanceToOutline(shape, x, y) {
+    let best = Infinity;
+    for (const e of shape.edges) {
+        best = Math.min(best, distanceToSegment(x, y, e.x1, e.y1, e.x2, e.y2));
+    }
+    return best;
+}
+
+/**
+ * Where a move from (x1, y1) to (x2, y2) first crosses a normalized board's
+ * outline on its way out, as { edge (index), x, y }, or null. Crossings on the
+ * way in are ignored, so a laser fired from a spawner on the outline leaves it.
+ */
+export function outlineCrossing(shape, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    let hit = null;
+    let nearest = Infinity;
+    for (let i = 0; i < shape.edges.length; i++) {
+        const e = shape.edges[i];
+        if (dx * e.nx + dy * e.ny >= 0) continue; // heading in, or along it
+
+        const ex = e.x2 - e.x1;
+        const ey = e.y2 - e.y1;
+        const denom = dx * ey - dy * ex;
+        if (denom === 0) continue;
+        const t = ((e.x1 - x1) * ey - (e.y1 - y1) * ex) / denom;
+        const u = ((e.x1 - x1) * dy - (e.y1 - y1) * dx) / denom;
+        if (t < 0 || t > 1 || u < 0 || u > 1 || t >= nearest) continue;
+
+        nearest = t;
+        hit = { edge: i, x: x1 + dx * t, y: y1 + dy * t };
+    }
+    return hit;
+}
+
+// Twice the outline's signed area (positive when it runs counterclockwise)
+function signedArea(outline) {
+    let area = 0;
+    for (let i = 0; i < outline.length; i++) {
+        const a = outline[i];
+        const b = outline[(i + 1) % outline.length];
+        area += a.x * b.y - b.x * a.y;
+    }
+    return area;
+}
+
+// Whether any two edges that don't share a corner touch
+function crossesItself(outline) {
+    const n = outline.length;
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 2; j < n; j++) {
+            if (i === 0 && j === n - 1) continue; // the last edge meets the first
+            if (segmentsTouch(outline[i], outline[(i + 1) % n], outline[j], outline[(j + 1) % n])) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+function segmentsTouch(a, b, c, d) {
+    const d1 = cross(c, d, a);
+    const d2 = cross(c, d, b);
+    const d3 = cross(a, b, c);
+    const d4 = cross(a, b, d);
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+        return true;
+    }
+    return (d1 === 0 && onSegment(c, d, a)) || (d2 === 0 && onSegment(c, d, b)) ||
+        (d3 === 0 && onSegment(a, b, c)) || (d4 === 0 && onSegment(a, b, d));
+}
+
+function cross(a, b, p) {
+    return (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x);
+}
+
+function onSegment(a, b, p) {
+    return Math.min(a.x, b.x) <= p.x && p.x <= Math.max(a.x, b.x) &&
+        Math.min(a.y, b.y) <= p.y && p.y <= Math.max(a.y, b.y);
+}
+
+function distanceToSegment(x, y, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSq));
+    const px = x1 + dx * t - x;
+    const py = y1 + dy * t - y;
+    return Math.sqrt(px * px + py * py);
+}
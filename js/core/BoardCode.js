@@ -0,0 +1,50 @@
+/**
+ * BoardCode - short, shareable names for main-game boards (DOM-free).
+ *
+ * Every main-game board is generated from a seed (generateMainPuzzle's `seed`),
+ * and the same seed always generates the same board under the same rules. A
+ * board code is that seed written as seven Crockford base-32 characters, e.g.
+ * "1Z4K7QX": short enough to read out, with no I, L, O or U to mistake for
+ * another character. Pasting a code back regenerates the board to play it
+ * again - unranked, since a player could otherwise shop for an easy one; ranked
+ * boards are still seeded by the server.
+ *
+ * A code names a plain main board (no special pieces, default rules), so it
+ * names the same board only for as long as the generators and rules don't change.
+ */
+
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const LENGTH = 7;
+
+// The largest seed a board code holds (the top of SeededRandom's range)
+export const MAX_SEED = 0x7fffffff;
+
+/**
+ * The board code for a seed.
+ */
+export function encodeBoardCode(seed) {
+    if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) throw new Error(`Invalid seed: ${seed}`);
+    let code = '';
+    for (let i = 0, value = seed; i < LENGTH; i++, value = Math.floor(value / 32)) {
+        code = ALPHABET[value % 32] + code;
+    }
+    return code;
+}
+
+/**
+ * The seed a board code names, or null if it isn't one. Case, spaces and
+ * dashes are ignored, and O, I and L are read as 0, 1 and 1 as Crockford intends.
+ */
+export function decodeBoardCode(code) {
+    if (typeof code !== 'string') return null;
+    const clean = code.toUpperCase().replace(/[\s-]/g, '').replace(/O/g, '0').replace(/[IL]/g, '1');
+    if (clean.length !== LENGTH) return null;
+
+    let seed = 0;
+    for (const char of clean) {
+        const digit = ALPHABET.indexOf(char);
+        if (digit < 0) return null;
+        seed = seed * 32 + digit;
+    }
+    return seed <= MAX_SEED ? seed : null;
+}
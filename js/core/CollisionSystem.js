@@ -1,4 +1,12 @@
 import { CONFIG } from '../config.js';
+import { physicsBackend } from './PhysicsBackends.js';
+import { MirrorGrid } from './MirrorGrid.js';
+import { activeRuleset } from './Ruleset.js';
+import {
+    lineSegmentsIntersect, lineSegmentIntersectionPoint, incomingEdgeNormal,
+    distancePointToLineSegment, closestPointOnLineSegment
+} from './SegmentGeometry.js';
+import { pointInPolygon, polygonsOverlap } from './PolygonGeometry.js';
 
 /**
  * Centralized collision system for the game
@@ -8,29 +16,61 @@ export class CollisionSystem {
     constructor() {
         this.collisionBoundaries = new Map(); // Mirror ID -> collision boundary
         this.laserCollisionBoundaries = new Map(); // Mirror ID -> laser collision boundary
+        this.physics = physicsBackend(1); // trig for the current game (set by LaserCollisionHandler.initialize)
+        this.ruleset = activeRuleset(); // the rules of the current game, board size included (see Ruleset.js)
+        this.mirrorGrid = new MirrorGrid(); // broad phase: which mirrors each laser move can reach
     }
 
     /**
      * Pre-calculate all collision boundaries when lasers are launched
-     * This ensures consistent collision detection throughout the game
+     * This ensures consistent collision detection throughout the game,
+     * played under `ruleset` (default the current rules)
      */
-    initializeCollisionBoundaries(mirrors) {
+    initializeCollisionBoundaries(mirrors, ruleset = activeRuleset()) {
         this.collisionBoundaries.clear();
         this.laserCollisionBoundaries.clear();
+        if (ruleset === this.ruleset) {
+            this.mirrorGrid.clear();
+        } else {
+            // Another board size needs a broad phase cut to fit it
+            this.ruleset = ruleset;
+            this.mirrorGrid = new MirrorGrid(CONFIG.BROAD_PHASE_CELL, ruleset);
+        }
 
         mirrors.forEach((mirror, index) => {
-            const mirrorId = `mirror_${index}`;
+            this.refreshCollisionBoundary(mirror, `mirror_${index}`, index);
+        });
 
-            // For mirror placement: exclude borders (interior only)
-            const placementBoundary = this.calculateMirrorPlacementBoundary(mirror);
+    }
 
-            // For laser collision: include borders (full area including edges)
-            const laserBoundary = this.calculateLaserCollisionBoundary(mirror);
+    /**
+     * Recalculate one mirror's boundaries (and its place in the broad phase;
+     * `index` is its place in the game's mirror list) from its current vertices.
+     * Moving mirrors (see MirrorMotion.js) call this every physics step.
+     */
+    refreshCollisionBoundary(mirror, mirrorId, index) {
+        // For mirror placement: exclude borders (interior only)
+        const placementBoundary = this.calculateMirrorPlacementBoundary(mirror);
 
-            this.collisionBoundaries.set(mirrorId, placementBoundary);
-            this.laserCollisionBoundaries.set(mirrorId, laserBoundary);
-        });
+        // For laser collision: include borders (full area including edges)
+        const laserBoundary = this.calculateLaserCollisionBoundary(mirror);
 
+        this.collisionBoundaries.set(mirrorId, placementBoundary);
+        this.laserCollisionBoundaries.set(mirrorId, laserBoundary);
+        this.mirrorGrid.update(index, laserBoundary.points);
+    }
+
+    /**
+     * Indices, ascending, of the mirrors a laser's last move could have touched,
+     * or of every mirror with CONFIG.BROAD_PHASE off (see MirrorGrid.js).
+     */
+    mirrorsNear(laser) {
+        if (!CONFIG.BROAD_PHASE) {
+            return this.mirrorGrid.all();
+        }
+        const fromX = laser.prevX ?? laser.x;
+        const fromY = laser.prevY ?? laser.y;
+        return this.mirrorGrid.near(fromX, fromY, laser.x, laser.y);
     }
 
     /**
@@ -96,7 +136,7 @@ export class CollisionSystem {
         if (!boundary1 || !boundary2) return false;
 
         // Use Separating Axis Theorem for polygon collision
-        return this.polygonsOverlap(boundary1.points, boundary2.points);
+        return polygonsOverlap(boundary1.points, boundary2.points);
     }
 
     /**
@@ -107,7 +147,7 @@ export class CollisionSystem {
         if (!boundary) return false;
 
         // Point in polygon test
-        return this.pointInPolygon(laser.x, laser.y, boundary.points);
+        return pointInPolygon(laser.x, laser.y, boundary.points);
     }
 
     /**
@@ -120,7 +160,7 @@ export class CollisionSystem {
 
         // Check if laser path intersects any mirror edge
         for (const edge of boundary.edges) {
-            if (this.lineSegmentsIntersect(
+            if (lineSegmentsIntersect(
                 x1, y1, x2, y2,
                 edge.start.x, edge.start.y, edge.end.x, edge.end.y
             )) {
@@ -131,26 +171,6 @@ export class CollisionSystem {
         return false;
     }
 
-    /**
-     * Check if two line segments intersect
-     * Returns true if segments cross each other
-     */
-    lineSegmentsIntersect(x1, y1, x2, y2, x3, y3, x4, y4) {
-        // Calculate direction of line segments
-        const denom = (y4 - y3) * (x2 - x1) - (x4 - x3) * (y2 - y1);
-
-        // Lines are parallel if denom is 0
-        if (Math.abs(denom) < 0.0001) {
-            return false;
-        }
-
-        const ua = ((x4 - x3) * (y1 - y3) - (y4 - y3) * (x1 - x3)) / denom;
-        const ub = ((x2 - x1) * (y1 - y3) - (y2 - y1) * (x1 - x3)) / denom;
-
-        // Intersection occurs if both parameters are between 0 and 1
-        return ua >= 0 && ua <= 1 && ub >= 0 && ub <= 1;
-    }
-
     /**
      * Find the exact intersection point between laser path and mirror edge
      * Returns { x, y, edge } if found, null otherwise
@@ -164,14 +184,14 @@ export class CollisionSystem {
 
         // Check each edge for intersection
         for (const edge of boundary.edges) {
-            const intersection = this.lineSegmentIntersectionPoint(
+            const intersection = lineSegmentIntersectionPoint(
                 prevX, prevY, currentX, currentY,
                 edge.start.x, edge.start.y, edge.end.x, edge.end.y
             );
 
             if (intersection) {
                 // Calculate distance from laser's previous position
-                const distSq = (intersection.x - prevX) ** 2 + (intersection.y - prevY) ** 2;
+                const distSq = (intersection.x - prevX) * (intersection.x - prevX) + (intersection.y - prevY) * (intersection.y - prevY);
 
                 if (distSq < minDistanceFromStart) {
                     minDistanceFromStart = distSq;
@@ -188,30 +208,55 @@ export class CollisionSystem {
     }
 
     /**
-     * Find intersection point of two line segments
-     * Returns {x, y} if they intersect, null otherwise
+     * Position of an edge within a mirror's laser boundary (matching the order of
+     * the mirror's canonical vertices), or -1 if it isn't one of them.
      */
-    lineSegmentIntersectionPoint(x1, y1, x2, y2, x3, y3, x4, y4) {
-        const denom = (y4 - y3) * (x2 - x1) - (x4 - x3) * (y2 - y1);
+    getEdgeIndex(mirrorId, edge) {
+        const boundary = this.laserCollisionBoundaries.get(mirrorId);
+        if (!boundary || !boundary.edges) return -1;
+        return boundary.edges.indexOf(edge);
+    }
 
-        // Lines are parallel
-        if (Math.abs(denom) < 0.0001) {
-            return null;
-        }
+    /**
+     * Where a ray from (x, y) heading (vx, vy) leaves the mirror — the farthest
+     * edge crossing. Returns { x, y, edge, distance }, or null if the ray never
+     * crosses the mirror. Used to carry a beam through a splitter or glass block.
+     */
+    findExit(x, y, vx, vy, mirrorId) {
+        const boundary = this.laserCollisionBoundaries.get(mirrorId);
+        if (!boundary || !boundary.edges) return null;
 
-        const ua = ((x4 - x3) * (y1 - y3) - (y4 - y3) * (x1 - x3)) / denom;
-        const ub = ((x2 - x1) * (y1 - y3) - (y2 - y1) * (x1 - x3)) / denom;
+        const speed = Math.sqrt(vx * vx + vy * vy);
+        if (speed === 0) return null;
 
-        // Check if intersection occurs within both line segments
-        if (ua >= 0 && ua <= 1 && ub >= 0 && ub <= 1) {
-            // Calculate intersection point
-            return {
-                x: x1 + ua * (x2 - x1),
-                y: y1 + ua * (y2 - y1)
-            };
+        // Any segment longer than the board diagonal reaches past the far side.
+        const reach = this.ruleset.CANVAS_WIDTH + this.ruleset.CANVAS_HEIGHT;
+        const endX = x + (vx / speed) * reach;
+        const endY = y + (vy / speed) * reach;
+
+        let exit = null;
+        for (const edge of boundary.edges) {
+            const intersection = lineSegmentIntersectionPoint(
+                x, y, endX, endY,
+                edge.start.x, edge.start.y, edge.end.x, edge.end.y
+            );
+            if (intersection) {
+                const distance = Math.sqrt((intersection.x - x) * (intersection.x - x) + (intersection.y - y) * (intersection.y - y));
+                if (!exit || distance > exit.distance) {
+                    exit = { x: intersection.x, y: intersection.y, edge, distance };
+                }
+            }
         }
 
-        return null;
+        return exit;
+    }
+
+    /**
+     * Distance along a ray to where it leaves the mirror (0 if it never crosses it)
+     */
+    findExitDistance(x, y, vx, vy, mirrorId) {
+        const exit = this.findExit(x, y, vx, vy, mirrorId);
+        return exit ? exit.distance : 0;
     }
 
     /**
@@ -225,7 +270,7 @@ export class CollisionSystem {
         let minDistance = Infinity;
 
         for (const edge of boundary.edges) {
-            const distance = this.distancePointToLineSegment(laser.x, laser.y, edge.start, edge.end);
+            const distance = distancePointToLineSegment(laser.x, laser.y, edge.start, edge.end);
             if (distance < minDistance) {
                 minDistance = distance;
                 closestEdge = edge;
@@ -253,29 +298,7 @@ export class CollisionSystem {
             return;
         }
 
-        const edgeNormalized = {
-            x: edgeVector.x / edgeLength,
-            y: edgeVector.y / edgeLength
-        };
-
-        // Calculate perpendicular normal (rotate edge 90 degrees counterclockwise)
-        // We have two possible normals - need to pick the one the laser is coming FROM
-        let normal = {
-            x: -edgeNormalized.y,
-            y: edgeNormalized.x
-        };
-
-        // Check if normal points toward the incoming laser
-        // The normal should point in the direction the laser came from
-        // If dot product of (incoming direction) and normal is negative, flip the normal
-        const incomingDot = laser.vx * normal.x + laser.vy * normal.y;
-
-        // If incoming velocity and normal point in same direction, flip normal
-        // We want the normal to point TOWARD the incoming laser (opposite of velocity)
-        if (incomingDot > 0) {
-            normal.x = -normal.x;
-            normal.y = -normal.y;
-        }
+        const normal = incomingEdgeNormal(laser.vx, laser.vy, edgeVector, edgeLength);
 
         // Apply reflection formula: v' = v - 2(v·n)n
         const dotProduct = laser.vx * normal.x + laser.vy * normal.y;
@@ -298,8 +321,8 @@ export class CollisionSystem {
         let minDistance = Infinity;
 
         for (const edge of boundary.edges) {
-            const point = this.closestPointOnLineSegment(laser.x, laser.y, edge.start, edge.end);
-            const distance = Math.sqrt((laser.x - point.x) ** 2 + (laser.y - point.y) ** 2);
+            const point = closestPointOnLineSegment(laser.x, laser.y, edge.start, edge.end);
+            const distance = Math.sqrt((laser.x - point.x) * (laser.x - point.x) + (laser.y - point.y) * (laser.y - point.y));
 
             if (distance < minDistance) {
                 minDistance = distance;
@@ -326,158 +349,19 @@ export class CollisionSystem {
         }
     }
 
-    // ===== UTILITY METHODS =====
-
+    /**
+     * Turn a laser onto the nearest CONFIG.ANGLE_INCREMENT direction at its own
+     * speed, with the game's trig
+     */
     snapLaserAngle(laser) {
-        const currentAngle = Math.atan2(laser.vy, laser.vx);
+        const currentAngle = this.physics.atan2(laser.vy, laser.vx);
         const degrees = currentAngle * 180 / Math.PI;
         const snappedDegrees = Math.round(degrees / CONFIG.ANGLE_INCREMENT) * CONFIG.ANGLE_INCREMENT;
         const snappedAngle = snappedDegrees * Math.PI / 180;
 
-        laser.vx = Math.cos(snappedAngle) * CONFIG.LASER_SPEED;
-        laser.vy = Math.sin(snappedAngle) * CONFIG.LASER_SPEED;
+        // Each laser keeps its own (profile) speed through every bounce
+        const speed = laser.speed ?? CONFIG.LASER_SPEED;
+        laser.vx = this.physics.cos(snappedAngle) * speed;
+        laser.vy = this.physics.sin(snappedAngle) * speed;
     }
-
-    pointInPolygon(x, y, points) {
-        let inside = false;
-        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
-            if (((points[i].y > y) !== (points[j].y > y)) &&
-                (x < (points[j].x - points[i].x) * (y - points[i].y) / (points[j].y - points[i].y) + points[i].x)) {
-                inside = !inside;
-            }
-        }
-        return inside;
-    }
-
-    polygonsOverlap(points1, points2) {
-        // Simple bounding box check first
-        const bounds1 = this.getBounds(points1);
-        const bounds2 = this.getBounds(points2);
-
-        // For placement, use strict inequality (exclude borders)
-        if (bounds1.right < bounds2.left || bounds2.right < bounds1.left ||
-            bounds1.bottom < bounds2.top || bounds2.bottom < bounds1.top) {
-            return false;
-        }
-
-        // More precise SAT test if bounding boxes overlap
-        return this.separatingAxisTheorem(points1, points2);
-    }
-
-    getBounds(points) {
-        const xs = points.map(p => p.x);
-        const ys = points.map(p => p.y);
-        return {
-            left: Math.min(...xs),
-            right: Math.max(...xs),
-            top: Math.min(...ys),
-            bottom: Math.max(...ys)
-        };
-    }
-
-    separatingAxisTheorem(points1, points2) {
-        const polygons = [points1, points2];
-
-        for (let p = 0; p < 2; p++) {
-            const polygon = polygons[p];
-
-            for (let i = 0; i < polygon.length; i++) {
-                const p1 = polygon[i];
-                const p2 = polygon[(i + 1) % polygon.length];
-
-                // Calculate normal (perpendicular) to the edge
-                const normal = { x: p2.y - p1.y, y: p1.x - p2.x };
-
-                // Project both polygons onto this axis
-                const proj1 = this.projectPolygon(points1, normal);
-                const proj2 = this.projectPolygon(points2, normal);
-
-                // Check for separation
-                if (proj1.max < proj2.min || proj2.max < proj1.min) {
-                    return false; // Separating axis found
-                }
-            }
-        }
-
-        return true; // No separating axis found, polygons overlap
-    }
-
-    projectPolygon(points, axis) {
-        let min = Infinity;
-        let max = -Infinity;
-
-        for (const point of points) {
-            const dot = point.x * axis.x + point.y * axis.y;
-            min = Math.min(min, dot);
-            max = Math.max(max, dot);
-        }
-
-        return { min, max };
-    }
-
-    distancePointToLineSegment(px, py, start, end) {
-        const A = px - start.x;
-        const B = py - start.y;
-        const C = end.x - start.x;
-        const D = end.y - start.y;
-
-        const dot = A * C + B * D;
-        const lenSq = C * C + D * D;
-        let param = -1;
-
-        if (lenSq !== 0) param = dot / lenSq;
-
-        let xx, yy;
-
-        if (param < 0) {
-            xx = start.x;
-            yy = start.y;
-        } else if (param > 1) {
-            xx = end.x;
-            yy = end.y;
-        } else {
-            xx = start.x + param * C;
-            yy = start.y + param * D;
-        }
-
-        const dx = px - xx;
-        const dy = py - yy;
-        return Math.sqrt(dx * dx + dy * dy);
-    }
-
-    closestPointOnLineSegment(px, py, start, end) {
-        const A = px - start.x;
-        const B = py - start.y;
-        const C = end.x - start.x;
-        const D = end.y - start.y;
-
-        const dot = A * C + B * D;
-        const lenSq = C * C + D * D;
-        let param = -1;
-
-        if (lenSq !== 0) param = dot / lenSq;
-
-        if (param < 0) {
-            return { x: start.x, y: start.y };
-        } else if (param > 1) {
-            return { x: end.x, y: end.y };
-        } else {
-            return {
-                x: start.x + param * C,
-                y: start.y + param * D
-            };
-        }
-    }
-
-    rotatePoints(points, centerX, centerY, angleDegrees) {
-        const angle = angleDegrees * Math.PI / 180;
-        const cos = Math.cos(angle);
-        const sin = Math.sin(angle);
-
-        return points.map(point => ({
-            x: centerX + (point.x - centerX) * cos - (point.y - centerY) * sin,
-            y: centerY + (point.x - centerX) * sin + (point.y - centerY) * cos
-        }));
-    }
-
-}
\ No newline at end of file
+}
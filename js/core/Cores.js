@@ -0,0 +1,84 @@
+/**
+ * Cores - the targets a puzzle defends (DOM-free).
+ *
+ * A puzzle may define several cores: { x, y, radius, hp, weight }. Each laser
+ * that reaches a standing core is spent on it and takes one hit point; at zero
+ * the core falls and lasers pass over its wreck. The run ends when the last core
+ * falls. A puzzle without `cores` gets the classic single core at the center,
+ * which falls to the first hit, so older boards score exactly as before.
+ *
+ * Scoring ('lastCore' by default): survival time until the last core falls.
+ * 'weighted' instead averages each core's own survival time by its weight, so
+ * losing a heavy core early costs more than losing a light one.
+ */
+import { activeRuleset } from './Ruleset.js';
+
+export const SCORING_MODES = ['lastCore', 'weighted'];
+
+/**
+ * The classic single core at the center of the board, as big as `ruleset`
+ * (see Ruleset.js; default the current rules) makes both.
+ */
+export function defaultCores(ruleset = activeRuleset()) {
+    return [{
+        x: ruleset.CANVAS_WIDTH / 2,
+        y: ruleset.CANVAS_HEIGHT / 2,
+        radius: ruleset.TARGET_RADIUS,
+        hp: 1,
+        weight: 1
+    }];
+}
+
+/**
+ * Fill in defaults for a puzzle's core list (missing/empty -> defaultCores()),
+ * under `ruleset` (default the current rules).
+ */
+export function normalizeCores(cores, ruleset = activeRuleset()) {
+    if (!Array.isArray(cores) || cores.length === 0) return defaultCores(ruleset);
+    return cores.map(core => ({
+        x: core.x,
+        y: core.y,
+        radius: core.radius ?? ruleset.TARGET_RADIUS,
+        hp: core.hp ?? 1,
+        weight: core.weight ?? 1
+    }));
+}
+
+/**
+ * Radius of the mirror-free zone around a core: the center core's
+ * CORE_EXCLUSION_RADIUS, scaled to the core's own hit radius.
+ */
+export function coreExclusionRadius(core, ruleset = activeRuleset()) {
+    return core.radius + ruleset.CORE_EXCLUSION_RADIUS - ruleset.TARGET_RADIUS;
+}
+
+/**
+ * Live per-run state: each core plus its remaining hit points and the time it
+ * fell (null while standing).
+ */
+export function createCoreStates(cores, ruleset = activeRuleset()) {
+    return normalizeCores(cores, ruleset).map(core => ({ ...core, hpLeft: core.hp, fallenAt: null }));
+}
+
+/**
+ * Record `time` as the fall time of any core that has just run out of hit points.
+ */
+export function stampFallenCores(coreStates, time) {
+    for (const core of coreStates) {
+        if (core.hpLeft <= 0 && core.fallenAt === null) core.fallenAt = time;
+    }
+}
+
+/**
+ * Score a finished run. Cores still standing count as surviving to `maxTime`.
+ */
+export function scoreCores(coreStates, maxTime, scoring = 'lastCore') {
+    const survival = coreStates.map(core => (core.fallenAt === null ? maxTime : core.fallenAt));
+
+    if (scoring === 'weighted') {
+        const totalWeight = coreStates.reduce((sum, core) => sum + core.weight, 0);
+        const weighted = coreStates.reduce((sum, core, i) => sum + core.weight * survival[i], 0);
+        return totalWeight > 0 ? weighted / totalWeight : maxTime;
+    }
+    return Math.max(...survival);
+}
@@ -0,0 +1,167 @@
+/**
+ * Determinism - checks that a run plays out bit-for-bit the same everywhere (DOM-free).
+ *
+ * Ranked scores rest on the browser and the Cloud Function computing the same
+ * floating point. To catch the day they don't, every physics step can be boiled
+ * down to a digest: an 8-hex-digit hash of the exact bits of every laser's
+ * position and velocity and every core's hit points. Two runs agree on a step
+ * exactly when their digests match, so comparing digest lists finds the first
+ * step where they part ways.
+ *
+ *   StepTrace        records a run's digests (pass `trace.onStep` as the
+ *                    simulation's onStep); digest() boils the whole run down
+ *                    to one, and toString() packs them all for sending
+ *   DivergenceCheck  replays a run against recorded digests and keeps the
+ *                    first step that differs, with the lasers as they stood
+ *   checkGolden      re-runs a frozen board (tests/fixtures/golden-runs.json)
+ *                    against its recorded score and digests
+ */
+import { simulateSurvivalTime } from './Simulation.js';
+
+const DIGEST_LENGTH = 8; // hex digits per step
+
+const bits = new DataView(new ArrayBuffer(8));
+
+// FNV-1a over the two 32-bit halves of a float64, little-endian on every platform
+function mix(hash, value) {
+    bits.setFloat64(0, value, true);
+    hash = Math.imul(hash ^ bits.getUint32(0, true), 16777619);
+    return Math.imul(hash ^ bits.getUint32(4, true), 16777619);
+}
+
+/**
+ * Digest of the state after a physics step.
+ */
+export function stepDigest(lasers, cores) {
+    let hash = mix(2166136261, lasers.length);
+    for (const laser of lasers) {
+        hash = mix(hash, laser.x);
+        hash = mix(hash, laser.y);
+        hash = mix(hash, laser.vx);
+        hash = mix(hash, laser.vy);
+    }
+    for (const core of cores) {
+        hash = mix(hash, core.hpLeft);
+    }
+    return (hash >>> 0).toString(16).padStart(DIGEST_LENGTH, '0');
+}
+
+/**
+ * Where every laser is, for a divergence report.
+ */
+function describeLasers(lasers) {
+    return lasers.map(laser => ({ id: laser.id, x: laser.x, y: laser.y, vx: laser.vx, vy: laser.vy }));
+}
+
+/**
+ * Records the digest of every step of a run.
+ */
+export class StepTrace {
+    constructor() {
+        this.digests = [];
+        this.onStep = ({ lasers, handler }) => this.record(lasers, handler);
+    }
+
+    record(lasers, handler) {
+        this.digests.push(stepDigest(lasers, handler.cores));
+    }
+
+    /**
+     * One digest of the whole run: two runs agree on every step exactly when
+     * (barring a hash collision) their run digests match.
+     */
+    digest() {
+        let hash = 2166136261;
+        for (const digest of this.digests) {
+            hash = Math.imul(hash ^ parseInt(digest, 16), 16777619);
+        }
+        hash = Math.imul(hash ^ this.digests.length, 16777619);
+        return (hash >>> 0).toString(16).padStart(DIGEST_LENGTH, '0');
+    }
+
+    /**
+     * The digests packed into one string, first step first.
+     */
+    toString() {
+        return this.digests.join('');
+    }
+
+    /**
+     * Unpack a toString() result. Returns null if it isn't one.
+     */
+    static parse(text) {
+        if (typeof text !== 'string' || text.length % DIGEST_LENGTH !== 0 || !/^[0-9a-f]*$/.test(text)) {
+            return null;
+        }
+        const digests = [];
+        for (let i = 0; i < text.length; i += DIGEST_LENGTH) {
+            digests.push(text.slice(i, i + DIGEST_LENGTH));
+        }
+        return digests;
+    }
+}
+
+/**
+ * Compares a run, step by step, with the digests another run recorded. Pass
+ * `check.onStep` as the simulation's onStep, then read result().
+ */
+export class DivergenceCheck {
+    constructor(expected) {
+        this.expected = expected;
+        this.steps = 0;
+        this.divergence = null;
+        this.onStep = ({ lasers, handler }) => this.check(lasers, handler);
+    }
+
+    check(lasers, handler) {
+        const expected = this.expected[this.steps] ?? null;
+        this.steps++;
+        if (this.divergence) return;
+        const actual = stepDigest(lasers, handler.cores);
+        if (actual !== expected) {
+            this.divergence = { step: handler.step, expected, actual, lasers: describeLasers(lasers) };
+        }
+    }
+
+    /**
+     * The first step the runs disagree on - { step, expected, actual, lasers },
+     * `lasers` as this run had them after it - or null if they agree throughout.
+     * A run that ends before the recorded one disagrees on the step after its
+     * last (with `actual` null).
+     */
+    result() {
+        if (!this.divergence && this.steps < this.expected.length) {
+            return { step: this.steps + 1, expected: this.expected[this.steps], actual: null, lasers: [] };
+        }
+        return this.divergence;
+    }
+}
+
+/**
+ * Re-run a golden fixture - { name, mirrors, spawners, options, score, trace } -
+ * and compare it with what was recorded. Returns { name, ok, score,
+ * expectedScore, steps, divergence } (divergence as DivergenceCheck.result()).
+ */
+export function checkGolden(fixture) {
+    const check = new DivergenceCheck(StepTrace.parse(fixture.trace) || []);
+    const score = simulateSurvivalTime(fixture.mirrors, fixture.spawners, { ...fixture.options, onStep: check.onStep });
+    const divergence = check.result();
+    return {
+        name: fixture.name,
+        ok: divergence === null && score === fixture.score,
+        score,
+        expectedScore: fixture.score,
+        steps: check.steps,
+        divergence
+    };
+}
+
+/**
+ * Record a fixture's score and digests from this runtime (to create or refresh
+ * the golden corpus).
+ */
+export function recordGolden(fixture) {
+    const trace = new StepTrace();
+    const score = simulateSurvivalTime(fixture.mirrors, fixture.spawners, { ...fixture.options, onStep: trace.onStep });
+    return { ...fixture, score, steps: trace.digests.length, trace: trace.toString() };
+}
@@ -0,0 +1,70 @@
+/**
+ * Difficulty - rating boards by how long the AI survives them (DOM-free).
+ *
+ * A board's difficulty is measured, not estimated: the AI optimizer
+ * (ai/policy.mjs) defends it for a fixed budget, and the longest survival it
+ * finds is put on the same 1-10 scale the dailies have always shown - 1 for a
+ * board it holds to the cap, 10 for one it can't hold for a second. The scale
+ * is logarithmic, since going from 2s to 4s is as big a step for a player as
+ * going from 60s to 120s. ai/difficulty.mjs does the measuring; this module is
+ * only the scale and the dailies' weekly curve, so the game, the server and the
+ * tools all read a rating the same way.
+ *
+ * Dailies follow WEEKLY_CURVE, easiest on Monday and hardest on Sunday. The
+ * rated dailies are chosen ahead of time (ai/rate-dailies.mjs writes them to
+ * js/validation/DailyRatings.js), because a rating takes seconds of simulation
+ * and every player must get the same board.
+ */
+import { CONFIG } from '../config.js';
+
+// Target difficulty per day of the week, Monday first
+export const WEEKLY_CURVE = [3, 4, 5, 6, 7, 8, 9];
+
+// How far off its day's target a daily may be rated
+export const DAILY_TOLERANCE = 1;
+
+/**
+ * The difficulty (1.0 - 10.0, to a tenth) of a board on which the best
+ * survival found is `seconds`.
+ */
+export function difficultyFromSurvival(seconds) {
+    const fraction = Math.log(Math.max(seconds, 1)) / Math.log(CONFIG.MAX_GAME_TIME);
+    const difficulty = 10 - 9 * Math.min(fraction, 1);
+    return Math.round(difficulty * 10) / 10;
+}
+
+/**
+ * The survival in seconds that rates `difficulty` - the inverse of
+ * difficultyFromSurvival, for turning a difficulty range into a survival band.
+ */
+export function survivalForDifficulty(difficulty) {
+    const clamped = Math.max(1, Math.min(10, difficulty));
+    return Math.exp((10 - clamped) / 9 * Math.log(CONFIG.MAX_GAME_TIME));
+}
+
+/**
+ * The target for the daily on `date` (YYYY-MM-DD): its day's difficulty, and
+ * the band of best-found survival times, [min, max] seconds, that rate within
+ * DAILY_TOLERANCE of it. The weekday is worked out from the date string alone,
+ * so it is the same in every timezone, as the day's board is.
+ */
+export function dailyTarget(date) {
+    const difficulty = WEEKLY_CURVE[(weekday(date) + 6) % 7];
+    return {
+        difficulty,
+        band: [survivalForDifficulty(difficulty + DAILY_TOLERANCE), survivalForDifficulty(difficulty - DAILY_TOLERANCE)],
+    };
+}
+
+// Day of the week of a YYYY-MM-DD date, 0 for Sunday (Sakamoto's method)
+function weekday(date) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+    const [year, month, day] = match ? match.slice(1).map(Number) : [];
+    const monthDays = [31, year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+    if (!match || month < 1 || month > 12 || day < 1 || day > monthDays[month - 1]) {
+        throw new Error(`Invalid date: ${date}`);
+    }
+    const y = month < 3 ? year - 1 : year;
+    const offsets = [0, 3, 2, 5, 0, 3, 5, 1, 4, 6, 2, 4];
+    return (y + Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) + offsets[month - 1] + day) % 7;
+}
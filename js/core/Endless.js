@@ -0,0 +1,37 @@
+/**
+ * Endless - survival past the time cap (DOM-free).
+ *
+ * An endless board (puzzle mode 'endless') is a main-game board whose run
+ * doesn't stop at CONFIG.MAX_GAME_TIME. From the cap on, a new spawner joins
+ * every CONFIG.ENDLESS_JOIN_INTERVAL seconds and fires one shot, so the field
+ * keeps filling up until a core falls. The new spawners are ordinary delayed
+ * spawners in the puzzle's list (see SpawnerWaves.js), issued with the board,
+ * so the live game, replays and verification all fire them on the same step.
+ *
+ * The run still has a ceiling, CONFIG.ENDLESS_MAX_TIME: surviving to it scores
+ * it, like surviving to the cap does on a main board. It is what keeps
+ * verification bounded - a submitted endless run is never simulated for more
+ * than ENDLESS_MAX_TIME / PHYSICS_DT steps (108,000 at 30 minutes), six times a
+ * main run - so raise it only alongside the scoring function's time budget.
+ */
+import { activeRuleset } from './Ruleset.js';
+
+/**
+ * Seconds a run of a puzzle in `mode` lasts at most (and scores if survived)
+ * under `ruleset` (see Ruleset.js; default the current rules).
+ */
+export function timeCap(mode, ruleset = activeRuleset()) {
+    return mode === 'endless' ? ruleset.ENDLESS_MAX_TIME : ruleset.MAX_GAME_TIME;
+}
+
+/**
+ * When each endless spawner joins, in seconds: at the cap, then every
+ * ENDLESS_JOIN_INTERVAL seconds before the ceiling.
+ */
+export function joinTimes(ruleset = activeRuleset()) {
+    const times = [];
+    for (let t = ruleset.MAX_GAME_TIME; t < ruleset.ENDLESS_MAX_TIME; t += ruleset.ENDLESS_JOIN_INTERVAL) {
+        times.push(t);
+    }
+    return times;
+}
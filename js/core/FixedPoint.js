@@ -0,0 +1,103 @@
+/**
+ * FixedPoint - grid rounding and table-driven trig for the fixed-point physics
+ * backend (DOM-free; see PhysicsBackends.js).
+ *
+ * JavaScript pins down + - * / and Math.sqrt to the correctly rounded IEEE-754
+ * result, but leaves Math.sin, Math.cos and Math.atan2 (and **) to each engine,
+ * which may change them between releases. Nothing here calls them:
+ *
+ *   - Lengths live on a grid of 1 / GRID_SCALE px. A gridded value is an integer
+ *     count of grid units; it is kept divided back into pixels so the rest of the
+ *     physics reads it unchanged, which is exact (GRID_SCALE is a power of two).
+ *   - Sines come from a table of TABLE_STEPS_PER_DEGREE entries per degree,
+ *     stored as integers scaled by TRIG_SCALE and built once from a Taylor
+ *     series using plain arithmetic. Between entries values are interpolated
+ *     linearly, and atan2 searches the same table.
+ */
+export const GRID_SCALE = 65536; // grid units per pixel
+export const TRIG_SCALE = 1073741824; // 2^30: table value of sin = 1
+export const TABLE_STEPS_PER_DEGREE = 16;
+
+const QUARTER = 90 * TABLE_STEPS_PER_DEGREE;
+const TURN = 4 * QUARTER;
+
+// sin of every table step in the first quadrant, 0 to 90 degrees inclusive
+const QUARTER_SINES = buildQuarterSines();
+
+function buildQuarterSines() {
+    const table = new Int32Array(QUARTER + 1);
+    for (let i = 0; i <= QUARTER; i++) {
+        const x = (i / TABLE_STEPS_PER_DEGREE) * Math.PI / 180;
+        // x - x^3/3! + x^5/5! - ... ; at x <= pi/2 the terms are below 1e-20 by n = 27
+        let term = x;
+        let sum = x;
+        for (let n = 3; n <= 27; n += 2) {
+            term = -term * x * x / ((n - 1) * n);
+            sum += term;
+        }
+        table[i] = Math.round(sum * TRIG_SCALE);
+    }
+    return table;
+}
+
+/**
+ * Round a length (px) onto the grid.
+ */
+export function toGrid(value) {
+    return Math.round(value * GRID_SCALE) / GRID_SCALE;
+}
+
+// Table sin of a whole table step (any integer), scaled by TRIG_SCALE
+function tableSin(step) {
+    const s = ((step % TURN) + TURN) % TURN;
+    if (s <= QUARTER) return QUARTER_SINES[s];
+    if (s <= 2 * QUARTER) return QUARTER_SINES[2 * QUARTER - s];
+    if (s <= 3 * QUARTER) return -QUARTER_SINES[s - 2 * QUARTER];
+    return -QUARTER_SINES[TURN - s];
+}
+
+/**
+ * sin of an angle in degrees.
+ */
+export function sinDeg(degrees) {
+    const steps = degrees * TABLE_STEPS_PER_DEGREE;
+    const step = Math.floor(steps);
+    const a = tableSin(step);
+    const b = tableSin(step + 1);
+    return (a + (b - a) * (steps - step)) / TRIG_SCALE;
+}
+
+/**
+ * cos of an angle in degrees.
+ */
+export function cosDeg(degrees) {
+    return sinDeg(degrees + 90);
+}
+
+/**
+ * Angle in degrees of the direction (x, y), in (-180, 180] like Math.atan2.
+ */
+export function atan2Deg(y, x) {
+    if (y === 0) return x < 0 ? 180 : 0;
+    // Below the x axis, mirror it up and negate the answer
+    if (y < 0) return -upperAngle(-y, x);
+    return upperAngle(y, x);
+}
+
+// Angle of (x, y) with y > 0, so 0 to 180 degrees: across that half turn the
+// table directions sweep anticlockwise past it exactly once, so the last one it
+// is still anticlockwise of can be found by bisection
+function upperAngle(y, x) {
+    const past = (step) => tableSin(step + QUARTER) * y - tableSin(step) * x; // >= 0 once (x, y) is at or past the step
+    let low = 0;
+    let high = 2 * QUARTER;
+    while (high - low > 1) {
+        const mid = (low + high) >> 1;
+        if (past(mid) >= 0) low = mid;
+        else high = mid;
+    }
+    // Interpolate between the two table directions either side of it
+    const before = past(low);
+    const after = past(high);
+    return (low + before / (before - after)) / TABLE_STEPS_PER_DEGREE;
+}
@@ -7,37 +7,125 @@
  *
  * The client may only MOVE and ROTATE the issued mirrors — it cannot add, remove,
  * or resize them (the inventory is fixed by the server), and every placement must
- * be legal (on the board, out of the protected center, non-overlapping). Anything
+ * be legal (on the board, clear of every core, non-overlapping). Anything
  * else is rejected. This runs identically in the browser and on the server.
  */
 import { CONFIG } from '../config.js';
-import { simulateSurvivalTime, createMirrorFromConfig } from './Simulation.js';
+import { simulateSurvivalTime, createMirrorFromConfig, LASER_INTERACTIONS } from './Simulation.js';
 import { SimpleValidator } from '../validation/SimpleValidator.js';
+import { MirrorPlacementValidation } from '../validation/MirrorPlacementValidation.js';
+import { SCORING_MODES } from './Cores.js';
+import { SpawnerWaves } from './SpawnerWaves.js';
+import { validateTerrain } from './Terrain.js';
+import { validateBoard } from './Board.js';
+import { PHYSICS_VERSIONS } from './PhysicsBackends.js';
+import { validateRuleset, createRuleset, withRuleset } from './Ruleset.js';
+import { parsePuzzleFile } from './PuzzleFile.js';
 
 /**
- * @param {Object} puzzle    { mode, mirrorInventory: [{shape,size,width,height}], spawners: [{x,y,angle}] }
+ * @param {Object} puzzle    { mode: 'main'|'daily'|'endless' (see Endless.js), mirrorInventory: [{shape,size,width,height,material}],
+ *                             spawners: [{x,y,angle,delay?,repeatEvery?,count?,laserProfile?}],
+ *                             cores?: [{x,y,radius,hp,weight}], scoring?: 'lastCore'|'weighted',
+ *                             walls?: [{x1,y1,x2,y2,material}], blockedCells?: [{col,row}],
+ *                             board?: { outline: [{x,y}] } (see Board.js; missing = the canvas),
+ *                             laserInteraction?: 'none'|'annihilate',
+ *                             physicsVersion?: 1|2 (see PhysicsBackends.js; missing = 1),
+ *                             ruleset?: the rules it was issued under (see Ruleset.js;
+ *                                       missing = the current ones) }
  * @param {Array}  placements [{ x, y, rotation }] — same length/order as mirrorInventory
+ * @param {Object} [options]  { observer, onStep } — hear the scoring run's events (see
+ *                            SimulationEvents.js) and see it after every step (see Determinism.js)
  * @returns {{ valid: boolean, score?: number, reason?: string }}
  */
-export function verifyGame(puzzle, placements) {
+export function verifyGame(puzzle, placements, options = {}) {
+    // Placement, caps and scoring all go by the puzzle's own rules
+    const rules = (puzzle && puzzle.ruleset) ?? null;
+    if (rules !== null) {
+        const ruleCheck = validateRuleset(rules);
+        if (!ruleCheck.valid) {
+            return { valid: false, reason: ruleCheck.reason };
+        }
+    }
+    return withRuleset(rules && createRuleset(rules), () => verifyUnderRules(puzzle, placements, options));
+}
+
+/**
+ * Verify the solution in a puzzle file (see PuzzleFile.js) - the object, its
+ * JSON text or its string form: verifyGame on the puzzle and placements it
+ * holds. A file without placements has nothing to verify.
+ */
+export function verifyPuzzleFile(input, options = {}) {
+    const file = parsePuzzleFile(input);
+    if (!file.valid) {
+        return { valid: false, reason: file.reason };
+    }
+    if (!file.placements) {
+        return { valid: false, reason: 'The puzzle file has no placements to verify' };
+    }
+    return verifyGame(file.puzzle, file.placements, options);
+}
+
+function verifyUnderRules(puzzle, placements, { observer, onStep }) {
     const inventory = (puzzle && puzzle.mirrorInventory) || [];
     const spawners = (puzzle && puzzle.spawners) || [];
+    const cores = puzzle && puzzle.cores;
+    const scoring = (puzzle && puzzle.scoring) || 'lastCore';
+    const walls = puzzle && puzzle.walls;
+    const blockedCells = puzzle && puzzle.blockedCells;
+    const board = (puzzle && puzzle.board) ?? null;
+    const laserInteraction = (puzzle && puzzle.laserInteraction) || 'none';
+    const physicsVersion = (puzzle && puzzle.physicsVersion) ?? 1;
+    const mode = puzzle && puzzle.mode;
+
+    if (!SCORING_MODES.includes(scoring)) {
+        return { valid: false, reason: `Unknown scoring mode: ${scoring}` };
+    }
+    if (!LASER_INTERACTIONS.includes(laserInteraction)) {
+        return { valid: false, reason: `Unknown laser interaction: ${laserInteraction}` };
+    }
+    if (!PHYSICS_VERSIONS.includes(physicsVersion)) {
+        return { valid: false, reason: `Unknown physics version: ${physicsVersion}` };
+    }
+    const waveCheck = SpawnerWaves.validate(spawners, mode);
+    if (!waveCheck.valid) {
+        return { valid: false, reason: waveCheck.reason };
+    }
+    for (const spawner of spawners) {
+        if (spawner.laserProfile !== undefined && !Object.hasOwn(CONFIG.LASER_PROFILES, spawner.laserProfile)) {
+            return { valid: false, reason: `Unknown laser profile: ${spawner.laserProfile}` };
+        }
+    }
+    const terrainCheck = validateTerrain(walls, blockedCells);
+    if (!terrainCheck.valid) {
+        return { valid: false, reason: terrainCheck.reason };
+    }
+    const boardCheck = validateBoard(board, cores, spawners);
+    if (!boardCheck.valid) {
+        return { valid: false, reason: boardCheck.reason };
+    }
 
     // The submission must move exactly the mirrors that were issued — no more, no fewer.
     if (!Array.isArray(placements) || placements.length !== inventory.length) {
         return { valid: false, reason: 'Placement count does not match the issued mirrors' };
     }
 
-    // Rebuild each mirror from the SERVER-issued shape/size + the CLIENT-supplied transform.
+    // Rebuild each mirror from the SERVER-issued shape/dimensions/material + the
+    // CLIENT-supplied transform.
     const mirrorConfigs = inventory.map((inv, i) => ({
         shape: inv.shape,
         size: inv.size,
         width: inv.width,
         height: inv.height,
+        topWidth: inv.topWidth,
+        skew: inv.skew,
+        material: inv.material,
+        refractiveIndex: inv.refractiveIndex,
+        portalPair: inv.portalPair,
+        motion: inv.motion,
         x: placements[i].x,
         y: placements[i].y,
         rotation: placements[i].rotation || 0,
-        isDailyChallenge: puzzle.mode === 'daily',
+        isDailyChallenge: mode === 'daily',
     }));
 
     // Guard against non-finite / garbage transforms before building geometry.
@@ -47,9 +135,27 @@ export function verifyGame(puzzle, placements) {
         }
     }
 
-    const mirrors = mirrorConfigs.map(createMirrorFromConfig);
+    const mirrors = mirrorConfigs.map(config => createMirrorFromConfig(config));
 
-    // Every placement must be on the board, clear of forbidden zones, and non-overlapping.
+    // Keep mirrors out of THIS puzzle's core zones, walls and blocked cells, and
+    // inside its board.
+    SimpleValidator.ensureInitialized();
+    const placementCheck = MirrorPlacementValidation.withPuzzle({ cores, walls, blockedCells, board }, () => checkPlacements(mirrors));
+    if (!placementCheck.valid) {
+        return placementCheck;
+    }
+
+    // Recompute the authoritative survival time from the verified board. An
+    // endless run is bounded by CONFIG.ENDLESS_MAX_TIME, however long it holds.
+    const score = simulateSurvivalTime(mirrorConfigs, spawners, {
+        cores, scoring, walls, board, laserInteraction, physicsVersion, endless: mode === 'endless', observer, onStep
+    });
+    return { valid: true, score };
+}
+
+// Every placement must be on the board, clear of forbidden zones, and
+// non-overlapping, and the portals must pair up.
+function checkPlacements(mirrors) {
     for (let i = 0; i < mirrors.length; i++) {
         for (const v of mirrors[i].vertices) {
             if (v.x < 0 || v.x > CONFIG.CANVAS_WIDTH || v.y < 0 || v.y > CONFIG.CANVAS_HEIGHT) {
@@ -63,7 +169,9 @@ export function verifyGame(puzzle, placements) {
         }
     }
 
-    // Recompute the authoritative survival time from the verified board.
-    const score = simulateSurvivalTime(mirrorConfigs, spawners);
-    return { valid: true, score };
+    const portalCheck = SimpleValidator.validatePortalPairs(mirrors);
+    if (!portalCheck.valid) {
+        return { valid: false, reason: portalCheck.reason };
+    }
+    return { valid: true };
 }
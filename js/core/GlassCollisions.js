@@ -0,0 +1,99 @@
+/**
+ * GlassCollisions - lasers crossing glass blocks (DOM-free).
+ *
+ * A laser hitting glass is bent into the block (Snell's law, the mirror's
+ * refractiveIndex against air's 1), runs straight to the far face and is bent
+ * back out there - or, past the critical angle, reflected inward to cross
+ * again, which counts as a bounce. LaserCollisionHandler calls in here on the
+ * way in and when a laser in transit reaches the far face.
+ */
+import { incomingEdgeNormal } from './SegmentGeometry.js';
+
+/**
+ * Bend a laser crossing an edge from a medium of index n1 into one of index n2
+ * (Snell's law, vector form). Returns false and reflects instead when the angle
+ * is past critical (total internal reflection).
+ */
+export function refractLaserThroughEdge(collisionSystem, laser, edge, n1, n2) {
+    const edgeVector = {
+        x: edge.end.x - edge.start.x,
+        y: edge.end.y - edge.start.y
+    };
+    const edgeLength = Math.sqrt(edgeVector.x * edgeVector.x + edgeVector.y * edgeVector.y);
+    const speed = Math.sqrt(laser.vx * laser.vx + laser.vy * laser.vy);
+    if (edgeLength === 0 || speed === 0) {
+        return true; // Nothing to bend - carry straight on
+    }
+
+    const normal = incomingEdgeNormal(laser.vx, laser.vy, edgeVector, edgeLength);
+    const dirX = laser.vx / speed;
+    const dirY = laser.vy / speed;
+
+    const cosIncident = -(dirX * normal.x + dirY * normal.y);
+    const eta = n1 / n2;
+    const k = 1 - eta * eta * (1 - cosIncident * cosIncident);
+    if (k < 0) {
+        collisionSystem.reflectLaserOffEdge(laser, edge);
+        return false;
+    }
+
+    // t = eta * d + (eta * cos(i) - cos(t)) * n
+    const factor = eta * cosIncident - Math.sqrt(k);
+    laser.vx = eta * dirX + factor * normal.x;
+    laser.vy = eta * dirY + factor * normal.y;
+
+    // Same angle grid (and speed reset) as a reflection
+    collisionSystem.snapLaserAngle(laser);
+    return true;
+}
+
+/**
+ * Start a laser's straight run through a glass block from its current point,
+ * remembering where (and across which face) it will reach the far side.
+ */
+export function enterGlass(handler, laser, mirror, mirrorId) {
+    const exit = handler.collisionSystem.findExit(laser.x, laser.y, laser.vx, laser.vy, mirrorId);
+    if (!exit) {
+        // Grazed a corner - nothing to cross
+        laser.transitMirror = null;
+        laser.transitExit = null;
+        return;
+    }
+
+    laser.transitMirror = mirror;
+    laser.transitMirrorId = mirrorId;
+    laser.transitDistance = exit.distance;
+    laser.transitExit = exit;
+}
+
+/**
+ * A laser inside glass has reached the far face: bend it back out into the
+ * air, or - past the critical angle - reflect it inward to cross again.
+ */
+export function exitGlass(handler, laser) {
+    const mirror = laser.transitMirror;
+    const exit = laser.transitExit;
+
+    laser.x = exit.x;
+    laser.y = exit.y;
+
+    if (refractLaserThroughEdge(handler.collisionSystem, laser, exit.edge, mirror.refractiveIndex, 1)) {
+        laser.transitMirror = null;
+        laser.transitExit = null;
+        // Don't let the block catch the beam again on its way out
+        laser.reflectionCooldown = 5;
+        laser.lastReflectedMirror = mirror;
+        return;
+    }
+
+    // Total internal reflection counts as a bounce, so trapped light still dies out
+    laser.totalReflections++;
+    if (laser.totalReflections >= laser.maxReflections) {
+        laser.transitMirror = null;
+        laser.transitExit = null;
+        handler.retire(laser);
+        return;
+    }
+    laser.speedUp();
+    enterGlass(handler, laser, mirror, laser.transitMirrorId);
+}
@@ -1,19 +1,145 @@
 import { CONFIG } from '../config.js';
+import { checkLaserMirrorCollision } from './MirrorCollisions.js';
+import { handleCollision } from './MirrorHits.js';
+import { linkPortalPartners } from './PortalCollisions.js';
+import { checkWallCollisions } from './WallCollisions.js';
+import { exitGlass } from './GlassCollisions.js';
+import { createCoreStates } from './Cores.js';
+import { MirrorMotion } from './MirrorMotion.js';
+import { normalizeWalls } from './Terrain.js';
+import { normalizeBoard, outlineCrossing, insideBoard } from './Board.js';
+import { physicsBackend } from './PhysicsBackends.js';
+import { activeRuleset } from './Ruleset.js';
 
 /**
  * Handles laser collision detection and reflection using the centralized collision system
+ *
+ * It keeps each game's collision state - cores, walls, portal pairs, moving
+ * mirrors, the split-beam budget - and runs a laser's move against it. What a
+ * hit does lives with its feature: MirrorCollisions.js and MirrorHits.js (and,
+ * from there, PortalCollisions.js, GlassCollisions.js and
+ * MaterialCollisions.js), WallCollisions.js, and Annihilation.js for lasers
+ * meeting each other.
  */
 export class LaserCollisionHandler {
     constructor(collisionSystem) {
         this.collisionSystem = collisionSystem;
         this.mirrorIds = [];
+        this.spawnedLasers = [];
+        this.ruleset = activeRuleset(); // the rules its game is played by (see Ruleset.js)
+        this.splitBeamsRemaining = this.ruleset.MAX_SPLIT_BEAMS;
+        this.portalPartners = new Map(); // portal mirror -> { mirror, id } of its partner
+        this.cores = createCoreStates(); // live core state (see Cores.js)
+        this.motion = null; // moving mirrors of the current game (see MirrorMotion.js)
+        this.walls = []; // the puzzle's fixed walls (see Terrain.js)
+        this.board = null; // the puzzle's board outline (null = the canvas; see Board.js)
+        this.laserInteraction = 'none'; // laser-vs-laser rule (see Simulation.js)
+        this.annihilations = []; // crossings cancelled since the last take
+        this.observer = null; // event listener, if any (see SimulationEvents.js)
+        this.step = 0; // physics steps taken this game, for events
+        this.physics = physicsBackend(1); // the game's physics backend (see PhysicsBackends.js)
     }
 
     /**
      * Initialize with mirror IDs for collision checking
+     * Also resets the beam-splitter budget, links portal pairs, restores every
+     * core's hit points (cores: the puzzle's core list, default the single center
+     * core), starts any moving mirrors from where they stand and sets up the
+     * puzzle's walls (default none), laser-vs-laser rule (default 'none'),
+     * physics version (default 1), board (default the plain canvas) and rules
+     * (default the current ones), so call once per game.
      */
-    initialize(mirrors) {
+    initialize(mirrors, cores, walls, laserInteraction = 'none', physicsVersion = 1, board = null, ruleset = activeRuleset()) {
         this.mirrorIds = mirrors.map((_, index) => `mirror_${index}`);
+        this.ruleset = ruleset;
+        this.spawnedLasers = [];
+        this.laserInteraction = laserInteraction;
+        this.physics = physicsBackend(physicsVersion);
+        this.collisionSystem.physics = this.physics;
+        if (this.physics.gridded) {
+            // Re-pose every mirror on the grid before any laser meets it
+            mirrors.forEach((mirror, index) => {
+                this.physics.poseMirror(mirror);
+                this.collisionSystem.refreshCollisionBoundary(mirror, this.mirrorIds[index], index);
+            });
+        }
+        this.annihilations = [];
+        this.step = 0;
+        this.splitBeamsRemaining = ruleset.MAX_SPLIT_BEAMS;
+
+        this.portalPartners = linkPortalPartners(mirrors, this.mirrorIds);
+
+        this.cores = createCoreStates(cores, ruleset);
+        this.motion = new MirrorMotion(mirrors, this.collisionSystem, CONFIG.PHYSICS_DT, this.physics);
+        this.walls = normalizeWalls(walls);
+        this.board = normalizeBoard(board);
+    }
+
+    /**
+     * Report this handler's events to `observer` (null to stop). Survives
+     * initialize, so a subscriber hears every game until it unsubscribes.
+     */
+    setObserver(observer) {
+        this.observer = observer || null;
+    }
+
+    /**
+     * Start the next physics step: count it and move any moving mirrors.
+     */
+    beginStep() {
+        this.step++;
+        this.moveMirrors();
+    }
+
+    /**
+     * Report lasers[from...] as having just joined the run ('wave' shots or
+     * 'split' beams). The caller says when, since it is the one appending them.
+     */
+    reportSpawns(lasers, from, source) {
+        if (!this.observer) return;
+        for (let i = from; i < lasers.length; i++) {
+            const laser = lasers[i];
+            this.observer({ type: 'spawn', step: this.step, laser: laser.id, x: laser.x, y: laser.y, source });
+        }
+    }
+
+    /**
+     * Move any sliding/spinning mirrors to their pose for the coming physics step.
+     */
+    moveMirrors() {
+        if (this.motion) {
+            this.motion.advance();
+        }
+    }
+
+    /**
+     * Put any sliding/spinning mirrors back where they were placed, once the
+     * run is over, so the board is the one the player set up.
+     */
+    restoreMirrors() {
+        if (this.motion) {
+            this.motion.reset();
+        }
+    }
+
+    /**
+     * Hand over (and clear) the lasers spawned by splitters since the last call.
+     * The caller appends them to its laser list so they move from the next step.
+     */
+    takeSpawnedLasers() {
+        const spawned = this.spawnedLasers;
+        this.spawnedLasers = [];
+        return spawned;
+    }
+
+    /**
+     * Hand over (and clear) the laser crossings cancelled since the last call,
+     * as [{ a, b, x, y }], for the live game's burst effect.
+     */
+    takeAnnihilations() {
+        const annihilations = this.annihilations;
+        this.annihilations = [];
+        return annihilations;
     }
 
     /**
@@ -26,157 +152,150 @@ export class LaserCollisionHandler {
             return false;
         }
 
-        // Check collision with each mirror
-        for (let i = 0; i < mirrors.length; i++) {
-            const mirrorId = `mirror_${i}`;
+        // A beam passing through a mirror ignores it until it has covered the
+        // distance to the far side, where a glass block bends it back out.
+        if (laser.transitMirror && laser.prevX !== undefined) {
+            const dx = laser.x - laser.prevX;
+            const dy = laser.y - laser.prevY;
+            laser.transitDistance -= Math.sqrt(dx * dx + dy * dy);
+            if (laser.transitDistance <= 0) {
+                if (laser.transitExit) {
+                    exitGlass(this, laser);
+                } else {
+                    laser.transitMirror = null;
+                }
+            }
+        }
+
+        // Check collision with each mirror the move could have reached, in order
+        let near = this.collisionSystem.mirrorsNear(laser);
+        for (let n = 0; n < near.length; n++) {
+            const i = near[n];
+            const mirrorId = this.mirrorIds[i];
             const mirror = mirrors[i];
 
+            if (laser.transitMirror === mirror) {
+                continue;
+            }
+
             // Skip if laser is in cooldown with this specific mirror
             if (laser.reflectionCooldown > 0 && laser.lastReflectedMirror === mirror) {
                 continue;
             }
 
             // Check for collision
-            if (this.checkLaserMirrorCollision(laser, mirrorId)) {
+            const { x, y } = laser;
+            if (checkLaserMirrorCollision(this, laser, mirrorId)) {
                 // Handle collision
-                this.handleCollision(laser, mirror, mirrorId);
+                handleCollision(this, laser, mirror, mirrorId);
                 return true; // Only one collision per frame
             }
+
+            // An emergency escape moved the laser: the rest of the mirrors it can
+            // reach are the ones near where it is now
+            if (laser.x !== x || laser.y !== y) {
+                near = this.collisionSystem.mirrorsNear(laser).filter(index => index > i);
+                n = -1;
+            }
         }
 
-        return false;
+        return checkWallCollisions(this, laser);
     }
 
     /**
-     * Check if laser collides with a specific mirror
-     * Uses line-segment intersection for precise collision detection
+     * Remove a laser that hit an absorber (`source`: { mirror } or { wall }, by
+     * index, for the event). Uses the same off-board parking spot as the
+     * max-reflection cutoff, so isOutOfBounds drops it this step.
      */
-    checkLaserMirrorCollision(laser, mirrorId) {
-        // Use previous position for continuous collision detection
-        if (laser.prevX !== undefined && laser.prevY !== undefined) {
-            const wasInside = this.collisionSystem.checkLaserMirrorCollision(
-                { x: laser.prevX, y: laser.prevY }, mirrorId
-            );
-            const isInside = this.collisionSystem.checkLaserMirrorCollision(laser, mirrorId);
-
-            // CASE 1: Laser entered mirror (was outside, now inside)
-            if (!wasInside && isInside) {
-                return true;
-            }
-
-            // CASE 2: Laser crossed an edge (line-segment intersection)
-            // This catches cases where laser moves fast and might skip over thin mirrors
-            if (!wasInside && !isInside) {
-                const crossedEdge = this.collisionSystem.checkLineSegmentCrossesEdge(
-                    laser.prevX, laser.prevY, laser.x, laser.y, mirrorId
-                );
-                if (crossedEdge) {
-                    return true;
-                }
-            }
-
-            // CASE 3: Emergency escape if laser gets stuck inside
-            if (wasInside && isInside && laser.reflectionCooldown === 0) {
-                this.emergencyEscape(laser, mirrorId);
-                return false;
-            }
-        } else {
-            // Fallback for first frame (no previous position yet)
-            return this.collisionSystem.checkLaserMirrorCollision(laser, mirrorId);
-        }
-
-        return false;
+    absorb(laser, source) {
+        this.observer?.({ type: 'absorb', step: this.step, laser: laser.id, ...source, x: laser.x, y: laser.y });
+        laser.x = -100;
+        laser.y = -100;
     }
 
     /**
-     * Handle collision between laser and mirror
+     * Remove a laser that has used up its bounces (the max-reflection cutoff),
+     * parking it off the board so isOutOfBounds drops it this step.
      */
-    handleCollision(laser, mirror, mirrorId) {
-        // STEP 1: Find the exact intersection point on the mirror edge
-        // This is critical for accurate reflections
-        const intersectionData = this.collisionSystem.findExactIntersection(
-            laser.prevX, laser.prevY, laser.x, laser.y, mirrorId
-        );
-
-        if (intersectionData) {
-            // Place laser at exact intersection point
-            laser.x = intersectionData.x;
-            laser.y = intersectionData.y;
+    retire(laser) {
+        this.observer?.({ type: 'maxReflections', step: this.step, laser: laser.id, x: laser.x, y: laser.y });
+        laser.x = -100;
+        laser.y = -100;
+    }
 
-            // Reflect off the edge that was hit
-            this.collisionSystem.reflectLaserOffEdge(laser, intersectionData.edge);
-        } else {
-            // Fallback: Move laser to nearest edge and find collision edge
-            this.collisionSystem.moveLaserToEdge(laser, mirrorId);
+    /**
+     * Let a laser carry straight on through a mirror, ignoring it until it has
+     * crossed to the far side.
+     */
+    passThrough(laser, mirror, mirrorId) {
+        laser.transitMirror = mirror;
+        laser.transitDistance = this.collisionSystem.findExitDistance(
+            laser.x, laser.y, laser.vx, laser.vy, mirrorId
+        ) + 1;
+    }
 
-            const collisionEdge = this.collisionSystem.findCollisionEdge(laser, mirrorId);
+    /**
+     * Check collision with the cores: returns the standing core the laser has
+     * reached, or null
+     */
+    checkTargetCollision(laser) {
+        for (const core of this.cores) {
+            if (core.hpLeft <= 0) continue; // fallen cores no longer stop lasers
 
-            if (collisionEdge) {
-                this.collisionSystem.reflectLaserOffEdge(laser, collisionEdge);
-            } else {
-                // Last resort: use mirror's built-in reflect (handles its own bookkeeping)
-                laser.reflect(mirror);
-                return;
+            const dx = laser.x - core.x;
+            const dy = laser.y - core.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance <= core.radius) {
+                return core;
             }
         }
-
-        // Update laser state (only for the direct reflectLaserOffEdge paths above)
-        laser.reflectionCooldown = 5;
-        laser.lastReflectedMirror = mirror;
-        laser.totalReflections++;
-
-        // Check for max reflections
-        if (laser.totalReflections >= laser.maxReflections) {
-            laser.x = -100;
-            laser.y = -100;
-        }
+        return null;
     }
 
     /**
-     * Emergency escape for stuck lasers
+     * Take one hit point off a core. Returns true once every core has fallen.
      */
-    emergencyEscape(laser, mirrorId) {
-        // Emergency escape for stuck laser
-
-        // Try to move laser out of mirror
-        this.collisionSystem.moveLaserToEdge(laser, mirrorId);
-
-        // If still stuck, move in direction opposite to velocity
-        if (this.collisionSystem.checkLaserMirrorCollision(laser, mirrorId)) {
-            const escapeDistance = 5;
-            const speed = Math.sqrt(laser.vx * laser.vx + laser.vy * laser.vy);
-            if (speed < 0.001) return;
-            const normalizedVx = laser.vx / speed;
-            const normalizedVy = laser.vy / speed;
-
-            laser.x -= normalizedVx * escapeDistance;
-            laser.y -= normalizedVy * escapeDistance;
-        }
-
-        // Set brief cooldown to prevent immediate re-collision
-        laser.reflectionCooldown = 3;
+    damageCore(core) {
+        core.hpLeft--;
+        return this.cores.every(c => c.hpLeft <= 0);
     }
 
     /**
-     * Check collision with center target
+     * Bounce a laser off the board's outline if its last move crossed it on the
+     * way out (boards with an outline only; see Board.js). Like Laser.update at
+     * the canvas sides, it is left just inside, and the bounce neither counts
+     * toward its reflection limit nor speeds it up. Returns true if it bounced.
      */
-    checkTargetCollision(laser) {
-        const centerX = CONFIG.CANVAS_WIDTH / 2;
-        const centerY = CONFIG.CANVAS_HEIGHT / 2;
-        const targetRadius = CONFIG.TARGET_RADIUS;
-
-        const distance = Math.sqrt(
-            (laser.x - centerX) ** 2 + (laser.y - centerY) ** 2
-        );
+    bounceOffOutline(laser) {
+        if (!this.board || laser.prevX === undefined) {
+            return false;
+        }
+        const hit = outlineCrossing(this.board, laser.prevX, laser.prevY, laser.x, laser.y);
+        if (!hit) {
+            return false;
+        }
 
-        return distance <= targetRadius;
+        const edge = this.board.edges[hit.edge];
+        this.collisionSystem.reflectLaserOffEdge(laser, edge.edge);
+        laser.x = hit.x + edge.nx;
+        laser.y = hit.y + edge.ny;
+        if (!insideBoard(this.board, laser.x, laser.y)) {
+            // In a corner, a step in off one edge can land past the next
+            laser.x = laser.prevX;
+            laser.y = laser.prevY;
+        }
+        this.observer?.({ type: 'edge', step: this.step, laser: laser.id, side: 'outline', edge: hit.edge, x: laser.x, y: laser.y });
+        return true;
     }
 
     /**
-     * Check if laser is out of bounds
+     * Check if laser is out of bounds (off the canvas, or outside the board's outline)
      */
     isOutOfBounds(laser) {
-        return laser.x < 0 || laser.x > CONFIG.CANVAS_WIDTH ||
-               laser.y < 0 || laser.y > CONFIG.CANVAS_HEIGHT;
+        if (laser.x < 0 || laser.x > this.ruleset.CANVAS_WIDTH ||
+            laser.y < 0 || laser.y > this.ruleset.CANVAS_HEIGHT) {
+            return true;
+        }
+        return this.board !== null && !insideBoard(this.board, laser.x, laser.y);
     }
 }
\ No newline at end of file
@@ -0,0 +1,66 @@
+/**
+ * MaterialCollisions - what one-way and splitter mirrors do to a laser
+ * (DOM-free).
+ *
+ * LaserCollisionHandler finds the face a laser hit and calls in here: a
+ * one-way mirror only reflects off the front of its mirrored face, and a
+ * splitter reflects the beam and sends a copy on through. Glass is
+ * GlassCollisions.js, portals PortalCollisions.js; absorbers just take the
+ * laser (LaserCollisionHandler.absorb).
+ */
+import { Laser } from '../classes/Laser.js';
+
+/**
+ * Whether a laser hit a one-way mirror's mirrored face (its first edge) from
+ * the outside, i.e. travelling against that face's outward normal.
+ */
+export function hitsMirroredFace(handler, laser, mirror, mirrorId, edge) {
+    if (handler.collisionSystem.getEdgeIndex(mirrorId, edge) !== 0) {
+        return false;
+    }
+
+    // Orient the face normal away from the vertex centroid (always inside a convex shape)
+    const vertices = mirror.vertices;
+    const centroidX = vertices.reduce((sum, v) => sum + v.x, 0) / vertices.length;
+    const centroidY = vertices.reduce((sum, v) => sum + v.y, 0) / vertices.length;
+    let normalX = -(edge.end.y - edge.start.y);
+    let normalY = edge.end.x - edge.start.x;
+    const midX = (edge.start.x + edge.end.x) / 2;
+    const midY = (edge.start.y + edge.end.y) / 2;
+    if ((midX - centroidX) * normalX + (midY - centroidY) * normalY < 0) {
+        normalX = -normalX;
+        normalY = -normalY;
+    }
+
+    return laser.vx * normalX + laser.vy * normalY < 0;
+}
+
+/**
+ * Spawn the transmitted half of a split: a new laser at the hit point, keeping
+ * the incoming direction, that travels through the splitter and out the far
+ * side. Spawns stop once the per-game budget is spent, after which a splitter
+ * behaves like a plain mirror.
+ */
+export function splitBeam(handler, laser, mirror, mirrorId, vx, vy) {
+    if (handler.splitBeamsRemaining <= 0) {
+        return;
+    }
+    handler.splitBeamsRemaining--;
+
+    const beam = new Laser(laser.x, laser.y, Math.atan2(vy, vx), laser.profile, handler.ruleset);
+    beam.id = `${laser.id}.${++laser.splitCount}`;
+    beam.vx = vx;
+    beam.vy = vy;
+    beam.speed = laser.speed;
+    beam.prevX = laser.x;
+    beam.prevY = laser.y;
+    beam.isDailyChallenge = laser.isDailyChallenge;
+    // Share the parent's bounce count so a split lineage can't bounce forever
+    beam.totalReflections = laser.totalReflections;
+    beam.transitMirror = mirror;
+    beam.transitDistance = handler.collisionSystem.findExitDistance(
+        laser.x, laser.y, vx, vy, mirrorId
+    ) + 1;
+
+    handler.spawnedLasers.push(beam);
+}
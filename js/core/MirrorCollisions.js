@@ -0,0 +1,77 @@
+/**
+ * MirrorCollisions - whether a laser's move hit a mirror (DOM-free).
+ *
+ * LaserCollisionHandler runs each mirror a move could have reached through
+ * checkLaserMirrorCollision and hands the first hit to MirrorHits.js. A laser
+ * found stuck inside a mirror is pushed back out instead.
+ */
+
+/**
+ * Check if laser collides with a specific mirror
+ * Uses line-segment intersection for precise collision detection
+ */
+export function checkLaserMirrorCollision(handler, laser, mirrorId) {
+    // Use previous position for continuous collision detection
+    if (laser.prevX !== undefined && laser.prevY !== undefined) {
+        const wasInside = handler.collisionSystem.checkLaserMirrorCollision(
+            { x: laser.prevX, y: laser.prevY }, mirrorId
+        );
+        const isInside = handler.collisionSystem.checkLaserMirrorCollision(laser, mirrorId);
+
+        // CASE 1: Laser entered mirror (was outside, now inside)
+        if (!wasInside && isInside) {
+            return true;
+        }
+
+        // CASE 2: Laser crossed an edge (line-segment intersection)
+        // This catches cases where laser moves fast and might skip over thin mirrors
+        if (!wasInside && !isInside) {
+            const crossedEdge = handler.collisionSystem.checkLineSegmentCrossesEdge(
+                laser.prevX, laser.prevY, laser.x, laser.y, mirrorId
+            );
+            if (crossedEdge) {
+                return true;
+            }
+        }
+
+        // CASE 3: Emergency escape if laser gets stuck inside
+        if (wasInside && isInside && laser.reflectionCooldown === 0) {
+            emergencyEscape(handler, laser, mirrorId);
+            return false;
+        }
+    } else {
+        // Fallback for first frame (no previous position yet)
+        return handler.collisionSystem.checkLaserMirrorCollision(laser, mirrorId);
+    }
+
+    return false;
+}
+
+/**
+ * Emergency escape for stuck lasers
+ */
+function emergencyEscape(handler, laser, mirrorId) {
+    // Emergency escape for stuck laser
+
+    // Try to move laser out of mirror
+    handler.collisionSystem.moveLaserToEdge(laser, mirrorId);
+
+    // If still stuck, move in direction opposite to velocity
+    if (handler.collisionSystem.checkLaserMirrorCollision(laser, mirrorId)) {
+        const escapeDistance = 5;
+        const speed = Math.sqrt(laser.vx * laser.vx + laser.vy * laser.vy);
+        if (speed < 0.001) return;
+        const normalizedVx = laser.vx / speed;
+        const normalizedVy = laser.vy / speed;
+
+        laser.x -= normalizedVx * escapeDistance;
+        laser.y -= normalizedVy * escapeDistance;
+    }
+
+    // Set brief cooldown to prevent immediate re-collision
+    laser.reflectionCooldown = 3;
+    handler.observer?.({
+        type: 'escape', step: handler.step, laser: laser.id,
+        mirror: handler.mirrorIds.indexOf(mirrorId), x: laser.x, y: laser.y
+    });
+}
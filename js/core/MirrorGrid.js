@@ -0,0 +1,146 @@
+/**
+ * MirrorGrid - uniform-grid broad phase for laser-vs-mirror checks (DOM-free).
+ *
+ * The board is cut into square cells CONFIG.BROAD_PHASE_CELL px across, and every
+ * mirror is listed in each cell its bounding box touches. A laser's move then only
+ * needs the exact collision tests (see CollisionSystem.js) against the mirrors
+ * listed in the cells its path's box touches, and of those only the ones whose
+ * boxes it overlaps.
+ *
+ * Every exact test a move can pass needs its path to reach the mirror, so this
+ * only ever drops mirrors the full scan would have found nothing on. Candidates
+ * come back in mirror index order - the order the full scan tests them in - so
+ * the first mirror hit, and with it the score, is the same.
+ */
+import { CONFIG } from '../config.js';
+import { activeRuleset } from './Ruleset.js';
+
+const MARGIN = 1; // px added around every mirror's box, far beyond any float rounding
+
+export class MirrorGrid {
+    /**
+     * Cells `cellSize` px across, covering the board `ruleset` sizes (default
+     * the current rules; see Ruleset.js).
+     */
+    constructor(cellSize = CONFIG.BROAD_PHASE_CELL, ruleset = activeRuleset()) {
+        this.cellSize = cellSize;
+        this.cols = Math.ceil(ruleset.CANVAS_WIDTH / cellSize);
+        this.rows = Math.ceil(ruleset.CANVAS_HEIGHT / cellSize);
+        this.cells = Array.from({ length: this.cols * this.rows }, () => []); // mirror indices, ascending
+        this.boxes = []; // mirror index -> { left, top, right, bottom, cells }
+        this.listed = []; // every listed mirror index, ascending
+        this.stamps = []; // mirror index -> the last query that saw it
+        this.query = 0;
+    }
+
+    clear() {
+        for (const cell of this.cells) cell.length = 0;
+        this.boxes = [];
+        this.listed = [];
+        this.stamps = [];
+    }
+
+    /**
+     * List (or re-list, after it moved) mirror `index` by its corners.
+     */
+    update(index, points) {
+        if (this.boxes[index]) {
+            this.unlist(index);
+        } else {
+            insertSorted(this.listed, index);
+        }
+
+        let left = Infinity;
+        let top = Infinity;
+        let right = -Infinity;
+        let bottom = -Infinity;
+        for (const p of points) {
+            if (p.x < left) left = p.x;
+            if (p.x > right) right = p.x;
+            if (p.y < top) top = p.y;
+            if (p.y > bottom) bottom = p.y;
+        }
+        const box = { left: left - MARGIN, top: top - MARGIN, right: right + MARGIN, bottom: bottom + MARGIN, cells: [] };
+
+        for (let row = this.row(box.top); row <= this.row(box.bottom); row++) {
+            for (let col = this.col(box.left); col <= this.col(box.right); col++) {
+                const cell = row * this.cols + col;
+                insertSorted(this.cells[cell], index);
+                box.cells.push(cell);
+            }
+        }
+        this.boxes[index] = box;
+        this.stamps[index] = 0;
+    }
+
+    /**
+     * Indices, ascending, of the mirrors whose boxes overlap the box of the
+     * segment (x1, y1)-(x2, y2).
+     */
+    near(x1, y1, x2, y2) {
+        const left = Math.min(x1, x2);
+        const right = Math.max(x1, x2);
+        const top = Math.min(y1, y2);
+        const bottom = Math.max(y1, y2);
+        const firstCol = this.col(left);
+        const lastCol = this.col(right);
+        const firstRow = this.row(top);
+        const lastRow = this.row(bottom);
+
+        const found = [];
+        // Most moves stay inside one cell, whose list is already in order
+        if (firstCol === lastCol && firstRow === lastRow) {
+            for (const index of this.cells[firstRow * this.cols + firstCol]) {
+                if (this.overlaps(index, left, top, right, bottom)) found.push(index);
+            }
+            return found;
+        }
+
+        // A mirror can be listed in several of the cells; take it once
+        const query = ++this.query;
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let col = firstCol; col <= lastCol; col++) {
+                for (const index of this.cells[row * this.cols + col]) {
+                    if (this.stamps[index] === query) continue;
+                    this.stamps[index] = query;
+                    if (this.overlaps(index, left, top, right, bottom)) found.push(index);
+                }
+            }
+        }
+        return found.sort((a, b) => a - b);
+    }
+
+    /**
+     * Every listed mirror index, ascending (the full scan).
+     */
+    all() {
+        return this.listed;
+    }
+
+    overlaps(index, left, top, right, bottom) {
+        const box = this.boxes[index];
+        return box.left <= right && box.right >= left && box.top <= bottom && box.bottom >= top;
+    }
+
+    unlist(index) {
+        for (const cell of this.boxes[index].cells) {
+            const list = this.cells[cell];
+            list.splice(list.indexOf(index), 1);
+        }
+    }
+
+    // Cell column/row of a coordinate; anything off the board falls in the edge cells
+    col(x) {
+        return Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.cellSize)));
+    }
+
+    row(y) {
+        return Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)));
+    }
+}
+
+function insertSorted(list, value) {
+    let at = list.length;
+    while (at > 0 && list[at - 1] > value) at--;
+    list.splice(at, 0, value);
+}
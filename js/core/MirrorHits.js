@@ -0,0 +1,99 @@
+/**
+ * MirrorHits - what a laser hitting a mirror does (DOM-free).
+ *
+ * handleCollision puts the laser on the face it crossed and reflects it, or
+ * lets the mirror's material take over: absorbers swallow it, portals send it
+ * out of their partner (PortalCollisions.js), glass bends it through
+ * (GlassCollisions.js), one-way and splitter mirrors pass it or a copy of it
+ * (MaterialCollisions.js). MirrorCollisions.js finds the hit.
+ */
+import { teleport } from './PortalCollisions.js';
+import { refractLaserThroughEdge, enterGlass } from './GlassCollisions.js';
+import { hitsMirroredFace, splitBeam } from './MaterialCollisions.js';
+
+/**
+ * Handle collision between laser and mirror
+ */
+export function handleCollision(handler, laser, mirror, mirrorId) {
+    // Incoming direction, for the beam a splitter lets through
+    const incomingVx = laser.vx;
+    const incomingVy = laser.vy;
+
+    // STEP 1: Find the exact intersection point on the mirror edge
+    // This is critical for accurate reflections
+    const intersectionData = handler.collisionSystem.findExactIntersection(
+        laser.prevX, laser.prevY, laser.x, laser.y, mirrorId
+    );
+
+    let hitEdge;
+    if (intersectionData) {
+        // Place laser at exact intersection point
+        laser.x = intersectionData.x;
+        laser.y = intersectionData.y;
+        hitEdge = intersectionData.edge;
+    } else {
+        // Fallback: Move laser to nearest edge and find collision edge
+        handler.collisionSystem.moveLaserToEdge(laser, mirrorId);
+        hitEdge = handler.collisionSystem.findCollisionEdge(laser, mirrorId);
+    }
+
+    // Absorbers swallow the laser wherever it lands
+    if (mirror.material === 'absorber') {
+        handler.absorb(laser, { mirror: handler.mirrorIds.indexOf(mirrorId) });
+        return;
+    }
+
+    if (!hitEdge) {
+        // Last resort: use mirror's built-in reflect (handles its own bookkeeping)
+        laser.reflect(mirror);
+        // ...which aims with Math's trig; re-aim with the grid backend's own
+        if (handler.physics.gridded) handler.collisionSystem.snapLaserAngle(laser);
+        return;
+    }
+
+    // Portals send the laser out of their partner (an unpaired portal just reflects)
+    if (mirror.material === 'portal' && handler.portalPartners.has(mirror)) {
+        teleport(handler, laser, mirror, handler.portalPartners.get(mirror));
+        return;
+    }
+
+    // Glass bends the laser into the block instead of mirroring it
+    if (mirror.material === 'glass') {
+        refractLaserThroughEdge(handler.collisionSystem, laser, hitEdge, 1, mirror.refractiveIndex);
+        enterGlass(handler, laser, mirror, mirrorId);
+        return;
+    }
+
+    // One-way mirrors only reflect off the front of their mirrored face
+    if (mirror.material === 'oneWay' && !hitsMirroredFace(handler, laser, mirror, mirrorId, hitEdge)) {
+        handler.passThrough(laser, mirror, mirrorId);
+        return;
+    }
+
+    // Reflect off the edge that was hit
+    const hitX = laser.x;
+    const hitY = laser.y;
+    handler.collisionSystem.reflectLaserOffEdge(laser, hitEdge);
+    handler.observer?.({
+        type: 'reflect', step: handler.step, laser: laser.id,
+        mirror: handler.mirrorIds.indexOf(mirrorId),
+        edge: handler.collisionSystem.getEdgeIndex(mirrorId, hitEdge),
+        x: hitX, y: hitY
+    });
+
+    // Update laser state (only for the direct reflectLaserOffEdge paths above)
+    laser.reflectionCooldown = 5;
+    laser.lastReflectedMirror = mirror;
+    laser.totalReflections++;
+
+    // Check for max reflections
+    if (laser.totalReflections >= laser.maxReflections) {
+        handler.retire(laser);
+        return;
+    }
+
+    if (mirror.material === 'splitter') {
+        splitBeam(handler, laser, mirror, mirrorId, incomingVx, incomingVy);
+    }
+    laser.speedUp();
+}
@@ -0,0 +1,142 @@
+/**
+ * MirrorMotion - mirrors that slide or spin while lasers are in flight (DOM-free).
+ *
+ * A mirror may carry a `motion`:
+ *   { type: 'rail', dx, dy, period }  slides at a steady speed from where it was
+ *                                     placed to (x + dx, y + dy) and back, once
+ *                                     every `period` seconds
+ *   { type: 'spin', rate }            turns about its center at `rate` degrees per
+ *                                     second (negative = anticlockwise)
+ * Mirrors without motion stay put, so static boards play exactly as before.
+ *
+ * A moving mirror's pose is a pure function of the physics step (time = step * dt,
+ * never an accumulated float), so the live game, replays and server verification
+ * see every mirror in the same place on every step.
+ */
+import { CONFIG } from '../config.js';
+import { physicsBackend } from './PhysicsBackends.js';
+
+export const MOTION_TYPES = ['rail', 'spin'];
+
+const SWEEP_STEP = 5; // px between the rail poses sweepPoses checks
+
+/**
+ * Pose ({ x, y, rotation }) of a mirror placed at `base` after `time` seconds of
+ * its motion.
+ */
+export function motionPose(base, motion, time) {
+    if (motion.type === 'rail') {
+        // Out along the rail over the first half of the period, back over the second
+        const phase = (time / motion.period) % 1;
+        const along = phase < 0.5 ? phase * 2 : 2 - phase * 2;
+        return {
+            x: base.x + motion.dx * along,
+            y: base.y + motion.dy * along,
+            rotation: base.rotation
+        };
+    }
+    return { x: base.x, y: base.y, rotation: (base.rotation + motion.rate * time) % 360 };
+}
+
+/**
+ * Poses covering every place a mirror placed at `base` can reach: points along
+ * its rail no more than SWEEP_STEP apart, or a full turn in
+ * CONFIG.ANGLE_INCREMENT steps. Used to check the whole path is legal.
+ */
+export function sweepPoses(base, motion) {
+    const poses = [];
+    if (motion.type === 'rail') {
+        const steps = Math.max(1, Math.ceil(Math.hypot(motion.dx, motion.dy) / SWEEP_STEP));
+        for (let i = 0; i <= steps; i++) {
+            poses.push({ x: base.x + motion.dx * i / steps, y: base.y + motion.dy * i / steps, rotation: base.rotation });
+        }
+    } else {
+        for (let turn = 0; turn < 360; turn += CONFIG.ANGLE_INCREMENT) {
+            poses.push({ x: base.x, y: base.y, rotation: (base.rotation + turn) % 360 });
+        }
+    }
+    return poses;
+}
+
+/**
+ * Check a motion's fields (null = a static mirror). Returns { valid, reason }
+ * like the placement validators.
+ */
+export function validateMotion(motion) {
+    if (motion === null || motion === undefined) return { valid: true };
+    if (typeof motion !== 'object') return { valid: false, reason: 'A mirror has an invalid motion' };
+
+    if (motion.type === 'rail') {
+        const length = Math.hypot(motion.dx, motion.dy);
+        if (!Number.isFinite(length) || length === 0 || length > CONFIG.MAX_RAIL_LENGTH) {
+            return { valid: false, reason: 'A mirror has an invalid rail' };
+        }
+        if (!Number.isFinite(motion.period) || motion.period < CONFIG.MIN_MOTION_PERIOD) {
+            return { valid: false, reason: 'A mirror has an invalid rail period' };
+        }
+        return { valid: true };
+    }
+    if (motion.type === 'spin') {
+        if (!Number.isFinite(motion.rate) || motion.rate === 0 || Math.abs(motion.rate) > CONFIG.MAX_SPIN_RATE) {
+            return { valid: false, reason: 'A mirror has an invalid spin rate' };
+        }
+        return { valid: true };
+    }
+    return { valid: false, reason: `Unknown mirror motion: ${motion.type}` };
+}
+
+export class MirrorMotion {
+    /**
+     * Remember where each moving mirror was placed; its motion is measured from
+     * there. `physics` poses the mirrors (see PhysicsBackends.js).
+     */
+    constructor(mirrors, collisionSystem, dt = CONFIG.PHYSICS_DT, physics = physicsBackend(1)) {
+        this.collisionSystem = collisionSystem;
+        this.dt = dt;
+        this.physics = physics;
+        this.tick = 0;
+        this.moving = [];
+        mirrors.forEach((mirror, index) => {
+            if (!mirror.motion) return;
+            this.moving.push({
+                mirror,
+                index,
+                mirrorId: `mirror_${index}`,
+                base: { x: mirror.x, y: mirror.y, rotation: mirror.rotation || 0 }
+            });
+        });
+    }
+
+    /**
+     * Move every moving mirror to its pose for the next physics step and refresh
+     * its collision boundary. Called once at the start of every step.
+     */
+    advance() {
+        this.seek(this.tick + 1);
+    }
+
+    /**
+     * Put every moving mirror back where it was placed, for the end of a run:
+     * the next run measures its motion from where the mirrors then stand.
+     */
+    reset() {
+        this.seek(0);
+    }
+
+    /**
+     * Pose every moving mirror as it stands after `tick` physics steps (0 = where
+     * it was placed). Used to resume a saved run (see SimulationSnapshot.js).
+     */
+    seek(tick) {
+        this.tick = tick;
+        const time = this.tick * this.dt;
+        for (const { mirror, index, mirrorId, base } of this.moving) {
+            const pose = motionPose(base, mirror.motion, time);
+            mirror.x = pose.x;
+            mirror.y = pose.y;
+            mirror.rotation = pose.rotation;
+            this.physics.poseMirror(mirror);
+            this.collisionSystem.refreshCollisionBoundary(mirror, mirrorId, index);
+        }
+    }
+}
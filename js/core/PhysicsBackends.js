@@ -0,0 +1,104 @@
+/**
+ * PhysicsBackends - the number crunching a run is versioned by (DOM-free).
+ *
+ * Every session records the physics version it was issued with, and every
+ * replay of it - live game, rewind, server verifier - runs the backend of that
+ * version, so a score keeps reproducing however the engines running it change.
+ *
+ *   1  'float'  the original physics: doubles throughout, with the engine's own
+ *               Math.sin / Math.cos / Math.atan2. Sessions from before versions
+ *               existed have no version and are scored with this.
+ *   2  'fixed'  lasers' positions and velocities and mirrors' corners kept on an
+ *               integer grid, and every angle turned with table-driven trig (see
+ *               FixedPoint.js), so a run uses only arithmetic JavaScript defines
+ *               exactly. Sessions are issued with this from the day
+ *               CONFIG.PHYSICS_VERSION_FROM on (see physicsVersionOn).
+ *
+ * A backend is the handful of places the physics needs trig or rounding:
+ *   cos(rad), sin(rad), atan2(y, x)  trig in radians, as Math has it
+ *   launch(laser, angle)             aim a freshly fired laser at `angle` (radians)
+ *   poseMirror(mirror)               recompute a mirror's corners from its x, y, rotation
+ *   settle(laser)                    called after every laser move; rounds its state
+ *   gridded                          whether settle rounds anything
+ */
+import { CONFIG } from '../config.js';
+import { toGrid, sinDeg, cosDeg, atan2Deg } from './FixedPoint.js';
+
+export const PHYSICS_VERSIONS = [1, 2];
+
+const FLOAT_PHYSICS = {
+    version: 1,
+    name: 'float',
+    gridded: false,
+    cos: Math.cos,
+    sin: Math.sin,
+    atan2: Math.atan2,
+    launch() {}, // the Laser constructor already aimed it with Math
+    poseMirror(mirror) {
+        mirror.updateVertices();
+    },
+    settle() {}
+};
+
+const FIXED_PHYSICS = {
+    version: 2,
+    name: 'fixed',
+    gridded: true,
+    cos: (radians) => cosDeg(radians * 180 / Math.PI),
+    sin: (radians) => sinDeg(radians * 180 / Math.PI),
+    atan2: (y, x) => atan2Deg(y, x) * Math.PI / 180,
+
+    launch(laser, angle) {
+        laser.vx = FIXED_PHYSICS.cos(angle) * laser.speed;
+        laser.vy = FIXED_PHYSICS.sin(angle) * laser.speed;
+        FIXED_PHYSICS.settle(laser);
+    },
+
+    /**
+     * The mirror's own corners with no rotation (plain arithmetic for every shape;
+     * a hexagon's use engine trig, but only for its six fixed directions, which
+     * the grid rounding absorbs), turned by its rotation with the table.
+     */
+    poseMirror(mirror) {
+        const rotation = mirror.rotation || 0;
+        mirror.rotation = 0;
+        const flat = mirror.calculateVertices();
+        mirror.rotation = rotation;
+
+        const cos = cosDeg(rotation);
+        const sin = sinDeg(rotation);
+        mirror.vertices = flat.map(v => {
+            const dx = toGrid(v.x - mirror.x);
+            const dy = toGrid(v.y - mirror.y);
+            return {
+                x: toGrid(mirror.x + dx * cos - dy * sin),
+                y: toGrid(mirror.y + dx * sin + dy * cos)
+            };
+        });
+    },
+
+    settle(laser) {
+        laser.x = toGrid(laser.x);
+        laser.y = toGrid(laser.y);
+        laser.vx = toGrid(laser.vx);
+        laser.vy = toGrid(laser.vy);
+    }
+};
+
+/**
+ * The physics version boards issued on `date` (YYYY-MM-DD) are played with. A
+ * new version starts at a day's boundary, so no day's daily leaderboard mixes
+ * scores from two versions.
+ */
+export function physicsVersionOn(date) {
+    return date >= CONFIG.PHYSICS_VERSION_FROM ? CONFIG.PHYSICS_VERSION : 1;
+}
+
+/**
+ * The backend for a physics version (missing = 1, the original).
+ */
+export function physicsBackend(version = 1) {
+    if (version === 2) return FIXED_PHYSICS;
+    if (version === 1) return FLOAT_PHYSICS;
+    throw new Error(`Unknown physics version: ${version}`);
+}
@@ -0,0 +1,84 @@
+/**
+ * PolygonGeometry - point-in-polygon and overlap tests for mirror outlines
+ * (DOM-free).
+ *
+ * Plain functions of point lists, with no game state; CollisionSystem runs
+ * them against mirror boundaries. Segment tests are in SegmentGeometry.js.
+ */
+
+export function pointInPolygon(x, y, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        if (((points[i].y > y) !== (points[j].y > y)) &&
+            (x < (points[j].x - points[i].x) * (y - points[i].y) / (points[j].y - points[i].y) + points[i].x)) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+export function polygonsOverlap(points1, points2) {
+    // Simple bounding box check first
+    const bounds1 = getBounds(points1);
+    const bounds2 = getBounds(points2);
+
+    // For placement, use strict inequality (exclude borders)
+    if (bounds1.right < bounds2.left || bounds2.right < bounds1.left ||
+        bounds1.bottom < bounds2.top || bounds2.bottom < bounds1.top) {
+        return false;
+    }
+
+    // More precise SAT test if bounding boxes overlap
+    return separatingAxisTheorem(points1, points2);
+}
+
+function getBounds(points) {
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    return {
+        left: Math.min(...xs),
+        right: Math.max(...xs),
+        top: Math.min(...ys),
+        bottom: Math.max(...ys)
+    };
+}
+
+function separatingAxisTheorem(points1, points2) {
+    const polygons = [points1, points2];
+
+    for (let p = 0; p < 2; p++) {
+        const polygon = polygons[p];
+
+        for (let i = 0; i < polygon.length; i++) {
+            const p1 = polygon[i];
+            const p2 = polygon[(i + 1) % polygon.length];
+
+            // Calculate normal (perpendicular) to the edge
+            const normal = { x: p2.y - p1.y, y: p1.x - p2.x };
+
+            // Project both polygons onto this axis
+            const proj1 = projectPolygon(points1, normal);
+            const proj2 = projectPolygon(points2, normal);
+
+            // Check for separation
+            if (proj1.max < proj2.min || proj2.max < proj1.min) {
+                return false; // Separating axis found
+            }
+        }
+    }
+
+    return true; // No separating axis found, polygons overlap
+}
+
+function projectPolygon(points, axis) {
+    let min = Infinity;
+    let max = -Infinity;
+
+    for (const point of points) {
+        const dot = point.x * axis.x + point.y * axis.y;
+        min = Math.min(min, dot);
+        max = Math.max(max, dot);
+    }
+
+    return { min, max };
+}
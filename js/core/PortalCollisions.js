@@ -0,0 +1,50 @@
+/**
+ * PortalCollisions - lasers entering portal mirrors (DOM-free).
+ *
+ * LaserCollisionHandler links each game's portal pairs once and, when a laser
+ * hits a paired portal, sends it out of the partner; the pairing and the
+ * teleport maths are Portals.js, shared with the laser path preview.
+ */
+import { findPortalPartners, throughPortal } from './Portals.js';
+
+/**
+ * Each paired portal in `mirrors` mapped to its partner, as { mirror, id }
+ * (`mirrorIds`: the collision ids, in the same order).
+ */
+export function linkPortalPartners(mirrors, mirrorIds) {
+    const partners = new Map();
+    for (const [index, partnerIndex] of findPortalPartners(mirrors)) {
+        partners.set(mirrors[index], {
+            mirror: mirrors[partnerIndex],
+            id: mirrorIds[partnerIndex]
+        });
+    }
+    return partners;
+}
+
+/**
+ * Move a laser that entered a portal to the matching point of the partner,
+ * turned by the pair's relative rotation, and send it on through the partner.
+ */
+export function teleport(handler, laser, mirror, partner) {
+    const out = throughPortal(laser.x, laser.y, laser.vx, laser.vy, mirror, partner.mirror, handler.physics);
+    laser.x = out.x;
+    laser.y = out.y;
+    laser.prevX = out.x;
+    laser.prevY = out.y;
+    laser.vx = out.vx;
+    laser.vy = out.vy;
+    handler.collisionSystem.snapLaserAngle(laser);
+
+    // Start a fresh trail so the beam isn't drawn streaking across the board
+    laser.trail = [];
+
+    // A jump counts as a bounce, so facing portals can't loop a laser forever
+    laser.totalReflections++;
+    if (laser.totalReflections >= laser.maxReflections) {
+        handler.retire(laser);
+        return;
+    }
+
+    handler.passThrough(laser, partner.mirror, partner.id);
+}
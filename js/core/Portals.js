@@ -0,0 +1,54 @@
+/**
+ * Portals - pairing and teleport maths for portal mirrors (DOM-free).
+ *
+ * A portal mirror carries material 'portal' and a `portalPair` id; the two
+ * mirrors sharing an id are linked. A laser that enters one portal reappears at
+ * the matching point of its partner, its direction turned by the difference in
+ * the two portals' rotations, and carries on through the partner and out.
+ *
+ * Shared by the simulation (LaserCollisionHandler) and the laser path preview
+ * (GameRenderer), so the preview always shows where a beam really comes out.
+ */
+
+/**
+ * Link portal mirrors into pairs by their `portalPair` id.
+ * Returns Map<index, partnerIndex> covering only complete pairs (exactly two
+ * portals with the same id); unpaired or over-full ids are left out.
+ */
+export function findPortalPartners(mirrors) {
+    const byPair = new Map();
+    mirrors.forEach((mirror, index) => {
+        if (mirror.material !== 'portal') return;
+        if (!byPair.has(mirror.portalPair)) byPair.set(mirror.portalPair, []);
+        byPair.get(mirror.portalPair).push(index);
+    });
+
+    const partners = new Map();
+    for (const indices of byPair.values()) {
+        if (indices.length !== 2) continue;
+        partners.set(indices[0], indices[1]);
+        partners.set(indices[1], indices[0]);
+    }
+    return partners;
+}
+
+/**
+ * Carry a point + direction from one portal to its partner: the point keeps its
+ * position relative to the portal's center, and both are turned by the
+ * difference in rotation (degrees). Returns { x, y, vx, vy }. `trig` supplies
+ * cos and sin: Math, or the game's physics backend (see PhysicsBackends.js).
+ */
+export function throughPortal(x, y, vx, vy, from, to, trig = Math) {
+    const turn = ((to.rotation || 0) - (from.rotation || 0)) * Math.PI / 180;
+    const cos = trig.cos(turn);
+    const sin = trig.sin(turn);
+    const localX = x - from.x;
+    const localY = y - from.y;
+
+    return {
+        x: to.x + localX * cos - localY * sin,
+        y: to.y + localX * sin + localY * cos,
+        vx: vx * cos - vy * sin,
+        vy: vx * sin + vy * cos
+    };
+}
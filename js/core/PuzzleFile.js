@@ -0,0 +1,335 @@
+/**
+ * PuzzleFile - the portable form of a puzzle and, optionally, a solution to it
+ * (DOM-free).
+ *
+ * One versioned format for any board the game can play, wherever it travels -
+ * a download, a paste, the daily archive, the AI tools' output:
+ *
+ *   {
+ *     format: 'reflections-puzzle',
+ *     version: 1,
+ *     puzzle: {
+ *       mode:     'main' | 'daily' | 'endless',
+ *       mirrors:  [{ shape, size, width, height, topWidth?, skew?, material?, refractiveIndex?,
+ *                    portalPair?, motion?, x?, y?, rotation? }],   // x, y, rotation: its layout, if it has one
+ *       spawners: [{ x, y, angle, delay?, repeatEvery?, count?, laserProfile? }],
+ *       ruleset?, physicsVersion?, cores?, scoring?, walls?, blockedCells?, board?,
+ *       laserInteraction?,                                          // as PuzzleGenerator issues them
+ *       seed?, dailyDate?, theme?, difficulty?,                     // where it came from
+ *       certificate?: { score, estimatedBest, placements? }         // how well it can be played
+ *     },
+ *     placements?: [{ x, y, rotation }]                             // a solution: one per mirror, in order
+ *   }
+ *
+ * That is the JSON form. The string form packs the same file into one
+ * base64url token starting "RP1." - short enough to paste into a chat, and
+ * safe in a URL. parsePuzzleFile reads either (or the file as an object) and
+ * gives back the puzzle as PuzzleGenerator issues it, mirrorInventory
+ * included, ready for the game or verifyGame.
+ *
+ * A certificate (see ai/certify.mjs) is the best known solution's score and
+ * an estimate of the most any solution scores, and the solution itself unless
+ * it was withheld, as it is from the dailies players are dealt.
+ *
+ * validatePuzzleFile checks the file is well formed; whether the board is
+ * playable, and what a solution scores, is verifyGame's to say.
+ */
+import { RULES, DEFAULT_RULESET, validateRuleset } from './Ruleset.js';
+import { timeCap } from './Endless.js';
+
+export const FORMAT = 'reflections-puzzle';
+export const VERSION = 1;
+
+// What a compact string starts with: "RP" and the version
+const PREFIX = `RP${VERSION}.`;
+
+const MODES = ['main', 'daily', 'endless'];
+
+// Append-only: the string form names shapes by their place in this list
+const SHAPES = ['square', 'rectangle', 'rightTriangle', 'isoscelesTriangle', 'trapezoid', 'parallelogram', 'hexagon'];
+
+// A mirror's fixed shape beyond its size, as toInventory copies it
+const MIRROR_EXTRAS = ['topWidth', 'skew', 'material', 'refractiveIndex', 'portalPair', 'motion'];
+const SPAWNER_EXTRAS = ['delay', 'repeatEvery', 'count', 'laserProfile'];
+const BOARD_FIELDS = ['cores', 'scoring', 'walls', 'blockedCells', 'board', 'laserInteraction'];
+const SOURCE_FIELDS = ['seed', 'dailyDate', 'theme', 'difficulty', 'certificate'];
+
+/**
+ * The file for a puzzle (as PuzzleGenerator issues it, or one built from a live
+ * board) and, if given, a solution's placements. Its `mirrors` keep their
+ * layout; a puzzle with only a `mirrorInventory` has none. A reflective
+ * mirror's material and a normal spawner's single shot are left out, as
+ * PuzzleGenerator leaves them.
+ */
+export function toPuzzleFile(puzzle, placements = null) {
+    const out = {
+        mode: puzzle.mode || 'main',
+        mirrors: puzzle.mirrors ? puzzle.mirrors.map(m => toMirror(m, true))
+            : puzzle.mirrorInventory.map(m => toMirror(m, false)),
+        spawners: puzzle.spawners.map(toSpawner),
+    };
+    if (puzzle.ruleset) out.ruleset = { ...puzzle.ruleset };
+    if (puzzle.physicsVersion !== undefined) out.physicsVersion = puzzle.physicsVersion;
+    for (const key of [...BOARD_FIELDS, ...SOURCE_FIELDS]) {
+        if (puzzle[key] !== undefined && puzzle[key] !== null) out[key] = copy(puzzle[key]);
+    }
+    if (out.laserInteraction === 'none') delete out.laserInteraction;
+
+    const file = { format: FORMAT, version: VERSION, puzzle: out };
+    if (placements) file.placements = placements.map(p => ({ x: p.x, y: p.y, rotation: p.rotation || 0 }));
+    return file;
+}
+
+/**
+ * Check a puzzle file is well formed: the format and version this reads, a
+ * known mode, mirrors and spawners with the fields they need, and placements
+ * (if any) one per mirror. Returns { valid, reason } like the placement validators.
+ */
+export function validatePuzzleFile(file) {
+    if (!isObject(file) || file.format !== FORMAT) {
+        return { valid: false, reason: 'Not a puzzle file' };
+    }
+    if (file.version !== VERSION) {
+        return { valid: false, reason: `Unsupported puzzle file version: ${file.version}` };
+    }
+    const puzzle = file.puzzle;
+    if (!isObject(puzzle)) {
+        return { valid: false, reason: 'A puzzle file needs a puzzle' };
+    }
+    if (!MODES.includes(puzzle.mode)) {
+        return { valid: false, reason: `Unknown mode: ${puzzle.mode}` };
+    }
+    if (!Array.isArray(puzzle.mirrors) || !Array.isArray(puzzle.spawners)) {
+        return { valid: false, reason: 'A puzzle needs mirrors and spawners' };
+    }
+
+    for (const mirror of puzzle.mirrors) {
+        if (!isObject(mirror) || !SHAPES.includes(mirror.shape)) {
+            return { valid: false, reason: `Unknown mirror shape: ${mirror && mirror.shape}` };
+        }
+        if (![mirror.size, mirror.width, mirror.height].every(v => Number.isFinite(v) && v > 0)) {
+            return { valid: false, reason: 'A mirror has invalid dimensions' };
+        }
+        const layout = ['x', 'y', 'rotation'].filter(key => mirror[key] !== undefined);
+        if (layout.length > 0 && !(layout.length === 3 && finite(mirror, ['x', 'y', 'rotation']))) {
+            return { valid: false, reason: 'A mirror has an invalid layout' };
+        }
+    }
+    for (const spawner of puzzle.spawners) {
+        if (!isObject(spawner) || !finite(spawner, ['x', 'y', 'angle'])) {
+            return { valid: false, reason: 'A spawner has invalid coordinates' };
+        }
+        const schedule = ['delay', 'repeatEvery', 'count'].filter(key => spawner[key] !== undefined);
+        if (!finite(spawner, schedule) || (spawner.laserProfile !== undefined && typeof spawner.laserProfile !== 'string')) {
+            return { valid: false, reason: 'A spawner has an invalid schedule or laser type' };
+        }
+    }
+
+    if (puzzle.physicsVersion !== undefined && !Number.isInteger(puzzle.physicsVersion)) {
+        return { valid: false, reason: 'Invalid physics version' };
+    }
+    if (puzzle.ruleset !== undefined) {
+        const ruleCheck = validateRuleset(puzzle.ruleset);
+        if (!ruleCheck.valid) return ruleCheck;
+    }
+    for (const key of ['cores', 'walls', 'blockedCells']) {
+        if (puzzle[key] !== undefined && !(Array.isArray(puzzle[key]) && puzzle[key].every(isObject))) {
+            return { valid: false, reason: `Invalid ${key}` };
+        }
+    }
+    if (puzzle.board !== undefined && !(isObject(puzzle.board) && Array.isArray(puzzle.board.outline))) {
+        return { valid: false, reason: 'Invalid board' };
+    }
+    for (const key of ['scoring', 'laserInteraction', 'theme']) {
+        if (puzzle[key] !== undefined && typeof puzzle[key] !== 'string') {
+            return { valid: false, reason: `Invalid ${key}` };
+        }
+    }
+    if (puzzle.seed !== undefined && !Number.isInteger(puzzle.seed)) {
+        return { valid: false, reason: 'Invalid seed' };
+    }
+    if (puzzle.dailyDate !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(puzzle.dailyDate)) {
+        return { valid: false, reason: 'Invalid daily date' };
+    }
+    if (puzzle.difficulty !== undefined && !Number.isFinite(puzzle.difficulty)) {
+        return { valid: false, reason: 'Invalid difficulty' };
+    }
+    if (puzzle.certificate !== undefined) {
+        const { certificate } = puzzle;
+        if (!isObject(certificate) || !finite(certificate, ['score', 'estimatedBest'])
+            || certificate.score < 0 || certificate.estimatedBest < certificate.score) {
+            return { valid: false, reason: 'Invalid certificate' };
+        }
+        if (certificate.placements !== undefined && !(Array.isArray(certificate.placements)
+            && certificate.placements.length === puzzle.mirrors.length
+            && certificate.placements.every(p => isObject(p) && finite(p, ['x', 'y', 'rotation'])))) {
+            return { valid: false, reason: 'Invalid certificate solution' };
+        }
+    }
+
+    if (file.placements !== undefined) {
+        if (!Array.isArray(file.placements) || file.placements.length !== puzzle.mirrors.length) {
+            return { valid: false, reason: 'Placement count does not match the mirrors' };
+        }
+        if (!file.placements.every(p => isObject(p) && finite(p, ['x', 'y', 'rotation']))) {
+            return { valid: false, reason: 'A placement has invalid coordinates' };
+        }
+    }
+    return { valid: true };
+}
+
+/**
+ * The string form of a puzzle file: "RP1." and the file packed into base64url.
+ * A file that isn't well formed throws.
+ */
+export function encodePuzzleFile(file) {
+    const check = validatePuzzleFile(file);
+    if (!check.valid) throw new Error(check.reason);
+    return PREFIX + toBase64Url(JSON.stringify(pack(file)));
+}
+
+/**
+ * Read a puzzle file - the object, its JSON text or its string form - into
+ * { valid: true, puzzle, placements } (placements null when it has none), or
+ * { valid: false, reason }. The puzzle comes back as PuzzleGenerator issues
+ * it: mirrors (with their layout, if any) plus the mirrorInventory verifyGame checks.
+ */
+export function parsePuzzleFile(input) {
+    let file = input;
+    if (typeof input === 'string') {
+        const text = input.trim();
+        try {
+            file = text.startsWith(PREFIX) ? unpack(JSON.parse(fromBase64Url(text.slice(PREFIX.length))))
+                : JSON.parse(text);
+        } catch (e) {
+            return { valid: false, reason: 'Not a puzzle file' };
+        }
+    }
+    const check = validatePuzzleFile(file);
+    if (!check.valid) return check;
+
+    const puzzle = copy(file.puzzle);
+    puzzle.mirrorInventory = puzzle.mirrors.map(mirror => {
+        const { x, y, rotation, ...inventory } = mirror;
+        return inventory;
+    });
+    return { valid: true, puzzle, placements: file.placements ? copy(file.placements) : null };
+}
+
+/**
+ * Whether every mirror in a parsed puzzle has a layout to start from - or
+ * `placements` to put them at instead.
+ */
+export function hasLayout(puzzle, placements = null) {
+    return placements !== null || puzzle.mirrors.every(m => m.x !== undefined);
+}
+
+/**
+ * Whether a puzzle is certified perfect: its best known solution holds to the cap.
+ */
+export function certifiedPerfect(puzzle) {
+    return Boolean(puzzle.certificate) && puzzle.certificate.score >= timeCap(puzzle.mode || 'main');
+}
+
+function toMirror(mirror, withLayout) {
+    const out = { shape: mirror.shape, size: mirror.size, width: mirror.width, height: mirror.height };
+    for (const key of MIRROR_EXTRAS) {
+        if (mirror[key] !== undefined && mirror[key] !== null) out[key] = copy(mirror[key]);
+    }
+    if (out.material === 'reflective') delete out.material;
+    if (out.material !== 'glass') delete out.refractiveIndex;
+    if (out.material !== 'portal') delete out.portalPair;
+    if (withLayout && mirror.x !== undefined) {
+        Object.assign(out, { x: mirror.x, y: mirror.y, rotation: mirror.rotation || 0 });
+    }
+    return out;
+}
+
+function toSpawner(spawner) {
+    const out = { x: spawner.x, y: spawner.y, angle: spawner.angle };
+    if (spawner.delay || spawner.repeatEvery || (spawner.count !== undefined && spawner.count !== 1)) {
+        out.delay = spawner.delay ?? 0;
+        out.repeatEvery = spawner.repeatEvery ?? 0;
+        out.count = spawner.count ?? 1;
+    }
+    if (spawner.laserProfile && spawner.laserProfile !== 'normal') out.laserProfile = spawner.laserProfile;
+    return out;
+}
+
+// The string form's payload: mirrors as [shape index, size, width, height,
+// x, y, rotation, extras], spawners as [x, y, angle, extras] and placements as
+// [x, y, rotation] (missing values null, trailing ones dropped), the ruleset
+// as its values in RULES order, and everything else as it is
+function pack(file) {
+    const { mode, mirrors, spawners, ruleset, ...rest } = file.puzzle;
+    const packed = {
+        m: MODES.indexOf(mode),
+        r: mirrors.map(m => trim([
+            SHAPES.indexOf(m.shape), m.size, m.width, m.height, m.x, m.y, m.rotation, pick(m, MIRROR_EXTRAS)
+        ])),
+        s: spawners.map(s => trim([s.x, s.y, s.angle, pick(s, SPAWNER_EXTRAS)])),
+        ...rest,
+    };
+    if (ruleset) packed.u = RULES.map(rule => ruleset[rule] ?? DEFAULT_RULESET[rule]);
+    if (file.placements) packed.p = file.placements.map(p => [p.x, p.y, p.rotation]);
+    return packed;
+}
+
+function unpack(packed) {
+    const { m, r, s, u, p, ...rest } = packed;
+    const puzzle = {
+        mode: MODES[m],
+        mirrors: r.map(([shape, size, width, height, x, y, rotation, extras]) => {
+            const mirror = { shape: SHAPES[shape], size, width, height, ...extras };
+            if (x !== undefined && x !== null) Object.assign(mirror, { x, y, rotation });
+            return mirror;
+        }),
+        spawners: s.map(([x, y, angle, extras]) => ({ x, y, angle, ...extras })),
+    };
+    // A string made before a rule was added plays it at its default
+    if (u) puzzle.ruleset = Object.fromEntries(RULES.map((rule, i) => [rule, u[i] ?? DEFAULT_RULESET[rule]]));
+    Object.assign(puzzle, rest);
+
+    const file = { format: FORMAT, version: VERSION, puzzle };
+    if (p) file.placements = p.map(([x, y, rotation]) => ({ x, y, rotation }));
+    return file;
+}
+
+// The fields of `source` among `keys` that are set, or null if none are
+function pick(source, keys) {
+    const out = {};
+    for (const key of keys) {
+        if (source[key] !== undefined) out[key] = source[key];
+    }
+    return Object.keys(out).length > 0 ? out : null;
+}
+
+// An array less its trailing nulls and undefineds (JSON writes those as null)
+function trim(values) {
+    let end = values.length;
+    while (end > 0 && (values[end - 1] === undefined || values[end - 1] === null)) end--;
+    return values.slice(0, end).map(v => v ?? null);
+}
+
+function toBase64Url(text) {
+    let binary = '';
+    for (const byte of new TextEncoder().encode(text)) binary += String.fromCharCode(byte);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(token) {
+    const binary = atob(token.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
+
+function finite(source, keys) {
+    return keys.every(key => Number.isFinite(source[key]));
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function copy(value) {
+    return JSON.parse(JSON.stringify(value));
+}
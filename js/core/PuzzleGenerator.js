@@ -8,17 +8,41 @@
  *
  * Output shape (consumed by the client to render, and by GameVerifier to check):
  *   {
- *     mode: 'main',
+ *     mode: 'main',                                    // or 'daily' / 'endless' (see Endless.js)
+ *     seed:            1234567,                         // main and endless: what it was generated from
+ *     dailyDate, theme, difficulty,                    // daily: its day, theme and rating (1-10)
  *     mirrors:         [{ shape, size, width, height, rotation, x, y, ... }],  // initial layout
- *     mirrorInventory: [{ shape, size, width, height, ... }],                  // shapes/sizes only
- *     spawners:        [{ x, y, angle }],
+ *     mirrorInventory: [{ shape, size, width, height, material?, ... }],       // shapes/sizes only
+ *     spawners:        [{ x, y, angle, delay?, repeatEvery?, count?, laserProfile? }],   // only when set
+ *     physicsVersion:  physicsVersionOn(date),        // the physics backend it is scored with
+ *     ruleset:         { CANVAS_WIDTH, ... },          // every rule it is played under (see Ruleset.js)
+ *     cores?:          [{ x, y, radius, hp, weight }], scoring?,  // only when not the single center core
+ *     walls?:          [{ x1, y1, x2, y2, material }],   // fixed terrain, only when declared
+ *     blockedCells?:   [{ col, row }],
+ *     board?:          { outline: [{ x, y }] },          // a shaped board (see Board.js), only when declared
+ *     laserInteraction?: 'annihilate',                  // only when not the classic 'none'
  *   }
  * The client may reposition/rotate `mirrors`; the server verifies the final
  * placements against `mirrorInventory` (so mirrors can't be added or resized).
  */
+import { CONFIG } from '../config.js';
 import { MirrorGenerator } from '../generators/MirrorGenerator.js';
 import { SpawnerGenerator } from '../generators/SpawnerGenerator.js';
 import { DailyChallenge } from '../validation/DailyChallenge.js';
+import { MirrorFactory } from '../mirrors/MirrorFactory.js';
+import { MirrorPlacementValidation } from '../validation/MirrorPlacementValidation.js';
+import { SimpleValidator } from '../validation/SimpleValidator.js';
+import { normalizeCores, SCORING_MODES } from './Cores.js';
+import { SpawnerWaves } from './SpawnerWaves.js';
+import { MOTION_TYPES } from './MirrorMotion.js';
+import { validateTerrain } from './Terrain.js';
+import { BOARD_SHAPES, boardShape, validateBoard } from './Board.js';
+import { LASER_INTERACTIONS } from './Simulation.js';
+import { physicsVersionOn } from './PhysicsBackends.js';
+import { joinTimes } from './Endless.js';
+import { createRuleset, activeRuleset, withRuleset } from './Ruleset.js';
+import { MAX_SEED } from './BoardCode.js';
+import { SeededRandom } from '../validation/SeededRandom.js';
 
 // The generators only need one thing from the game object: a safe vertex update.
 const STUB_GAME = {
@@ -28,53 +52,230 @@ const STUB_GAME = {
 };
 
 // Copy a mirror's shape + all dimension params (no placement) — the fixed inventory.
+// Plain reflective mirrors omit `material` to keep the issued puzzle unchanged.
 function toInventory(mirror) {
     const inv = { shape: mirror.shape };
     for (const key of ['size', 'width', 'height', 'topWidth', 'skew']) {
         if (mirror[key] !== undefined) inv[key] = mirror[key];
     }
+    if (mirror.material && mirror.material !== 'reflective') inv.material = mirror.material;
+    if (mirror.material === 'glass') inv.refractiveIndex = mirror.refractiveIndex;
+    if (mirror.material === 'portal') inv.portalPair = mirror.portalPair;
+    if (mirror.motion) inv.motion = { ...mirror.motion };
     return inv;
 }
 
+// Copy a spawner's position and aim, plus its wave schedule and laser type when
+// it has them (single-shot normal spawners stay { x, y, angle } so plain puzzles
+// are unchanged).
+function toSpawnerConfig(spawner) {
+    const cfg = { x: spawner.x, y: spawner.y, angle: spawner.angle };
+    if (spawner.delay || spawner.repeatEvery || (spawner.count !== undefined && spawner.count !== 1)) {
+        cfg.delay = spawner.delay;
+        cfg.repeatEvery = spawner.repeatEvery;
+        cfg.count = spawner.count;
+    }
+    if (spawner.laserProfile && spawner.laserProfile !== 'normal') {
+        cfg.laserProfile = spawner.laserProfile;
+    }
+    return cfg;
+}
+
 // Copy a mirror's inventory plus its initial placement — what the client renders.
 function toMirrorConfig(mirror) {
     return { ...toInventory(mirror), x: mirror.x, y: mirror.y, rotation: mirror.rotation || 0 };
 }
 
+// The ruleset a generator was asked for (default the current one)
+function rulesFor(ruleset) {
+    return ruleset ? createRuleset(ruleset) : activeRuleset();
+}
+
+// Call `generate` with the placement rules pointed at a puzzle's cores (null =
+// the single center core), terrain (null = none) and board (null = the plain
+// canvas); whatever they pointed at before is put back after.
+function onBoard(cores, walls, blockedCells, board, generate) {
+    SimpleValidator.ensureInitialized();
+    return MirrorPlacementValidation.withPuzzle({ cores, walls, blockedCells, board }, generate);
+}
+
+// The generator for a seed option (default a new seed); a seed must be a whole
+// number from 0 to MAX_SEED, the range board codes cover
+function seeded(seed) {
+    const value = seed ?? SeededRandom.newSeed();
+    if (!Number.isInteger(value) || value < 0 || value > MAX_SEED) throw new Error(`Invalid seed: ${seed}`);
+    return { seed: value, rng: new SeededRandom(value) };
+}
+
+// A board option: one of BOARD_SHAPES (drawn for the current canvas) or an
+// explicit { outline }
+function resolveBoard(board) {
+    if (typeof board !== 'string') return board;
+    if (!BOARD_SHAPES.includes(board)) throw new Error(`Unknown board shape: ${board}`);
+    return boardShape(board);
+}
+
 /**
  * Generate a fresh main-game puzzle (84 surface-area board + 5 inbound spawners).
+ * Pass `materials` (e.g. { absorber: 1, oneWay: 2 }) to mix special pieces into
+ * the board; they are issued in the inventory, so verification scores them too.
+ * Pass `portalPairs` to add that many linked portal pairs, `cores` (+ an
+ * optional `scoring` mode) to defend several cores instead of the center one,
+ * `waves` ({ stagger, repeatEvery, count }, see SpawnerGenerator.assignWaves)
+ * to have the spawners fire in escalating waves, `laserProfiles`
+ * (e.g. { fast: 2, slow: 1 }) to swap some normal lasers for other types, and
+ * `motion` (e.g. { rail: 1, spin: 1 }) to set some mirrors sliding or spinning.
+ * `walls` and `blockedCells` (see Terrain.js) add fixed terrain; mirrors are
+ * generated clear of it. `laserInteraction: 'annihilate'` makes crossing beams
+ * cancel each other out. `board` (one of BOARD_SHAPES, or { outline }; see
+ * Board.js) shapes the board: mirrors are generated inside the outline and the
+ * spawners on it. `ruleset` (a ruleset or overrides, see Ruleset.js) generates
+ * the board under other rules - a bigger board (Board.BIG_BOARD), say.
+ * `seed` (a whole number up to BoardCode.MAX_SEED; a new one if missing) drives
+ * every random choice, and is returned with the puzzle: the same seed, options
+ * and rules always generate the same board.
  */
-export function generateMainPuzzle() {
-    const mirrors = new MirrorGenerator(STUB_GAME).generateMirrors();
-    const spawners = new SpawnerGenerator(STUB_GAME).generateSpawners();
+export function generateMainPuzzle({ ruleset, seed, ...options } = {}) {
+    const rules = rulesFor(ruleset);
+    const source = seeded(seed);
+    const puzzle = withRuleset(rules, () => mainPuzzle(options, source.rng));
+    puzzle.seed = source.seed;
+    puzzle.ruleset = { ...rules };
+    return puzzle;
+}
 
-    return {
+function mainPuzzle({
+    materials, portalPairs, cores, scoring, waves, laserProfiles, motion, walls, blockedCells, laserInteraction, board,
+}, rng) {
+    if (materials) {
+        const known = MirrorFactory.getAllMaterials();
+        for (const material of Object.keys(materials)) {
+            if (!known.includes(material)) throw new Error(`Unknown mirror material: ${material}`);
+        }
+        // Portals only work in linked pairs, which assignPortalPairs builds
+        if (materials.portal) throw new Error('Request portals with portalPairs, not materials');
+    }
+    if (scoring && !SCORING_MODES.includes(scoring)) throw new Error(`Unknown scoring mode: ${scoring}`);
+    if (laserInteraction && !LASER_INTERACTIONS.includes(laserInteraction)) {
+        throw new Error(`Unknown laser interaction: ${laserInteraction}`);
+    }
+    if (laserProfiles) {
+        for (const profile of Object.keys(laserProfiles)) {
+            if (!Object.hasOwn(CONFIG.LASER_PROFILES, profile)) throw new Error(`Unknown laser profile: ${profile}`);
+        }
+    }
+    if (motion) {
+        for (const type of Object.keys(motion)) {
+            if (!MOTION_TYPES.includes(type)) throw new Error(`Unknown mirror motion: ${type}`);
+        }
+    }
+    const terrainCheck = validateTerrain(walls, blockedCells);
+    if (!terrainCheck.valid) throw new Error(terrainCheck.reason);
+    const shaped = resolveBoard(board);
+    const boardCheck = validateBoard(shaped, cores);
+    if (!boardCheck.valid) throw new Error(boardCheck.reason);
+
+    // Mirrors are generated clear of this puzzle's cores and terrain, inside its board
+    const mirrors = onBoard(cores, walls, blockedCells, shaped,
+        () => new MirrorGenerator(STUB_GAME, rng).generateMirrors({ materials, portalPairs, motion }));
+    const spawners = new SpawnerGenerator(STUB_GAME, rng).generateSpawners(shaped);
+    if (waves) {
+        SpawnerGenerator.assignWaves(spawners, waves);
+        const check = SpawnerWaves.validate(spawners);
+        if (!check.valid) throw new Error(check.reason);
+    }
+    if (laserProfiles) {
+        SpawnerGenerator.assignLaserProfiles(spawners, laserProfiles, rng);
+    }
+
+    const puzzle = {
         mode: 'main',
         mirrors: mirrors.map(toMirrorConfig),
         mirrorInventory: mirrors.map(toInventory),
-        spawners: spawners.map(s => ({ x: s.x, y: s.y, angle: s.angle })),
+        spawners: spawners.map(toSpawnerConfig),
+        physicsVersion: physicsVersionOn(DailyChallenge.getTodayString()),
     };
+    if (cores) {
+        puzzle.cores = normalizeCores(cores);
+        puzzle.scoring = scoring || 'lastCore';
+    }
+    if (walls) puzzle.walls = walls.map(({ x1, y1, x2, y2, material }) => ({ x1, y1, x2, y2, material: material || 'reflective' }));
+    if (blockedCells) puzzle.blockedCells = blockedCells.map(({ col, row }) => ({ col, row }));
+    if (shaped) puzzle.board = { outline: shaped.outline.map(({ x, y }) => ({ x, y })) };
+    if (laserInteraction && laserInteraction !== 'none') puzzle.laserInteraction = laserInteraction;
+    return puzzle;
+}
+
+// How likely a ranked board is to bring in an absorber or one-way mirror (see
+// rankedPuzzleOptions)
+const RANKED_MATERIAL_ODDS = 0.3;
+
+/**
+ * The generateMainPuzzle (or generateEndlessPuzzle) options the server issues
+ * the ranked board seeded `seed` with: at RANKED_MATERIAL_ODDS, an absorber or
+ * one-way mirror joins its inventory. Ranked main boards all post to one
+ * leaderboard (endless ones to another), so nothing that changes the rules a
+ * board is scored under - portals, extra cores, waves, laser types, moving
+ * mirrors - is rolled here. Drawn from the seed's own stream, so a seed always
+ * picks the same; {} is a plain board.
+ */
+export function rankedPuzzleOptions(seed) {
+    const rng = new SeededRandom(`${seed}-options`);
+    if (rng.next() >= RANKED_MATERIAL_ODDS) return {};
+    return { materials: { [rng.choice(['absorber', 'oneWay'])]: 1 } };
 }
 
 /**
  * Today's daily puzzle. Date-seeded, so every player gets the same board and the
  * server can regenerate it. Daily mirror configs carry shape + dimensions but no
  * initial position (the client lays them out); verification only needs the fixed
- * inventory, so that's all we pin down here.
+ * inventory, so that's all we pin down here. `ruleset` as for generateMainPuzzle;
+ * `date` (YYYY-MM-DD, default today) gives another day's puzzle, as the daily
+ * archive builds them; `variant` another of that day's boards, as
+ * ai/rate-dailies.mjs rates them (default the day's rated one).
  */
-export function generateDailyPuzzle() {
-    const config = DailyChallenge.generateDailyConfig();
+export function generateDailyPuzzle({ ruleset, date = DailyChallenge.getTodayString(), variant } = {}) {
+    const rules = rulesFor(ruleset);
+    const puzzle = withRuleset(rules, () => dailyPuzzle(date, variant));
+    puzzle.ruleset = { ...rules };
+    return puzzle;
+}
+
+function dailyPuzzle(date, variant) {
+    const config = DailyChallenge.generateDailyConfig(date, variant);
     // Position the mirrors server-side. placeMirrors is date-seeded (same layout for
     // everyone) and may drop a mirror it can't fit, so we derive BOTH the rendered
     // mirrors and the verification inventory from the actually-placed set — that keeps
     // the client's placement count exactly matching what the server will verify.
-    const placed = DailyChallenge.placeMirrors(config.mirrors, STUB_GAME);
-    return {
+    const placed = onBoard(null, null, null, null, () => DailyChallenge.placeMirrors(config.mirrors, STUB_GAME, date));
+    const puzzle = {
         mode: 'daily',
-        dailyDate: DailyChallenge.getTodayString(),
+        dailyDate: date,
         theme: config.theme,
+        difficulty: config.difficulty,
         mirrors: placed.map(toMirrorConfig),
         mirrorInventory: placed.map(toInventory),
-        spawners: config.spawners.map(s => ({ x: s.x, y: s.y, angle: s.angle })),
+        spawners: config.spawners.map(toSpawnerConfig),
+        physicsVersion: physicsVersionOn(date),
     };
+    if (config.certificate) puzzle.certificate = config.certificate;
+    return puzzle;
+}
+
+/**
+ * A fresh endless puzzle: a main-game board (same options as generateMainPuzzle)
+ * whose spawner list ends with the spawners that join after the cap, one per
+ * Endless.joinTimes() entry, each firing once as it joins. The joining spawners
+ * come from their own stream of the puzzle's seed, so the seed names the whole
+ * board here too.
+ */
+export function generateEndlessPuzzle({ ruleset, ...options } = {}) {
+    const rules = rulesFor(ruleset);
+    const puzzle = generateMainPuzzle({ ...options, ruleset: rules });
+    const joining = withRuleset(rules, () =>
+        new SpawnerGenerator(STUB_GAME, new SeededRandom(`${puzzle.seed}-joining`))
+            .generateJoiningSpawners(joinTimes(), puzzle.board || null));
+    puzzle.mode = 'endless';
+    puzzle.spawners.push(...joining.map(toSpawnerConfig));
+    return puzzle;
 }
@@ -0,0 +1,155 @@
+/**
+ * Ruleset - the tunable rules a board is played and scored under (DOM-free).
+ *
+ * The rules are the CONFIG constants that decide how a run plays out: the
+ * board's size and grid, the core and edge keep-out zones, mirror sizes, laser
+ * speed, the time cap, and the caps the verifier enforces on puzzles. A ruleset
+ * is a frozen object with every one of them, the current CONFIG value for each
+ * one not overridden:
+ *
+ *   createRuleset({ CANVAS_WIDTH: 1000, CANVAS_HEIGHT: 800 })
+ *
+ * buildSimulation, simulateSurvivalTime, SimpleValidator.validateMirror, the
+ * puzzle generators and verifyGame take one, so a single process can score
+ * boards under different rules side by side. Issued puzzles carry the full
+ * ruleset they were generated under, and verification uses the one the puzzle
+ * carries (the defaults when it has none), so tuning a constant never changes
+ * the score of a session already in play.
+ *
+ * The simulation never reads its rules from CONFIG: buildSimulation hands its
+ * ruleset to the collision handler, the spawner waves and through them every
+ * laser, which keep it for the whole run. So a simulation built under other
+ * rules steps by them whenever it is stepped, and a live game keeps its rules
+ * whatever else runs in between.
+ *
+ * Placement checks and the generators keep reading CONFIG: withRuleset puts a
+ * ruleset's values in CONFIG for the length of one synchronous call and puts
+ * the old ones back after. Neither ever awaits, so nothing else runs while they
+ * are swapped. The page switches them for as long as it plays a board with
+ * useRuleset, so the board's placement rules, canvas and zoom go by its rules. Modules that cache what they derive from the rules (the
+ * placement grid and forbidden zones) rebuild it on every switch, in and back
+ * out, through onRulesChange.
+ * The physics timestep, physics version and laser profiles are not rules: the
+ * step is fixed everywhere, and sessions pin their physics version separately.
+ */
+import { CONFIG } from '../config.js';
+
+export const RULES = [
+    'CANVAS_WIDTH', 'CANVAS_HEIGHT', 'GRID_SIZE',
+    'TARGET_RADIUS', 'CORE_EXCLUSION_RADIUS', 'EDGE_MARGIN',
+    'MIRROR_MIN_SIZE', 'MIRROR_MAX_SIZE',
+    'LASER_SPEED', 'LASER_TIME_SCALE', 'MAX_LASER_STEP',
+    'MAX_GAME_TIME', 'ENDLESS_JOIN_INTERVAL', 'ENDLESS_MAX_TIME',
+    'MAX_SPLIT_BEAMS', 'MAX_WAVE_LASERS', 'GLASS_REFRACTIVE_INDEX', 'PORTAL_MIN_SEPARATION',
+    'MAX_RAIL_LENGTH', 'MIN_MOTION_PERIOD', 'MAX_SPIN_RATE', 'MAX_WALLS', 'MAX_BLOCKED_CELLS',
+    'MAX_OUTLINE_VERTICES'
+];
+
+// Rules that count things, and so may be zero
+const COUNTS = ['MAX_SPLIT_BEAMS', 'MAX_WAVE_LASERS', 'MAX_WALLS', 'MAX_BLOCKED_CELLS'];
+
+export const DEFAULT_RULESET = Object.freeze(Object.fromEntries(RULES.map(rule => [rule, CONFIG[rule]])));
+
+let active = DEFAULT_RULESET;
+
+// Called after every switch of the rules in CONFIG (see onRulesChange)
+const listeners = [];
+
+/**
+ * Check a ruleset (or a set of overrides) is usable. Returns { valid, reason }
+ * like the placement validators.
+ */
+export function validateRuleset(rules) {
+    if (rules === null || typeof rules !== 'object' || Array.isArray(rules)) {
+        return { valid: false, reason: 'A ruleset must be an object' };
+    }
+    for (const [rule, value] of Object.entries(rules)) {
+        if (!RULES.includes(rule)) {
+            return { valid: false, reason: `Unknown rule: ${rule}` };
+        }
+        const usable = COUNTS.includes(rule)
+            ? Number.isInteger(value) && value >= 0
+            : Number.isFinite(value) && value > 0;
+        if (!usable) {
+            return { valid: false, reason: `Invalid value for rule ${rule}` };
+        }
+    }
+    const full = { ...DEFAULT_RULESET, ...rules };
+    if (full.CANVAS_WIDTH % full.GRID_SIZE !== 0 || full.CANVAS_HEIGHT % full.GRID_SIZE !== 0) {
+        return { valid: false, reason: 'The board must be a whole number of grid cells' };
+    }
+    if (full.MIRROR_MIN_SIZE > full.MIRROR_MAX_SIZE) {
+        return { valid: false, reason: 'The smallest mirror is larger than the largest' };
+    }
+    if (full.ENDLESS_MAX_TIME < full.MAX_GAME_TIME) {
+        return { valid: false, reason: 'The endless ceiling is below the time cap' };
+    }
+    return { valid: true };
+}
+
+/**
+ * A frozen ruleset: the defaults (CONFIG as loaded) with `overrides` applied.
+ * A ruleset passed in comes back as is; anything unusable throws.
+ */
+export function createRuleset(overrides = {}) {
+    if (Object.isFrozen(overrides) && RULES.every(rule => rule in overrides)) {
+        return overrides;
+    }
+    const check = validateRuleset(overrides);
+    if (!check.valid) throw new Error(check.reason);
+    return Object.freeze({ ...DEFAULT_RULESET, ...overrides });
+}
+
+/**
+ * The ruleset CONFIG holds right now.
+ */
+export function activeRuleset() {
+    return active;
+}
+
+/**
+ * Have `listener` called with the ruleset whenever withRuleset switches the
+ * rules in CONFIG, going in and coming back out, so a cache of values derived
+ * from them is rebuilt for the rules in force.
+ */
+export function onRulesChange(listener) {
+    listeners.push(listener);
+}
+
+/**
+ * Switch the rules in CONFIG to `ruleset` (missing = the defaults) until the
+ * next switch, for a page playing one board at a time under that board's
+ * rules, and return the ruleset now in force. Never called inside withRuleset,
+ * which would put the old rules back on its way out.
+ */
+export function useRuleset(ruleset) {
+    const next = ruleset ? createRuleset(ruleset) : DEFAULT_RULESET;
+    if (RULES.some(rule => next[rule] !== active[rule])) apply(next);
+    return active;
+}
+
+/**
+ * Call `run` with `ruleset`'s values in CONFIG, and return what it returns.
+ * A missing ruleset (or the one already in place) just calls it.
+ */
+export function withRuleset(ruleset, run) {
+    if (!ruleset || ruleset === active) return run();
+
+    const previous = active;
+    apply(ruleset);
+    try {
+        return run();
+    } finally {
+        apply(previous);
+    }
+}
+
+function apply(ruleset) {
+    for (const rule of RULES) {
+        CONFIG[rule] = ruleset[rule];
+    }
+    active = ruleset;
+    for (const listener of listeners) {
+        listener(ruleset);
+    }
+}
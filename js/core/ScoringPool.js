@@ -0,0 +1,155 @@
+/**
+ * ScoringPool - score many games at once across worker threads (DOM-free).
+ *
+ * The AI optimizer (ai/) and anything in the browser that wants to try lots of
+ * layouts - hints, say - need far more scoring runs than one thread gets through
+ * quickly. A pool keeps a few workers running ScoringWorker.js (Node
+ * worker_threads, or browser module Web Workers) and hands each the next job as
+ * soon as it is free.
+ *
+ * Jobs and results are plain objects, the same on both runtimes:
+ *   job     { inventory: [{ shape, size, width, height, material?, ... }],
+ *             placements: [{ x, y, rotation }],   // same length/order as inventory
+ *             spawners: [{ x, y, angle, ... }],
+ *             options?: { cores, scoring, walls, board, laserInteraction, physicsVersion, endless, ruleset },
+ *             events?: true }                      // also send back the run's events
+ *   result  { score, events? }
+ * Placements are scored as given, not checked - verify a finished layout with
+ * verifyGame (see GameVerifier.js).
+ */
+import { simulateSurvivalTime } from './Simulation.js';
+import { EventLog } from './SimulationEvents.js';
+
+const WORKER_URL = new URL('./ScoringWorker.js', import.meta.url);
+
+/**
+ * Score one job on this thread (what every worker runs).
+ */
+export function scoreJob({ inventory, placements, spawners, options = {}, events = false }) {
+    const mirrorConfigs = inventory.map((inv, i) => ({
+        ...inv,
+        x: placements[i].x,
+        y: placements[i].y,
+        rotation: placements[i].rotation || 0
+    }));
+    const log = events ? new EventLog() : null;
+    const score = simulateSurvivalTime(mirrorConfigs, spawners, { ...options, observer: log?.observer });
+    return log ? { score, events: log.events } : { score };
+}
+
+export class ScoringPool {
+    /**
+     * Run jobs on `workers`: started ScoringWorker.js workers (see forNode and
+     * forBrowser).
+     */
+    constructor(workers) {
+        this.workers = [...workers];
+        this.idle = [...workers];
+        this.queue = []; // [{ job, resolve, reject }] waiting for a worker
+        this.running = new Map(); // worker -> the job it is scoring
+        this.closed = false;
+        for (const worker of workers) {
+            listen(worker, 'message', reply => this.finish(worker, reply));
+            listen(worker, 'error', error => this.fail(worker, error));
+        }
+    }
+
+    /**
+     * A pool of Node worker_threads workers, one per CPU by default.
+     */
+    static async forNode(size) {
+        const { Worker } = await import('worker_threads');
+        const { cpus } = await import('os');
+        const count = Math.max(1, size ?? cpus().length);
+        return new ScoringPool(Array.from({ length: count }, () => new Worker(WORKER_URL)));
+    }
+
+    /**
+     * A pool of browser module Web Workers, one per logical core by default.
+     */
+    static forBrowser(size) {
+        const count = Math.max(1, size ?? (navigator.hardwareConcurrency || 2));
+        return new ScoringPool(Array.from({ length: count }, () => new Worker(WORKER_URL, { type: 'module' })));
+    }
+
+    /**
+     * Score one job. Resolves to its result; rejects if the job can't be run.
+     */
+    score(job) {
+        if (this.closed) {
+            return Promise.reject(new Error('Scoring pool is closed'));
+        }
+        return new Promise((resolve, reject) => {
+            this.queue.push({ job, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Score every job; resolves to their results in the same order.
+     */
+    scoreAll(jobs) {
+        return Promise.all(jobs.map(job => this.score(job)));
+    }
+
+    /**
+     * Stop every worker. Jobs not yet finished are rejected.
+     */
+    close() {
+        this.closed = true;
+        for (const worker of this.workers) {
+            worker.terminate();
+        }
+        const error = new Error('Scoring pool is closed');
+        for (const task of [...this.running.values(), ...this.queue]) {
+            task.reject(error);
+        }
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.running.clear();
+    }
+
+    dispatch() {
+        while (this.idle.length > 0 && this.queue.length > 0) {
+            const worker = this.idle.pop();
+            const task = this.queue.shift();
+            this.running.set(worker, task);
+            worker.postMessage(task.job);
+        }
+    }
+
+    finish(worker, reply) {
+        const task = this.running.get(worker);
+        if (!task) return;
+        this.running.delete(worker);
+        this.idle.push(worker);
+        if (reply.error !== undefined) {
+            task.reject(new Error(reply.error));
+        } else {
+            task.resolve(reply);
+        }
+        this.dispatch();
+    }
+
+    // A worker crashed: fail its job and carry on without it
+    fail(worker, error) {
+        const task = this.running.get(worker);
+        this.running.delete(worker);
+        this.workers = this.workers.filter(w => w !== worker);
+        this.idle = this.idle.filter(w => w !== worker);
+        task?.reject(new Error(error?.message || 'Scoring worker failed'));
+        if (this.workers.length === 0) {
+            this.close();
+        }
+    }
+}
+
+// Node workers emit the message itself; Web Workers wrap it in an event
+function listen(worker, type, handler) {
+    if (typeof worker.on === 'function') {
+        worker.on(type, handler);
+    } else {
+        worker.addEventListener(type, event => handler(type === 'message' ? event.data : event));
+    }
+}
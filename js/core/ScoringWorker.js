@@ -0,0 +1,23 @@
+/**
+ * ScoringWorker - the worker side of ScoringPool (DOM-free).
+ *
+ * Runs as a Node worker_threads worker or a browser module Web Worker: scores
+ * each job it is sent and posts back the result, or { error } if the job
+ * couldn't be run (see ScoringPool.js for the message format).
+ */
+import { scoreJob } from './ScoringPool.js';
+
+function reply(job) {
+    try {
+        return scoreJob(job);
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.onmessage = (event) => self.postMessage(reply(event.data));
+} else {
+    const { parentPort } = await import('worker_threads');
+    parentPort.on('message', job => parentPort.postMessage(reply(job)));
+}
@@ -0,0 +1,114 @@
+/**
+ * SegmentGeometry - the line segment tests collision detection is built from
+ * (DOM-free).
+ *
+ * Plain functions of points and segments, with no game state: CollisionSystem
+ * runs them against mirror edges, WallCollisions against walls. Whole-polygon
+ * tests are in PolygonGeometry.js.
+ */
+
+/**
+ * Check if two line segments intersect
+ * Returns true if segments cross each other
+ */
+export function lineSegmentsIntersect(x1, y1, x2, y2, x3, y3, x4, y4) {
+    // Calculate direction of line segments
+    const denom = (y4 - y3) * (x2 - x1) - (x4 - x3) * (y2 - y1);
+
+    // Lines are parallel if denom is 0
+    if (Math.abs(denom) < 0.0001) {
+        return false;
+    }
+
+    const ua = ((x4 - x3) * (y1 - y3) - (y4 - y3) * (x1 - x3)) / denom;
+    const ub = ((x2 - x1) * (y1 - y3) - (y2 - y1) * (x1 - x3)) / denom;
+
+    // Intersection occurs if both parameters are between 0 and 1
+    return ua >= 0 && ua <= 1 && ub >= 0 && ub <= 1;
+}
+
+/**
+ * Find intersection point of two line segments
+ * Returns {x, y} if they intersect, null otherwise
+ */
+export function lineSegmentIntersectionPoint(x1, y1, x2, y2, x3, y3, x4, y4) {
+    const denom = (y4 - y3) * (x2 - x1) - (x4 - x3) * (y2 - y1);
+
+    // Lines are parallel
+    if (Math.abs(denom) < 0.0001) {
+        return null;
+    }
+
+    const ua = ((x4 - x3) * (y1 - y3) - (y4 - y3) * (x1 - x3)) / denom;
+    const ub = ((x2 - x1) * (y1 - y3) - (y2 - y1) * (x1 - x3)) / denom;
+
+    // Check if intersection occurs within both line segments
+    if (ua >= 0 && ua <= 1 && ub >= 0 && ub <= 1) {
+        // Calculate intersection point
+        return {
+            x: x1 + ua * (x2 - x1),
+            y: y1 + ua * (y2 - y1)
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Unit normal of an edge, oriented toward the side a laser moving (vx, vy)
+ * is coming from
+ */
+export function incomingEdgeNormal(vx, vy, edgeVector, edgeLength) {
+    const edgeNormalized = {
+        x: edgeVector.x / edgeLength,
+        y: edgeVector.y / edgeLength
+    };
+
+    // Calculate perpendicular normal (rotate edge 90 degrees counterclockwise)
+    // We have two possible normals - need to pick the one the laser is coming FROM
+    const normal = {
+        x: -edgeNormalized.y,
+        y: edgeNormalized.x
+    };
+
+    // If incoming velocity and normal point in same direction, flip normal
+    // We want the normal to point TOWARD the incoming laser (opposite of velocity)
+    const incomingDot = vx * normal.x + vy * normal.y;
+    if (incomingDot > 0) {
+        normal.x = -normal.x;
+        normal.y = -normal.y;
+    }
+
+    return normal;
+}
+
+export function distancePointToLineSegment(px, py, start, end) {
+    const { x, y } = closestPointOnLineSegment(px, py, start, end);
+    const dx = px - x;
+    const dy = py - y;
+    return Math.sqrt(dx * dx + dy * dy);
+}
+
+export function closestPointOnLineSegment(px, py, start, end) {
+    const A = px - start.x;
+    const B = py - start.y;
+    const C = end.x - start.x;
+    const D = end.y - start.y;
+
+    const dot = A * C + B * D;
+    const lenSq = C * C + D * D;
+    let param = -1;
+
+    if (lenSq !== 0) param = dot / lenSq;
+
+    if (param < 0) {
+        return { x: start.x, y: start.y };
+    } else if (param > 1) {
+        return { x: end.x, y: end.y };
+    } else {
+        return {
+            x: start.x + param * C,
+            y: start.y + param * D
+        };
+    }
+}
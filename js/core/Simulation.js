@@ -8,22 +8,32 @@
  *   3. Server-side score verification (Node / Cloud Function).
  *
  * Because the physics is a fixed-timestep, fully deterministic function of
- * (mirror placements, spawner positions/angles), the server can recompute a
+ * (mirror placements, spawner positions/angles/waves), the server can recompute a
  * player's authoritative survival time by replaying it here — no need to trust
  * the client's reported score.
  */
 import { CONFIG } from '../config.js';
-import { Laser } from '../classes/Laser.js';
 import { CollisionSystem } from './CollisionSystem.js';
 import { LaserCollisionHandler } from './LaserCollisionHandler.js';
 import { MirrorFactory } from '../mirrors/MirrorFactory.js';
+import { stampFallenCores, scoreCores } from './Cores.js';
+import { SpawnerWaves } from './SpawnerWaves.js';
+import { StabilityCheck } from './Stability.js';
+import { timeCap } from './Endless.js';
+import { createRuleset, activeRuleset } from './Ruleset.js';
+import { annihilateCrossings } from './Annihilation.js';
+
+// How lasers treat each other: 'none' (the classic rule, beams pass straight
+// through one another) or 'annihilate' (two beams that cross cancel out)
+export const LASER_INTERACTIONS = ['none', 'annihilate'];
 
 /**
  * Rebuild a mirror instance from a plain config object. Mirrors the exact
  * reconstruction the replay system uses (shape + size/width/height/rotation),
- * then recomputes the canonical vertices used for collision.
+ * then recomputes the canonical vertices used for collision. Glass without a
+ * refractive index of its own gets `ruleset`'s (default the current rules).
  */
-export function createMirrorFromConfig(config) {
+export function createMirrorFromConfig(config, ruleset = activeRuleset()) {
     const mirror = MirrorFactory.createMirror(config.x, config.y, config.shape);
     if (config.size !== undefined) mirror.size = config.size;
     if (config.width !== undefined) mirror.width = config.width;
@@ -32,54 +42,157 @@ export function createMirrorFromConfig(config) {
     // Shape-specific dimensions (trapezoid/parallelogram) so every shape rebuilds exactly.
     if (config.topWidth !== undefined) mirror.topWidth = config.topWidth;
     if (config.skew !== undefined) mirror.skew = config.skew;
+    if (config.material !== undefined) mirror.material = config.material;
+    mirror.refractiveIndex = config.refractiveIndex ?? ruleset.GLASS_REFRACTIVE_INDEX;
+    if (config.portalPair !== undefined) mirror.portalPair = config.portalPair;
+    if (config.motion !== undefined) mirror.motion = config.motion;
     mirror.isDailyChallenge = config.isDailyChallenge || false;
     mirror.updateVertices();
     return mirror;
 }
 
 /**
- * Assemble the full simulation state (mirrors, lasers, collision handler) from
- * plain config arrays.
- *   mirrorConfigs:  [{ x, y, shape, size, width, height, rotation, isDailyChallenge }]
- *   spawnerConfigs: [{ x, y, angle, isDailyChallenge }]
+ * Assemble the full simulation state (mirrors, lasers, collision handler, spawner
+ * waves) from plain config arrays. `lasers` starts with the shots fired at launch.
+ *   mirrorConfigs:  [{ x, y, shape, size, width, height, rotation, material, refractiveIndex, portalPair, motion, isDailyChallenge }]
+ *   spawnerConfigs: [{ x, y, angle, delay, repeatEvery, count, laserProfile, isDailyChallenge }] (see SpawnerWaves.js)
+ * and, all optional:
+ *   cores:            [{ x, y, radius, hp, weight }] (see Cores.js)
+ *   walls:            [{ x1, y1, x2, y2, material }] (see Terrain.js)
+ *   board:            { outline: [{ x, y }] } (see Board.js; default the plain canvas)
+ *   laserInteraction: one of LASER_INTERACTIONS (default 'none')
+ *   physicsVersion:   one of PHYSICS_VERSIONS (default 1; see PhysicsBackends.js)
+ *   ruleset:          the rules to play under, a ruleset or overrides (default
+ *                     the current ones; see Ruleset.js). The simulation keeps
+ *                     them, and plays by them whatever CONFIG holds.
+ *   observer:         event => {} to hear every event of the run, launch
+ *                     included (see SimulationEvents.js)
  */
-export function buildSimulation(mirrorConfigs, spawnerConfigs) {
-    const mirrors = mirrorConfigs.map(createMirrorFromConfig);
+export function buildSimulation(mirrorConfigs, spawnerConfigs, { cores, walls, board, laserInteraction, physicsVersion, ruleset, observer } = {}) {
+    const rules = ruleset ? createRuleset(ruleset) : activeRuleset();
+    const mirrors = mirrorConfigs.map(config => createMirrorFromConfig(config, rules));
 
     const collisionSystem = new CollisionSystem();
-    collisionSystem.initializeCollisionBoundaries(mirrors);
+    collisionSystem.initializeCollisionBoundaries(mirrors, rules);
 
     const handler = new LaserCollisionHandler(collisionSystem);
-    handler.initialize(mirrors);
+    handler.initialize(mirrors, cores, walls, laserInteraction, physicsVersion, board, rules);
+    handler.setObserver(observer);
 
-    const lasers = spawnerConfigs.map(s => {
-        const laser = new Laser(s.x, s.y, s.angle);
-        laser.isDailyChallenge = !!s.isDailyChallenge;
-        return laser;
-    });
+    const waves = new SpawnerWaves(spawnerConfigs, CONFIG.PHYSICS_DT, handler.physics, rules);
+    const lasers = [];
+    waves.fire(lasers);
+    handler.reportSpawns(lasers, 0, 'wave');
 
-    return { mirrors, lasers, collisionSystem, handler };
+    return { mirrors, lasers, collisionSystem, handler, waves };
 }
 
 /**
- * Advance every laser by ONE fixed physics step. Mutates the lasers array
- * (removing any that leave the field) and returns true if a laser reached the
- * core this step. This is the shared hot path: the live game loop and the
- * headless simulation both call it, so their physics can never diverge.
+ * Move one laser through a physics step of `dt`, checking mirrors and cores as
+ * it goes. Fast lasers cover the step in several short sub-steps (see
+ * Laser.substepsFor) so they can't tunnel through thin mirrors; a normal laser
+ * takes exactly one. Stops early once the laser reaches a standing core (which
+ * is returned) or leaves the board; returns null otherwise.
  */
-export function stepLasers(lasers, mirrors, handler, dt) {
-    for (let i = lasers.length - 1; i >= 0; i--) {
-        const laser = lasers[i];
-        laser.update(dt);
+export function advanceLaser(laser, mirrors, handler, dt) {
+    const substeps = laser.substepsFor(dt);
+    const subDt = substeps === 1 ? dt : dt / substeps;
+    for (let s = 0; s < substeps; s++) {
+        const vx = laser.vx;
+        const vy = laser.vy;
+        laser.update(subDt);
+        if (handler.observer && (laser.vx !== vx || laser.vy !== vy)) {
+            reportEdgeBounce(handler, laser, vx);
+        }
+        handler.bounceOffOutline(laser);
         handler.checkAndHandleCollisions(laser, mirrors);
+        handler.physics.settle(laser);
+
+        const core = handler.checkTargetCollision(laser);
+        if (core) {
+            return core;
+        }
+        if (handler.isOutOfBounds(laser)) {
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Report a bounce off the board's edge. Laser.update only ever turns a laser by
+ * flipping vx or vy at an edge (clamping it just inside), so which one flipped
+ * - and the way it was going - says which edge.
+ */
+function reportEdgeBounce(handler, laser, vxBefore) {
+    let side;
+    if (laser.vx !== vxBefore) {
+        side = vxBefore < 0 ? 'left' : 'right';
+    } else {
+        side = laser.vy > 0 ? 'top' : 'bottom';
+    }
+    handler.observer({ type: 'edge', step: handler.step, laser: laser.id, side, x: laser.x, y: laser.y });
+}
 
-        if (handler.checkTargetCollision(laser)) {
-            return true; // core breached
+/**
+ * Advance every laser by ONE fixed physics step, after moving any sliding or
+ * spinning mirrors to their pose for it. Mutates the lasers array
+ * (removing any that leave the field or are spent on a core, then, under the
+ * 'annihilate' rule, any pair whose paths crossed this step, appending beams
+ * spawned by splitters, then any shots the spawner `waves` fire this tick) and
+ * returns true once the last core has fallen (with the
+ * default single core: the first laser to reach it). This is the shared hot
+ * path: the live game loop and the headless simulation both call it, so their
+ * physics can never diverge. Everything that happens is reported to
+ * handler.observer, if one is set (see SimulationEvents.js). It steps under
+ * the rules the simulation was built with (handler.ruleset), not CONFIG's.
+ */
+export function stepLasers(lasers, mirrors, handler, dt, waves) {
+    handler.beginStep();
+    const observer = handler.observer;
+    const segments = handler.laserInteraction === 'annihilate' ? [] : null;
+    for (let i = lasers.length - 1; i >= 0; i--) {
+        const laser = lasers[i];
+        const x1 = laser.x;
+        const y1 = laser.y;
+        const core = advanceLaser(laser, mirrors, handler, dt);
+        if (core) {
+            const breached = handler.damageCore(core);
+            observer?.({
+                type: 'core', step: handler.step, laser: laser.id,
+                core: handler.cores.indexOf(core), hpLeft: core.hpLeft
+            });
+            if (breached) {
+                observer?.({ type: 'breach', step: handler.step, laser: laser.id, core: handler.cores.indexOf(core) });
+                return true; // last core breached
+            }
+            lasers.splice(i, 1); // spent on a core that is still standing
+            continue;
         }
         if (handler.isOutOfBounds(laser)) {
+            observer?.({ type: 'exit', step: handler.step, laser: laser.id });
             lasers.splice(i, 1);
+            continue;
+        }
+        if (segments) {
+            segments.push({ laser, x1, y1, x2: laser.x, y2: laser.y });
         }
     }
+    if (segments) {
+        annihilateCrossings(lasers, segments.reverse(), handler);
+    }
+    // Split beams join at the end, in spawn order, and first move next step.
+    let joined = lasers.length;
+    for (const spawned of handler.takeSpawnedLasers()) {
+        lasers.push(spawned);
+    }
+    handler.reportSpawns(lasers, joined, 'split');
+    // Wave shots join last; like split beams, they first move next step.
+    if (waves) {
+        joined = lasers.length;
+        waves.fire(lasers);
+        handler.reportSpawns(lasers, joined, 'wave');
+    }
     return false;
 }
 
@@ -89,12 +202,34 @@ export function stepLasers(lasers, mirrors, handler, dt) {
  * the clock by one fixed step, honor the victory cap first (so you cannot lose
  * at exactly the cap), then step the lasers.
  *
- * Same inputs -> same score, on any V8 runtime (browser or server).
+ * options.cores / options.scoring come from the puzzle (see Cores.js): with
+ * several cores the score is the time the last one fell, or the weighted
+ * composite of every core's survival time. options.walls are the puzzle's fixed
+ * walls (see Terrain.js); blocked cells only limit placement, so they aren't needed.
+ * options.board is its board outline (see Board.js; default the plain canvas).
+ * options.laserInteraction is the puzzle's laser-vs-laser rule (default 'none')
+ * and options.physicsVersion its session's physics backend (default 1).
+ * options.observer hears every event of the run (see SimulationEvents.js).
+ * options.onStep is called with the simulation ({ mirrors, lasers, handler,
+ * waves }) after every physics step, e.g. to digest it (see Determinism.js).
+ * options.endless runs an endless board (see Endless.js) on past the cap, up
+ * to CONFIG.ENDLESS_MAX_TIME, which then takes the cap's place in scoring.
+ * options.ruleset is the rules the run is played under, cap included (see
+ * Ruleset.js; default the current ones).
+ *
+ * The run stops early, scoring the standing cores as if they lasted to the cap,
+ * once nothing can reach them any more - no lasers left, or all of them going
+ * round closed loops (see Stability.js); the observer hears why in a 'stable' event.
+ *
+ * Same inputs -> same score: on any V8 runtime (browser or server) with physics
+ * version 1, on any JavaScript engine at all with version 2.
  */
-export function simulateSurvivalTime(mirrorConfigs, spawnerConfigs) {
-    const { mirrors, lasers, handler } = buildSimulation(mirrorConfigs, spawnerConfigs);
+export function simulateSurvivalTime(mirrorConfigs, spawnerConfigs, { cores, scoring, walls, board, laserInteraction, physicsVersion, endless, ruleset, observer, onStep } = {}) {
+    const sim = buildSimulation(mirrorConfigs, spawnerConfigs, { cores, walls, board, laserInteraction, physicsVersion, ruleset, observer });
+    const { mirrors, lasers, handler, waves } = sim;
+    const stability = new StabilityCheck(sim);
     const dt = CONFIG.PHYSICS_DT;
-    const maxTime = CONFIG.MAX_GAME_TIME;
+    const maxTime = timeCap(endless ? 'endless' : 'main', handler.ruleset);
 
     // Safety bound: at most one step per physics tick up to the cap, plus margin.
     const maxSteps = Math.ceil(maxTime / dt) + 2;
@@ -103,11 +238,19 @@ export function simulateSurvivalTime(mirrorConfigs, spawnerConfigs) {
     for (let step = 0; step < maxSteps; step++) {
         gameTime += dt;
         if (gameTime >= maxTime) {
-            return maxTime; // survived to the cap -> perfect score
+            break; // survived to the cap -> standing cores score maxTime
+        }
+        const allFallen = stepLasers(lasers, mirrors, handler, dt, waves);
+        stampFallenCores(handler.cores, gameTime);
+        onStep?.(sim);
+        if (allFallen) {
+            break; // last core breached at this instant
         }
-        if (stepLasers(lasers, mirrors, handler, dt)) {
-            return gameTime; // core breached at this instant
+        const stable = stability.check();
+        if (stable) {
+            observer?.({ type: 'stable', step: handler.step, reason: stable });
+            break; // nothing can reach a standing core again -> they score maxTime
         }
     }
-    return maxTime;
+    return scoreCores(handler.cores, maxTime, scoring);
 }
@@ -0,0 +1,63 @@
+/**
+ * SimulationEvents - the event stream the simulation core can report (DOM-free).
+ *
+ * Pass an observer (a function taking one event) to buildSimulation, or set one
+ * on a LaserCollisionHandler with setObserver, and every physics step reports
+ * what happened in it. With no observer nothing is built or reported, so the
+ * live game, verifier and AI engine pay nothing unless they subscribe.
+ *
+ * Every event is a plain object { type, step, ... }: `step` is the physics step
+ * (1 = the first step after launch, 0 = the launch itself) and `laser` the
+ * laser's id (its shot number in firing order; split beams add `.n` to their
+ * parent's id). Coordinates are board pixels.
+ *
+ *   spawn          { laser, x, y, source: 'wave'|'split' }  a laser joined the run
+ *   reflect        { laser, mirror, edge, x, y }  bounced off a mirror (index) at edge (index)
+ *   wall           { laser, wall, x, y }          bounced off one of the puzzle's walls (index)
+ *   edge           { laser, side, x, y }          bounced off a board edge ('left'|'right'|'top'|'bottom',
+ *                                                 or 'outline' with the outline's edge index as `edge`; see Board.js)
+ *   absorb         { laser, mirror?|wall?, x, y } swallowed by an absorbing mirror or wall
+ *   escape         { laser, mirror, x, y }        freed after getting stuck inside a mirror
+ *   maxReflections { laser, x, y }                retired after too many bounces
+ *   annihilate     { laser, other, x, y }         cancelled by a crossing beam
+ *   exit           { laser }                      dropped off the board (after absorb or maxReflections)
+ *   core           { laser, core, hpLeft }        spent on a standing core (index)
+ *   breach         { laser, core }                ...and that was the last core standing
+ *   stable         { reason }                     nothing can reach a standing core any more,
+ *                                                so the run stops early (see Stability.js)
+ *
+ * Events arrive in the order they happen, so the same board always reports the
+ * same stream.
+ */
+export const EVENT_TYPES = [
+    'spawn', 'reflect', 'wall', 'edge', 'absorb', 'escape',
+    'maxReflections', 'annihilate', 'exit', 'core', 'breach', 'stable'
+];
+
+/**
+ * Collects every event into a list; pass `log.observer` as the observer.
+ */
+export class EventLog {
+    constructor() {
+        this.events = [];
+        this.observer = (event) => this.events.push(event);
+    }
+
+    /**
+     * The events of one type, in order.
+     */
+    ofType(type) {
+        return this.events.filter(event => event.type === type);
+    }
+
+    /**
+     * How many events of each type were reported, e.g. { reflect: 12, exit: 3 }.
+     */
+    counts() {
+        const counts = {};
+        for (const event of this.events) {
+            counts[event.type] = (counts[event.type] || 0) + 1;
+        }
+        return counts;
+    }
+}
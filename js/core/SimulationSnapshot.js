@@ -0,0 +1,202 @@
+/**
+ * SimulationSnapshot - save a run part-way through and pick it up again (DOM-free).
+ *
+ * snapshot(sim) turns the live state of a buildSimulation result (or anything
+ * shaped like one: { mirrors, lasers, handler, waves }) into a plain object that
+ * survives JSON.stringify. restore(sim, data) puts that state back into a
+ * simulation built from the same board, after which stepping it carries on
+ * exactly as the original would have.
+ *
+ * Only what the run changes is saved: the lasers (trails, cooldowns, bounce
+ * counts, glass/splitter transits), the physics step, how far the moving mirrors
+ * and spawner waves have got, the split-beam budget, the cores and, when the
+ * simulation has a `stability` check (see Stability.js), its loop searches. The
+ * board itself comes from the simulation being restored into. References to mirrors
+ * and walls are saved as their index on that board.
+ */
+import { Laser } from '../classes/Laser.js';
+
+export const SNAPSHOT_VERSION = 2;
+
+/**
+ * The current state of a simulation as a JSON-safe object.
+ */
+export function snapshot({ mirrors, lasers, handler, waves, stability }) {
+    return {
+        version: SNAPSHOT_VERSION,
+        mirrorCount: mirrors.length,
+        physicsVersion: handler.physics.version,
+        step: handler.step,
+        motionTick: handler.motion ? handler.motion.tick : 0,
+        waves: waves ? { tick: waves.tick, nextShot: waves.nextShot } : null,
+        splitBeamsRemaining: handler.splitBeamsRemaining,
+        cores: handler.cores.map(core => ({ hpLeft: core.hpLeft, fallenAt: core.fallenAt })),
+        lasers: lasers.map(laser => saveLaser(laser, mirrors, handler.walls)),
+        stability: stability ? saveStability(stability.progress(), mirrors, handler.walls) : null
+    };
+}
+
+/**
+ * Put a snapshot's state back into `sim`, which must have been built from the
+ * board the snapshot was taken on. The lasers are replaced in place, so anyone
+ * holding `sim.lasers` sees the restored ones. Returns `sim`.
+ */
+export function restore(sim, data) {
+    const { mirrors, lasers, handler, waves, stability } = sim;
+    if (!data || data.version !== SNAPSHOT_VERSION) {
+        throw new Error('Unsupported simulation snapshot');
+    }
+    if (data.mirrorCount !== mirrors.length || data.cores.length !== handler.cores.length ||
+        (data.waves === null) !== !waves) {
+        throw new Error('Snapshot was taken on a different board');
+    }
+    if ((data.physicsVersion ?? 1) !== handler.physics.version) {
+        throw new Error('Snapshot was taken with a different physics version');
+    }
+
+    handler.step = data.step;
+    handler.splitBeamsRemaining = data.splitBeamsRemaining;
+    handler.spawnedLasers = [];
+    handler.annihilations = [];
+    data.cores.forEach((saved, index) => {
+        handler.cores[index].hpLeft = saved.hpLeft;
+        handler.cores[index].fallenAt = saved.fallenAt;
+    });
+    if (handler.motion) {
+        handler.motion.seek(data.motionTick);
+    }
+    if (waves) {
+        waves.tick = data.waves.tick;
+        waves.nextShot = data.waves.nextShot;
+    }
+
+    lasers.length = 0;
+    for (const saved of data.lasers) {
+        lasers.push(loadLaser(saved, mirrors, handler));
+    }
+    if (stability) {
+        stability.resume(data.stability
+            ? loadStability(data.stability, mirrors, handler.walls)
+            : { reason: null, searches: [] });
+    }
+    return sim;
+}
+
+function saveLaser(laser, mirrors, walls) {
+    const exit = laser.transitExit;
+    return {
+        id: laser.id,
+        splitCount: laser.splitCount,
+        x: laser.x,
+        y: laser.y,
+        prevX: laser.prevX ?? null,
+        prevY: laser.prevY ?? null,
+        vx: laser.vx,
+        vy: laser.vy,
+        speed: laser.speed,
+        profile: laser.profile,
+        trail: laser.trail.map(point => ({ x: point.x, y: point.y })),
+        lastReflected: saveReference(laser.lastReflectedMirror, mirrors, walls),
+        reflectionCooldown: laser.reflectionCooldown,
+        totalReflections: laser.totalReflections,
+        maxReflections: laser.maxReflections,
+        transitMirror: laser.transitMirror ? mirrors.indexOf(laser.transitMirror) : null,
+        transitMirrorId: laser.transitMirrorId,
+        transitDistance: laser.transitDistance,
+        transitExit: saveExit(laser.transitExit),
+        isDailyChallenge: laser.isDailyChallenge
+    };
+}
+
+// Where a beam inside glass or a splitter will come out
+function saveExit(exit) {
+    return exit ? {
+        x: exit.x,
+        y: exit.y,
+        distance: exit.distance,
+        edge: {
+            start: { x: exit.edge.start.x, y: exit.edge.start.y },
+            end: { x: exit.edge.end.x, y: exit.edge.end.y }
+        }
+    } : null;
+}
+
+// A StabilityCheck's progress, its loop searches' saved laser states with their
+// references as indices. A state saved part way through a transit keeps a copy
+// of its exit, which no laser will ever hold again - as before saving, where a
+// beam never meets a state it saved inside the same transit.
+function saveStability({ reason, searches }, mirrors, walls) {
+    return {
+        reason,
+        searches: searches.map(search => search && {
+            power: search.power,
+            steps: search.steps,
+            closed: search.closed,
+            saved: {
+                ...search.saved,
+                prevX: search.saved.prevX ?? null,
+                prevY: search.saved.prevY ?? null,
+                lastReflectedMirror: saveReference(search.saved.lastReflectedMirror, mirrors, walls),
+                transitMirror: search.saved.transitMirror ? mirrors.indexOf(search.saved.transitMirror) : null,
+                transitExit: saveExit(search.saved.transitExit)
+            }
+        })
+    };
+}
+
+function loadStability({ reason, searches }, mirrors, walls) {
+    return {
+        reason,
+        searches: searches.map(search => search && {
+            ...search,
+            saved: {
+                ...search.saved,
+                // A laser that hasn't moved yet has no previous position
+                prevX: search.saved.prevX ?? undefined,
+                prevY: search.saved.prevY ?? undefined,
+                lastReflectedMirror: loadReference(search.saved.lastReflectedMirror, mirrors, walls),
+                transitMirror: search.saved.transitMirror === null ? null : mirrors[search.saved.transitMirror],
+                transitExit: saveExit(search.saved.transitExit)
+            }
+        })
+    };
+}
+
+function loadLaser(saved, mirrors, { walls, ruleset }) {
+    const laser = new Laser(saved.x, saved.y, 0, saved.profile, ruleset);
+    laser.id = saved.id;
+    laser.splitCount = saved.splitCount;
+    // A laser that hasn't moved yet has no previous position
+    if (saved.prevX !== null) {
+        laser.prevX = saved.prevX;
+        laser.prevY = saved.prevY;
+    }
+    laser.vx = saved.vx;
+    laser.vy = saved.vy;
+    laser.speed = saved.speed;
+    laser.trail = saved.trail.map(point => ({ x: point.x, y: point.y }));
+    laser.lastReflectedMirror = loadReference(saved.lastReflected, mirrors, walls);
+    laser.reflectionCooldown = saved.reflectionCooldown;
+    laser.totalReflections = saved.totalReflections;
+    laser.maxReflections = saved.maxReflections;
+    laser.transitMirror = saved.transitMirror === null ? null : mirrors[saved.transitMirror];
+    laser.transitMirrorId = saved.transitMirrorId;
+    laser.transitDistance = saved.transitDistance;
+    laser.transitExit = saved.transitExit;
+    laser.isDailyChallenge = saved.isDailyChallenge;
+    return laser;
+}
+
+// The last thing a laser bounced off is a mirror or one of the puzzle's walls
+function saveReference(target, mirrors, walls) {
+    if (!target) return null;
+    const mirror = mirrors.indexOf(target);
+    if (mirror !== -1) return { mirror };
+    const wall = walls.indexOf(target);
+    return wall !== -1 ? { wall } : null;
+}
+
+function loadReference(ref, mirrors, walls) {
+    if (!ref) return null;
+    return ref.mirror !== undefined ? mirrors[ref.mirror] : walls[ref.wall];
+}
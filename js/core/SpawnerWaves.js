@@ -0,0 +1,132 @@
+/**
+ * SpawnerWaves - when each spawner fires (DOM-free).
+ *
+ * A spawner config may carry a wave schedule: it first fires `delay` seconds
+ * after launch, then again every `repeatEvery` seconds, `count` shots in all.
+ * The defaults (delay 0, repeatEvery 0, count 1) are the classic single shot at
+ * launch, so boards without waves play exactly as before.
+ *
+ * Shots are scheduled on whole physics ticks (not float seconds), so the live
+ * game, replays and server verification fire every laser on the same step.
+ */
+import { CONFIG } from '../config.js';
+import { Laser } from '../classes/Laser.js';
+import { physicsBackend } from './PhysicsBackends.js';
+import { activeRuleset } from './Ruleset.js';
+import { timeCap, joinTimes } from './Endless.js';
+
+/**
+ * Schedule fields of a spawner config, with defaults filled in.
+ */
+export function waveFields(spawner) {
+    return {
+        delay: spawner.delay ?? 0,
+        repeatEvery: spawner.repeatEvery ?? 0,
+        count: spawner.count ?? 1
+    };
+}
+
+export class SpawnerWaves {
+    /**
+     * `physics` aims each shot as it's fired (see PhysicsBackends.js), and
+     * the shots move by `ruleset` (see Ruleset.js; default the current rules).
+     */
+    constructor(spawnerConfigs, dt = CONFIG.PHYSICS_DT, physics = physicsBackend(1), ruleset = activeRuleset()) {
+        this.spawners = spawnerConfigs;
+        this.dt = dt;
+        this.physics = physics;
+        this.ruleset = ruleset;
+        this.tick = 0;
+
+        // Every shot of the run, in firing order (tick, then spawner order)
+        this.shots = [];
+        spawnerConfigs.forEach((spawner, index) => {
+            const { delay, repeatEvery, count } = waveFields(spawner);
+            for (let shot = 0; shot < count; shot++) {
+                const tick = Math.round((delay + shot * repeatEvery) / dt);
+                this.shots.push({ tick, index, shot });
+            }
+        });
+        this.shots.sort((a, b) => a.tick - b.tick || a.index - b.index || a.shot - b.shot);
+        this.nextShot = 0;
+    }
+
+    /**
+     * Check a list of spawner configs has usable schedules for a puzzle in
+     * `mode`. Returns { valid, reason } like the placement validators. Endless
+     * boards may fire up to their ceiling, and one extra shot per joining
+     * spawner (see Endless.js).
+     */
+    static validate(spawnerConfigs, mode = 'main') {
+        const lastDelay = timeCap(mode);
+        const maxLasers = CONFIG.MAX_WAVE_LASERS + (mode === 'endless' ? joinTimes().length : 0);
+        let total = 0;
+        for (const spawner of spawnerConfigs) {
+            const { delay, repeatEvery, count } = waveFields(spawner);
+            if (!Number.isFinite(delay) || delay < 0 || delay >= lastDelay) {
+                return { valid: false, reason: 'A spawner has an invalid wave delay' };
+            }
+            if (!Number.isFinite(repeatEvery) || repeatEvery < 0) {
+                return { valid: false, reason: 'A spawner has an invalid wave interval' };
+            }
+            if (!Number.isInteger(count) || count < 1) {
+                return { valid: false, reason: 'A spawner has an invalid wave count' };
+            }
+            total += count;
+        }
+        if (total > maxLasers) {
+            return { valid: false, reason: 'Too many lasers in the spawner waves' };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Fire every shot due on the current tick into `lasers`, then advance one
+     * tick. Called once at launch (tick 0) and once after every physics step.
+     */
+    fire(lasers) {
+        while (this.nextShot < this.shots.length && this.shots[this.nextShot].tick <= this.tick) {
+            const spawner = this.spawners[this.shots[this.nextShot].index];
+            const laser = new Laser(spawner.x, spawner.y, spawner.angle, spawner.laserProfile, this.ruleset);
+            this.physics.launch(laser, spawner.angle);
+            laser.id = this.nextShot;
+            laser.isDailyChallenge = !!spawner.isDailyChallenge;
+            lasers.push(laser);
+            this.nextShot++;
+        }
+        this.tick++;
+    }
+
+    /**
+     * Whether every shot of the run has been fired.
+     */
+    finished() {
+        return this.nextShot >= this.shots.length;
+    }
+
+    /**
+     * Seconds until spawner `index` next fires, or null once it has fired its
+     * last shot.
+     */
+    timeUntilNext(index) {
+        // fire() has already moved past the current tick
+        const now = this.tick - 1;
+        for (let i = this.nextShot; i < this.shots.length; i++) {
+            if (this.shots[i].index === index) {
+                return Math.max(0, this.shots[i].tick - now) * this.dt;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Shots spawner `index` has yet to fire.
+     */
+    shotsLeft(index) {
+        let left = 0;
+        for (let i = this.nextShot; i < this.shots.length; i++) {
+            if (this.shots[i].index === index) left++;
+        }
+        return left;
+    }
+}
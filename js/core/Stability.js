@@ -0,0 +1,127 @@
+/**
+ * Stability - spotting a run that can no longer lose (DOM-free).
+ *
+ * Once every laser has settled into a loop that misses the cores, or there are no
+ * lasers left at all, nothing can change until the time cap: the standing cores
+ * are safe. A StabilityCheck watches a run step by step and says so as soon as
+ * it can prove it, so the simulation can stop and award the cap straight away.
+ *
+ * Reasons (also the `reason` of the simulation's 'stable' event):
+ *   'clear'  no lasers in flight and no wave shots left to fire
+ *   'loop'   every laser in flight is back in a state it was in before, so it
+ *            will go round the same path forever - which, since it got round
+ *            once without being spent on a core, misses every standing core
+ *
+ * A loop only proves anything while each laser's future depends on nothing but
+ * its own state, so loops are only looked for once the waves are done, on boards
+ * without moving mirrors (whose pose depends on the time) and where lasers pass
+ * through each other (laserInteraction 'none'). A laser's state covers every
+ * field the physics reads, plus the board's split-beam budget; since that budget
+ * only ever shrinks, a loop that comes round with it unchanged split nothing on
+ * the way and never will. The one field left out is the laser's reflection
+ * count, which only ever grows: all it can do is retire the laser once it
+ * reaches the limit, part way round a loop that misses the cores anyway.
+ * Loops are found with Brent's algorithm, one per laser, so lasers on loops of
+ * different lengths still count as soon as each closes. progress() and resume()
+ * carry the searches across a SimulationSnapshot restore, which replaces the
+ * lasers they are kept against.
+ */
+export const STABLE_REASONS = ['clear', 'loop'];
+
+// Everything about a laser the physics reads, bar its reflection count (its
+// trail, id and colour aren't read at all)
+const STATE_FIELDS = [
+    'x', 'y', 'vx', 'vy', 'prevX', 'prevY', 'speed', 'reflectionCooldown', 'lastReflectedMirror',
+    'transitMirror', 'transitMirrorId', 'transitDistance', 'transitExit'
+];
+
+export class StabilityCheck {
+    /**
+     * Watch the simulation `sim` ({ mirrors, lasers, handler, waves }, as
+     * buildSimulation returns it, from its current step on).
+     */
+    constructor({ lasers, handler, waves }) {
+        this.lasers = lasers;
+        this.handler = handler;
+        this.waves = waves;
+        this.loops = new WeakMap(); // laser -> Brent's search for its loop
+        this.canLoop = handler.laserInteraction === 'none' && !(handler.motion && handler.motion.moving.length > 0);
+        this.reason = null;
+    }
+
+    /**
+     * Call after every physics step. Returns the reason the run is now stable,
+     * or null while it isn't (yet).
+     */
+    check() {
+        if (this.reason) return this.reason;
+        if (this.waves && !this.waves.finished()) return null;
+
+        if (this.lasers.length === 0) {
+            this.reason = 'clear';
+        } else if (this.canLoop) {
+            let allLooping = true;
+            for (const laser of this.lasers) {
+                if (!this.looping(laser)) allLooping = false;
+            }
+            if (allLooping) this.reason = 'loop';
+        }
+        return this.reason;
+    }
+
+    /**
+     * How far the check has got: its reason, and each laser in flight's loop
+     * search (null for one not watched yet), in the order of the lasers.
+     */
+    progress() {
+        return { reason: this.reason, searches: this.lasers.map(laser => this.loops.get(laser) ?? null) };
+    }
+
+    /**
+     * Carry on from progress() taken with the same lasers in flight, in the same
+     * order, as the ones now in this.lasers.
+     */
+    resume({ reason, searches }) {
+        this.reason = reason;
+        this.loops = new WeakMap();
+        searches.forEach((search, index) => {
+            if (search) this.loops.set(this.lasers[index], search);
+        });
+    }
+
+    // Brent: compare the laser with a saved state, saving afresh every time the
+    // number of steps since the last save reaches the next power of two. Only
+    // the saves copy the state, so a step allocates nothing
+    looping(laser) {
+        let search = this.loops.get(laser);
+        if (!search) {
+            this.loops.set(laser, { saved: this.stateOf(laser), power: 1, steps: 0, closed: false });
+            return false;
+        }
+        if (search.closed) return true;
+
+        search.steps++;
+        if (this.inState(laser, search.saved)) {
+            search.closed = true;
+        } else if (search.steps === search.power) {
+            search.saved = this.stateOf(laser);
+            search.power *= 2;
+            search.steps = 0;
+        }
+        return search.closed;
+    }
+
+    stateOf(laser) {
+        const state = { splitBeamsRemaining: this.handler.splitBeamsRemaining };
+        for (const field of STATE_FIELDS) state[field] = laser[field];
+        return state;
+    }
+
+    inState(laser, state) {
+        if (this.handler.splitBeamsRemaining !== state.splitBeamsRemaining) return false;
+        for (const field of STATE_FIELDS) {
+            if (laser[field] !== state[field]) return false;
+        }
+        return true;
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * Terrain - fixed walls and no-build cells a puzzle may declare (DOM-free).
+ *
+ *   walls:        [{ x1, y1, x2, y2, material }]  immovable line segments that
+ *                 reflect lasers ('reflective', the default) or swallow them
+ *                 ('absorber'). Mirrors may not touch them.
+ *   blockedCells: [{ col, row }]  grid cells (CONFIG.GRID_SIZE square) no mirror
+ *                 may cover. They have no effect on lasers.
+ *
+ * A puzzle without terrain has neither, so older boards play exactly as before.
+ */
+import { CONFIG } from '../config.js';
+
+export const WALL_MATERIALS = ['reflective', 'absorber'];
+
+/**
+ * Fill in defaults for a puzzle's walls (missing -> none) and give each the
+ * { start, end } edge the collision code works with.
+ */
+export function normalizeWalls(walls) {
+    if (!Array.isArray(walls)) return [];
+    return walls.map(wall => ({
+        x1: wall.x1,
+        y1: wall.y1,
+        x2: wall.x2,
+        y2: wall.y2,
+        material: wall.material ?? 'reflective',
+        edge: { start: { x: wall.x1, y: wall.y1 }, end: { x: wall.x2, y: wall.y2 } }
+    }));
+}
+
+/**
+ * The board rectangle ({ x, y, width, height }) a blocked cell covers.
+ */
+export function blockedCellRect(cell) {
+    return {
+        x: cell.col * CONFIG.GRID_SIZE,
+        y: cell.row * CONFIG.GRID_SIZE,
+        width: CONFIG.GRID_SIZE,
+        height: CONFIG.GRID_SIZE
+    };
+}
+
+/**
+ * Check a puzzle's walls and blocked cells (either may be missing). Returns
+ * { valid, reason } like the placement validators.
+ */
+export function validateTerrain(walls, blockedCells) {
+    if (walls !== undefined && walls !== null) {
+        if (!Array.isArray(walls) || walls.length > CONFIG.MAX_WALLS) {
+            return { valid: false, reason: 'Too many walls' };
+        }
+        for (const wall of walls) {
+            const coords = [wall.x1, wall.y1, wall.x2, wall.y2];
+            if (!coords.every(Number.isFinite)) {
+                return { valid: false, reason: 'A wall has invalid coordinates' };
+            }
+            const onBoard = [wall.x1, wall.x2].every(x => x >= 0 && x <= CONFIG.CANVAS_WIDTH) &&
+                [wall.y1, wall.y2].every(y => y >= 0 && y <= CONFIG.CANVAS_HEIGHT);
+            if (!onBoard || (wall.x1 === wall.x2 && wall.y1 === wall.y2)) {
+                return { valid: false, reason: 'A wall is off the board or has no length' };
+            }
+            if (wall.material !== undefined && !WALL_MATERIALS.includes(wall.material)) {
+                return { valid: false, reason: `Unknown wall material: ${wall.material}` };
+            }
+        }
+    }
+
+    if (blockedCells !== undefined && blockedCells !== null) {
+        if (!Array.isArray(blockedCells) || blockedCells.length > CONFIG.MAX_BLOCKED_CELLS) {
+            return { valid: false, reason: 'Too many blocked cells' };
+        }
+        const cols = CONFIG.CANVAS_WIDTH / CONFIG.GRID_SIZE;
+        const rows = CONFIG.CANVAS_HEIGHT / CONFIG.GRID_SIZE;
+        for (const cell of blockedCells) {
+            if (!Number.isInteger(cell.col) || !Number.isInteger(cell.row) ||
+                cell.col < 0 || cell.col >= cols || cell.row < 0 || cell.row >= rows) {
+                return { valid: false, reason: 'A blocked cell is off the grid' };
+            }
+        }
+    }
+
+    return { valid: true };
+}
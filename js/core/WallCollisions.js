@@ -0,0 +1,66 @@
+/**
+ * WallCollisions - lasers meeting a puzzle's fixed walls (DOM-free).
+ *
+ * LaserCollisionHandler checks the walls once a laser's move has hit no
+ * mirror; Terrain.js declares them. A reflective wall bounces a laser like a
+ * mirror face, counting toward its reflection limit; an absorber swallows it.
+ */
+import { lineSegmentIntersectionPoint } from './SegmentGeometry.js';
+
+/**
+ * Bounce a laser off (or absorb it on) the nearest of `handler`'s walls its
+ * last move crossed - the one it reached first. Returns true if it hit one.
+ */
+export function checkWallCollisions(handler, laser) {
+    if (laser.prevX === undefined) {
+        return false;
+    }
+
+    let nearest = -1;
+    let hit = null;
+    let nearestDistSq = Infinity;
+    for (let i = 0; i < handler.walls.length; i++) {
+        const wall = handler.walls[i];
+        // Skip the wall the laser just bounced off
+        if (laser.reflectionCooldown > 0 && laser.lastReflectedMirror === wall) {
+            continue;
+        }
+
+        const point = lineSegmentIntersectionPoint(
+            laser.prevX, laser.prevY, laser.x, laser.y,
+            wall.x1, wall.y1, wall.x2, wall.y2
+        );
+        if (!point) {
+            continue;
+        }
+        const distSq = (point.x - laser.prevX) * (point.x - laser.prevX) + (point.y - laser.prevY) * (point.y - laser.prevY);
+        if (distSq < nearestDistSq) {
+            nearest = i;
+            hit = point;
+            nearestDistSq = distSq;
+        }
+    }
+    if (!hit) {
+        return false;
+    }
+
+    const wall = handler.walls[nearest];
+    laser.x = hit.x;
+    laser.y = hit.y;
+    if (wall.material === 'absorber') {
+        handler.absorb(laser, { wall: nearest });
+        return true;
+    }
+
+    handler.collisionSystem.reflectLaserOffEdge(laser, wall.edge);
+    handler.observer?.({ type: 'wall', step: handler.step, laser: laser.id, wall: nearest, x: hit.x, y: hit.y });
+    laser.reflectionCooldown = 5;
+    laser.lastReflectedMirror = wall;
+    laser.totalReflections++;
+    if (laser.totalReflections >= laser.maxReflections) {
+        handler.retire(laser);
+        return true;
+    }
+    laser.speedUp();
+    return true;
+}
@@ -0,0 +1,196 @@
+import { PuzzleEditor } from './PuzzleEditor.js';
+import { RigidSurfaceAreaGenerator } from '../validation/RigidSurfaceAreaGenerator.js';
+
+/**
+ * EditorController - the game's editor mode: the menu button and editor panel
+ * wired to PuzzleEditor, and dragging spawners by their body and aim handle
+ *
+ * Opening the editor turns the board on the field into a custom board:
+ * unranked, and no longer the daily, an endless run or the board its code
+ * names. Closing it leaves the board ready to play.
+ */
+export class EditorController {
+    constructor(game) {
+        this.game = game;
+        this.editor = new PuzzleEditor(game);
+        this.isEditing = false;
+
+        // The spawner being dragged, if any, as { spawner, handle: 'move' | 'aim' }
+        this.spawnerDrag = null;
+        this.panelEl = null;
+    }
+
+    /**
+     * Wire the Edit Board buttons and the editor panel: a button per palette
+     * shape, size steps, delete, add laser, export and done
+     */
+    setupControls() {
+        this.game.bindMenuButton('editBoardBtn', 'mobileEditBoardBtn', () => this.toggle());
+
+        this.panelEl = document.getElementById('editorPanel');
+        if (!this.panelEl) return;
+
+        this.panelEl.querySelectorAll('[data-shape]').forEach(btn => {
+            btn.addEventListener('click', () => this.addMirror(btn.dataset.shape));
+        });
+        const actions = {
+            editorSizeDown: () => this.resize(-1),
+            editorSizeUp: () => this.resize(1),
+            editorDelete: () => this.deleteSelected(),
+            editorAddSpawner: () => this.addSpawner(),
+            editorExport: () => this.game.boardSharing.exportPuzzleFile(),
+            editorDone: () => this.toggle(),
+        };
+        for (const [id, action] of Object.entries(actions)) {
+            const btn = document.getElementById(id);
+            if (btn) btn.addEventListener('click', action);
+        }
+    }
+
+    /**
+     * Open or close the editor, starting from the board on the field
+     */
+    toggle() {
+        const game = this.game;
+        if (game.isPlaying || !game.boardReady) return;
+        if (!this.isEditing && game.dailyCompleted) {
+            window.showToast?.('Switch to the main game to edit a board.');
+            return;
+        }
+
+        this.isEditing = !this.isEditing;
+        if (this.isEditing) {
+            game.sessionId = null;
+            game.isRanked = false;
+            game.boardSeed = null;
+            game.isDailyChallenge = false;
+            game.isEndless = false;
+            game.mirrors.forEach(m => { m.isDailyChallenge = false; });
+            game.spawners.forEach(s => { s.isDailyChallenge = false; });
+            game.updateModeUI();
+        }
+        game.selectedSpawner = null;
+        game.selectMirror(null);
+
+        const launchBtn = document.getElementById('launchBtn');
+        if (launchBtn) launchBtn.disabled = this.isEditing;
+        this.updateUI();
+    }
+
+    /**
+     * Show or hide the editor panel, with the board's surface area against
+     * the target
+     */
+    updateUI() {
+        document.body.classList.toggle('editor-mode', this.isEditing);
+        if (!this.panelEl) return;
+
+        this.panelEl.classList.toggle('hidden', !this.isEditing);
+        const totalEl = document.getElementById('editorSurfaceArea');
+        if (totalEl) {
+            const total = this.editor.totalSurfaceArea();
+            const target = RigidSurfaceAreaGenerator.TARGET_SURFACE_AREA;
+            totalEl.textContent = `${total} / ${target}`;
+            totalEl.classList.toggle('editor-total-exact', total === target);
+        }
+    }
+
+    /**
+     * Add a mirror of `shape` from the palette, selected to move and rotate
+     */
+    addMirror(shape) {
+        const mirror = this.editor.addMirror(shape);
+        if (!mirror) {
+            window.showToast?.('There\'s no room for another mirror.');
+            return;
+        }
+        this.game.selectedSpawner = null;
+        this.game.selectMirror(mirror);
+        this.updateUI();
+    }
+
+    /**
+     * Step the selected mirror a size up or down its catalog
+     */
+    resize(step) {
+        const mirror = this.game.selectedMirror;
+        if (!mirror) {
+            window.showToast?.('Select a mirror to resize.');
+            return;
+        }
+        const result = this.editor.resizeMirror(mirror, step);
+        if (!result.valid) {
+            this.game.showPlacementFeedback(mirror.x, mirror.y, this.game.getFriendlyReason(result.reason));
+        }
+        this.updateUI();
+    }
+
+    /**
+     * Remove the selected mirror or spawner
+     */
+    deleteSelected() {
+        const game = this.game;
+        if (game.selectedMirror) {
+            this.editor.removeMirror(game.selectedMirror);
+            game.selectMirror(null);
+        } else if (game.selectedSpawner) {
+            this.editor.removeSpawner(game.selectedSpawner);
+            game.selectedSpawner = null;
+        } else {
+            window.showToast?.('Select a mirror or laser to delete.');
+        }
+        this.updateUI();
+    }
+
+    /**
+     * Add a spawner, selected to drag and aim
+     */
+    addSpawner() {
+        this.game.selectedSpawner = this.editor.addSpawner();
+        this.game.selectMirror(null);
+    }
+
+    /**
+     * Start dragging the spawner whose body or aim handle is at (x, y).
+     * Returns false if there is none there.
+     */
+    startSpawnerDrag(x, y) {
+        const hit = this.editor.handleAt(x, y);
+        if (!hit) return false;
+
+        this.spawnerDrag = hit;
+        this.game.selectedSpawner = hit.spawner;
+        this.game.selectMirror(null);
+
+        this.boundDragMove = (e) => this.onSpawnerDragMove(e);
+        this.boundDragEnd = () => this.endSpawnerDrag();
+        document.addEventListener('mousemove', this.boundDragMove);
+        document.addEventListener('mouseup', this.boundDragEnd);
+        document.addEventListener('touchmove', this.boundDragMove, { passive: false });
+        document.addEventListener('touchend', this.boundDragEnd);
+        document.addEventListener('touchcancel', this.boundDragEnd);
+        return true;
+    }
+
+    onSpawnerDragMove(e) {
+        if (!this.spawnerDrag) return;
+        if (e.cancelable) e.preventDefault(); // Prevent scrolling while dragging
+
+        const coords = this.game.getCanvasCoordinates(e);
+        const { spawner, handle } = this.spawnerDrag;
+        if (handle === 'aim') {
+            this.editor.aimSpawner(spawner, coords.x, coords.y);
+        } else {
+            this.editor.moveSpawner(spawner, coords.x, coords.y);
+        }
+    }
+
+    endSpawnerDrag() {
+        document.removeEventListener('mousemove', this.boundDragMove);
+        document.removeEventListener('mouseup', this.boundDragEnd);
+        document.removeEventListener('touchmove', this.boundDragMove);
+        document.removeEventListener('touchend', this.boundDragEnd);
+        document.removeEventListener('touchcancel', this.boundDragEnd);
+        this.spawnerDrag = null;
+    }
+}
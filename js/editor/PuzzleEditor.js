@@ -0,0 +1,353 @@
+import { CONFIG } from '../config.js';
+import { Spawner } from '../classes/Spawner.js';
+import { MirrorCreationHelper } from '../generators/MirrorCreationHelper.js';
+import { GridAlignmentSystem } from '../systems/GridAlignmentSystem.js';
+import { SimpleValidator } from '../validation/SimpleValidator.js';
+import { RigidSurfaceAreaGenerator } from '../validation/RigidSurfaceAreaGenerator.js';
+import { SurfaceAreaManager } from '../validation/SurfaceAreaManager.js';
+import { normalizeBoard, boardBounds } from '../core/Board.js';
+import { SpawnerWaves } from '../core/SpawnerWaves.js';
+import { activeRuleset } from '../core/Ruleset.js';
+
+// Every shape the palette offers, in the order it shows them
+const PALETTE = ['square', 'rectangle', 'rightTriangle', 'isoscelesTriangle', 'trapezoid', 'parallelogram', 'hexagon'];
+
+// The dimensions that tell one catalog size from another
+const DIMENSIONS = ['size', 'width', 'height', 'topWidth', 'skew'];
+
+// Keep spawners away from corners, as SpawnerGenerator does
+const CORNER_MARGIN = 50;
+
+// Degrees a spawner's aim must stay off straight-in (see
+// SpawnerGenerator.getRandomAngleInbound) and off running along its edge
+const MIN_DEVIATION = 6;
+
+// Degrees off straight-in a new spawner fires at
+const NEW_SPAWNER_AIM = 30;
+
+/**
+ * PuzzleEditor - builds a board by hand on the live game (game.mirrors,
+ * game.spawners, on game.board's outline)
+ *
+ * Mirrors come from a palette in the sizes RigidSurfaceAreaGenerator's catalog
+ * has, so every board keeps to the surface areas the generator deals in; they
+ * are placed, moved and rotated under SimpleValidator's rules like any other.
+ * Spawners sit on the board's edge and aim inbound at ANGLE_INCREMENT steps,
+ * never straight in. check() says whether the board is ready to export, and
+ * toPuzzle() gives it as a main puzzle with its layout (see PuzzleFile.js).
+ */
+export class PuzzleEditor {
+    static PALETTE = PALETTE;
+
+    // How far out a spawner's aim handle sits, and how near a pointer must
+    // come to grab it or the spawner
+    static AIM_HANDLE_DISTANCE = 40;
+    static HANDLE_RADIUS = 14;
+
+    constructor(game) {
+        this.game = game;
+    }
+
+    /**
+     * The sizes a shape comes in: one catalog entry per set of dimensions
+     * (rotations aside), smallest surface area first
+     */
+    static sizesFor(shape) {
+        const seen = new Set();
+        return RigidSurfaceAreaGenerator.getMirrorCatalog().catalog
+            .filter(entry => entry.shape === shape)
+            .filter(entry => {
+                const key = DIMENSIONS.map(d => entry[d]).join(',');
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .sort((a, b) => a.surfaceArea - b.surfaceArea || a.size - b.size);
+    }
+
+    /**
+     * Where a mirror's dimensions sit in sizesFor(its shape), or -1 if they
+     * aren't a catalog size
+     */
+    static sizeIndex(mirror) {
+        return this.sizesFor(mirror.shape).findIndex(entry =>
+            DIMENSIONS.every(d => entry[d] === undefined || entry[d] === mirror[d]));
+    }
+
+    /**
+     * A mirror's surface area: its catalog entry's, or worked out from its
+     * dimensions if it has none
+     */
+    static surfaceAreaOf(mirror) {
+        const sizes = this.sizesFor(mirror.shape);
+        const index = this.sizeIndex(mirror);
+        return index >= 0 ? sizes[index].surfaceArea : SurfaceAreaManager.calculateMirrorSurfaceArea(mirror);
+    }
+
+    /**
+     * The board's total surface area so far
+     */
+    totalSurfaceArea() {
+        return this.game.mirrors.reduce((sum, mirror) => sum + PuzzleEditor.surfaceAreaOf(mirror), 0);
+    }
+
+    /**
+     * Add a mirror of `shape` in its smallest size, on the grid at the free spot
+     * nearest the board's middle. Returns the mirror, or null if there is no room.
+     */
+    addMirror(shape) {
+        if (!PALETTE.includes(shape)) throw new Error(`Unknown mirror shape: ${shape}`);
+
+        const mirror = MirrorCreationHelper.createMirror(0, 0, shape);
+        const { surfaceArea, ...config } = PuzzleEditor.sizesFor(shape)[0];
+        MirrorCreationHelper.applyConfiguration(mirror, config, this.game);
+
+        for (const spot of this.freeSpots()) {
+            mirror.x = spot.x;
+            mirror.y = spot.y;
+            GridAlignmentSystem.snapMirrorToGrid(mirror, this.game);
+            this.game.safeUpdateVertices(mirror);
+            if (SimpleValidator.validateMirror(mirror, this.game.mirrors).valid) {
+                this.game.mirrors.push(mirror);
+                return mirror;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Take a mirror off the board
+     */
+    removeMirror(mirror) {
+        this.game.mirrors = this.game.mirrors.filter(m => m !== mirror);
+    }
+
+    /**
+     * Step a mirror `step` sizes up (or down, if negative) its shape's catalog,
+     * where it stands. A size that doesn't fit there is undone. Returns
+     * { valid, reason } like the placement validators.
+     */
+    resizeMirror(mirror, step) {
+        const sizes = PuzzleEditor.sizesFor(mirror.shape);
+        const index = Math.max(0, Math.min(sizes.length - 1, PuzzleEditor.sizeIndex(mirror) + step));
+        const saved = { x: mirror.x, y: mirror.y };
+        DIMENSIONS.forEach(d => { saved[d] = mirror[d]; });
+
+        const { surfaceArea, rotation, ...config } = sizes[index];
+        MirrorCreationHelper.applyConfiguration(mirror, config, this.game);
+        GridAlignmentSystem.ensureMirrorShapeAlignment(mirror, this.game);
+        this.game.safeUpdateVertices(mirror);
+
+        const validation = SimpleValidator.validateMirror(mirror, this.game.mirrors.filter(m => m !== mirror));
+        if (!validation.valid) {
+            Object.assign(mirror, saved);
+            this.game.safeUpdateVertices(mirror);
+        }
+        return validation;
+    }
+
+    /**
+     * Add a spawner on the board's edge, as far from the others as it can be,
+     * aimed inbound. Returns the spawner.
+     */
+    addSpawner() {
+        let best = null;
+        for (const edge of this.edges()) {
+            for (let t = edge.margin; t <= edge.length - edge.margin; t += CONFIG.GRID_SIZE) {
+                const x = edge.x1 + edge.dx * t;
+                const y = edge.y1 + edge.dy * t;
+                const room = Math.min(Infinity, ...this.game.spawners.map(s => Math.hypot(s.x - x, s.y - y)));
+                if (!best || room > best.room) best = { x, y, edge, room };
+            }
+        }
+
+        const spawner = new Spawner(best.x, best.y, 0);
+        spawner.angle = this.inboundAngle(best.edge, best.edge.inward + NEW_SPAWNER_AIM);
+        this.game.spawners.push(spawner);
+        return spawner;
+    }
+
+    /**
+     * Take a spawner off the board
+     */
+    removeSpawner(spawner) {
+        this.game.spawners = this.game.spawners.filter(s => s !== spawner);
+    }
+
+    /**
+     * Slide a spawner to the point on the board's edge nearest (x, y), off its
+     * corners, still aimed the way it was as near as the new edge allows
+     */
+    moveSpawner(spawner, x, y) {
+        let best = null;
+        for (const edge of this.edges()) {
+            const along = (x - edge.x1) * edge.dx + (y - edge.y1) * edge.dy;
+            const t = Math.max(edge.margin, Math.min(edge.length - edge.margin, along));
+            const px = edge.x1 + edge.dx * t;
+            const py = edge.y1 + edge.dy * t;
+            const distance = Math.hypot(px - x, py - y);
+            if (!best || distance < best.distance) best = { x: px, y: py, edge, distance };
+        }
+
+        spawner.x = best.x;
+        spawner.y = best.y;
+        spawner.angle = this.inboundAngle(best.edge, spawner.angle * 180 / Math.PI);
+    }
+
+    /**
+     * Aim a spawner at (x, y), as near as an inbound angle on ANGLE_INCREMENT
+     * steps gets
+     */
+    aimSpawner(spawner, x, y) {
+        if (x === spawner.x && y === spawner.y) return;
+        const edge = this.edgeOf(spawner);
+        spawner.angle = this.inboundAngle(edge, Math.atan2(y - spawner.y, x - spawner.x) * 180 / Math.PI);
+    }
+
+    /**
+     * Where a spawner's aim handle is: out along the way it fires
+     */
+    static aimHandle(spawner) {
+        return {
+            x: spawner.x + Math.cos(spawner.angle) * this.AIM_HANDLE_DISTANCE,
+            y: spawner.y + Math.sin(spawner.angle) * this.AIM_HANDLE_DISTANCE
+        };
+    }
+
+    /**
+     * The spawner handle under (x, y), as { spawner, handle: 'aim' | 'move' }
+     * (aim handles first, as they can sit over another spawner), or null
+     */
+    handleAt(x, y) {
+        const near = (point) => Math.hypot(point.x - x, point.y - y) <= PuzzleEditor.HANDLE_RADIUS;
+        const aimed = this.game.spawners.find(s => near(PuzzleEditor.aimHandle(s)));
+        if (aimed) return { spawner: aimed, handle: 'aim' };
+        const moved = this.game.spawners.find(s => near(s));
+        return moved ? { spawner: moved, handle: 'move' } : null;
+    }
+
+    /**
+     * Whether the board can be exported: mirrors and spawners on it, exactly
+     * the target surface area, every mirror legally placed, and no more
+     * lasers than a main board's waves allow. Returns
+     * { valid, reason } like the placement validators.
+     */
+    check() {
+        const { mirrors, spawners } = this.game;
+        if (mirrors.length === 0) {
+            return { valid: false, reason: 'The board needs at least one mirror' };
+        }
+        if (spawners.length === 0) {
+            return { valid: false, reason: 'The board needs at least one spawner' };
+        }
+        const total = this.totalSurfaceArea();
+        const target = RigidSurfaceAreaGenerator.TARGET_SURFACE_AREA;
+        if (total !== target) {
+            return { valid: false, reason: `The mirrors' surface area is ${total}, not ${target}` };
+        }
+        for (const mirror of mirrors) {
+            const validation = SimpleValidator.validateMirror(mirror, mirrors.filter(m => m !== mirror));
+            if (!validation.valid) return validation;
+        }
+        const portalCheck = SimpleValidator.validatePortalPairs(mirrors);
+        if (!portalCheck.valid) return portalCheck;
+        return SpawnerWaves.validate(spawners);
+    }
+
+    /**
+     * The board as a main puzzle, mirrors in place (see PuzzleFile.toPuzzleFile):
+     * the cores, terrain and outline it was started from, under the rules in force
+     */
+    toPuzzle() {
+        const { game } = this;
+        return {
+            mode: 'main',
+            mirrors: game.mirrors,
+            spawners: game.spawners,
+            physicsVersion: CONFIG.PHYSICS_VERSION,
+            ruleset: activeRuleset(),
+            cores: game.cores,
+            scoring: game.cores ? game.scoring || 'lastCore' : null,
+            walls: game.walls,
+            blockedCells: game.blockedCells,
+            board: game.board,
+            laserInteraction: game.laserInteraction,
+        };
+    }
+
+    /**
+     * Grid points on the board, nearest its middle first
+     */
+    freeSpots() {
+        const bounds = boardBounds(this.game.board);
+        const cx = (bounds.minX + bounds.maxX) / 2;
+        const cy = (bounds.minY + bounds.maxY) / 2;
+        const spots = [];
+        for (let x = bounds.minX + CONFIG.GRID_SIZE; x < bounds.maxX; x += CONFIG.GRID_SIZE) {
+            for (let y = bounds.minY + CONFIG.GRID_SIZE; y < bounds.maxY; y += CONFIG.GRID_SIZE) {
+                spots.push({ x, y });
+            }
+        }
+        return spots.sort((a, b) => Math.hypot(a.x - cx, a.y - cy) - Math.hypot(b.x - cx, b.y - cy));
+    }
+
+    /**
+     * The board's edges (its outline's, or the canvas's), each with its unit
+     * direction, length, corner margin and inward direction in degrees
+     */
+    edges() {
+        const shape = normalizeBoard(this.game.board);
+        const W = CONFIG.CANVAS_WIDTH;
+        const H = CONFIG.CANVAS_HEIGHT;
+        const edges = shape ? shape.edges : [
+            { x1: 0, y1: 0, x2: W, y2: 0, nx: 0, ny: 1 },
+            { x1: W, y1: 0, x2: W, y2: H, nx: -1, ny: 0 },
+            { x1: W, y1: H, x2: 0, y2: H, nx: 0, ny: -1 },
+            { x1: 0, y1: H, x2: 0, y2: 0, nx: 1, ny: 0 },
+        ];
+        return edges.map(e => {
+            const length = Math.hypot(e.x2 - e.x1, e.y2 - e.y1);
+            return {
+                x1: e.x1, y1: e.y1,
+                dx: (e.x2 - e.x1) / length, dy: (e.y2 - e.y1) / length,
+                length,
+                margin: Math.min(CORNER_MARGIN, length / 4),
+                inward: Math.atan2(e.ny, e.nx) * 180 / Math.PI
+            };
+        });
+    }
+
+    /**
+     * The edge a spawner sits on (the nearest one)
+     */
+    edgeOf(spawner) {
+        let best = null;
+        for (const edge of this.edges()) {
+            const t = Math.max(0, Math.min(edge.length, (spawner.x - edge.x1) * edge.dx + (spawner.y - edge.y1) * edge.dy));
+            const distance = Math.hypot(edge.x1 + edge.dx * t - spawner.x, edge.y1 + edge.dy * t - spawner.y);
+            if (!best || distance < best.distance) best = { edge, distance };
+        }
+        return best.edge;
+    }
+
+    /**
+     * The angle (radians) nearest `degrees` that a spawner on `edge` may fire
+     * at: a multiple of ANGLE_INCREMENT at least MIN_DEVIATION off straight in,
+     * and as far off the edge itself
+     */
+    inboundAngle(edge, degrees) {
+        const step = CONFIG.ANGLE_INCREMENT;
+        const offset = d => ((d - edge.inward) % 360 + 540) % 360 - 180;
+
+        const wanted = offset(degrees);
+        const clamped = Math.max(MIN_DEVIATION, Math.min(90 - MIN_DEVIATION, Math.abs(wanted)));
+        let snapped = Math.round((edge.inward + (wanted < 0 ? -clamped : clamped)) / step) * step;
+        while (Math.abs(offset(snapped)) < MIN_DEVIATION) {
+            snapped += (wanted < 0 ? -1 : 1) * step;
+        }
+        while (Math.abs(offset(snapped)) > 90 - MIN_DEVIATION) {
+            snapped -= Math.sign(offset(snapped)) * step;
+        }
+        return (snapped % 360 + 360) % 360 * Math.PI / 180;
+    }
+}
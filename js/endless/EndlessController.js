@@ -0,0 +1,80 @@
+import { CONFIG } from '../config.js';
+import { joinTimes } from '../core/Endless.js';
+import { SpawnerGenerator } from '../generators/SpawnerGenerator.js';
+import { SeededRandom } from '../validation/SeededRandom.js';
+
+/**
+ * EndlessController - the game's endless mode: main boards that play on past
+ * the cap, with new spawners joining as the clock runs
+ *
+ * game.isEndless is the mode flag, alongside game.isDailyChallenge; the
+ * schedule and the longer cap are Endless.js.
+ */
+export class EndlessController {
+    constructor(game) {
+        this.game = game;
+    }
+
+    /**
+     * Wire the Endless buttons
+     */
+    setupControls() {
+        this.game.bindMenuButton('endlessToggle', 'mobileEndlessToggle', () => this.toggle());
+    }
+
+    /**
+     * Toggle endless mode on or off
+     */
+    toggle() {
+        const game = this.game;
+        if (game.isPlaying) return; // Can't toggle during gameplay
+
+        game.isEndless = !game.isEndless;
+        if (game.isEndless) game.isDailyChallenge = false;
+        game.resetGame();
+    }
+
+    /**
+     * Add the spawners that join an endless board past the cap to
+     * game.spawners, from their own stream of the board's seed (as
+     * PuzzleGenerator.generateEndlessPuzzle has it)
+     */
+    addJoiningSpawners() {
+        const game = this.game;
+        const joining = new SpawnerGenerator(game, new SeededRandom(`${game.boardSeed}-joining`));
+        game.spawners.push(...joining.generateJoiningSpawners(joinTimes(), game.board));
+    }
+
+    /**
+     * Tell the player once the run has just passed the cap and spawners
+     * start joining
+     */
+    announcePastCap() {
+        const { gameTime, deltaTime } = this.game;
+        if (gameTime >= CONFIG.MAX_GAME_TIME && gameTime - deltaTime < CONFIG.MAX_GAME_TIME) {
+            window.showToast?.('Past the cap! New spawners now join as the clock runs.', 4000);
+        }
+    }
+
+    /**
+     * Show the Endless buttons' state, and the page's endless theme
+     */
+    updateUI() {
+        const isEndless = this.game.isEndless;
+        const endlessToggle = document.getElementById('endlessToggle');
+        if (endlessToggle) {
+            endlessToggle.classList.toggle('endless-active', isEndless);
+            const label = endlessToggle.querySelector('span');
+            if (label) label.textContent = isEndless ? 'Main Game' : 'Endless';
+        }
+
+        const mobileEndlessToggle = document.getElementById('mobileEndlessToggle');
+        if (mobileEndlessToggle) {
+            mobileEndlessToggle.classList.toggle('endless-active', isEndless);
+            const label = mobileEndlessToggle.querySelector('span');
+            if (label) label.textContent = isEndless ? 'Switch to Main Game' : 'Endless Mode';
+        }
+
+        document.body.classList.toggle('endless-mode', isEndless);
+    }
+}
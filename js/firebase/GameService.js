@@ -2,7 +2,8 @@
  * GameService - client wrapper for the server-authoritative game functions.
  *
  * startGame(mode)  -> { sessionId, puzzle }   the server issues the board.
- * submitGame(...)  -> { verified, score, scoreFormatted, isNewBest }
+ * submitGame(...)  -> { verified, score, scoreFormatted, isNewBest, traceRequested }
+ * reportTrace(...) -> sends a run's step trace when submitGame asked for it
  *
  * The client never computes the ranked score; it plays the server's board and
  * submits only its final mirror placements. Any failure here (offline, not
@@ -21,6 +22,7 @@ export class GameService {
         const functions = getFunctions();
         this._startGame = functions.httpsCallable('startGame');
         this._submitGame = functions.httpsCallable('submitGame');
+        this._reportTrace = functions.httpsCallable('reportTrace');
         this._setVideoPath = functions.httpsCallable('setReplayVideoPath');
         this._reserveUsername = functions.httpsCallable('reserveUsername');
         this._releaseUsername = functions.httpsCallable('releaseUsername');
@@ -47,6 +49,7 @@ export class GameService {
 
     /**
      * Ask the server for a fresh puzzle.
+     * @param {string} mode - 'main', 'daily' or 'endless'
      * @returns {Promise<{ sessionId: string, puzzle: object }>}
      */
     async startGame(mode = 'main') {
@@ -60,11 +63,23 @@ export class GameService {
      * @param {string} sessionId
      * @param {Array<{x:number,y:number,rotation:number}>} placements
      * @param {string} displayName
-     * @returns {Promise<{ verified: boolean, score: number, scoreFormatted: string, isNewBest: boolean }>}
+     * @param {number} clientScore - the time the player saw (diagnostics only)
+     * @param {string} digest - the run's digest, StepTrace.digest() (diagnostics only)
+     * @returns {Promise<{ verified: boolean, score: number, scoreFormatted: string, isNewBest: boolean, traceRequested: boolean }>}
      */
-    async submitGame(sessionId, placements, displayName, clientScore) {
+    async submitGame(sessionId, placements, displayName, clientScore, digest) {
         this._ensure();
-        const result = await this._submitGame({ sessionId, placements, displayName, clientScore });
+        const result = await this._submitGame({ sessionId, placements, displayName, clientScore, digest });
+        return result.data;
+    }
+
+    /**
+     * Send a run's step digests, StepTrace.toString(), after submitGame answered
+     * traceRequested (its digest disagreed with the server's run).
+     */
+    async reportTrace(sessionId, trace) {
+        this._ensure();
+        const result = await this._reportTrace({ sessionId, trace });
         return result.data;
     }
 
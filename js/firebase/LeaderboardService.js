@@ -2,9 +2,11 @@
  * LeaderboardService - Firestore-backed score management
  *
  * Firestore collection: "scores"
- * Document ID: {uid}_main (main game) or {uid}_{YYYY-MM-DD} (daily challenge)
+ * Document ID: {uid}_main (main game), {uid}_{YYYY-MM-DD} (daily challenge) or
+ * {uid}_endless (endless mode, its own leaderboard: scores run past the cap)
  */
 import { getFirestore } from './FirebaseConfig.js';
+import { timeCap } from '../core/Endless.js';
 
 export class LeaderboardService {
     constructor(auth) {
@@ -19,8 +21,8 @@ export class LeaderboardService {
         const uid = this.auth.getUID();
         if (!uid) throw new Error('Not authenticated');
 
-        // Enforce valid range
-        if (score < 0 || score > 300) throw new Error('Invalid score');
+        // Enforce valid range (endless runs may last to their ceiling)
+        if (score < 0 || score > timeCap(mode)) throw new Error('Invalid score');
 
         const db = getFirestore();
         const docId = this._getDocId(uid, mode, metadata.dailyDate);
@@ -69,7 +71,7 @@ export class LeaderboardService {
 
     /**
      * Fetch leaderboard entries
-     * @param {string} mode - "main" or "daily"
+     * @param {string} mode - "main", "daily" or "endless"
      * @param {string} period - "all", "weekly", "today"
      * @param {string|null} dailyDate - for daily mode, the specific date
      * @param {number} limit - max entries to return
@@ -187,6 +189,9 @@ export class LeaderboardService {
         if (mode === 'daily' && dailyDate) {
             return `${uid}_${dailyDate}`;
         }
+        if (mode === 'endless') {
+            return `${uid}_endless`;
+        }
         return `${uid}_main`;
     }
 }
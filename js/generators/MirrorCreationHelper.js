@@ -1,5 +1,6 @@
 import { CONFIG } from '../config.js';
 import { MirrorFactory } from '../mirrors/MirrorFactory.js';
+import { SeededRandom } from '../validation/SeededRandom.js';
 
 /**
  * MirrorCreationHelper - Handles creating and configuring mirrors
@@ -40,18 +41,30 @@ export class MirrorCreationHelper {
         if (config.skew !== undefined) {
             mirror.skew = config.skew;
         }
+        if (config.material !== undefined) {
+            mirror.material = config.material;
+        }
+        if (config.refractiveIndex !== undefined) {
+            mirror.refractiveIndex = config.refractiveIndex;
+        }
+        if (config.portalPair !== undefined) {
+            mirror.portalPair = config.portalPair;
+        }
+        if (config.motion !== undefined) {
+            mirror.motion = config.motion;
+        }
 
         game.safeUpdateVertices(mirror);
         return true;
     }
 
     /**
-     * Generate a random position in a ring around the center
+     * Generate a random position in a ring around the center, drawn from `rng`
      */
-    static generateRandomPosition() {
+    static generateRandomPosition(rng = SeededRandom.fresh()) {
         const center = { x: CONFIG.CANVAS_WIDTH / 2, y: CONFIG.CANVAS_HEIGHT / 2 };
-        const angle = Math.random() * Math.PI * 2;
-        const distance = 140 + Math.random() * 180;
+        const angle = rng.next() * Math.PI * 2;
+        const distance = 140 + rng.next() * 180;
 
         return {
             x: center.x + Math.cos(angle) * distance,
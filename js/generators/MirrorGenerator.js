@@ -3,6 +3,7 @@ import { SurfaceAreaManager } from '../validation/SurfaceAreaManager.js';
 import { SimpleValidator } from '../validation/SimpleValidator.js';
 import { MirrorCreationHelper } from './MirrorCreationHelper.js';
 import { RigidSurfaceAreaGenerator } from '../validation/RigidSurfaceAreaGenerator.js';
+import { SeededRandom } from '../validation/SeededRandom.js';
 
 /**
  * MirrorGenerator - Handles mirror generation and placement
@@ -10,18 +11,26 @@ import { RigidSurfaceAreaGenerator } from '../validation/RigidSurfaceAreaGenerat
  * - Generating mirrors for the game
  * - Validating mirror placement
  * - Finding valid positions for mirrors
+ *
+ * Every random choice comes from `rng` (a SeededRandom; a fresh seed if none is
+ * given), so the same seed and rules always generate the same mirrors.
  */
 export class MirrorGenerator {
-    constructor(game) {
+    constructor(game, rng = SeededRandom.fresh()) {
         this.game = game;
+        this.rng = rng;
     }
 
     /**
      * Generate all mirrors for the game
+     * @param {Object} [options]
+     * @param {Object} [options.materials] - special pieces to include, e.g. { absorber: 1, oneWay: 2 }
+     * @param {number} [options.portalPairs] - linked portal pairs to include
+     * @param {Object} [options.motion] - moving mirrors to include, e.g. { rail: 1, spin: 1 }
      */
-    generateMirrors() {
+    generateMirrors(options = {}) {
         const mirrors = [];
-        return this.generateFreePlayMirrors(mirrors);
+        return this.generateFreePlayMirrors(mirrors, options);
     }
 
     /**
@@ -34,7 +43,7 @@ export class MirrorGenerator {
      * 3. If placement fails, generate a NEW configuration and try again
      * 4. Never return partial configurations - always exactly 84
      */
-    generateFreePlayMirrors(mirrors) {
+    generateFreePlayMirrors(mirrors, options = {}) {
         const maxConfigAttempts = 50; // Try many different configurations
 
 
@@ -42,7 +51,19 @@ export class MirrorGenerator {
             mirrors.length = 0; // Clear previous attempt
 
             // Generate a NEW configuration that ALWAYS sums to exactly 84
-            const mirrorConfigs = RigidSurfaceAreaGenerator.generateExact84Configuration();
+            const mirrorConfigs = MirrorGenerator.assignMotion(
+                RigidSurfaceAreaGenerator.assignMaterials(
+                    RigidSurfaceAreaGenerator.assignPortalPairs(
+                        RigidSurfaceAreaGenerator.generateExact84Configuration(this.rng),
+                        options.portalPairs,
+                        this.rng
+                    ),
+                    options.materials,
+                    this.rng
+                ),
+                options.motion,
+                this.rng
+            );
 
             // VERIFY it's exactly 84 (should never fail, but double-check)
             const configTotal = RigidSurfaceAreaGenerator.calculateTotal(mirrorConfigs);
@@ -103,6 +124,41 @@ export class MirrorGenerator {
         return this.generateGuaranteedFallback();
     }
 
+    /**
+     * Set some mirrors of a configuration moving, e.g. { rail: 1, spin: 1 } (see
+     * MirrorMotion.js). Rails run 60-140px along one of the eight compass
+     * directions and take 4-8s out and back; spinners turn 15-45 degrees a second
+     * either way. Portals stay still. Placement then only accepts spots where the
+     * whole path is legal (SimpleValidator rule 4).
+     */
+    static assignMotion(configs, motion, rng = SeededRandom.fresh()) {
+        if (!motion) return configs;
+
+        const order = configs.map((_, i) => i).filter(i => configs[i].material !== 'portal');
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(rng.next() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+
+        let next = 0;
+        for (let n = 0; n < (motion.rail || 0) && next < order.length; n++) {
+            const heading = Math.floor(rng.next() * 8) * Math.PI / 4;
+            const length = 60 + Math.round(rng.next() * 80);
+            configs[order[next++]].motion = {
+                type: 'rail',
+                dx: Math.round(Math.cos(heading) * length),
+                dy: Math.round(Math.sin(heading) * length),
+                period: 4 + Math.round(rng.next() * 4)
+            };
+        }
+        for (let n = 0; n < (motion.spin || 0) && next < order.length; n++) {
+            const rate = 15 + Math.round(rng.next() * 30);
+            configs[order[next++]].motion = { type: 'spin', rate: rng.next() < 0.5 ? -rate : rate };
+        }
+
+        return configs;
+    }
+
     /**
      * Generate the simplest guaranteed-placeable fallback
      * 3 large rectangles (28 + 28 + 28 = 84) positioned safely away from all forbidden zones
@@ -178,7 +234,7 @@ export class MirrorGenerator {
         const maxAttempts = 100; // Reduced to prevent long loops
 
         for (let attempt = 0; attempt < maxAttempts; attempt++) {
-            const pos = MirrorCreationHelper.generateRandomPosition();
+            const pos = MirrorCreationHelper.generateRandomPosition(this.rng);
             const mirror = MirrorCreationHelper.createMirror(pos.x, pos.y, config.shape);
 
             if (!mirror) {
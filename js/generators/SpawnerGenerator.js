@@ -1,74 +1,136 @@
 import { CONFIG } from '../config.js';
 import { Spawner } from '../classes/Spawner.js';
+import { normalizeBoard } from '../core/Board.js';
+import { SeededRandom } from '../validation/SeededRandom.js';
 
 /**
  * SpawnerGenerator - Handles spawner generation
  * Responsibilities:
  * - Generating spawners for the game
  * - Calculating random angles for spawners
+ *
+ * Every random choice comes from `rng` (a SeededRandom; a fresh seed if none is
+ * given), so the same seed and rules always generate the same spawners.
  */
 export class SpawnerGenerator {
-    constructor(game) {
+    constructor(game, rng = SeededRandom.fresh()) {
         this.game = game;
+        this.rng = rng;
     }
 
     /**
-     * Generate all spawners for the game
+     * Generate all spawners for the game, on the canvas edges or, for a board
+     * with an outline (see Board.js), on the outline
      */
-    generateSpawners() {
+    generateSpawners(board = null) {
         const spawners = [];
 
         // Generate exactly 5 spawners for fair scoring
         const spawnerCount = 5;
-        const allPositions = this.generateRandomPositions();
+        const allPositions = this.generateRandomPositions(board);
 
         // Generate more positions if needed
         while (allPositions.length < spawnerCount) {
-            const additionalPositions = this.generateRandomPositions();
+            const additionalPositions = this.generateRandomPositions(board);
             allPositions.push(...additionalPositions);
         }
 
         const selectedPositions = this.shuffleArray([...allPositions]).slice(0, spawnerCount);
 
         selectedPositions.forEach(pos => {
-            const randomAngle = this.getRandomAngleInbound(pos.x, pos.y, pos.edge);
+            const randomAngle = this.getRandomAngleInbound(pos.x, pos.y, pos.edge, pos.inward);
             spawners.push(new Spawner(pos.x, pos.y, randomAngle));
         });
 
         return spawners;
     }
 
+    /**
+     * Generate the spawners that join an endless run, one per time in `times`
+     * (seconds; see Endless.joinTimes). Each sits on a random edge (of `board`'s
+     * outline, if it has one), aimed inbound like the launch spawners, and fires
+     * a single shot when it joins.
+     */
+    generateJoiningSpawners(times, board = null) {
+        return times.map(time => {
+            const positions = this.generateRandomPositions(board);
+            const pos = positions[Math.floor(this.rng.next() * positions.length)];
+            const angle = this.getRandomAngleInbound(pos.x, pos.y, pos.edge, pos.inward);
+            return new Spawner(pos.x, pos.y, angle, { delay: time });
+        });
+    }
+
+    /**
+     * Turn a set of spawners into escalating waves: spawner i first fires
+     * i * stagger seconds in, then every repeatEvery seconds, count shots in all.
+     * So the board starts with one beam and gains another every `stagger`.
+     */
+    static assignWaves(spawners, { stagger = 10, repeatEvery = 30, count = 3 } = {}) {
+        spawners.forEach((spawner, i) => {
+            spawner.delay = i * stagger;
+            spawner.repeatEvery = repeatEvery;
+            spawner.count = count;
+        });
+        return spawners;
+    }
+
+    /**
+     * Give some spawners another laser type, e.g. { fast: 2, slow: 1 } (keys of
+     * CONFIG.LASER_PROFILES). Spawners are picked in random order (drawn from
+     * `rng`); the rest keep normal lasers.
+     */
+    static assignLaserProfiles(spawners, profiles, rng = SeededRandom.fresh()) {
+        const order = spawners.map((_, i) => i);
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(rng.next() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+
+        let next = 0;
+        for (const [profile, count] of Object.entries(profiles)) {
+            for (let n = 0; n < count && next < order.length; n++) {
+                spawners[order[next++]].laserProfile = profile;
+            }
+        }
+        return spawners;
+    }
+
     /**
      * Generate random positions along each edge
      */
-    generateRandomPositions() {
+    generateRandomPositions(board = null) {
+        const outline = normalizeBoard(board);
+        if (outline) {
+            return this.generateOutlinePositions(outline);
+        }
+
         const positions = [];
         const margin = 50; // Keep spawners away from corners
 
         // Left edge - random Y position
         positions.push({
             x: 0,
-            y: margin + Math.random() * (CONFIG.CANVAS_HEIGHT - 2 * margin),
+            y: margin + this.rng.next() * (CONFIG.CANVAS_HEIGHT - 2 * margin),
             edge: 'left'
         });
 
         // Right edge - random Y position
         positions.push({
             x: CONFIG.CANVAS_WIDTH,
-            y: margin + Math.random() * (CONFIG.CANVAS_HEIGHT - 2 * margin),
+            y: margin + this.rng.next() * (CONFIG.CANVAS_HEIGHT - 2 * margin),
             edge: 'right'
         });
 
         // Top edge - random X position
         positions.push({
-            x: margin + Math.random() * (CONFIG.CANVAS_WIDTH - 2 * margin),
+            x: margin + this.rng.next() * (CONFIG.CANVAS_WIDTH - 2 * margin),
             y: 0,
             edge: 'top'
         });
 
         // Bottom edge - random X position
         positions.push({
-            x: margin + Math.random() * (CONFIG.CANVAS_WIDTH - 2 * margin),
+            x: margin + this.rng.next() * (CONFIG.CANVAS_WIDTH - 2 * margin),
             y: CONFIG.CANVAS_HEIGHT,
             edge: 'bottom'
         });
@@ -77,9 +139,40 @@ export class SpawnerGenerator {
     }
 
     /**
-     * Get a random angle pointing inbound from an edge
+     * Generate four random positions on a board's outline (normalized; see
+     * Board.js), each on an edge picked in proportion to its length and kept
+     * off its corners. `inward` is the direction (degrees) straight into the board.
      */
-    getRandomAngleInbound(x, y, edge) {
+    generateOutlinePositions(outline) {
+        const lengths = outline.edges.map(e => Math.hypot(e.x2 - e.x1, e.y2 - e.y1));
+        const perimeter = lengths.reduce((sum, length) => sum + length, 0);
+        const positions = [];
+
+        for (let n = 0; n < 4; n++) {
+            let pick = this.rng.next() * perimeter;
+            let i = 0;
+            while (i < lengths.length - 1 && pick >= lengths[i]) {
+                pick -= lengths[i++];
+            }
+            const e = outline.edges[i];
+            const margin = Math.min(50, lengths[i] / 4); // Keep spawners away from corners
+            const t = (margin + this.rng.next() * (lengths[i] - 2 * margin)) / lengths[i];
+            positions.push({
+                x: e.x1 + (e.x2 - e.x1) * t,
+                y: e.y1 + (e.y2 - e.y1) * t,
+                edge: 'outline',
+                inward: Math.atan2(e.ny, e.nx) * 180 / Math.PI
+            });
+        }
+
+        return positions;
+    }
+
+    /**
+     * Get a random angle pointing inbound from an edge ('outline' edges give
+     * their own inward direction, in degrees)
+     */
+    getRandomAngleInbound(x, y, edge, inward = 0) {
         let baseAngleDegrees;
         let allowedRange = 120; // ±60 degrees from base direction
 
@@ -97,6 +190,9 @@ export class SpawnerGenerator {
             case 'bottom':
                 baseAngleDegrees = 270; // Point up into the play area
                 break;
+            case 'outline':
+                baseAngleDegrees = inward; // Straight in from a board outline's edge
+                break;
             default:
                 // Fallback to center-pointing logic
                 const centerX = CONFIG.CANVAS_WIDTH / 2;
@@ -114,8 +210,8 @@ export class SpawnerGenerator {
         // in on a diagonal, which is both fairer and a little harder.
         const MIN_DEVIATION = 6;           // degrees off perpendicular
         const half = allowedRange / 2;     // 60
-        const magnitude = MIN_DEVIATION + Math.random() * (half - MIN_DEVIATION);
-        const variation = (Math.random() < 0.5 ? -1 : 1) * magnitude;
+        const magnitude = MIN_DEVIATION + this.rng.next() * (half - MIN_DEVIATION);
+        const variation = (this.rng.next() < 0.5 ? -1 : 1) * magnitude;
         const randomDegrees = baseAngleDegrees + variation;
 
         // Snap to 15-degree increments
@@ -130,7 +226,7 @@ export class SpawnerGenerator {
      */
     shuffleArray(array) {
         for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(this.rng.next() * (i + 1));
             [array[i], array[j]] = [array[j], array[i]];
         }
         return array;
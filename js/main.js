@@ -79,7 +79,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         const game = new Game();
 
-        // NOTE: the loading overlay is removed by Game.setupBoard() once the first
+        // NOTE: the loading overlay is removed by BoardLoader.setup() once the first
         // board is ready (it waits for the server-issued ranked board), not here.
 
         // Expose game instance globally for modal functions
@@ -1,4 +1,5 @@
 import { CONFIG } from '../config.js';
+import { PALETTE, rgba } from '../theme/palette.js';
 
 /**
  * Abstract base class for all mirror types
@@ -13,6 +14,12 @@ export class BaseMirror {
         this.y = y;
         this.isDragging = false;
 
+        // Surface material (see MirrorFactory.getAllMaterials): 'reflective' by default
+        this.material = 'reflective';
+        this.refractiveIndex = CONFIG.GLASS_REFRACTIVE_INDEX; // Only used by glass
+        this.portalPair = null; // Only used by portals: id shared with the linked partner
+        this.motion = null; // Rail or spin while lasers fly (see MirrorMotion.js); null = static
+
         // CANONICAL SOURCE OF TRUTH: Array of vertex coordinates
         // Format: [{x: number, y: number}, ...]
         this.vertices = [];
@@ -196,7 +203,26 @@ export class BaseMirror {
         gradient.addColorStop(0.8 - shimmerOffset, '#657391');
         gradient.addColorStop(1, '#3d4a63');
 
+        // Absorbers are matte black and portals a dark well, no chrome
+        // (PortalRenderer adds the portal glow and pair label on top)
+        if (this.material === 'absorber' || this.material === 'portal') {
+            ctx.fillStyle = this.material === 'portal' ? '#1f1709' : '#15110c';
+            ctx.beginPath();
+            ctx.moveTo(points[0].x, points[0].y);
+            for (let i = 1; i < points.length; i++) {
+                ctx.lineTo(points[i].x, points[i].y);
+            }
+            ctx.closePath();
+            ctx.fill();
+            return;
+        }
+
+        // Splitters are half-silvered, one-way bodies are clear behind their single
+        // mirrored face, and glass is all clear: draw the chrome see-through
+        const surfaceAlpha = { splitter: 0.55, oneWay: 0.3, glass: 0.2 }[this.material] || 1;
+
         ctx.fillStyle = gradient;
+        ctx.globalAlpha = surfaceAlpha;
         ctx.beginPath();
         ctx.moveTo(points[0].x, points[0].y);
         for (let i = 1; i < points.length; i++) {
@@ -204,6 +230,7 @@ export class BaseMirror {
         }
         ctx.closePath();
         ctx.fill();
+        ctx.globalAlpha = 1;
 
         // Add a subtle inner highlight for more reflective look
         ctx.globalAlpha = 0.3;
@@ -240,6 +267,11 @@ export class BaseMirror {
             ctx.lineWidth = 1.5;
         }
 
+        // Dashed outline marks a splitter
+        if (this.material === 'splitter') {
+            ctx.setLineDash([6, 4]);
+        }
+
         ctx.beginPath();
         ctx.moveTo(points[0].x, points[0].y);
         for (let i = 1; i < points.length; i++) {
@@ -248,8 +280,28 @@ export class BaseMirror {
         ctx.closePath();
         ctx.stroke();
 
-        // Reset shadow
+        // Reset shadow and dash
         ctx.shadowBlur = 0;
+        ctx.setLineDash([]);
+
+        // Absorbers get a red rim, portals an amber one; one-way mirrors a bright
+        // line on the mirrored face
+        if (this.material === 'portal') {
+            ctx.strokeStyle = rgba(PALETTE.primary, 0.9);
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        } else if (this.material === 'absorber') {
+            ctx.strokeStyle = rgba(PALETTE.danger, 0.8);
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        } else if (this.material === 'oneWay') {
+            ctx.strokeStyle = '#d0dcf0';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(points[0].x, points[0].y);
+            ctx.lineTo(points[1].x, points[1].y);
+            ctx.stroke();
+        }
     }
 
     /**
@@ -284,8 +336,10 @@ export class BaseMirror {
         const snappedDegrees = Math.round(degrees / CONFIG.ANGLE_INCREMENT) * CONFIG.ANGLE_INCREMENT;
         const snappedAngle = snappedDegrees * Math.PI / 180;
 
-        laser.vx = Math.cos(snappedAngle) * CONFIG.LASER_SPEED;
-        laser.vy = Math.sin(snappedAngle) * CONFIG.LASER_SPEED;
+        // Each laser keeps its own (profile) speed through every bounce
+        const speed = laser.speed ?? CONFIG.LASER_SPEED;
+        laser.vx = Math.cos(snappedAngle) * speed;
+        laser.vy = Math.sin(snappedAngle) * speed;
     }
 
     distanceToLineSegment(px, py, start, end) {
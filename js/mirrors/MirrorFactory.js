@@ -41,4 +41,15 @@ export class MirrorFactory {
     static getAllShapes() {
         return ['square', 'rectangle', 'rightTriangle', 'isoscelesTriangle', 'trapezoid', 'parallelogram', 'hexagon'];
     }
+
+    /**
+     * Surface materials any shape can carry (set on mirror.material):
+     * reflective (default), splitter (reflects + transmits), absorber (removes the
+     * laser), oneWay (only the first face reflects, and only from outside), glass
+     * (bends the laser by Snell's law using mirror.refractiveIndex), portal (sends
+     * the laser out of the partner sharing its mirror.portalPair).
+     */
+    static getAllMaterials() {
+        return ['reflective', 'splitter', 'absorber', 'oneWay', 'glass', 'portal'];
+    }
 }
\ No newline at end of file
@@ -0,0 +1,93 @@
+import { ParticleSystem } from '../vendor/arcade-graphics-engine/index.js';
+
+const BURST_PARTICLES = 14; // per beam, so a crossing throws out twice this
+
+/**
+ * BurstEffects - the spray of sparks where two lasers cancel each other out
+ * (the 'annihilate' laser rule). Purely visual: the particles use Math.random
+ * and never touch the physics.
+ */
+export class BurstEffects {
+    constructor() {
+        this.systems = [];
+    }
+
+    /**
+     * Burst at (x, y) in a beam's colour ([r, g, b]).
+     */
+    add(x, y, color) {
+        const system = new ParticleSystem({
+            x,
+            y,
+            rate: 0,
+            spread: Math.PI * 2,
+            angle: 0,
+            speed: 90,
+            speedVariance: 0.5,
+            lifetime: 0.45,
+            lifetimeVariance: 0.3,
+            gravity: 0,
+            colorStart: [...color, 1],
+            colorEnd: [...color, 0],
+            maxParticles: BURST_PARTICLES
+        }, {
+            shape: 'spark',
+            size: 1.6,
+            sizeVariance: 0.5,
+            glow: true,
+            trailLength: 5,
+            fadeCurve: 'ease-out'
+        });
+        system.burst(BURST_PARTICLES);
+        this.systems.push(system);
+    }
+
+    /**
+     * Age every burst by `dt` seconds, dropping the ones that have faded out.
+     */
+    update(dt) {
+        for (let i = this.systems.length - 1; i >= 0; i--) {
+            this.systems[i].update(dt);
+            if (this.systems[i].particles.length === 0) {
+                this.systems.splice(i, 1);
+            }
+        }
+    }
+
+    clear() {
+        this.systems = [];
+    }
+
+    draw(ctx) {
+        if (this.systems.length === 0) return;
+
+        ctx.save();
+        ctx.lineCap = 'round';
+        for (const system of this.systems) {
+            for (const p of system.particles) {
+                const [r, g, b, a] = p.color;
+                const style = `rgba(${r}, ${g}, ${b}, ${Math.max(0, a)})`;
+
+                if (p.trail.length > 1) {
+                    ctx.strokeStyle = style;
+                    ctx.lineWidth = p.size;
+                    ctx.beginPath();
+                    ctx.moveTo(p.trail[0][0], p.trail[0][1]);
+                    for (let i = 1; i < p.trail.length; i++) {
+                        ctx.lineTo(p.trail[i][0], p.trail[i][1]);
+                    }
+                    ctx.lineTo(p.x, p.y);
+                    ctx.stroke();
+                }
+
+                ctx.shadowColor = style;
+                ctx.shadowBlur = p.size * 4;
+                ctx.fillStyle = style;
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+        ctx.restore();
+    }
+}
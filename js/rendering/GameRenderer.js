@@ -3,6 +3,15 @@ import { GridRenderer } from './GridRenderer.js';
 import { TargetRenderer } from './TargetRenderer.js';
 import { ZoneRenderer } from './ZoneRenderer.js';
 import { ValidationRenderer } from './ValidationRenderer.js';
+import { PortalRenderer } from './PortalRenderer.js';
+import { MotionRenderer } from './MotionRenderer.js';
+import { findPortalPartners, throughPortal } from '../core/Portals.js';
+import { normalizeWalls } from '../core/Terrain.js';
+import { normalizeBoard, boardBounds } from '../core/Board.js';
+import { physicsBackend } from '../core/PhysicsBackends.js';
+import { PuzzleEditor } from '../editor/PuzzleEditor.js';
+import { certifiedPerfect } from '../core/PuzzleFile.js';
+import { normalizeCores } from '../core/Cores.js';
 
 /**
  * GameRenderer - Main orchestrator for all rendering operations
@@ -14,6 +23,30 @@ export class GameRenderer {
         this.game = game;
     }
 
+    /**
+     * The cores to draw: live hit points during and after a run, the puzzle's
+     * definitions while setting up.
+     */
+    coresForDisplay() {
+        const game = this.game;
+        if (game.isPlaying || game.gameOver) return game.laserCollisionHandler.cores;
+        return normalizeCores(game.cores);
+    }
+
+    /**
+     * Countdown for spawner `index`: live from the waves during a run, the
+     * spawner's own schedule while setting up. null when there is nothing to show.
+     */
+    spawnerWaveStatus(index) {
+        const game = this.game;
+        if (game.isPlaying && game.waves) {
+            return { countdown: game.waves.timeUntilNext(index), shotsLeft: game.waves.shotsLeft(index) };
+        }
+        const spawner = game.spawners[index];
+        if (!spawner || (spawner.delay === 0 && spawner.count === 1)) return null;
+        return { countdown: spawner.delay, shotsLeft: spawner.count };
+    }
+
     /**
      * Main render method - orchestrates all drawing operations
      */
@@ -43,21 +76,29 @@ export class GameRenderer {
         ctx.translate(this.game.panX, this.game.panY);
         ctx.scale(this.game.zoom, this.game.zoom);
 
-        // Draw grid
-        GridRenderer.drawGrid(ctx);
+        // Draw grid (inside the board's outline, if it has one), then the
+        // puzzle's walls (if any) over it
+        GridRenderer.drawGrid(ctx, this.game.board);
+        GridRenderer.drawWalls(ctx, this.game.walls);
 
-        // Forbidden zones as a background layer — UNDER the core, so the core keeps
-        // its classic look on top even during the placement phase.
+        // Forbidden zones as a background layer — UNDER the cores, so they keep
+        // their classic look on top even during the placement phase.
+        const cores = this.coresForDisplay();
         if (!this.game.isPlaying && !this.game.dailyCompleted) {
-            ZoneRenderer.drawForbiddenZones(ctx);
+            ZoneRenderer.drawForbiddenZones(ctx, cores, this.game.blockedCells, this.game.board);
         }
 
-        // Draw center target with breach animation progress
+        // Draw the cores with breach animation progress
         const breachProgress = this.game.breachProgress || 0;
-        TargetRenderer.drawTarget(ctx, this.game.gameOver, breachProgress);
+        TargetRenderer.drawTarget(ctx, this.game.gameOver, breachProgress, cores);
 
         // Draw game objects
-        this.game.spawners.forEach(spawner => spawner.draw(ctx, !this.game.isPlaying));
+        const bounds = boardBounds(this.game.board);
+        this.game.spawners.forEach((spawner, index) =>
+            spawner.draw(ctx, !this.game.isPlaying, this.spawnerWaveStatus(index), bounds));
+        if (this.game.editorController.isEditing) {
+            this.drawEditorHandles();
+        }
 
         // Draw mirrors
         this.game.mirrors.forEach(mirror => {
@@ -69,6 +110,11 @@ export class GameRenderer {
             mirror.draw(ctx, isPlacementPhase);
         });
 
+        // Portal glow, pair labels and (during setup) the links between partners
+        PortalRenderer.drawPortals(ctx, this.game.mirrors, !this.game.isPlaying && !this.game.dailyCompleted);
+        // Rails and spin arrows of moving mirrors (setup only)
+        MotionRenderer.drawMotionPaths(ctx, this.game.mirrors, !this.game.isPlaying && !this.game.dailyCompleted);
+
         // Draw selection glow ON TOP of the selected mirror so it's always visible
         if (this.game.selectedMirror && !this.game.isPlaying) {
             this.drawSelectionGlow(this.game.selectedMirror);
@@ -82,6 +128,9 @@ export class GameRenderer {
         // Draw lasers
         this.game.lasers.forEach(laser => laser.draw(ctx));
 
+        // Sparks where crossing beams cancelled out
+        this.game.bursts.draw(ctx);
+
         // Draw laser path preview during setup
         if (!this.game.isPlaying && !this.game.dailyCompleted) {
             this.drawLaserPathPreview();
@@ -131,11 +180,16 @@ export class GameRenderer {
 
     /**
      * Draw dashed laser path previews showing where each laser will travel,
-     * bouncing off the first mirror it hits.
+     * bouncing off the first mirror or wall it hits (or jumping through a portal
+     * pair, or stopping at an absorbing wall) and ending at the board's edge.
      */
     drawLaserPathPreview() {
         const ctx = this.ctx;
         const mirrors = this.game.mirrors;
+        const walls = normalizeWalls(this.game.walls);
+        const board = normalizeBoard(this.game.board);
+        const portalPartners = findPortalPartners(mirrors);
+        const physics = physicsBackend(this.game.physicsVersion);
         const W = CONFIG.CANVAS_WIDTH;
         const H = CONFIG.CANVAS_HEIGHT;
 
@@ -154,8 +208,9 @@ export class GameRenderer {
                 // Find closest mirror edge intersection along this ray
                 let closestT = Infinity;
                 let hitEdge = null;
+                let hitIndex = -1;
 
-                for (const mirror of mirrors) {
+                for (const [index, mirror] of mirrors.entries()) {
                     if (!mirror.vertices || mirror.vertices.length < 2) continue;
                     const verts = mirror.vertices;
                     for (let i = 0; i < verts.length; i++) {
@@ -165,12 +220,25 @@ export class GameRenderer {
                         if (t !== null && t > 1 && t < closestT) {
                             closestT = t;
                             hitEdge = { v1, v2 };
+                            hitIndex = index;
                         }
                     }
                 }
+                let hitWall = null;
+                for (const wall of walls) {
+                    const v1 = wall.edge.start;
+                    const v2 = wall.edge.end;
+                    const t = this._rayEdgeIntersect(x, y, dx, dy, v1, v2);
+                    if (t !== null && t > 1 && t < closestT) {
+                        closestT = t;
+                        hitEdge = { v1, v2 };
+                        hitIndex = -1;
+                        hitWall = wall;
+                    }
+                }
 
-                // Find canvas boundary intersection
-                const boundaryT = this._rayBoundaryIntersect(x, y, dx, dy, W, H);
+                // Find board boundary intersection
+                const boundaryT = this._rayBoardExit(x, y, dx, dy, board, W, H);
 
                 if (hitEdge && closestT < boundaryT) {
                     // Ray hits a mirror
@@ -178,6 +246,23 @@ export class GameRenderer {
                     const hitY = y + dy * closestT;
                     segments.push({ x1: x, y1: y, x2: hitX, y2: hitY });
 
+                    // Absorbing wall: the beam ends here
+                    if (hitWall && hitWall.material === 'absorber') {
+                        break;
+                    }
+
+                    // Portal: continue from the far side of the partner
+                    if (portalPartners.has(hitIndex)) {
+                        const partner = mirrors[portalPartners.get(hitIndex)];
+                        const out = throughPortal(hitX, hitY, dx, dy, mirrors[hitIndex], partner, physics);
+                        const exitT = this._rayExitDistance(out.x, out.y, out.vx, out.vy, partner.vertices);
+                        x = out.x + out.vx * exitT;
+                        y = out.y + out.vy * exitT;
+                        dx = out.vx;
+                        dy = out.vy;
+                        continue;
+                    }
+
                     // Calculate reflection for next segment
                     const edgeDx = hitEdge.v2.x - hitEdge.v1.x;
                     const edgeDy = hitEdge.v2.y - hitEdge.v1.y;
@@ -237,6 +322,41 @@ export class GameRenderer {
         ctx.restore();
     }
 
+    /**
+     * Editor mode: each spawner's aim handle, out along its beam, to drag it
+     * round by, and a ring round the selected spawner
+     */
+    drawEditorHandles() {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 176, 32, 0.7)';
+        ctx.fillStyle = 'rgba(255, 176, 32, 0.25)';
+        ctx.lineWidth = 1.5;
+
+        for (const spawner of this.game.spawners) {
+            const handle = PuzzleEditor.aimHandle(spawner);
+            ctx.setLineDash([3, 4]);
+            ctx.beginPath();
+            ctx.moveTo(spawner.x, spawner.y);
+            ctx.lineTo(handle.x, handle.y);
+            ctx.stroke();
+
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.arc(handle.x, handle.y, 7, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+
+            if (spawner === this.game.selectedSpawner) {
+                ctx.beginPath();
+                ctx.arc(spawner.x, spawner.y, PuzzleEditor.HANDLE_RADIUS + 2, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        }
+
+        ctx.restore();
+    }
+
     /**
      * Ray-edge intersection: returns distance t along ray (x+dx*t, y+dy*t)
      * where it crosses the line segment v1-v2, or null if no intersection.
@@ -254,6 +374,33 @@ export class GameRenderer {
         return null;
     }
 
+    /**
+     * Distance along a ray (starting on a polygon's boundary) to the farthest
+     * edge it crosses, i.e. where it comes out the other side.
+     */
+    _rayExitDistance(ox, oy, dx, dy, verts) {
+        let farthest = 0;
+        for (let i = 0; i < verts.length; i++) {
+            const t = this._rayEdgeIntersect(ox, oy, dx, dy, verts[i], verts[(i + 1) % verts.length]);
+            if (t !== null && t > farthest) farthest = t;
+        }
+        return farthest;
+    }
+
+    /**
+     * Find where a ray leaves the board: the first edge of its outline ahead
+     * (past the spot the ray starts from, which may be on the outline), or the
+     * canvas bounds.
+     */
+    _rayBoardExit(ox, oy, dx, dy, board, W, H) {
+        let tMin = this._rayBoundaryIntersect(ox, oy, dx, dy, W, H);
+        for (const edge of board ? board.edges : []) {
+            const t = this._rayEdgeIntersect(ox, oy, dx, dy, edge.edge.start, edge.edge.end);
+            if (t !== null && t > 1 && t < tMin) tMin = t;
+        }
+        return tMin;
+    }
+
     /**
      * Find where a ray exits the canvas bounds.
      */
@@ -361,7 +508,8 @@ export class GameRenderer {
     }
 
     /**
-     * Draw "DAILY CHALLENGE" text indicator at bottom right of canvas
+     * Draw "DAILY CHALLENGE" text indicator at bottom right of canvas, with a
+     * "PERFECT IS POSSIBLE" badge above it when the daily is certified perfect
      */
     drawDailyChallengeIndicator() {
         const ctx = this.ctx;
@@ -378,6 +526,12 @@ export class GameRenderer {
         const diffText = difficulty != null ? `  [${difficulty.toFixed(1)}/10]` : '';
         ctx.fillText('DAILY CHALLENGE' + diffText, CONFIG.CANVAS_WIDTH - 12, CONFIG.CANVAS_HEIGHT - 10);
 
+        if (certifiedPerfect({ mode: 'daily', certificate: this.game.dailyCertificate })) {
+            ctx.fillStyle = 'rgba(255, 215, 0, 0.6)';
+            ctx.shadowColor = '#FFD700';
+            ctx.fillText('★ PERFECT IS POSSIBLE', CONFIG.CANVAS_WIDTH - 12, CONFIG.CANVAS_HEIGHT - 24);
+        }
+
         ctx.restore();
     }
 
@@ -1,21 +1,92 @@
 import { CONFIG } from '../config.js';
+import { PALETTE, rgba } from '../theme/palette.js';
+import { normalizeWalls } from '../core/Terrain.js';
+import { normalizeBoard } from '../core/Board.js';
 
 /**
  * GridRenderer - Handles drawing the game grid
  */
 export class GridRenderer {
-    static drawGrid(ctx) {
+    /**
+     * Draw the grid and the playable-area border. A board with an outline (see
+     * Board.js) gets its grid and border inside the outline, and the canvas
+     * beyond it is dimmed.
+     */
+    static drawGrid(ctx, board = null) {
         const W = CONFIG.CANVAS_WIDTH, H = CONFIG.CANVAS_HEIGHT, g = CONFIG.GRID_SIZE;
+        const shape = normalizeBoard(board);
+
+        ctx.save();
+        if (shape) {
+            // Off the board: dimmed, with no grid
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+            ctx.beginPath();
+            ctx.rect(0, 0, W, H);
+            GridRenderer.traceOutline(ctx, shape.outline);
+            ctx.fill('evenodd');
+
+            ctx.beginPath();
+            GridRenderer.traceOutline(ctx, shape.outline);
+            ctx.clip();
+        }
 
         // Light-gray gridlines — pure utility, not a thematic element.
         ctx.strokeStyle = 'rgba(190, 196, 210, 0.55)';
         ctx.lineWidth = 0.6;
         for (let x = 0; x <= W; x += g) { ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, H); ctx.stroke(); }
         for (let y = 0; y <= H; y += g) { ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(W, y); ctx.stroke(); }
+        ctx.restore();
 
         // Playable-area border — the one accent: a subtle amber frame.
         ctx.strokeStyle = 'rgba(255, 176, 32, 0.4)';
         ctx.lineWidth = 1.5;
-        ctx.strokeRect(1, 1, W - 2, H - 2);
+        if (shape) {
+            ctx.beginPath();
+            GridRenderer.traceOutline(ctx, shape.outline);
+            ctx.stroke();
+        } else {
+            ctx.strokeRect(1, 1, W - 2, H - 2);
+        }
+    }
+
+    /**
+     * Add a board outline ([{ x, y }]) to the current path as a closed polygon
+     */
+    static traceOutline(ctx, outline) {
+        ctx.moveTo(outline[0].x, outline[0].y);
+        for (let i = 1; i < outline.length; i++) {
+            ctx.lineTo(outline[i].x, outline[i].y);
+        }
+        ctx.closePath();
+    }
+
+    /**
+     * Draw a puzzle's fixed walls: bright steel for reflective walls, dark with
+     * a red core for absorbing ones
+     */
+    static drawWalls(ctx, walls) {
+        const segments = normalizeWalls(walls);
+        if (segments.length === 0) return;
+
+        ctx.save();
+        ctx.lineCap = 'round';
+        for (const wall of segments) {
+            const absorber = wall.material === 'absorber';
+
+            ctx.strokeStyle = absorber ? 'rgba(20, 18, 26, 0.95)' : rgba(PALETTE.ghost, 0.95);
+            ctx.lineWidth = 6;
+            ctx.beginPath();
+            ctx.moveTo(wall.x1, wall.y1);
+            ctx.lineTo(wall.x2, wall.y2);
+            ctx.stroke();
+
+            ctx.strokeStyle = absorber ? 'rgba(232, 78, 106, 0.8)' : rgba(PALETTE.gray, 0.9);
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(wall.x1, wall.y1);
+            ctx.lineTo(wall.x2, wall.y2);
+            ctx.stroke();
+        }
+        ctx.restore();
     }
 }
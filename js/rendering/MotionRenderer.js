@@ -0,0 +1,67 @@
+import { PALETTE, rgba } from '../theme/palette.js';
+
+/**
+ * MotionRenderer - Shows where moving mirrors will go while the board is being
+ * set up: a dashed rail out to a ghost of the mirror at the far end, or a
+ * circling arrow around a spinning mirror
+ */
+export class MotionRenderer {
+    static drawMotionPaths(ctx, mirrors, isPlacementPhase) {
+        if (!isPlacementPhase) return;
+
+        ctx.save();
+        ctx.strokeStyle = rgba(PALETTE.ghost, 0.5);
+        ctx.lineWidth = 1;
+
+        for (const mirror of mirrors) {
+            if (!mirror.motion) continue;
+
+            if (mirror.motion.type === 'rail') {
+                const { dx, dy } = mirror.motion;
+
+                // The rail itself
+                ctx.setLineDash([3, 5]);
+                ctx.beginPath();
+                ctx.moveTo(mirror.x, mirror.y);
+                ctx.lineTo(mirror.x + dx, mirror.y + dy);
+                ctx.stroke();
+
+                // Ghost outline at the far end of the rail
+                ctx.setLineDash([2, 3]);
+                ctx.beginPath();
+                ctx.moveTo(mirror.vertices[0].x + dx, mirror.vertices[0].y + dy);
+                for (let i = 1; i < mirror.vertices.length; i++) {
+                    ctx.lineTo(mirror.vertices[i].x + dx, mirror.vertices[i].y + dy);
+                }
+                ctx.closePath();
+                ctx.stroke();
+            } else if (mirror.motion.type === 'spin') {
+                // Arc just outside the mirror, with an arrowhead in the spin direction
+                const radius = Math.max(...mirror.vertices.map(v => Math.hypot(v.x - mirror.x, v.y - mirror.y))) + 6;
+                const clockwise = mirror.motion.rate > 0;
+                const start = -Math.PI / 2;
+                const end = start + (clockwise ? 1 : -1) * Math.PI * 1.5;
+
+                ctx.setLineDash([3, 5]);
+                ctx.beginPath();
+                ctx.arc(mirror.x, mirror.y, radius, start, end, !clockwise);
+                ctx.stroke();
+
+                const tipX = mirror.x + Math.cos(end) * radius;
+                const tipY = mirror.y + Math.sin(end) * radius;
+                const along = end + (clockwise ? Math.PI / 2 : -Math.PI / 2); // tangent heading
+                ctx.setLineDash([]);
+                ctx.beginPath();
+                ctx.moveTo(tipX + Math.cos(along) * 5, tipY + Math.sin(along) * 5);
+                ctx.lineTo(tipX + Math.cos(along + 2.5) * 5, tipY + Math.sin(along + 2.5) * 5);
+                ctx.lineTo(tipX + Math.cos(along - 2.5) * 5, tipY + Math.sin(along - 2.5) * 5);
+                ctx.closePath();
+                ctx.fillStyle = rgba(PALETTE.ghost, 0.5);
+                ctx.fill();
+            }
+        }
+
+        ctx.setLineDash([]);
+        ctx.restore();
+    }
+}
@@ -0,0 +1,61 @@
+import { PALETTE, rgba } from '../theme/palette.js';
+import { findPortalPartners } from '../core/Portals.js';
+
+/**
+ * PortalRenderer - Draws the glow and pair labels on portal mirrors, and links
+ * each pair with a dashed line while the board is being set up
+ */
+export class PortalRenderer {
+    static drawPortals(ctx, mirrors, isPlacementPhase) {
+        const partners = findPortalPartners(mirrors);
+        const pulse = 0.6 + 0.2 * Math.sin(Date.now() / 500);
+
+        ctx.save();
+
+        // Dashed link between partners (drawn once per pair)
+        if (isPlacementPhase) {
+            ctx.strokeStyle = rgba(PALETTE.primary, 0.35);
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 6]);
+            for (const [index, partnerIndex] of partners) {
+                if (partnerIndex < index) continue;
+                ctx.beginPath();
+                ctx.moveTo(mirrors[index].x, mirrors[index].y);
+                ctx.lineTo(mirrors[partnerIndex].x, mirrors[partnerIndex].y);
+                ctx.stroke();
+            }
+            ctx.setLineDash([]);
+        }
+
+        mirrors.forEach((mirror, index) => {
+            if (mirror.material !== 'portal') return;
+
+            // Inner glow, dimmed while the portal has no partner
+            const radius = Math.max(mirror.width || mirror.size || 20, mirror.height || mirror.size || 20) / 2;
+            const strength = partners.has(index) ? pulse : 0.2;
+            const glow = ctx.createRadialGradient(mirror.x, mirror.y, 0, mirror.x, mirror.y, radius);
+            glow.addColorStop(0, rgba(PALETTE.primary, strength * 0.7));
+            glow.addColorStop(1, rgba(PALETTE.primary, 0));
+            ctx.fillStyle = glow;
+            ctx.beginPath();
+            ctx.moveTo(mirror.vertices[0].x, mirror.vertices[0].y);
+            for (let i = 1; i < mirror.vertices.length; i++) {
+                ctx.lineTo(mirror.vertices[i].x, mirror.vertices[i].y);
+            }
+            ctx.closePath();
+            ctx.fill();
+
+            // Pair label: A, B, C... (? for an unpaired portal)
+            const label = partners.has(index) && Number.isInteger(mirror.portalPair)
+                ? String.fromCharCode(65 + (mirror.portalPair % 26))
+                : '?';
+            ctx.fillStyle = rgba(PALETTE.ghost, 0.9);
+            ctx.font = 'bold 11px monospace';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(label, mirror.x, mirror.y);
+        });
+
+        ctx.restore();
+    }
+}
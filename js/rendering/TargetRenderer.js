@@ -1,29 +1,64 @@
-import { CONFIG } from '../config.js';
 import { drawIcon } from '../vendor/arcade-graphics-engine/index.js';
 import { PALETTE, rgba } from '../theme/palette.js';
+import { defaultCores } from '../core/Cores.js';
 
 /**
- * TargetRenderer - Handles drawing the center target chip and breach animation
+ * TargetRenderer - Handles drawing the target chips (one per core) and breach animation
  */
 export class TargetRenderer {
-    static drawTarget(ctx, gameOver, breachProgress = 0) {
-        const centerX = CONFIG.CANVAS_WIDTH / 2;
-        const centerY = CONFIG.CANVAS_HEIGHT / 2;
-        const radius = CONFIG.TARGET_RADIUS;
+    /**
+     * cores: core definitions, or live core states (with hpLeft/fallenAt) during a run
+     */
+    static drawTarget(ctx, gameOver, breachProgress = 0, cores = defaultCores()) {
+        // The breach animation plays on the last core to fall
+        let breachCore = null;
+        for (const core of cores) {
+            if (!(core.hpLeft <= 0)) continue;
+            if (!breachCore || (core.fallenAt ?? Infinity) >= (breachCore.fallenAt ?? Infinity)) {
+                breachCore = core;
+            }
+        }
 
         ctx.save();
 
-        // If breach animation is active, draw the breach effects
-        if (breachProgress > 0) {
-            this.drawBreachEffects(ctx, centerX, centerY, radius, breachProgress);
-        }
+        for (const core of cores) {
+            const fallen = core.hpLeft <= 0;
+            const progress = core === breachCore ? breachProgress : 0;
+
+            // If breach animation is active, draw the breach effects
+            if (progress > 0) {
+                this.drawBreachEffects(ctx, core.x, core.y, core.radius, progress);
+            }
+
+            this.drawCore(ctx, core.x, core.y, core.radius, gameOver || fallen, progress);
+            this.drawCentralIndicator(ctx, core.x, core.y, core.radius, gameOver || fallen, progress);
 
-        this.drawCore(ctx, centerX, centerY, radius, gameOver, breachProgress);
-        this.drawCentralIndicator(ctx, centerX, centerY, radius, gameOver, breachProgress);
+            if (core.hp > 1) {
+                this.drawCoreHealth(ctx, core);
+            }
+        }
 
         ctx.restore();
     }
 
+    /**
+     * Hit-point pips under a core that can take more than one hit: lit amber for
+     * each point left, dim red for each lost.
+     */
+    static drawCoreHealth(ctx, core) {
+        const hpLeft = core.hpLeft ?? core.hp;
+        const spacing = 8;
+        const startX = core.x - (core.hp - 1) * spacing / 2;
+        const y = core.y + core.radius + 10;
+
+        for (let i = 0; i < core.hp; i++) {
+            ctx.fillStyle = i < hpLeft ? rgba(PALETTE.primary, 0.95) : rgba(PALETTE.danger, 0.35);
+            ctx.beginPath();
+            ctx.arc(startX + i * spacing, y, 2.5, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
     /**
      * The core: a reactor-chip — a hexagonal die with spokes running out to the
      * boundary ring, a graduated amber bezel at the exact hit radius, an inner
@@ -1,13 +1,15 @@
 import { CONFIG } from '../config.js';
+import { defaultCores, coreExclusionRadius } from '../core/Cores.js';
+import { blockedCellRect } from '../core/Terrain.js';
+import { normalizeBoard } from '../core/Board.js';
+import { GridRenderer } from './GridRenderer.js';
 
 /**
  * ZoneRenderer - Handles drawing forbidden zones
  */
 export class ZoneRenderer {
-    static drawForbiddenZones(ctx) {
+    static drawForbiddenZones(ctx, cores = defaultCores(), blockedCells = null, board = null) {
         const W = CONFIG.CANVAS_WIDTH, H = CONFIG.CANVAS_HEIGHT;
-        const centerX = W / 2, centerY = H / 2;
-        const centerRadius = CONFIG.CORE_EXCLUSION_RADIUS; // Matches validation logic
         const edgeMargin = CONFIG.EDGE_MARGIN;
 
         // Solid red forbidden zones (no dashed perimeter). Higher opacity so the
@@ -15,15 +17,38 @@ export class ZoneRenderer {
         // dark maroon — safe since mirrors can never be placed inside these zones.
         ctx.fillStyle = 'rgba(232, 78, 106, 0.5)';
 
-        // Center forbidden zone
-        ctx.beginPath();
-        ctx.arc(centerX, centerY, centerRadius, 0, Math.PI * 2);
-        ctx.fill();
+        // Core forbidden zones (radius matches validation logic)
+        for (const core of cores) {
+            ctx.beginPath();
+            ctx.arc(core.x, core.y, coreExclusionRadius(core), 0, Math.PI * 2);
+            ctx.fill();
+        }
 
-        // Edge forbidden zones (horizontals full width, verticals shortened)
-        ctx.fillRect(0, 0, W, edgeMargin);
-        ctx.fillRect(0, H - edgeMargin, W, edgeMargin);
-        ctx.fillRect(0, edgeMargin, edgeMargin, H - edgeMargin * 2);
-        ctx.fillRect(W - edgeMargin, edgeMargin, edgeMargin, H - edgeMargin * 2);
+        // Edge forbidden zones (horizontals full width, verticals shortened), or
+        // for a board with an outline, the band just inside it: a stroke twice
+        // the margin wide along the outline, clipped to the board
+        const shape = normalizeBoard(board);
+        if (shape) {
+            ctx.save();
+            ctx.beginPath();
+            GridRenderer.traceOutline(ctx, shape.outline);
+            ctx.clip();
+            ctx.strokeStyle = ctx.fillStyle;
+            ctx.lineWidth = edgeMargin * 2;
+            ctx.lineJoin = 'round';
+            ctx.stroke();
+            ctx.restore();
+        } else {
+            ctx.fillRect(0, 0, W, edgeMargin);
+            ctx.fillRect(0, H - edgeMargin, W, edgeMargin);
+            ctx.fillRect(0, edgeMargin, edgeMargin, H - edgeMargin * 2);
+            ctx.fillRect(W - edgeMargin, edgeMargin, edgeMargin, H - edgeMargin * 2);
+        }
+
+        // No-build cells, same red as the other zones
+        for (const cell of blockedCells || []) {
+            const rect = blockedCellRect(cell);
+            ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+        }
     }
 }
@@ -0,0 +1,124 @@
+import { CONFIG } from '../config.js';
+import { snapshot, restore } from '../core/SimulationSnapshot.js';
+
+/**
+ * RewindController - the rewind scrubber: the run saved every
+ * CONFIG.REWIND_INTERVAL seconds while lasers are in flight, and the player
+ * dragging back through it
+ *
+ * While the player scrubs, the live moment is parked and physics pauses;
+ * LIVE (or the scrubber's far end) puts it back and play carries on. The
+ * saving and restoring is SimulationSnapshot.js. Replays aren't rewindable.
+ */
+export class RewindController {
+    constructor(game) {
+        this.game = game;
+        this.history = []; // { gameTime, state } per saved moment
+        this.live = null; // The parked live moment while scrubbing (null = playing live)
+        this.controlEl = null;
+        this.scrubber = null;
+    }
+
+    /**
+     * Whether the player is looking at an earlier moment of the run
+     */
+    get isScrubbing() {
+        return this.live !== null;
+    }
+
+    /**
+     * Wire the scrubber and its LIVE button
+     */
+    setupControls() {
+        this.controlEl = document.getElementById('rewindControl');
+        this.scrubber = document.getElementById('rewindScrubber');
+        this.scrubber.addEventListener('input', () => this.scrubTo(Number(this.scrubber.value)));
+        document.getElementById('rewindLiveBtn').addEventListener('click', () => this.resumeLive());
+    }
+
+    /**
+     * Start saving the run, from the launch on
+     */
+    start() {
+        this.history = [];
+        this.live = null;
+        if (this.game.isReplayMode) return;
+        this.record();
+        this.controlEl.classList.remove('hidden');
+    }
+
+    /**
+     * Drop the saved run and hide the scrubber, going back to the live moment
+     * first if the player was scrubbing.
+     */
+    stop() {
+        this.resumeLive();
+        this.history = [];
+        this.controlEl?.classList.add('hidden');
+    }
+
+    /**
+     * Save the moment after a physics step, if it falls on the interval
+     */
+    afterStep(step) {
+        if (step % Math.round(CONFIG.REWIND_INTERVAL / this.game.deltaTime) === 0) {
+            this.record();
+        }
+    }
+
+    record() {
+        const game = this.game;
+        if (game.isReplayMode) return;
+        this.history.push({ gameTime: game.gameTime, state: snapshot(game.getSimulationState()) });
+        this.updateControl();
+    }
+
+    /**
+     * Show the saved moment at `index` (the scrubber's far end is the live run).
+     * Physics stays paused until the player resumes.
+     */
+    scrubTo(index) {
+        const game = this.game;
+        if (!game.isPlaying || game.gameOver || game.isBreach) return;
+        if (index >= this.history.length) {
+            this.resumeLive();
+            return;
+        }
+        if (!this.live) {
+            this.live = { gameTime: game.gameTime, state: snapshot(game.getSimulationState()) };
+        }
+        const moment = this.history[index];
+        restore(game.getSimulationState(), moment.state);
+        game.gameTime = moment.gameTime;
+        game.bursts.clear();
+        this.updateControl();
+    }
+
+    /**
+     * Put the live moment back after scrubbing and carry on playing from it.
+     */
+    resumeLive() {
+        if (!this.live) return;
+        const game = this.game;
+        restore(game.getSimulationState(), this.live.state);
+        game.gameTime = this.live.gameTime;
+        this.live = null;
+        game.lastTimestamp = null;
+        game.physicsAccumulator = 0;
+        this.updateControl();
+    }
+
+    updateControl() {
+        if (!this.scrubber) return;
+        this.scrubber.max = String(this.history.length);
+        if (!this.live) this.scrubber.value = String(this.history.length);
+        document.getElementById('rewindLiveBtn').disabled = !this.live;
+
+        const gameTime = this.game.gameTime;
+        const minutes = Math.floor(gameTime / 60);
+        const seconds = Math.floor(gameTime % 60);
+        const centiseconds = Math.floor((gameTime % 1) * 100);
+        document.getElementById('rewindTime').textContent =
+            `${minutes}:${seconds.toString().padStart(2, '0')}.${centiseconds.toString().padStart(2, '0')}`;
+    }
+}
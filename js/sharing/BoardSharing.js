@@ -0,0 +1,141 @@
+import { encodeBoardCode, decodeBoardCode } from '../core/BoardCode.js';
+import { toPuzzleFile, encodePuzzleFile, parsePuzzleFile, hasLayout } from '../core/PuzzleFile.js';
+
+/**
+ * BoardSharing - the game's board codes and puzzle files: the Board Code and
+ * Export Board buttons, and puzzle files dropped on the board
+ *
+ * A board played from a code or a file is unranked. The formats themselves
+ * are BoardCode.js and PuzzleFile.js.
+ */
+export class BoardSharing {
+    constructor(game) {
+        this.game = game;
+    }
+
+    /**
+     * Wire the Board Code and Export Board buttons, and dropping a file on
+     * the board
+     */
+    setupControls() {
+        this.game.bindMenuButton('boardCodeBtn', 'mobileBoardCodeBtn', () => this.promptBoardCode());
+        this.game.bindMenuButton('exportBoardBtn', 'mobileExportBoardBtn', () => this.exportPuzzleFile());
+
+        const canvas = this.game.canvas;
+        canvas.addEventListener('dragover', (e) => e.preventDefault());
+        canvas.addEventListener('drop', (e) => this.onFileDrop(e));
+    }
+
+    /**
+     * Show this main board's code to copy, and take a pasted code - or a
+     * puzzle file's string form - to play that board instead
+     */
+    promptBoardCode() {
+        const game = this.game;
+        if (game.isPlaying) return;
+
+        const mainBoard = !game.isDailyChallenge && !game.isEndless && game.boardSeed !== null;
+        const current = mainBoard ? encodeBoardCode(game.boardSeed) : '';
+        const entered = window.prompt(mainBoard
+            ? 'This board\'s code - copy it to share, or paste another to play it (unranked):'
+            : 'Paste a board code or puzzle to play it (unranked):', current);
+        if (entered === null || entered.trim() === '') return;
+
+        const seed = decodeBoardCode(entered);
+        if (seed === null) {
+            if (entered.trim().startsWith('RP')) {
+                this.importPuzzleFile(entered);
+            } else {
+                window.showToast?.('That isn\'t a board code.');
+            }
+            return;
+        }
+        if (mainBoard && seed === game.boardSeed) return;
+
+        game.isDailyChallenge = false;
+        game.isEndless = false;
+        game.resetGame(seed);
+        window.showToast?.(`Playing board ${encodeBoardCode(seed)} - unranked`);
+    }
+
+    /**
+     * Save this board and where its mirrors are now as a puzzle file:
+     * downloaded as JSON, and copied as a string to paste. In the editor,
+     * the board being built, once it's ready to play.
+     */
+    async exportPuzzleFile() {
+        const game = this.game;
+        const { isEditing, editor } = game.editorController;
+        let file;
+        if (isEditing) {
+            // A board built in the editor is the puzzle: its mirrors start where they stand
+            const check = editor.check();
+            if (!check.valid) {
+                window.showToast?.(`This board isn't ready: ${check.reason}`);
+                return;
+            }
+            file = toPuzzleFile(editor.toPuzzle());
+        } else {
+            file = toPuzzleFile(game.boardLoader.getPuzzle(), game.getPlacements());
+        }
+        const name = isEditing ? 'custom'
+            : file.puzzle.dailyDate ? `daily-${file.puzzle.dailyDate}`
+            : file.puzzle.seed !== undefined ? encodeBoardCode(file.puzzle.seed) : 'board';
+
+        const url = URL.createObjectURL(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }));
+        const a = document.createElement('a');
+        a.style.display = 'none';
+        a.href = url;
+        a.download = `reflections-${name}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        try {
+            await navigator.clipboard.writeText(encodePuzzleFile(file));
+            window.showToast?.('Board saved, and copied to paste anywhere');
+        } catch (e) {
+            window.showToast?.('Board saved');
+        }
+    }
+
+    /**
+     * Play a puzzle file - its string form pasted, or a file dropped on the
+     * board - with the mirrors where its solution puts them if it has one,
+     * under the rules it carries (see BoardLoader.setRuleset).
+     */
+    importPuzzleFile(input) {
+        const game = this.game;
+        if (game.isPlaying) return;
+
+        const file = parsePuzzleFile(input);
+        if (!file.valid) {
+            window.showToast?.(`That board can't be opened: ${file.reason}`);
+            return;
+        }
+        const { puzzle, placements } = file;
+        if (!hasLayout(puzzle, placements)) {
+            window.showToast?.('That board has no mirror layout to play.');
+            return;
+        }
+        if (placements) {
+            puzzle.mirrors = puzzle.mirrors.map((mirror, i) => ({ ...mirror, ...placements[i] }));
+        }
+
+        game.isDailyChallenge = false;
+        game.isEndless = puzzle.mode === 'endless';
+        game.resetGame(null, puzzle);
+        window.showToast?.('Playing an imported board - unranked');
+    }
+
+    /**
+     * A file dropped on the board: play it if it's a puzzle file.
+     */
+    onFileDrop(e) {
+        e.preventDefault();
+        const file = e.dataTransfer && e.dataTransfer.files[0];
+        if (!file || this.game.isPlaying) return;
+        file.text().then(text => this.importPuzzleFile(text));
+    }
+}
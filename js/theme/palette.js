@@ -18,6 +18,10 @@ export const PALETTE = {
     gray:      [150, 156, 172],  // #969CAC utility neutral
     daily:     [50, 255, 180],   // #32FFB4 mint
     ghost:     [212, 212, 232],  // #D4D4E8 readouts / text
+    // Laser types (see CONFIG.LASER_PROFILES) — still the amber/red family
+    slowBeam:  [255, 214, 128],  // #FFD680 pale amber
+    fastBeam:  [255, 122, 40],   // #FF7A28 hot orange
+    accelBeam: [255, 84, 72],    // #FF5448 red-orange
 };
 
 /** `[r,g,b]` -> `rgba(r,g,b,a)` css string. */
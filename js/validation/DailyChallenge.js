@@ -2,6 +2,11 @@ import { CONFIG } from '../config.js';
 import { SeededRandom } from './SeededRandom.js';
 import { MirrorFactory } from '../mirrors/MirrorFactory.js';
 import { SimpleValidator } from './SimpleValidator.js';
+import { DAILY_RATINGS } from './DailyRatings.js';
+
+// The first daily with laser types; earlier days are dealt exactly as they were
+// first played, every laser normal
+export const LASER_PROFILES_FROM = '2026-10-20';
 
 /**
  * DailyChallenge - Generates deterministic daily puzzle configurations
@@ -51,14 +56,16 @@ export class DailyChallenge {
                     mirrors.map(m => ({
                         x: m.x, y: m.y, shape: m.shape,
                         size: m.size, width: m.width, height: m.height,
-                        rotation: m.rotation, topWidth: m.topWidth, skew: m.skew
+                        rotation: m.rotation, topWidth: m.topWidth, skew: m.skew,
+                        material: m.material, refractiveIndex: m.refractiveIndex,
+                        portalPair: m.portalPair
                     }))
                 ));
             }
             if (lasers) {
                 localStorage.setItem(`daily_lasers_${today}`, JSON.stringify(
                     lasers.map(l => ({
-                        x: l.x, y: l.y, vx: l.vx, vy: l.vy,
+                        x: l.x, y: l.y, vx: l.vx, vy: l.vy, profile: l.profile,
                         trail: l.trail.slice(-20) // Keep last 20 trail points
                     }))
                 ));
@@ -118,13 +125,19 @@ export class DailyChallenge {
 
     /**
      * Generate today's challenge configuration (mirrors + spawners)
-     * Returns { mirrors: [...configs], spawners: [...configs], theme: string }
+     * Returns { mirrors: [...configs], spawners: [...configs], theme: string, difficulty: number, variant: number,
+     *           certificate?: { score, estimatedBest } }
+     *
+     * A day has many variants of its theme's board, each from its own seed; the
+     * day plays the one DailyRatings picked for the weekly difficulty curve
+     * (variant 0 if the day isn't rated), with its measured difficulty and its
+     * certificate.
      */
-    static generateDailyConfig(dateStr = DailyChallenge.getTodayString()) {
+    static generateDailyConfig(dateStr = DailyChallenge.getTodayString(), variant = DAILY_RATINGS[dateStr]?.variant ?? 0) {
         // dateStr (YYYY-MM-DD) lets tools generate any day's puzzle deterministically
         // (e.g. the SEO archive builder); live play passes nothing and gets today's.
         const today = dateStr;
-        const rng = new SeededRandom(today);
+        const rng = new SeededRandom(variant ? `${today}#${variant}` : today);
 
         // Pick theme using day-of-year for even distribution, then shuffle order with seed
         const themes = DailyChallenge.getThemes();
@@ -140,17 +153,23 @@ export class DailyChallenge {
         const mirrorConfigs = theme.generate(rng);
 
         // Generate spawner configs
-        const spawnerConfigs = DailyChallenge.generateDailySpawners(rng, theme.name);
+        const spawnerConfigs = DailyChallenge.generateDailySpawners(rng, theme.name, today >= LASER_PROFILES_FROM);
 
-        // Calculate difficulty rating
-        const difficulty = DailyChallenge.calculateDifficulty(mirrorConfigs, spawnerConfigs.length);
+        // The measured difficulty if this is the rated variant, else an estimate
+        const rating = DAILY_RATINGS[today]?.variant === variant ? DAILY_RATINGS[today] : null;
+        const difficulty = rating
+            ? rating.difficulty
+            : DailyChallenge.calculateDifficulty(mirrorConfigs, spawnerConfigs.length);
 
-        return {
+        const config = {
             mirrors: mirrorConfigs,
             spawners: spawnerConfigs,
             theme: theme.name,
-            difficulty
+            difficulty,
+            variant
         };
+        if (rating) config.certificate = { ...rating.certificate };
+        return config;
     }
 
     // --- THEME GENERATORS ---
@@ -413,8 +432,10 @@ export class DailyChallenge {
      * "one-wall" forces all spawners from one edge, so it runs lighter (2-5).
      * "scatter-shot" is the busy theme and tops the range (6-8).
      * Every other theme is 3-6.
+     * With `laserProfiles` (the days from LASER_PROFILES_FROM on) each spawner
+     * also gets a laserProfile (see CONFIG.LASER_PROFILES).
      */
-    static generateDailySpawners(rng, themeName) {
+    static generateDailySpawners(rng, themeName, laserProfiles = false) {
         let count, forcedEdge;
         if (themeName === 'one-wall') {
             count = rng.nextInt(2, 5);
@@ -474,15 +495,27 @@ export class DailyChallenge {
             spawners.push({ x, y, angle, edge });
         }
 
+        if (!laserProfiles) {
+            return spawners;
+        }
+
+        // Roughly one spawner in four fires a slow, fast or accelerating laser.
+        // Drawn after every position so adding laser types didn't move the spawners.
+        for (const spawner of spawners) {
+            const special = rng.nextFloat(0, 1) < 0.25;
+            const profile = rng.choice(['slow', 'fast', 'accelerating']);
+            spawner.laserProfile = special ? profile : 'normal';
+        }
+
         return spawners;
     }
 
     /**
      * Place mirrors from configs onto the game board using seeded positions
-     * Returns array of placed mirror objects
+     * (seeded by `date`, default today's). Returns array of placed mirror objects
      */
-    static placeMirrors(mirrorConfigs, game) {
-        const today = DailyChallenge.getTodayString();
+    static placeMirrors(mirrorConfigs, game, date = DailyChallenge.getTodayString()) {
+        const today = date;
         const rng = new SeededRandom(today + '-placement');
         // Separate seeded stream for shape params, so the daily board is identical
         // for everyone (the trapezoid shape otherwise picks a random topWidth).
@@ -0,0 +1,24 @@
+/**
+ * DailyRatings - the dailies chosen to follow the weekly difficulty curve.
+ *
+ * Generated by ai/rate-dailies.mjs; don't edit by hand. Each date maps to the
+ * variant of that day's board that was picked (see
+ * DailyChallenge.generateDailyConfig), its measured difficulty and best-found
+ * survival (see js/core/Difficulty.js), and its certificate less the solution
+ * (see ai/certify.mjs). Days not listed play variant 0 with the estimated
+ * difficulty, uncertified.
+ */
+export const DAILY_RATINGS = {
+    '2026-10-20': { variant: 0, difficulty: 3.4, survival: 67.17, certificate: { score: 67.16, estimatedBest: 300 } },
+    '2026-10-21': { variant: 6, difficulty: 4.6, survival: 30.32, certificate: { score: 30.31, estimatedBest: 300 } },
+    '2026-10-26': { variant: 1, difficulty: 3.2, survival: 74.03, certificate: { score: 74.03, estimatedBest: 300 } },
+    '2026-10-27': { variant: 1, difficulty: 3.9, survival: 47.15, certificate: { score: 47.14, estimatedBest: 300 } },
+    '2026-10-28': { variant: 2, difficulty: 4.3, survival: 37.52, certificate: { score: 37.51, estimatedBest: 160.66 } },
+    '2026-11-02': { variant: 0, difficulty: 3, survival: 81.87, certificate: { score: 81.86, estimatedBest: 300 } },
+    '2026-11-03': { variant: 0, difficulty: 4, survival: 44.58, certificate: { score: 44.58, estimatedBest: 139.31 } },
+    '2026-11-04': { variant: 2, difficulty: 4.3, survival: 37.95, certificate: { score: 37.94, estimatedBest: 300 } },
+    '2026-11-09': { variant: 0, difficulty: 2.4, survival: 124.63, certificate: { score: 124.63, estimatedBest: 195.29 } },
+    '2026-11-10': { variant: 3, difficulty: 3.3, survival: 70.53, certificate: { score: 70.53, estimatedBest: 300 } },
+    '2026-11-11': { variant: 3, difficulty: 4, survival: 44.07, certificate: { score: 44.06, estimatedBest: 300 } },
+    '2026-11-16': { variant: 3, difficulty: 3.7, survival: 53.15, certificate: { score: 53.14, estimatedBest: 158.87 } },
+};
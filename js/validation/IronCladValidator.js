@@ -178,13 +178,6 @@ export class IronCladValidator {
         }
 
         // Check C: Is the entire mirror area in a forbidden zone? (polygon containment)
-        const centerX = CONFIG.CANVAS_WIDTH / 2;
-        const centerY = CONFIG.CANVAS_HEIGHT / 2;
-        const forbiddenRadius = CONFIG.CORE_EXCLUSION_RADIUS;
-
-        // Check if center of mirror is too close to target
-        const distToCenter = Math.sqrt((mirror.x - centerX) ** 2 + (mirror.y - centerY) ** 2);
-
         // Get bounding box of mirror
         const xs = vertices.map(v => v.x);
         const ys = vertices.map(v => v.y);
@@ -194,17 +187,35 @@ export class IronCladValidator {
         const maxY = Math.max(...ys);
         const mirrorRadius = Math.max(maxX - minX, maxY - minY) / 2;
 
-        if (distToCenter < forbiddenRadius + mirrorRadius) {
-            // Check if any part of mirror overlaps with forbidden circle
-            const overlap = this.polygonCircleOverlap(vertices, centerX, centerY, forbiddenRadius);
-            if (overlap) {
-                violations.push({
-                    type: 'area_in_forbidden',
-                    message: `Mirror area overlaps with center forbidden zone`
-                });
+        // One circular zone per core
+        MirrorPlacementValidation.ensureCurrentRules();
+        for (const zone of MirrorPlacementValidation.forbiddenZones) {
+            if (zone.type !== 'circle') continue;
+
+            // Check if center of mirror is too close to target
+            const distToCenter = Math.sqrt((mirror.x - zone.x) ** 2 + (mirror.y - zone.y) ** 2);
+
+            if (distToCenter < zone.radius + mirrorRadius) {
+                // Check if any part of mirror overlaps with forbidden circle
+                const overlap = this.polygonCircleOverlap(vertices, zone.x, zone.y, zone.radius);
+                if (overlap) {
+                    violations.push({
+                        type: 'area_in_forbidden',
+                        message: `Mirror area overlaps with a core forbidden zone`
+                    });
+                    break;
+                }
             }
         }
 
+        // Check D: Does the mirror cover a whole blocked cell or wall?
+        if (MirrorPlacementValidation.doesPolygonCoverForbiddenZone(vertices)) {
+            violations.push({
+                type: 'area_covers_forbidden',
+                message: 'Mirror covers a blocked cell or wall'
+            });
+        }
+
         return {
             valid: violations.length === 0,
             rule: 'RULE 3: No forbidden zone overlap',
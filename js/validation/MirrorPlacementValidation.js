@@ -1,8 +1,17 @@
 import { CONFIG } from '../config.js';
+import { normalizeCores, coreExclusionRadius } from '../core/Cores.js';
+import { normalizeWalls, blockedCellRect } from '../core/Terrain.js';
+import { activeRuleset, onRulesChange } from '../core/Ruleset.js';
+import { normalizeBoard, insideBoard, distanceToOutline } from '../core/Board.js';
 
 export class MirrorPlacementValidation {
     static gridIntersections = [];
     static forbiddenZones = [];
+    static cores = null; // The current puzzle's cores (null = the single center core)
+    static walls = null; // The current puzzle's walls (null = none, see Terrain.js)
+    static blockedCells = null; // The current puzzle's no-build cells (null = none)
+    static board = null; // The current puzzle's board (null = the plain canvas, see Board.js)
+    static zonesRuleset = null; // The rules the zones were built under (see Ruleset.js)
     
     /**
      * Initialize the validation system with grid intersections and forbidden zones
@@ -11,6 +20,16 @@ export class MirrorPlacementValidation {
         this.generateGridIntersections();
         this.generateForbiddenZones();
     }
+
+    /**
+     * Rebuild the grid and zones if the rules in force have changed since they
+     * were built (a different board size, keep-out radius, ...)
+     */
+    static ensureCurrentRules() {
+        if (this.zonesRuleset !== activeRuleset()) {
+            this.initialize();
+        }
+    }
     
     /**
      * Generate all grid line intersection coordinates dynamically
@@ -30,64 +49,134 @@ export class MirrorPlacementValidation {
         
     }
     
+    /**
+     * Switch the core zones to a puzzle's cores (null/undefined = the single
+     * center core) and rebuild the forbidden zones
+     */
+    static setCores(cores) {
+        this.cores = cores || null;
+        this.generateForbiddenZones();
+    }
+
+    /**
+     * Switch to a puzzle's walls and no-build cells (null/undefined = none) and
+     * rebuild the forbidden zones
+     */
+    static setTerrain(walls, blockedCells) {
+        this.walls = walls || null;
+        this.blockedCells = blockedCells || null;
+        this.generateForbiddenZones();
+    }
+
+    /**
+     * Switch to a puzzle's board (null/undefined = the plain canvas) and rebuild
+     * the forbidden zones
+     */
+    static setBoard(board) {
+        this.board = board || null;
+        this.generateForbiddenZones();
+    }
+
+    /**
+     * Call `run` with the zones switched to a puzzle's cores, walls, no-build
+     * cells and board (missing = the defaults, as for setCores, setTerrain and
+     * setBoard), and return what it returns. The puzzle in place before - the
+     * one on the field, say - is put back after, even if `run` throws, so
+     * verifying or generating a board never changes the game's zones.
+     */
+    static withPuzzle({ cores = null, walls = null, blockedCells = null, board = null }, run) {
+        const previous = { cores: this.cores, walls: this.walls, blockedCells: this.blockedCells, board: this.board };
+        this.usePuzzle({ cores, walls, blockedCells, board });
+        try {
+            return run();
+        } finally {
+            this.usePuzzle(previous);
+        }
+    }
+
+    /**
+     * Switch to a puzzle's cores, terrain and board at once and rebuild the
+     * forbidden zones
+     */
+    static usePuzzle({ cores, walls, blockedCells, board }) {
+        this.cores = cores || null;
+        this.walls = walls || null;
+        this.blockedCells = blockedCells || null;
+        this.board = board || null;
+        this.generateForbiddenZones();
+    }
+
     /**
      * Generate forbidden zones - DRY modular approach
-     * Both center zone and edge zones use the same data structure
+     * Both core zones and edge zones use the same data structure
      */
     static generateForbiddenZones() {
         this.forbiddenZones = [];
+        this.zonesRuleset = activeRuleset();
 
-        // Center forbidden zone: Circle around target
-        const centerX = CONFIG.CANVAS_WIDTH / 2;
-        const centerY = CONFIG.CANVAS_HEIGHT / 2;
-        const centerRadius = CONFIG.CORE_EXCLUSION_RADIUS;
-
-        this.forbiddenZones.push({
-            type: 'circle',
-            x: centerX,
-            y: centerY,
-            radius: centerRadius
-        });
+        // Core forbidden zones: Circle around each target
+        for (const core of normalizeCores(this.cores)) {
+            this.forbiddenZones.push({
+                type: 'circle',
+                x: core.x,
+                y: core.y,
+                radius: coreExclusionRadius(core)
+            });
+        }
 
-        // Edge forbidden zones: Rectangles at canvas edges
+        // Edge forbidden zones: Rectangles at canvas edges, or for a board with
+        // an outline, everything outside it or within the margin of it
         const edgeMargin = CONFIG.EDGE_MARGIN || 60;
+        const board = normalizeBoard(this.board);
+        if (board) {
+            this.forbiddenZones.push({ type: 'outline', board, margin: edgeMargin });
+        } else {
+            // Top edge
+            this.forbiddenZones.push({
+                type: 'rectangle',
+                x: 0,
+                y: 0,
+                width: CONFIG.CANVAS_WIDTH,
+                height: edgeMargin
+            });
 
-        // Top edge
-        this.forbiddenZones.push({
-            type: 'rectangle',
-            x: 0,
-            y: 0,
-            width: CONFIG.CANVAS_WIDTH,
-            height: edgeMargin
-        });
+            // Bottom edge
+            this.forbiddenZones.push({
+                type: 'rectangle',
+                x: 0,
+                y: CONFIG.CANVAS_HEIGHT - edgeMargin,
+                width: CONFIG.CANVAS_WIDTH,
+                height: edgeMargin
+            });
 
-        // Bottom edge
-        this.forbiddenZones.push({
-            type: 'rectangle',
-            x: 0,
-            y: CONFIG.CANVAS_HEIGHT - edgeMargin,
-            width: CONFIG.CANVAS_WIDTH,
-            height: edgeMargin
-        });
+            // Left edge
+            this.forbiddenZones.push({
+                type: 'rectangle',
+                x: 0,
+                y: 0,
+                width: edgeMargin,
+                height: CONFIG.CANVAS_HEIGHT
+            });
 
-        // Left edge
-        this.forbiddenZones.push({
-            type: 'rectangle',
-            x: 0,
-            y: 0,
-            width: edgeMargin,
-            height: CONFIG.CANVAS_HEIGHT
-        });
+            // Right edge
+            this.forbiddenZones.push({
+                type: 'rectangle',
+                x: CONFIG.CANVAS_WIDTH - edgeMargin,
+                y: 0,
+                width: edgeMargin,
+                height: CONFIG.CANVAS_HEIGHT
+            });
+        }
 
-        // Right edge
-        this.forbiddenZones.push({
-            type: 'rectangle',
-            x: CONFIG.CANVAS_WIDTH - edgeMargin,
-            y: 0,
-            width: edgeMargin,
-            height: CONFIG.CANVAS_HEIGHT
-        });
+        // No-build cells: one grid-cell rectangle each
+        for (const cell of this.blockedCells || []) {
+            this.forbiddenZones.push({ type: 'rectangle', ...blockedCellRect(cell) });
+        }
 
+        // Walls: zero-area segments that no mirror edge may cross
+        for (const wall of normalizeWalls(this.walls)) {
+            this.forbiddenZones.push({ type: 'wall', start: wall.edge.start, end: wall.edge.end });
+        }
     }
     
     /**
@@ -115,7 +204,7 @@ export class MirrorPlacementValidation {
      * DRY approach - all zones checked the same way
      */
     static isPointInForbiddenZone(point) {
-        // Check all forbidden zones (center + edges)
+        // Check all forbidden zones (cores + edges)
         for (let zone of this.forbiddenZones) {
             if (zone.type === 'circle') {
                 const distance = Math.sqrt(
@@ -125,6 +214,12 @@ export class MirrorPlacementValidation {
                 if (distance < zone.radius) {
                     return true;
                 }
+            } else if (zone.type === 'outline') {
+                // Point is forbidden outside the outline or within the margin of it
+                if (!insideBoard(zone.board, point.x, point.y) ||
+                    distanceToOutline(zone.board, point.x, point.y) < zone.margin) {
+                    return true;
+                }
             } else if (zone.type === 'rectangle') {
                 // Point is forbidden if it's STRICTLY INSIDE the rectangle
                 // Points exactly on the inner boundary are VALID (not forbidden)
@@ -178,7 +273,7 @@ export class MirrorPlacementValidation {
      * DRY approach - all zones checked the same way
      */
     static doesLineIntersectForbiddenZone(lineStart, lineEnd) {
-        // Check all forbidden zones (center + edges)
+        // Check all forbidden zones (cores + edges)
         for (let zone of this.forbiddenZones) {
             if (zone.type === 'circle') {
                 // Check if line intersects circle
@@ -190,6 +285,58 @@ export class MirrorPlacementValidation {
                 if (this.lineIntersectsRectangle(lineStart, lineEnd, zone)) {
                     return true;
                 }
+            } else if (zone.type === 'wall') {
+                if (this.doLinesIntersect(lineStart, lineEnd, zone.start, zone.end)) {
+                    return true;
+                }
+            } else if (zone.type === 'outline') {
+                if (this.lineIntersectsOutlineMargin(lineStart, lineEnd, zone)) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Check if a line between two points clear of a board's outline margin still
+     * crosses the outline or cuts through the margin - round an inside corner of
+     * an L, say, where it passes too close to the corner itself
+     */
+    static lineIntersectsOutlineMargin(lineStart, lineEnd, zone) {
+        for (const edge of zone.board.edges) {
+            if (this.doLinesIntersect(lineStart, lineEnd, edge.edge.start, edge.edge.end)) {
+                return true;
+            }
+        }
+        const dx = lineEnd.x - lineStart.x;
+        const dy = lineEnd.y - lineStart.y;
+        const lengthSq = dx * dx + dy * dy;
+        for (const corner of zone.board.outline) {
+            const t = lengthSq === 0 ? 0 :
+                Math.max(0, Math.min(1, ((corner.x - lineStart.x) * dx + (corner.y - lineStart.y) * dy) / lengthSq));
+            const distance = Math.sqrt((lineStart.x + dx * t - corner.x) ** 2 + (lineStart.y + dy * t - corner.y) ** 2);
+            if (distance < zone.margin) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Check if a mirror polygon swallows a forbidden zone whole - a blocked cell or
+     * wall lying entirely inside it, which the vertex and edge checks can't see
+     */
+    static doesPolygonCoverForbiddenZone(polygonVertices) {
+        for (let zone of this.forbiddenZones) {
+            let middle = null;
+            if (zone.type === 'rectangle') {
+                middle = { x: zone.x + zone.width / 2, y: zone.y + zone.height / 2 };
+            } else if (zone.type === 'wall') {
+                middle = { x: (zone.start.x + zone.end.x) / 2, y: (zone.start.y + zone.end.y) / 2 };
+            }
+            if (middle && this.isPointInPolygon(middle, polygonVertices)) {
+                return true;
             }
         }
         return false;
@@ -415,4 +562,12 @@ export class MirrorPlacementValidation {
         
         return bestPosition;
     }
-}
\ No newline at end of file
+}
+
+// Rebuild the grid and zones whenever the rules switch (see Ruleset.js), so
+// none built under one ruleset outlive it
+onRulesChange(() => {
+    if (MirrorPlacementValidation.zonesRuleset !== null) {
+        MirrorPlacementValidation.initialize();
+    }
+});
@@ -1,4 +1,5 @@
 import { CONFIG } from '../config.js';
+import { SeededRandom } from './SeededRandom.js';
 
 /**
  * RigidSurfaceAreaGenerator - GUARANTEED to always generate exactly 84 surface area
@@ -98,6 +99,7 @@ export class RigidSurfaceAreaGenerator {
                 if (width !== height) { // Skip squares (already added)
                     catalog.push({
                         shape: 'rectangle',
+                        size: Math.max(width, height),
                         width: width,
                         height: height,
                         rotation: 0,
@@ -146,6 +148,7 @@ export class RigidSurfaceAreaGenerator {
                 rotations.forEach(rotation => {
                     catalog.push({
                         shape: 'isoscelesTriangle',
+                        size: Math.max(base, height),
                         width: base,
                         height: height,
                         rotation: rotation,
@@ -252,8 +255,11 @@ export class RigidSurfaceAreaGenerator {
      * - Randomly decide between "few large mirrors" or "many small mirrors" strategies
      * - Equal probability for all 7 shapes
      * - Can produce anything from 3 large mirrors to 21 tiny squares
+     *
+     * Every choice is drawn from `rng` (a SeededRandom), so a seed always gives
+     * the same configuration.
      */
-    static generateExact84Configuration() {
+    static generateExact84Configuration(rng = SeededRandom.fresh()) {
         const { catalog, bySurfaceArea, uniqueAreas } = this.getMirrorCatalog();
         const TARGET = this.TARGET_SURFACE_AREA;
 
@@ -304,12 +310,12 @@ export class RigidSurfaceAreaGenerator {
             }
 
             // Pick a random SHAPE first (equal probability for all 7 shapes)
-            const randomShape = ALL_SHAPES[Math.floor(Math.random() * ALL_SHAPES.length)];
+            const randomShape = ALL_SHAPES[Math.floor(rng.next() * ALL_SHAPES.length)];
 
             // Check if this shape has an exact match for the remaining area
             const shapeExactMatches = byShape[randomShape].filter(m => m.surfaceArea === remaining);
             if (shapeExactMatches.length > 0) {
-                const exactMirror = shapeExactMatches[Math.floor(Math.random() * shapeExactMatches.length)];
+                const exactMirror = shapeExactMatches[Math.floor(rng.next() * shapeExactMatches.length)];
                 selectedMirrors.push({ ...exactMirror });
                 currentTotal += exactMirror.surfaceArea;
                 shapeCount[exactMirror.shape]++;
@@ -320,7 +326,7 @@ export class RigidSurfaceAreaGenerator {
             // (but only after several iterations to give shape diversity a chance)
             if (iterations > 5 && bySurfaceArea[remaining] && bySurfaceArea[remaining].length > 0) {
                 const exactMatches = bySurfaceArea[remaining];
-                const exactMirror = exactMatches[Math.floor(Math.random() * exactMatches.length)];
+                const exactMirror = exactMatches[Math.floor(rng.next() * exactMatches.length)];
                 selectedMirrors.push({ ...exactMirror });
                 currentTotal += exactMirror.surfaceArea;
                 shapeCount[exactMirror.shape]++;
@@ -340,7 +346,7 @@ export class RigidSurfaceAreaGenerator {
             // This keeps variety while still preferring more pieces over fewer
             const weights = candidates.map(m => 1 / m.surfaceArea);
             const totalWeight = weights.reduce((a, b) => a + b, 0);
-            let roll = Math.random() * totalWeight;
+            let roll = rng.next() * totalWeight;
             let selectedMirror = candidates[candidates.length - 1];
             for (let i = 0; i < candidates.length; i++) {
                 roll -= weights[i];
@@ -361,7 +367,7 @@ export class RigidSurfaceAreaGenerator {
 
         // If we didn't hit exactly 84, use backtracking to fix
         if (currentTotal !== TARGET) {
-            return this.backtrackToExact84(selectedMirrors, currentTotal, bySurfaceArea, uniqueAreas, byShape, ALL_SHAPES);
+            return this.backtrackToExact84(selectedMirrors, currentTotal, bySurfaceArea, uniqueAreas, byShape, ALL_SHAPES, rng);
         }
 
         // VERIFICATION
@@ -383,7 +389,7 @@ export class RigidSurfaceAreaGenerator {
      * Backtrack and adjust to hit exactly 84
      * Removes the last mirror and tries different combinations
      */
-    static backtrackToExact84(mirrors, currentTotal, bySurfaceArea, uniqueAreas, byShape, ALL_SHAPES) {
+    static backtrackToExact84(mirrors, currentTotal, bySurfaceArea, uniqueAreas, byShape, ALL_SHAPES, rng = SeededRandom.fresh()) {
         const TARGET = 84;
         let attempts = 0;
         const maxAttempts = 50;
@@ -402,7 +408,7 @@ export class RigidSurfaceAreaGenerator {
 
                 // Check for exact match
                 if (bySurfaceArea[remaining] && bySurfaceArea[remaining].length > 0) {
-                    const match = bySurfaceArea[remaining][Math.floor(Math.random() * bySurfaceArea[remaining].length)];
+                    const match = bySurfaceArea[remaining][Math.floor(rng.next() * bySurfaceArea[remaining].length)];
                     mirrors.push({ ...match });
                     currentTotal += match.surfaceArea;
                     break;
@@ -414,7 +420,7 @@ export class RigidSurfaceAreaGenerator {
                 if (exactFitAreas.length > 0) {
                     // Use exact fit
                     const options = bySurfaceArea[remaining];
-                    const pick = options[Math.floor(Math.random() * options.length)];
+                    const pick = options[Math.floor(rng.next() * options.length)];
                     mirrors.push({ ...pick });
                     currentTotal += pick.surfaceArea;
                     break;
@@ -428,9 +434,9 @@ export class RigidSurfaceAreaGenerator {
                 }
 
                 // Pick randomly from fitting mirrors for variety
-                const randomArea = fitAreas[Math.floor(Math.random() * fitAreas.length)];
+                const randomArea = fitAreas[Math.floor(rng.next() * fitAreas.length)];
                 const options = bySurfaceArea[randomArea];
-                const pick = options[Math.floor(Math.random() * options.length)];
+                const pick = options[Math.floor(rng.next() * options.length)];
                 mirrors.push({ ...pick });
                 currentTotal += pick.surfaceArea;
             }
@@ -495,6 +501,78 @@ export class RigidSurfaceAreaGenerator {
         return mirrors;
     }
 
+    /**
+     * Turn some mirrors of an exact-84 configuration into special materials, e.g.
+     * { absorber: 1, oneWay: 2 }. Special pieces spend the same 84 budget as plain
+     * mirrors (a piece costs its perimeter whatever its surface does), so the total
+     * is unchanged. At least one mirror is always left reflective; pieces that
+     * already have a material (e.g. portals) are left alone.
+     */
+    static assignMaterials(mirrors, materials, rng = SeededRandom.fresh()) {
+        if (!materials) return mirrors;
+
+        // Random order, so which pieces become special varies board to board
+        const order = mirrors.map((_, i) => i).filter(i => !mirrors[i].material);
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(rng.next() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+
+        let next = 0;
+        for (const [material, count] of Object.entries(materials)) {
+            for (let n = 0; n < count && next < order.length - 1; n++) {
+                mirrors[order[next++]].material = material;
+            }
+        }
+
+        return mirrors;
+    }
+
+    /**
+     * Add linked portal pairs to an exact-84 configuration. Each pair replaces one
+     * piece with two identical catalog pieces of half its surface area, so the
+     * total is unchanged and the partners always match. Pairs are tagged
+     * portalPair 0, 1, ...; fewer are added if no piece can be halved.
+     */
+    static assignPortalPairs(mirrors, pairCount, rng = SeededRandom.fresh()) {
+        if (!pairCount) return mirrors;
+        const { bySurfaceArea } = this.getMirrorCatalog();
+
+        for (let pair = 0; pair < pairCount; pair++) {
+            const splittable = mirrors
+                .map((_, i) => i)
+                .filter(i => {
+                    const area = mirrors[i].surfaceArea;
+                    return !mirrors[i].material && area % 2 === 0 &&
+                        bySurfaceArea[area / 2] && bySurfaceArea[area / 2].length > 0;
+                });
+            // Splitting uses up a plain piece; keep at least one on the board
+            const plainCount = mirrors.filter(m => !m.material).length;
+            if (splittable.length === 0 || plainCount < 2) break;
+
+            const index = splittable[Math.floor(rng.next() * splittable.length)];
+            const options = bySurfaceArea[mirrors[index].surfaceArea / 2];
+            const half = options[Math.floor(rng.next() * options.length)];
+            mirrors.splice(index, 1,
+                { ...half, material: 'portal', portalPair: pair },
+                { ...half, material: 'portal', portalPair: pair });
+        }
+
+        return mirrors;
+    }
+
+    /**
+     * Surface area per material, e.g. { reflective: 60, absorber: 12, oneWay: 12 }
+     */
+    static calculateTotalByMaterial(mirrors) {
+        const totals = {};
+        mirrors.forEach(mirror => {
+            const material = mirror.material || 'reflective';
+            totals[material] = (totals[material] || 0) + mirror.surfaceArea;
+        });
+        return totals;
+    }
+
     /**
      * Calculate total surface area of a mirror array
      */
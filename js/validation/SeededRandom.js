@@ -1,6 +1,16 @@
 // Seeded Random Number Generator
 // Ensures same seed produces same sequence of random numbers
 export class SeededRandom {
+    // A seed for a new board: a whole number below 2^31, the generator's range
+    static newSeed() {
+        return Math.floor(Math.random() * 0x7fffffff);
+    }
+
+    // A generator on a new seed, for callers that don't need to replay it
+    static fresh() {
+        return new SeededRandom(SeededRandom.newSeed());
+    }
+
     constructor(seed) {
         this.seed = typeof seed === 'string' ? this.hashCode(seed) : seed;
         this.value = this.seed;
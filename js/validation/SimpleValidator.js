@@ -1,10 +1,14 @@
 import { CONFIG } from '../config.js';
 import { MirrorPlacementValidation } from './MirrorPlacementValidation.js';
+import { validateMotion, sweepPoses } from '../core/MirrorMotion.js';
+import { createRuleset, withRuleset } from '../core/Ruleset.js';
 
 /**
- * SimpleValidator - Only enforces TWO rules:
- * 1. No forbidden zone placement (spawner zones and center target)
+ * SimpleValidator - Only enforces FOUR rules:
+ * 1. No forbidden zone placement (edges, cores, blocked cells and walls)
  * 2. No mirror overlap
+ * 3. Portals only link to one matching partner, placed far enough away
+ * 4. A moving mirror stays on the board and out of forbidden zones all along its path
  *
  * NO grid alignment requirements!
  */
@@ -12,21 +16,28 @@ export class SimpleValidator {
     static initialized = false;
 
     /**
-     * Ensure forbidden zones are initialized
+     * Ensure forbidden zones are initialized, for the rules in force
      */
     static ensureInitialized() {
         if (!this.initialized) {
             MirrorPlacementValidation.initialize();
             this.initialized = true;
         }
+        MirrorPlacementValidation.ensureCurrentRules();
     }
     /**
-     * Validate a mirror against the two core rules
+     * Validate a mirror against the core rules
      * @param {Object} mirror - The mirror to validate
      * @param {Array} otherMirrors - Other mirrors to check overlap against
+     * @param {Object} [ruleset] - The rules to check under, a ruleset or overrides
+     *   (default the current ones; see Ruleset.js)
      * @returns {Object} - { valid: boolean, reason: string }
      */
-    static validateMirror(mirror, otherMirrors = []) {
+    static validateMirror(mirror, otherMirrors = [], ruleset = null) {
+        if (ruleset) {
+            return withRuleset(createRuleset(ruleset), () => this.validateMirror(mirror, otherMirrors));
+        }
+
         // Ensure forbidden zones are initialized
         this.ensureInitialized();
 
@@ -47,9 +58,106 @@ export class SimpleValidator {
             return overlapCheck;
         }
 
+        // Rule 3: Check the portal pair (if this is a portal)
+        const portalCheck = this.checkPortalPair(mirror, otherMirrors);
+        if (!portalCheck.valid) {
+            return portalCheck;
+        }
+
+        // Rule 4: Check the path of a sliding/spinning mirror
+        const motionCheck = this.checkMotionPath(mirror);
+        if (!motionCheck.valid) {
+            return motionCheck;
+        }
+
         return { valid: true, reason: 'All checks passed' };
     }
 
+    /**
+     * Check a portal against its partner, if the partner is among otherMirrors.
+     * The partner may not be placed yet; use validatePortalPairs for a full board.
+     */
+    static checkPortalPair(mirror, otherMirrors) {
+        if (mirror.material !== 'portal') return { valid: true };
+
+        const partners = otherMirrors.filter(other =>
+            other.material === 'portal' && other.portalPair === mirror.portalPair);
+        if (partners.length > 1) {
+            return { valid: false, reason: 'Portal pair has more than two portals' };
+        }
+        if (partners.length === 0) return { valid: true };
+
+        const partner = partners[0];
+        const dims = ['shape', 'size', 'width', 'height', 'topWidth', 'skew'];
+        if (dims.some(key => mirror[key] !== partner[key])) {
+            return { valid: false, reason: 'Linked portals must be the same shape and size' };
+        }
+
+        const centerDist = Math.sqrt((mirror.x - partner.x) ** 2 + (mirror.y - partner.y) ** 2);
+        if (centerDist < CONFIG.PORTAL_MIN_SEPARATION) {
+            return { valid: false, reason: 'Linked portals are too close together' };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Check every pose a moving mirror passes through while lasers fly: each must
+     * be on the board and clear of forbidden zones. Other mirrors may be crossed.
+     * The mirror is put back where it was afterwards.
+     */
+    static checkMotionPath(mirror) {
+        if (!mirror.motion) return { valid: true };
+
+        const fieldCheck = validateMotion(mirror.motion);
+        if (!fieldCheck.valid) return fieldCheck;
+
+        const placed = { x: mirror.x, y: mirror.y, rotation: mirror.rotation || 0 };
+        let result = { valid: true };
+        for (const pose of sweepPoses(placed, mirror.motion)) {
+            mirror.x = pose.x;
+            mirror.y = pose.y;
+            mirror.rotation = pose.rotation;
+            mirror.updateVertices();
+
+            const offBoard = mirror.vertices.some(v =>
+                v.x < 0 || v.x > CONFIG.CANVAS_WIDTH || v.y < 0 || v.y > CONFIG.CANVAS_HEIGHT);
+            if (offBoard) {
+                result = { valid: false, reason: 'Moving mirror leaves the board' };
+                break;
+            }
+            if (!this.checkForbiddenZones(mirror).valid) {
+                result = { valid: false, reason: 'Moving mirror passes through a forbidden zone' };
+                break;
+            }
+        }
+
+        mirror.x = placed.x;
+        mirror.y = placed.y;
+        mirror.rotation = placed.rotation;
+        mirror.updateVertices();
+        return result;
+    }
+
+    /**
+     * Check that every portal on a complete board has exactly one partner
+     */
+    static validatePortalPairs(mirrors) {
+        const counts = new Map();
+        for (const mirror of mirrors) {
+            if (mirror.material !== 'portal') continue;
+            counts.set(mirror.portalPair, (counts.get(mirror.portalPair) || 0) + 1);
+        }
+
+        for (const count of counts.values()) {
+            if (count !== 2) {
+                return { valid: false, reason: 'Every portal needs exactly one partner' };
+            }
+        }
+
+        return { valid: true };
+    }
+
     /**
      * Check if mirror overlaps with any forbidden zones
      * Checks both vertices AND edges for comprehensive coverage
@@ -74,6 +182,11 @@ export class SimpleValidator {
             }
         }
 
+        // Check C: Does the mirror cover a whole blocked cell or wall?
+        if (MirrorPlacementValidation.doesPolygonCoverForbiddenZone(vertices)) {
+            return { valid: false, reason: 'Mirror covers a blocked cell or wall' };
+        }
+
         return { valid: true };
     }
 
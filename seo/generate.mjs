@@ -1,9 +1,10 @@
 /**
  * generate.mjs — build the Reflections daily-archive SEO pages.
  *
- * For every past daily date (START_DATE .. yesterday, spoiler-safe) writes a
- * static, indexable archive page from the deterministic daily generator, plus an
- * archive index, sitemap.xml and robots.txt. Idempotent: re-run any time; the
+ * For every past daily date (START_DATE .. yesterday, spoiler-safe) writes that
+ * day's board as a puzzle file (puzzle.json; see js/core/PuzzleFile.js) from the
+ * deterministic daily generator, and a static, indexable archive page read from
+ * it, plus an archive index, sitemap.xml and robots.txt. Idempotent: re-run any time; the
  * daily GitHub Action just re-runs it to append the newly-finished day.
  *
  *   node seo/generate.mjs            # START_DATE default below
@@ -12,7 +13,8 @@
 import { mkdirSync, writeFileSync } from 'fs';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
-import { DailyChallenge } from '../functions/js/validation/DailyChallenge.js';
+import { generateDailyPuzzle } from '../functions/js/core/PuzzleGenerator.js';
+import { toPuzzleFile, parsePuzzleFile } from '../functions/js/core/PuzzleFile.js';
 import { archivePage, archiveIndex, SITE } from './render.mjs';
 
 const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
@@ -36,11 +38,13 @@ const entries = [];
 let written = 0;
 
 for (const date of dates) {
-    const config = DailyChallenge.generateDailyConfig(date);
+    const file = toPuzzleFile(generateDailyPuzzle({ date }));
+    const { puzzle } = parsePuzzleFile(file);
     const dir = join(ROOT, 'daily', date);
     mkdirSync(dir, { recursive: true });
-    writeFileSync(join(dir, 'index.html'), archivePage(date, config));
-    entries.push({ date, theme: config.theme, difficulty: config.difficulty, lasers: config.spawners.length });
+    writeFileSync(join(dir, 'puzzle.json'), JSON.stringify(file, null, 2) + '\n');
+    writeFileSync(join(dir, 'index.html'), archivePage(date, puzzle));
+    entries.push({ date, theme: puzzle.theme, difficulty: puzzle.difficulty, lasers: puzzle.spawners.length });
     written++;
 }
 
@@ -1,6 +1,7 @@
 /**
  * render.mjs — HTML/SVG templates for the Reflections daily archive (SEO pages).
- * Pure functions: given a date + deterministic daily config, return page markup.
+ * Pure functions: given a date + that day's puzzle (as read from its puzzle file;
+ * see js/core/PuzzleFile.js), return page markup.
  * No game state, no DOM — safe to run at build time in Node.
  */
 import { createMirrorFromConfig } from '../functions/js/core/Simulation.js';
@@ -30,9 +31,16 @@ const THEMES = {
     'scatter-shot': { blurb: 'many lasers from many edges', tip: 'This is a coverage problem, not a beauty contest. Identify the beams whose straight line runs closest to the core and block those first, then spread the rest for breadth.' },
 };
 
+// Which edge a spawner sits on (daily spawners are always on one)
+function spawnerEdge(s) {
+    if (s.x <= 0) return 'left';
+    if (s.x >= W) return 'right';
+    return s.y <= 0 ? 'top' : 'bottom';
+}
+
 function edgeSummary(spawners) {
     const counts = {};
-    for (const s of spawners) counts[s.edge] = (counts[s.edge] || 0) + 1;
+    for (const s of spawners) counts[spawnerEdge(s)] = (counts[spawnerEdge(s)] || 0) + 1;
     const order = Object.entries(counts).sort((a, b) => b[1] - a[1]);
     const names = order.map(([e, n]) => `${n} from the ${e}`);
     if (names.length === 1) return names[0];
@@ -204,7 +212,9 @@ export function archivePage(date, config) {
   <div class="cta">
     <a class="btn btn-primary" href="${SITE}/">Play Reflections</a>
     <a class="btn btn-ghost" href="${SITE}/leaderboard">Daily leaderboard</a>
+    <a class="btn btn-ghost" href="${canonical}puzzle.json" download>Download this board</a>
   </div>
+  <div class="caption">Drop the downloaded board onto the game to play it again, unranked.</div>
 
   <footer>
     <a href="${SITE}/">Play</a><a href="${SITE}/daily/">Daily archive</a><a href="${SITE}/leaderboard">Leaderboard</a><a href="${SITE}/about">About</a>
@@ -0,0 +1,89 @@
+/**
+ * Collision broad-phase benchmark for REFLECTIONS
+ *
+ * Scores a batch of boards - freshly generated ones as dealt (the AI harness's
+ * starting point, see ai/run.mjs), busier ones with splitters and repeating
+ * waves, and the AI's best defences (the puzzle files in ai/exhibit-runs.json), which last a minute
+ * or more - twice each: once testing every mirror on every laser move and once
+ * through the uniform-grid broad phase (see js/core/MirrorGrid.js). Prints both
+ * times and the speedup, and exits 1 if any board scores differently between
+ * the two.
+ *
+ *   node tests/bench-collisions.js            40 boards of each kind
+ *   BOARDS=200 node tests/bench-collisions.js
+ */
+import { performance } from 'perf_hooks';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { readFileSync } from 'fs';
+import { CONFIG } from '../js/config.js';
+import { generateMainPuzzle, generateDailyPuzzle } from '../js/core/PuzzleGenerator.js';
+import { simulateSurvivalTime } from '../js/core/Simulation.js';
+import { parsePuzzleFile } from '../js/core/PuzzleFile.js';
+
+const BOARDS = Number(process.env.BOARDS || 40);
+
+const EXHIBIT = join(dirname(fileURLToPath(import.meta.url)), '..', 'ai', 'exhibit-runs.json');
+const exhibitRuns = JSON.parse(readFileSync(EXHIBIT, 'utf8')).runs;
+
+// An exhibit run's board, its mirrors where the AI placed them
+function exhibitBoard(run) {
+    const { puzzle, placements } = parsePuzzleFile(run.file);
+    return { ...puzzle, mirrors: puzzle.mirrorInventory.map((inv, i) => ({ ...inv, ...placements[i] })) };
+}
+
+const WORKLOADS = [
+    { name: 'main boards', generate: () => generateMainPuzzle() },
+    {
+        name: 'splitters + waves',
+        generate: () => generateMainPuzzle({
+            materials: { splitter: 3 },
+            waves: { stagger: 4, repeatEvery: 8, count: 6 },
+        }),
+    },
+    { name: "today's daily", count: 1, generate: () => generateDailyPuzzle() }, // the same all day
+    { name: 'AI exhibit runs', count: exhibitRuns.length, generate: (i) => exhibitBoard(exhibitRuns[i]) },
+];
+
+// Score a board as dealt, with the broad phase on or off; returns [score, ms]
+function timeRun(puzzle, broadPhase) {
+    CONFIG.BROAD_PHASE = broadPhase;
+    const options = { cores: puzzle.cores, scoring: puzzle.scoring, walls: puzzle.walls,
+        laserInteraction: puzzle.laserInteraction, physicsVersion: puzzle.physicsVersion };
+    const start = performance.now();
+    const score = simulateSurvivalTime(puzzle.mirrors, puzzle.spawners, options);
+    return [score, performance.now() - start];
+}
+
+// Warm the JIT up on both paths before timing anything
+for (const workload of WORKLOADS) {
+    const puzzle = workload.generate(0);
+    timeRun(puzzle, false);
+    timeRun(puzzle, true);
+}
+
+let mismatches = 0;
+for (const workload of WORKLOADS) {
+    const count = workload.count ?? BOARDS;
+    let scanMs = 0;
+    let gridMs = 0;
+    for (let i = 0; i < count; i++) {
+        const puzzle = workload.generate(i);
+        // Alternate which goes first so warm-up and GC don't favour either
+        const first = i % 2 === 0;
+        const [a, aMs] = timeRun(puzzle, first);
+        const [b, bMs] = timeRun(puzzle, !first);
+        scanMs += first ? bMs : aMs;
+        gridMs += first ? aMs : bMs;
+        if (a !== b) {
+            mismatches++;
+            console.log(`MISMATCH  ${workload.name} #${i + 1}: ${first ? b : a}s scanning, ${first ? a : b}s with the grid`);
+        }
+    }
+    const speedup = (scanMs / gridMs).toFixed(2);
+    console.log(`${workload.name.padEnd(18)} ${String(count).padStart(4)} boards  scan ${scanMs.toFixed(0).padStart(6)} ms  grid ${gridMs.toFixed(0).padStart(6)} ms  x${speedup}`);
+}
+CONFIG.BROAD_PHASE = true;
+
+console.log(mismatches === 0 ? '\nEvery board scored the same both ways' : `\n${mismatches} boards scored differently`);
+process.exit(mismatches > 0 ? 1 : 0);
@@ -0,0 +1,37 @@
+/**
+ * Tests for board codes (js/core/BoardCode.js) and the seeded main-game boards
+ * they name.
+ */
+
+import { describe, test, assert } from './run-tests.js';
+import { MAX_SEED, encodeBoardCode, decodeBoardCode } from '../js/core/BoardCode.js';
+import { generateMainPuzzle } from '../js/core/PuzzleGenerator.js';
+
+describe('BoardCode - encoding seeds', () => {
+    test('A code is seven characters and reads back as its seed', () => {
+        for (const seed of [0, 42, 123456789, MAX_SEED]) {
+            const code = encodeBoardCode(seed);
+            assert.ok(/^[0-9A-HJKMNP-TV-Z]{7}$/.test(code), `seven Crockford characters (${code})`);
+            assert.equal(decodeBoardCode(code), seed, `${code} reads back as ${seed}`);
+        }
+        assert.throws(() => encodeBoardCode(-1), 'negative seeds have no code');
+        assert.throws(() => encodeBoardCode(MAX_SEED + 1), 'nor do seeds past the range');
+    });
+
+    test('Pasted codes are read forgivingly, and anything else is not a code', () => {
+        const code = encodeBoardCode(987654321);
+        assert.equal(decodeBoardCode(` ${code.slice(0, 4).toLowerCase()}-${code.slice(4)} `), 987654321,
+            'case, spaces and dashes are ignored');
+        assert.equal(decodeBoardCode('O0000IL'), decodeBoardCode('0000011'), 'O reads as 0, I and L as 1');
+        assert.equal(decodeBoardCode('U000000'), null, 'U is not a code character');
+        assert.equal(decodeBoardCode('000000'), null, 'too short');
+        assert.equal(decodeBoardCode('ZZZZZZZ'), null, 'past the largest seed');
+        assert.equal(decodeBoardCode(null), null, 'not a string');
+    });
+
+    test('A code regenerates the exact board', () => {
+        const issued = generateMainPuzzle();
+        const replayed = generateMainPuzzle({ seed: decodeBoardCode(encodeBoardCode(issued.seed)) });
+        assert.equal(JSON.stringify(replayed), JSON.stringify(issued), 'same mirrors, spawners and rules');
+    });
+});
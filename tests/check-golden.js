@@ -0,0 +1,53 @@
+/**
+ * Golden-run checker for REFLECTIONS
+ *
+ * Re-runs every frozen board in fixtures/golden-runs.json and reports, per board,
+ * whether this runtime reproduces its recorded score and every step's digest
+ * (see js/core/Determinism.js). On a mismatch it prints the first divergent step
+ * and where each laser was after it. Run it under any runtime the game ships on
+ * (the browser's, the Cloud Function's Node) to prove they still agree.
+ *
+ *   node tests/check-golden.js            check the corpus, exit 1 on any divergence
+ *   node tests/check-golden.js --update   re-record every board's score and digests
+ *                                         from this runtime (only after a deliberate
+ *                                         physics change)
+ */
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { readFileSync, writeFileSync } from 'fs';
+import { checkGolden, recordGolden } from '../js/core/Determinism.js';
+
+const CORPUS = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'golden-runs.json');
+
+const corpus = JSON.parse(readFileSync(CORPUS, 'utf8'));
+
+if (process.argv.includes('--update')) {
+    corpus.boards = corpus.boards.map(recordGolden);
+    writeFileSync(CORPUS, JSON.stringify(corpus, null, 2) + '\n');
+    for (const board of corpus.boards) {
+        console.log(`recorded ${board.name}: ${board.score}s over ${board.steps} steps`);
+    }
+    process.exit(0);
+}
+
+let diverged = 0;
+for (const board of corpus.boards) {
+    const result = checkGolden(board);
+    if (result.ok) {
+        console.log(`ok        ${result.name} (${result.score}s, ${result.steps} steps)`);
+        continue;
+    }
+
+    diverged++;
+    console.log(`DIVERGED  ${result.name}: score ${result.score}s, expected ${result.expectedScore}s`);
+    const divergence = result.divergence;
+    if (divergence) {
+        console.log(`  first divergent step ${divergence.step}: digest ${divergence.actual}, expected ${divergence.expected}`);
+        for (const laser of divergence.lasers) {
+            console.log(`  laser ${laser.id} at (${laser.x}, ${laser.y}) heading (${laser.vx}, ${laser.vy})`);
+        }
+    }
+}
+
+console.log(`\n${corpus.boards.length - diverged}/${corpus.boards.length} golden runs reproduced`);
+process.exit(diverged > 0 ? 1 : 0);
@@ -0,0 +1,122 @@
+/**
+ * Tests for measured difficulty (js/core/Difficulty.js): the survival-to-rating
+ * scale, the dailies' weekly curve, certification (ai/certify.mjs), and the
+ * rated, certified dailies (js/validation/DailyRatings.js) the game deals from it.
+ */
+
+import { describe, test, assert } from './run-tests.js';
+import {
+    WEEKLY_CURVE, DAILY_TOLERANCE, difficultyFromSurvival, survivalForDifficulty, dailyTarget
+} from '../js/core/Difficulty.js';
+import { DAILY_RATINGS } from '../js/validation/DailyRatings.js';
+import { DailyChallenge } from '../js/validation/DailyChallenge.js';
+import { generateDailyPuzzle, generateMainPuzzle } from '../js/core/PuzzleGenerator.js';
+import { certifiedPerfect } from '../js/core/PuzzleFile.js';
+import { verifyGame } from '../js/core/GameVerifier.js';
+import { CONFIG } from '../js/config.js';
+import { certifyPuzzle } from '../ai/certify.mjs';
+
+describe('Difficulty - the scale', () => {
+    test('Longer survival rates easier, from 10 down to 1 at the cap', () => {
+        assert.equal(difficultyFromSurvival(0), 10, 'no survival at all');
+        assert.equal(difficultyFromSurvival(CONFIG.MAX_GAME_TIME), 1, 'held to the cap');
+        assert.equal(difficultyFromSurvival(CONFIG.MAX_GAME_TIME * 2), 1, 'never below 1');
+        assert.ok(difficultyFromSurvival(5) > difficultyFromSurvival(50), 'five seconds is harder than fifty');
+        assert.equal(difficultyFromSurvival(survivalForDifficulty(4.2)), 4.2, 'survivalForDifficulty is its inverse');
+    });
+
+    test('Each daily\'s band is around its day\'s target, easiest on Monday', () => {
+        const monday = dailyTarget('2026-10-19');
+        const sunday = dailyTarget('2026-10-25');
+        assert.equal(monday.difficulty, WEEKLY_CURVE[0], 'Monday has the first target');
+        assert.equal(sunday.difficulty, Math.max(...WEEKLY_CURVE), 'Sunday the hardest');
+        const [min, max] = monday.band;
+        assert.ok(min < survivalForDifficulty(monday.difficulty) && survivalForDifficulty(monday.difficulty) < max,
+            'the target survival is inside the band');
+        assert.throws(() => dailyTarget('someday'), 'a date that is not one');
+        assert.throws(() => dailyTarget('2026-02-30'), 'nor is a day past the end of its month');
+    });
+
+    test('A daily\'s weekday is the same in every timezone', () => {
+        const tz = process.env.TZ;
+        try {
+            const targets = ['Pacific/Kiritimati', 'Pacific/Pago_Pago', 'UTC'].map(zone => {
+                process.env.TZ = zone;
+                return ['2026-10-19', '2026-10-25', '2027-01-01'].map(date => dailyTarget(date).difficulty);
+            });
+            assert.deepEqual(targets[0], [WEEKLY_CURVE[0], WEEKLY_CURVE[6], WEEKLY_CURVE[4]], 'Monday, Sunday and a Friday');
+            assert.deepEqual(targets[1], targets[0], 'behind UTC');
+            assert.deepEqual(targets[2], targets[0], 'at UTC');
+        } finally {
+            if (tz === undefined) delete process.env.TZ;
+            else process.env.TZ = tz;
+        }
+    });
+});
+
+describe('Difficulty - certification', () => {
+    // A main board down to its first laser, which the search holds to the cap
+    const main = generateMainPuzzle({ seed: 5 });
+    const board = { ...main, spawners: main.spawners.slice(0, 1) };
+    const budget = { restarts: 1, iterations: 20 };
+
+    test('A board held to the cap is certified perfect, with a solution the server accepts', () => {
+        const { valid, certificate } = certifyPuzzle(board, budget);
+        assert.ok(valid, 'it certifies');
+        assert.equal(certificate.score, CONFIG.MAX_GAME_TIME, 'its best known solution holds to the cap');
+        assert.equal(certificate.estimatedBest, CONFIG.MAX_GAME_TIME, 'and nothing is estimated past it');
+        assert.ok(certifiedPerfect({ ...board, certificate }), 'so perfect is possible');
+        const verified = verifyGame(board, certificate.placements);
+        assert.ok(verified.valid && verified.score === certificate.score, 'verifyGame scores the solution the same');
+    });
+
+    test('A certificate repeats for the same seed and budget', () => {
+        const first = certifyPuzzle(main, budget);
+        assert.ok(first.valid && first.certificate.estimatedBest >= first.certificate.score,
+            'the estimate is never below the best known');
+        assert.deepEqual(certifyPuzzle(main, budget), first, 'the same certificate again');
+    });
+});
+
+describe('Difficulty - rated dailies', () => {
+    test('A day\'s variants are its theme, and variant 0 is the board it always had', () => {
+        const date = '2026-06-01';
+        const plain = DailyChallenge.generateDailyConfig(date, 0);
+        const other = DailyChallenge.generateDailyConfig(date, 3);
+        assert.equal(other.theme, plain.theme, 'the same theme');
+        assert.notEqual(JSON.stringify(other.spawners), JSON.stringify(plain.spawners), 'on another board');
+        assert.equal(DailyChallenge.generateDailyConfig(date).variant, 0,
+            'an unrated day plays variant 0');
+    });
+
+    test('A rated day deals its chosen variant, with the measured difficulty', () => {
+        const dates = Object.keys(DAILY_RATINGS).filter(date => DAILY_RATINGS[date].variant > 0);
+        assert.ok(dates.length > 0, 'some days play another variant');
+        for (const date of dates.slice(0, 2)) {
+            const { variant, difficulty } = DAILY_RATINGS[date];
+            const puzzle = generateDailyPuzzle({ date });
+            const chosen = generateDailyPuzzle({ date, variant });
+            assert.deepEqual(puzzle.spawners, chosen.spawners, `${date} deals variant ${variant}`);
+            assert.equal(puzzle.difficulty, difficulty, `${date} is rated ${difficulty}`);
+        }
+    });
+
+    test('A rated day is inside its band, rated by the best survival its certificate proves', () => {
+        for (const [date, { difficulty, survival, certificate }] of Object.entries(DAILY_RATINGS)) {
+            const target = dailyTarget(date);
+            assert.ok(survival >= target.band[0] && survival <= target.band[1], `${date}: ${survival}s is in its band`);
+            assert.ok(Math.abs(difficulty - target.difficulty) <= DAILY_TOLERANCE, `${date}: ${difficulty} is on its curve`);
+            assert.ok(survival >= certificate.score, `${date}: no worse than its certificate's ${certificate.score}s`);
+            assert.equal(difficulty, difficultyFromSurvival(survival), `${date}: rated by that survival`);
+        }
+    });
+
+    test('A rated day is certified, without giving away its solution', () => {
+        const [date] = Object.keys(DAILY_RATINGS);
+        const { certificate } = generateDailyPuzzle({ date });
+        assert.deepEqual(certificate, DAILY_RATINGS[date].certificate, 'its certificate is dealt with it');
+        assert.ok(certificate.score > 0 && certificate.estimatedBest >= certificate.score, 'a playable board, with its estimate');
+        assert.equal(certificate.placements, undefined, 'and no placements');
+        assert.equal(generateDailyPuzzle({ date: '2026-06-01' }).certificate, undefined, 'an unrated day has none');
+    });
+});
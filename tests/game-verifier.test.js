@@ -8,6 +8,9 @@
 
 import { describe, test, assert } from './run-tests.js';
 import { verifyGame } from '../js/core/GameVerifier.js';
+import { EventLog } from '../js/core/SimulationEvents.js';
+import { CONFIG } from '../js/config.js';
+import { MirrorPlacementValidation } from '../js/validation/MirrorPlacementValidation.js';
 
 // A server-issued puzzle: two 40px square mirrors + one spawner aimed at the core.
 const PUZZLE = {
@@ -63,3 +66,292 @@ describe('GameVerifier - server-authoritative scoring & anti-cheat', () => {
         assert.ok(!verifyGame(PUZZLE, junk).valid, 'non-finite coordinates rejected');
     });
 });
+
+describe('GameVerifier - mirror materials', () => {
+    test('Scores the issued material, so a splitter board differs from a plain one', () => {
+        const shield = [{ x: 200, y: 300, rotation: 0 }];
+        const plain = {
+            mode: 'main',
+            mirrorInventory: [{ shape: 'square', size: 40, width: 40, height: 40 }],
+            spawners: [{ x: 100, y: 300, angle: 0 }],
+        };
+        const split = {
+            ...plain,
+            mirrorInventory: [{ shape: 'square', size: 40, width: 40, height: 40, material: 'splitter' }],
+        };
+        const a = verifyGame(plain, shield);
+        const b = verifyGame(split, shield);
+        assert.ok(a.valid && b.valid, 'both placements are legal');
+        assert.ok(b.score < a.score, `splitter lets a beam through (${b.score}s < ${a.score}s)`);
+    });
+});
+
+describe('GameVerifier - glass refractive index', () => {
+    test('The issued refractive index is part of the authoritative score', () => {
+        const puzzle = (refractiveIndex) => ({
+            mode: 'main',
+            mirrorInventory: [{ shape: 'square', size: 60, width: 60, height: 60, material: 'glass', refractiveIndex }],
+            spawners: [{ x: 100, y: 280, angle: 0.2 }],
+        });
+        const placement = [{ x: 200, y: 300, rotation: 45 }];
+        const a = verifyGame(puzzle(1.3), placement);
+        const b = verifyGame(puzzle(2.2), placement);
+        assert.ok(a.valid && b.valid, 'both submissions are legal');
+        assert.notEqual(a.score, b.score, 'a different index bends the beams differently');
+    });
+});
+
+describe('GameVerifier - portal pairs', () => {
+    const portalPuzzle = (pairs) => ({
+        mode: 'main',
+        mirrorInventory: pairs.map(portalPair =>
+            ({ shape: 'square', size: 40, width: 40, height: 40, material: 'portal', portalPair })),
+        spawners: [{ x: 100, y: 300, angle: 0 }],
+    });
+
+    test('Accepts a linked pair placed far enough apart', () => {
+        const result = verifyGame(portalPuzzle([0, 0]), [{ x: 200, y: 300 }, { x: 400, y: 140, rotation: 90 }]);
+        assert.ok(result.valid, `legal pair accepted (${result.reason || 'ok'})`);
+        assert.ok(result.score < 30, `the pair routes the beam into the core (${result.score}s)`);
+    });
+
+    test('Rejects a portal without a partner', () => {
+        const result = verifyGame(portalPuzzle([0, 1]), [{ x: 200, y: 300 }, { x: 400, y: 140 }]);
+        assert.ok(!result.valid, 'unpaired portals rejected');
+    });
+
+    test('Rejects partners placed too close together', () => {
+        const result = verifyGame(portalPuzzle([0, 0]), [{ x: 200, y: 300 }, { x: 260, y: 300 }]);
+        assert.ok(!result.valid, 'too-close pair rejected');
+        assert.ok(/too close/.test(result.reason), `reason names the rule (${result.reason})`);
+    });
+});
+
+describe('GameVerifier - multiple cores', () => {
+    const MULTI = {
+        ...PUZZLE,
+        cores: [{ x: 400, y: 300 }, { x: 200, y: 150, hp: 2 }],
+        scoring: 'lastCore',
+    };
+
+    test('Rejects a mirror inside any core\'s forbidden zone', () => {
+        const r = verifyGame(MULTI, GOOD); // GOOD puts a mirror on the second core
+        assert.ok(!r.valid, 'mirror on the corner core rejected');
+    });
+
+    test('Scores a multi-core board with the puzzle\'s own cores', () => {
+        const placements = [{ x: 600, y: 150, rotation: 0 }, { x: 600, y: 450, rotation: 0 }];
+        const r = verifyGame(MULTI, placements);
+        assert.ok(r.valid, `legal placement accepted (${r.reason || 'ok'})`);
+        assert.equal(r.score, 300, 'the corner core is never hit, so the board survives');
+    });
+
+    test('Rejects an unknown scoring mode', () => {
+        assert.ok(!verifyGame({ ...MULTI, scoring: 'bestOf' }, GOOD).valid, 'unknown scoring rejected');
+    });
+
+    test('A single-core puzzle afterwards uses the center zone again', () => {
+        assert.ok(verifyGame(PUZZLE, GOOD).valid, 'the corner spot is legal without the corner core');
+    });
+});
+
+describe('GameVerifier - spawner waves', () => {
+    test('Scores the issued wave schedule', () => {
+        const delayed = { ...PUZZLE, spawners: [{ x: 100, y: 300, angle: 0, delay: 3 }] };
+        const a = verifyGame(PUZZLE, GOOD);
+        const b = verifyGame(delayed, GOOD);
+        assert.ok(a.valid && b.valid, 'both boards are legal');
+        assert.ok(Math.abs(b.score - a.score - 3) < 1e-9, `the delayed wave breaches 3s later (${a.score}s -> ${b.score}s)`);
+    });
+
+    test('Rejects malformed wave fields', () => {
+        const bad = (fields) => verifyGame({ ...PUZZLE, spawners: [{ x: 100, y: 300, angle: 0, ...fields }] }, GOOD);
+        assert.ok(!bad({ delay: -1 }).valid, 'negative delay rejected');
+        assert.ok(!bad({ count: 0 }).valid, 'zero count rejected');
+        assert.ok(!bad({ count: 2.5 }).valid, 'fractional count rejected');
+        assert.ok(!bad({ repeatEvery: NaN }).valid, 'non-finite interval rejected');
+        assert.ok(!bad({ count: 1000, repeatEvery: 0.1 }).valid, 'runaway wave rejected');
+    });
+});
+
+describe('GameVerifier - endless mode', () => {
+    const ENDLESS = { ...PUZZLE, mode: 'endless', spawners: [{ x: 100, y: 300, angle: 0, delay: CONFIG.MAX_GAME_TIME }] };
+
+    test('Scores an endless board past the cap', () => {
+        const result = verifyGame(ENDLESS, GOOD);
+        assert.ok(result.valid, `endless board is legal (${result.reason || 'ok'})`);
+        assert.ok(result.score > CONFIG.MAX_GAME_TIME, `scored past the cap (${result.score}s)`);
+    });
+
+    test('Only endless boards may fire after the cap, and none at the ceiling', () => {
+        assert.ok(!verifyGame({ ...ENDLESS, mode: 'main' }, GOOD).valid, 'a main board cannot fire at the cap');
+        const atCeiling = { ...ENDLESS, spawners: [{ x: 100, y: 300, angle: 0, delay: CONFIG.ENDLESS_MAX_TIME }] };
+        assert.ok(!verifyGame(atCeiling, GOOD).valid, 'an endless board cannot fire at its ceiling');
+    });
+});
+
+describe('GameVerifier - laser profiles', () => {
+    test('Scores each spawner\'s laser type', () => {
+        const fast = { ...PUZZLE, spawners: [{ x: 100, y: 300, angle: 0, laserProfile: 'fast' }] };
+        const a = verifyGame(PUZZLE, GOOD);
+        const b = verifyGame(fast, GOOD);
+        assert.ok(a.valid && b.valid, 'both boards are legal');
+        assert.ok(b.score < a.score, `the fast laser breaches sooner (${a.score}s -> ${b.score}s)`);
+    });
+
+    test('Rejects an unknown laser profile', () => {
+        const bad = { ...PUZZLE, spawners: [{ x: 100, y: 300, angle: 0, laserProfile: 'warp' }] };
+        assert.ok(!verifyGame(bad, GOOD).valid, 'unknown profile rejected');
+    });
+});
+
+describe('GameVerifier - moving mirrors', () => {
+    const withMotion = (motion) => ({
+        ...PUZZLE,
+        mirrorInventory: [{ ...PUZZLE.mirrorInventory[0], motion }, PUZZLE.mirrorInventory[1]],
+    });
+
+    test('Accepts a moving mirror whose whole path is legal', () => {
+        const r = verifyGame(withMotion({ type: 'rail', dx: 100, dy: 0, period: 4 }), GOOD);
+        assert.ok(r.valid, `legal rail accepted (${r.reason || 'ok'})`);
+        assert.ok(verifyGame(withMotion({ type: 'spin', rate: 30 }), GOOD).valid, 'legal spinner accepted');
+    });
+
+    test('Rejects a rail that runs into a forbidden zone or off the board', () => {
+        const intoCore = verifyGame(withMotion({ type: 'rail', dx: 200, dy: 150, period: 4 }), GOOD);
+        assert.ok(!intoCore.valid, 'rail into the core zone rejected');
+        const offBoard = verifyGame(withMotion({ type: 'rail', dx: 0, dy: -160, period: 4 }), GOOD);
+        assert.ok(!offBoard.valid, 'rail off the top of the board rejected');
+    });
+
+    test('Rejects malformed motion', () => {
+        assert.ok(!verifyGame(withMotion({ type: 'teleport' }), GOOD).valid, 'unknown type rejected');
+        assert.ok(!verifyGame(withMotion({ type: 'rail', dx: 500, dy: 0, period: 4 }), GOOD).valid, 'over-long rail rejected');
+        assert.ok(!verifyGame(withMotion({ type: 'rail', dx: 50, dy: 0, period: 0 }), GOOD).valid, 'zero period rejected');
+        assert.ok(!verifyGame(withMotion({ type: 'spin', rate: 1e6 }), GOOD).valid, 'runaway spin rejected');
+    });
+});
+
+describe('GameVerifier - walls and blocked cells', () => {
+    const TERRAIN = {
+        ...PUZZLE,
+        walls: [{ x1: 300, y1: 100, x2: 300, y2: 200 }, { x1: 250, y1: 250, x2: 250, y2: 350, material: 'absorber' }],
+        blockedCells: [{ col: 30, row: 22 }],
+    };
+
+    test('Rejects a mirror that crosses a wall', () => {
+        const r = verifyGame(TERRAIN, [{ x: 300, y: 150, rotation: 0 }, { x: 600, y: 150, rotation: 0 }]);
+        assert.ok(!r.valid, 'mirror across the wall rejected');
+    });
+
+    test('Rejects a mirror covering a blocked cell', () => {
+        const r = verifyGame(TERRAIN, GOOD); // GOOD puts a mirror over cell (30, 22)
+        assert.ok(!r.valid, 'mirror over the blocked cell rejected');
+    });
+
+    test('Scores a legal board against its walls', () => {
+        const placements = [{ x: 200, y: 150, rotation: 0 }, { x: 600, y: 150, rotation: 0 }];
+        const r = verifyGame(TERRAIN, placements);
+        assert.ok(r.valid, `legal placement accepted (${r.reason || 'ok'})`);
+        assert.equal(r.score, 300, 'the absorbing wall stops the only laser');
+    });
+
+    test('Rejects malformed terrain', () => {
+        const bad = (fields) => verifyGame({ ...PUZZLE, ...fields }, GOOD);
+        assert.ok(!bad({ walls: [{ x1: 10, y1: 10, x2: 10, y2: 10 }] }).valid, 'zero-length wall rejected');
+        assert.ok(!bad({ walls: [{ x1: 10, y1: 10, x2: 900, y2: 10 }] }).valid, 'off-board wall rejected');
+        assert.ok(!bad({ walls: [{ x1: 10, y1: 10, x2: 50, y2: 10, material: 'glass' }] }).valid, 'unknown material rejected');
+        assert.ok(!bad({ blockedCells: [{ col: 40, row: 0 }] }).valid, 'off-grid cell rejected');
+        assert.ok(!bad({ blockedCells: [{ col: 1.5, row: 0 }] }).valid, 'fractional cell rejected');
+    });
+
+    test('A puzzle without terrain afterwards has no walls or cells in the way', () => {
+        assert.ok(verifyGame(PUZZLE, GOOD).valid, 'the blocked spot is legal again');
+    });
+
+    test('Verifying leaves the zones of the board on the field as they were', () => {
+        // The game's own board: one core off-center, a wall, no blocked cells
+        const cores = [{ x: 200, y: 300 }];
+        const walls = [{ x1: 700, y1: 100, x2: 700, y2: 200 }];
+        MirrorPlacementValidation.withPuzzle({ cores, walls }, () => {
+            const zones = JSON.stringify(MirrorPlacementValidation.forbiddenZones);
+            verifyGame({ ...TERRAIN, cores: [{ x: 400, y: 300 }, { x: 600, y: 300 }], board: null }, GOOD);
+            verifyGame(TERRAIN, [{ x: 200, y: 150, rotation: 0 }, { x: 600, y: 150, rotation: 0 }]);
+            assert.equal(MirrorPlacementValidation.cores, cores, 'the game\'s cores');
+            assert.equal(MirrorPlacementValidation.walls, walls, 'walls');
+            assert.equal(MirrorPlacementValidation.blockedCells, null, 'and no blocked cells');
+            assert.equal(JSON.stringify(MirrorPlacementValidation.forbiddenZones), zones, 'the same zones');
+        });
+        assert.equal(MirrorPlacementValidation.cores, null, 'and the defaults once the game\'s board is gone');
+    });
+});
+
+describe('GameVerifier - laser annihilation', () => {
+    const CROSSING = {
+        ...PUZZLE,
+        spawners: [{ x: 100, y: 300, angle: 0 }, { x: 250, y: 150, angle: Math.PI / 2 }],
+    };
+    const CLEAR = [{ x: 200, y: 500, rotation: 0 }, { x: 600, y: 500, rotation: 0 }];
+
+    test('Scores the puzzle\'s laser-vs-laser rule', () => {
+        const plain = verifyGame(CROSSING, CLEAR);
+        const annihilate = verifyGame({ ...CROSSING, laserInteraction: 'annihilate' }, CLEAR);
+        assert.ok(plain.valid && annihilate.valid, 'both boards are legal');
+        assert.ok(plain.score < 300, `beams pass through each other by default (${plain.score}s)`);
+        assert.equal(annihilate.score, 300, 'crossing beams cancel out');
+    });
+
+    test('Rejects an unknown laser interaction', () => {
+        assert.ok(!verifyGame({ ...PUZZLE, laserInteraction: 'merge' }, GOOD).valid, 'unknown rule rejected');
+    });
+});
+
+describe('GameVerifier - physics versions', () => {
+    test('Scores with the session\'s physics, float when it has none', () => {
+        const legacy = verifyGame(PUZZLE, GOOD);
+        assert.equal(verifyGame({ ...PUZZLE, physicsVersion: 1 }, GOOD).score, legacy.score, 'missing version is 1');
+        const fixed = verifyGame({ ...PUZZLE, physicsVersion: 2 }, GOOD);
+        assert.ok(fixed.valid, 'fixed-point sessions verify');
+        assert.equal(verifyGame({ ...PUZZLE, physicsVersion: 2 }, GOOD).score, fixed.score, 'and repeat exactly');
+    });
+
+    test('Rejects an unknown physics version', () => {
+        assert.ok(!verifyGame({ ...PUZZLE, physicsVersion: 3 }, GOOD).valid, 'unknown version rejected');
+        assert.ok(!verifyGame({ ...PUZZLE, physicsVersion: '2' }, GOOD).valid, 'versions are numbers');
+    });
+});
+
+describe('GameVerifier - event log', () => {
+    test('An observer hears the scoring run, ending in the breach', () => {
+        const log = new EventLog();
+        const r = verifyGame(PUZZLE, GOOD, { observer: log.observer });
+        assert.ok(r.valid, 'valid submission');
+        const last = log.events[log.events.length - 1];
+        assert.equal(last.type, 'breach', 'the run ends in the breach');
+        assert.equal(verifyGame(PUZZLE, GOOD).score, r.score, 'listening does not change the score');
+    });
+});
+
+describe('GameVerifier - board outlines', () => {
+    // The canvas less its top-right corner (x > 560, y < 240)
+    const L_SHAPE = { outline: [
+        { x: 0, y: 0 }, { x: 560, y: 0 }, { x: 560, y: 240 }, { x: 800, y: 240 }, { x: 800, y: 600 }, { x: 0, y: 600 }
+    ] };
+
+    test('Scores a legal board inside the outline, and rejects mirrors outside it', () => {
+        const r = verifyGame({ ...PUZZLE, board: L_SHAPE }, GOOD);
+        assert.ok(r.valid, `should be valid (${r.reason || 'ok'})`);
+        assert.ok(!verifyGame({ ...PUZZLE, board: L_SHAPE }, [GOOD[0], { x: 660, y: 120, rotation: 0 }]).valid,
+            'a mirror in the cut-away corner is rejected');
+        assert.ok(verifyGame(PUZZLE, [GOOD[0], { x: 660, y: 120, rotation: 0 }]).valid, 'but is fine on the plain board');
+    });
+
+    test('Rejects malformed outlines', () => {
+        const reject = (board, spawners = PUZZLE.spawners) => !verifyGame({ ...PUZZLE, spawners, board }, GOOD).valid;
+        assert.ok(reject({ outline: [{ x: 0, y: 0 }, { x: 800, y: 600 }] }), 'too few corners');
+        assert.ok(reject({ outline: [{ x: 0, y: 0 }, { x: 800, y: 0 }, { x: 0, y: 600 }, { x: 800, y: 600 }] }), 'crosses itself');
+        assert.ok(reject({ outline: [{ x: -50, y: 0 }, { x: 800, y: 0 }, { x: 800, y: 600 }, { x: 0, y: 600 }] }), 'off the canvas');
+        assert.ok(reject({ outline: [{ x: 0, y: 0 }, { x: 300, y: 0 }, { x: 300, y: 600 }, { x: 0, y: 600 }] }), 'core outside it');
+        assert.ok(reject(L_SHAPE, [{ x: 700, y: 100, angle: 0 }]), 'spawner off the board');
+    });
+});
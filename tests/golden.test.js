@@ -0,0 +1,101 @@
+/**
+ * Golden runs: frozen boards must keep scoring exactly as recorded, step for
+ * step (fixtures/golden-runs.json; see js/core/Determinism.js). A failure here
+ * means the physics changed - if on purpose, re-record with
+ * `node tests/check-golden.js --update`.
+ */
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { readFileSync } from 'fs';
+import { describe, test, assert } from './run-tests.js';
+import { buildSimulation, stepLasers } from '../js/core/Simulation.js';
+import { CONFIG } from '../js/config.js';
+import { stepDigest, StepTrace, DivergenceCheck, checkGolden } from '../js/core/Determinism.js';
+
+const corpus = JSON.parse(readFileSync(join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'golden-runs.json'), 'utf8'));
+
+describe('Determinism - golden runs', () => {
+    test('Every frozen board reproduces its score and every step', () => {
+        for (const board of corpus.boards) {
+            const result = checkGolden(board);
+            const where = result.divergence ? ` (first divergent step ${result.divergence.step})` : '';
+            assert.ok(result.ok, `${board.name}: ${result.score}s, recorded ${board.score}s${where}`);
+        }
+    });
+
+    test('A tampered digest is reported at its step, with the lasers there', () => {
+        const board = corpus.boards[0];
+        const digests = StepTrace.parse(board.trace);
+        digests[99] = digests[99] === '00000000' ? 'ffffffff' : '00000000';
+        const result = checkGolden({ ...board, trace: digests.join('') });
+        assert.ok(!result.ok, 'no longer matches');
+        assert.equal(result.score, board.score, 'the score itself is unchanged');
+        assert.equal(result.divergence.step, 100, 'step 100 is the first to differ');
+        assert.ok(result.divergence.lasers.length > 0 && Number.isFinite(result.divergence.lasers[0].x),
+            'laser positions are reported');
+    });
+
+    test('A run that ends before the recorded one is reported where it stopped', () => {
+        const board = corpus.boards[0];
+        const result = checkGolden({ ...board, trace: board.trace + '00000000' });
+        assert.equal(result.divergence.step, board.steps + 1, 'the missing step');
+        assert.equal(result.divergence.actual, null, 'which this run never took');
+    });
+});
+
+describe('Determinism - step digests', () => {
+    const SPAWNERS = [{ x: 100, y: 280, angle: 0.1 }];
+
+    test('A digest sees the smallest change in a laser\'s position', () => {
+        const sim = buildSimulation([], SPAWNERS);
+        const before = stepDigest(sim.lasers, sim.handler.cores);
+        assert.equal(before, stepDigest(sim.lasers, sim.handler.cores), 'stable');
+        assert.ok(/^[0-9a-f]{8}$/.test(before), `8 hex digits (${before})`);
+        sim.lasers[0].x += sim.lasers[0].x * Number.EPSILON;
+        assert.notEqual(stepDigest(sim.lasers, sim.handler.cores), before, 'one ulp changes it');
+    });
+
+    test('A trace packs and unpacks, and refuses anything else', () => {
+        const sim = buildSimulation([], SPAWNERS);
+        const trace = new StepTrace();
+        for (let i = 0; i < 10; i++) {
+            stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT, sim.waves);
+            trace.onStep(sim);
+        }
+        assert.deepEqual(StepTrace.parse(trace.toString()), trace.digests, 'round trip');
+        assert.equal(StepTrace.parse('abc'), null, 'partial digest');
+        assert.equal(StepTrace.parse('0123456z'), null, 'not hex');
+        assert.equal(StepTrace.parse(42), null, 'not a string');
+    });
+
+    test('Replaying against a trace of the same run finds no divergence', () => {
+        const trace = new StepTrace();
+        const check = new DivergenceCheck(trace.digests);
+        const a = buildSimulation([], SPAWNERS);
+        const b = buildSimulation([], SPAWNERS);
+        for (let i = 0; i < 30; i++) {
+            stepLasers(a.lasers, a.mirrors, a.handler, CONFIG.PHYSICS_DT, a.waves);
+            trace.onStep(a);
+        }
+        for (let i = 0; i < 30; i++) {
+            stepLasers(b.lasers, b.mirrors, b.handler, CONFIG.PHYSICS_DT, b.waves);
+            check.onStep(b);
+        }
+        assert.equal(check.result(), null, 'in step throughout');
+    });
+
+    test('A run digest is the same for the same run, and sees a change in any step', () => {
+        const board = corpus.boards[0];
+        const digests = StepTrace.parse(board.trace);
+        const trace = new StepTrace();
+        trace.digests = [...digests];
+        const again = new StepTrace();
+        again.digests = [...digests];
+        assert.ok(/^[0-9a-f]{8}$/.test(trace.digest()), `8 hex digits (${trace.digest()})`);
+        assert.equal(again.digest(), trace.digest(), 'same run');
+        again.digests[Math.floor(digests.length / 2)] = '00000000';
+        assert.notEqual(again.digest(), trace.digest(), 'one step changed');
+        again.digests = digests.slice(0, -1);
+        assert.notEqual(again.digest(), trace.digest(), 'one step short');
+    });
+});
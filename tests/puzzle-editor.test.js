@@ -0,0 +1,148 @@
+/**
+ * Tests for the board editor (js/editor/PuzzleEditor.js): building a board by
+ * hand from the generator's catalog sizes, on a stand-in for the game, and
+ * exporting it as a puzzle file.
+ */
+
+import { describe, test, assert } from './run-tests.js';
+import { PuzzleEditor } from '../js/editor/PuzzleEditor.js';
+import { RigidSurfaceAreaGenerator } from '../js/validation/RigidSurfaceAreaGenerator.js';
+import { SimpleValidator } from '../js/validation/SimpleValidator.js';
+import { toPuzzleFile, parsePuzzleFile, hasLayout } from '../js/core/PuzzleFile.js';
+import { verifyGame } from '../js/core/GameVerifier.js';
+import { boardShape, validateBoard } from '../js/core/Board.js';
+import { CONFIG } from '../js/config.js';
+
+// The parts of the game the editor works on
+function stubGame(board = null) {
+    return {
+        mirrors: [], spawners: [], board, cores: null, walls: null, blockedCells: null, laserInteraction: 'none',
+        safeUpdateVertices: mirror => mirror.updateVertices(),
+    };
+}
+
+// Degrees a spawner fires at off straight into the canvas from its edge
+function offInbound(spawner) {
+    const inward = spawner.x <= 0 ? 0 : spawner.x >= CONFIG.CANVAS_WIDTH ? 180 : spawner.y <= 0 ? 90 : 270;
+    return ((spawner.angle * 180 / Math.PI - inward) % 360 + 540) % 360 - 180;
+}
+
+describe('PuzzleEditor - mirrors', () => {
+    test('Every palette shape comes in catalog sizes, smallest first', () => {
+        const areas = new Set(RigidSurfaceAreaGenerator.getMirrorCatalog().catalog.map(entry => entry.surfaceArea));
+        for (const shape of PuzzleEditor.PALETTE) {
+            const sizes = PuzzleEditor.sizesFor(shape);
+            assert.ok(sizes.length > 0 && sizes.every(s => areas.has(s.surfaceArea)), `${shape} sizes are catalog sizes`);
+            assert.ok(sizes.every((s, i) => i === 0 || s.surfaceArea >= sizes[i - 1].surfaceArea), `${shape} smallest first`);
+        }
+        assert.equal(PuzzleEditor.sizesFor('rightTriangle').length, 11, 'rotations of one size count once');
+    });
+
+    test('Added mirrors land legally on the grid and add to the total', () => {
+        const game = stubGame();
+        const editor = new PuzzleEditor(game);
+        const square = editor.addMirror('square');
+        const hexagon = editor.addMirror('hexagon');
+        assert.equal(game.mirrors.length, 2, 'both are on the board');
+        assert.equal(square.x % CONFIG.GRID_SIZE, CONFIG.GRID_SIZE / 2, 'the square sits between grid lines');
+        assert.ok(SimpleValidator.validateMirror(hexagon, [square]).valid, 'clear of the core and of each other');
+        assert.equal(editor.totalSurfaceArea(), 4 + 6, 'the smallest square and hexagon');
+        assert.throws(() => editor.addMirror('circle'), 'a shape the palette lacks');
+
+        editor.removeMirror(square);
+        assert.equal(editor.totalSurfaceArea(), 6, 'removing one takes it off the total');
+    });
+
+    test('Resizing steps through the catalog and undoes a size that does not fit', () => {
+        const game = stubGame();
+        const editor = new PuzzleEditor(game);
+        const mirror = editor.addMirror('square');
+        mirror.x = 150;
+        mirror.y = 150;
+        mirror.updateVertices();
+
+        assert.ok(editor.resizeMirror(mirror, 2).valid, 'two sizes up in open space');
+        assert.equal(mirror.size, 60, 'is the third square size');
+        editor.resizeMirror(mirror, -5);
+        assert.equal(mirror.size, 20, 'down stops at the smallest');
+
+        const neighbour = editor.addMirror('square');
+        neighbour.x = 190;
+        neighbour.y = 150;
+        neighbour.updateVertices();
+        assert.ok(!editor.resizeMirror(mirror, 3).valid, 'growing into a neighbour is refused');
+        assert.equal(mirror.size, 20, 'and the old size kept');
+    });
+});
+
+describe('PuzzleEditor - spawners', () => {
+    test('Spawners sit on the edge and only ever aim inbound, never straight in', () => {
+        const game = stubGame();
+        const editor = new PuzzleEditor(game);
+        const first = editor.addSpawner();
+        const second = editor.addSpawner();
+        assert.ok(Math.hypot(first.x - second.x, first.y - second.y) > 400, 'a new spawner keeps its distance');
+
+        editor.moveSpawner(first, 20, 310);
+        assert.equal(first.x, 0, 'dragged onto the left edge');
+        assert.equal(first.y, 310, 'where the pointer is');
+        editor.moveSpawner(first, 2, 10);
+        assert.equal(first.y, 50, 'but off the corner');
+
+        editor.moveSpawner(first, 0, 300);
+        editor.aimSpawner(first, 400, 300);
+        assert.equal(Math.round(Math.abs(offInbound(first))), 6, 'straight in is turned aside');
+        editor.aimSpawner(first, -100, 300);
+        assert.ok(Math.abs(offInbound(first)) <= 84, 'aiming out of the board stays inbound');
+        editor.aimSpawner(first, 300, 400);
+        assert.equal(Math.round(offInbound(first)), 18, 'and anywhere else is followed');
+
+        const handle = PuzzleEditor.aimHandle(first);
+        assert.deepEqual(editor.handleAt(handle.x, handle.y), { spawner: first, handle: 'aim' }, 'its aim handle is found');
+        assert.equal(editor.handleAt(second.x, second.y).handle, 'move', 'and a spawner\'s body');
+        assert.equal(editor.handleAt(400, 300), null, 'and nothing elsewhere');
+    });
+
+    test('On an outlined board, spawners move along the outline', () => {
+        const game = stubGame(boardShape('circle'));
+        const editor = new PuzzleEditor(game);
+        const spawner = editor.addSpawner();
+        editor.moveSpawner(spawner, 400, 10);
+        assert.ok(spawner.y < 10 && Math.abs(spawner.x - 400) < 40, `at the top of the arena (${spawner.x}, ${spawner.y})`);
+        assert.ok(validateBoard(game.board, null, [spawner]).valid, 'on its outline, as the verifier requires');
+    });
+});
+
+describe('PuzzleEditor - exporting', () => {
+    test('A board is ready once its mirrors come to exactly the target', () => {
+        const game = stubGame();
+        const editor = new PuzzleEditor(game);
+        assert.ok(!editor.check().valid, 'an empty board is not');
+        while (editor.totalSurfaceArea() < 78) editor.addMirror('hexagon');
+        editor.addSpawner();
+        assert.ok(/surface area is 78/.test(editor.check().reason), `the total is reported: ${editor.check().reason}`);
+        editor.addMirror('hexagon');
+        assert.ok(editor.check().valid, '84 is');
+
+        game.mirrors[0].x = game.mirrors[1].x;
+        game.mirrors[0].y = game.mirrors[1].y;
+        game.mirrors[0].updateVertices();
+        assert.ok(!editor.check().valid, 'but not with two mirrors on top of each other');
+    });
+
+    test('The exported file plays its layout as built', () => {
+        const game = stubGame();
+        const editor = new PuzzleEditor(game);
+        for (const shape of PuzzleEditor.PALETTE) editor.addMirror(shape);
+        while (editor.totalSurfaceArea() < 84) editor.addMirror('square');
+        editor.addSpawner();
+        editor.addSpawner();
+        assert.ok(editor.check().valid, 'the board is ready');
+
+        const { puzzle } = parsePuzzleFile(toPuzzleFile(editor.toPuzzle()));
+        assert.equal(puzzle.mode, 'main', 'a main board');
+        assert.ok(hasLayout(puzzle), 'with every mirror where it was put');
+        const placements = puzzle.mirrors.map(({ x, y, rotation }) => ({ x, y, rotation }));
+        assert.ok(verifyGame(puzzle, placements).valid, 'which the verifier accepts');
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for puzzle files (js/core/PuzzleFile.js): one portable format for a
+ * puzzle and its placements, as JSON or as a compact string, read back by the
+ * game, the verifier and the tools.
+ */
+
+import { describe, test, assert } from './run-tests.js';
+import {
+    FORMAT, VERSION, toPuzzleFile, validatePuzzleFile, encodePuzzleFile, parsePuzzleFile, hasLayout, certifiedPerfect
+} from '../js/core/PuzzleFile.js';
+import { verifyGame, verifyPuzzleFile } from '../js/core/GameVerifier.js';
+import { generateMainPuzzle, generateDailyPuzzle } from '../js/core/PuzzleGenerator.js';
+import { RULES } from '../js/core/Ruleset.js';
+
+const PUZZLE = {
+    mode: 'main',
+    mirrorInventory: [
+        { shape: 'square', size: 40, width: 40, height: 40 },
+        { shape: 'square', size: 40, width: 40, height: 40 },
+    ],
+    spawners: [{ x: 100, y: 300, angle: 0 }],
+};
+const PLACEMENTS = [{ x: 200, y: 200, rotation: 45 }, { x: 600, y: 400, rotation: 0 }];
+
+describe('PuzzleFile - reading and writing', () => {
+    test('A generated board comes back from JSON and from its string as it was issued', () => {
+        const puzzle = generateMainPuzzle({ seed: 4242, materials: { glass: 1 }, portalPairs: 1, laserProfiles: { fast: 1 } });
+        const file = toPuzzleFile(puzzle);
+        assert.equal(file.format, FORMAT, 'tagged with the format');
+        assert.equal(file.version, VERSION, 'and its version');
+
+        const fromJson = parsePuzzleFile(JSON.stringify(file));
+        const fromString = parsePuzzleFile(encodePuzzleFile(file));
+        assert.ok(fromJson.valid && fromString.valid, 'both forms read');
+        assert.deepEqual(fromJson.puzzle.mirrorInventory, puzzle.mirrorInventory, 'the inventory is the issued one');
+        assert.deepEqual(fromJson.puzzle.mirrors, puzzle.mirrors, 'the mirrors keep their layout');
+        assert.deepEqual(fromString.puzzle, fromJson.puzzle, 'the string holds the same puzzle as the JSON');
+        assert.equal(fromString.placements, null, 'a file without a solution has no placements');
+        assert.equal(fromString.puzzle.seed, 4242, 'and the seed travels with it');
+    });
+
+    test('The string form is a single base64url token, shorter than the JSON', () => {
+        const puzzle = generateMainPuzzle({ seed: 77, waves: { stagger: 5, repeatEvery: 10, count: 2 }, board: 'l-shape' });
+        const file = toPuzzleFile(puzzle, puzzle.mirrors);
+        const text = encodePuzzleFile(file);
+        assert.ok(/^RP1\.[A-Za-z0-9_-]+$/.test(text), 'RP1. and base64url characters');
+        assert.ok(text.length < JSON.stringify(file).length, `${text.length} characters against ${JSON.stringify(file).length}`);
+        assert.deepEqual(parsePuzzleFile(text).puzzle, parsePuzzleFile(file).puzzle, 'waves and the outline survive the packing');
+    });
+
+    test('A string missing rules added since reads them at their defaults', () => {
+        const text = encodePuzzleFile(toPuzzleFile({ ...PUZZLE, ruleset: { LASER_SPEED: 12 } }));
+        const { puzzle } = parsePuzzleFile(text);
+        assert.equal(puzzle.ruleset.LASER_SPEED, 12, 'the rule it sets');
+        assert.equal(Object.keys(puzzle.ruleset).length, RULES.length, 'and every other rule');
+    });
+
+    test('A daily board is written with its day, theme and layout', () => {
+        const file = toPuzzleFile(generateDailyPuzzle({ date: '2026-06-01' }));
+        const { puzzle, placements } = parsePuzzleFile(file);
+        assert.equal(puzzle.dailyDate, '2026-06-01', 'the day asked for');
+        assert.ok(typeof puzzle.theme === 'string' && Number.isFinite(puzzle.difficulty), 'its theme and rating');
+        assert.ok(hasLayout(puzzle, placements), 'every mirror has a place to start');
+        assert.ok(!hasLayout(parsePuzzleFile(toPuzzleFile(PUZZLE)).puzzle), 'an inventory alone does not');
+    });
+});
+
+describe('PuzzleFile - certificates', () => {
+    test('A certificate travels with its puzzle and says when perfect is possible', () => {
+        const certificate = { score: 42.5, estimatedBest: 300, placements: PLACEMENTS };
+        const { puzzle } = parsePuzzleFile(encodePuzzleFile(toPuzzleFile({ ...PUZZLE, certificate })));
+        assert.deepEqual(puzzle.certificate, certificate, 'the score, estimate and solution come back');
+        assert.ok(!certifiedPerfect(puzzle), 'a best of 42.5s is not perfect');
+        assert.ok(certifiedPerfect({ ...puzzle, certificate: { score: 300, estimatedBest: 300 } }), 'one held to the cap is');
+        assert.ok(!certifiedPerfect(PUZZLE), 'and an uncertified board says nothing');
+    });
+
+    test('Rejects a certificate that does not add up', () => {
+        const file = certificate => toPuzzleFile({ ...PUZZLE, certificate });
+        assert.ok(validatePuzzleFile(file({ score: 10, estimatedBest: 20 })).valid, 'one without its solution passes');
+        assert.ok(!validatePuzzleFile(file({ score: 30, estimatedBest: 20 })).valid, 'an estimate under the best known');
+        assert.ok(!validatePuzzleFile(file({ score: 10, estimatedBest: 20, placements: PLACEMENTS.slice(1) })).valid,
+            'a solution a placement short');
+    });
+});
+
+describe('PuzzleFile - validation', () => {
+    test('Rejects what is not a well-formed puzzle file', () => {
+        const good = toPuzzleFile(PUZZLE, PLACEMENTS);
+        assert.ok(validatePuzzleFile(good).valid, 'a good file passes');
+        assert.ok(!validatePuzzleFile({ ...good, format: 'other' }).valid, 'another format');
+        assert.ok(!validatePuzzleFile({ ...good, version: 2 }).valid, 'a version this does not read');
+        assert.ok(!validatePuzzleFile({ ...good, puzzle: { ...good.puzzle, mode: 'arcade' } }).valid, 'an unknown mode');
+        const badShape = { ...good.puzzle, mirrors: [{ ...good.puzzle.mirrors[0], shape: 'circle' }, good.puzzle.mirrors[1]] };
+        assert.ok(!validatePuzzleFile({ ...good, puzzle: badShape }).valid, 'an unknown shape');
+        const halfPlaced = { ...good.puzzle, mirrors: [{ ...good.puzzle.mirrors[0], x: 100 }, good.puzzle.mirrors[1]] };
+        assert.ok(!validatePuzzleFile({ ...good, puzzle: halfPlaced }).valid, 'a layout missing its rotation');
+        assert.ok(!validatePuzzleFile({ ...good, placements: PLACEMENTS.slice(1) }).valid, 'a placement short');
+        assert.ok(!validatePuzzleFile({ ...good, puzzle: { ...good.puzzle, ruleset: { LASER_SPEED: -1 } } }).valid,
+            'an unusable ruleset');
+    });
+
+    test('Reading garbage gives a reason, and writing a bad file throws', () => {
+        assert.ok(!parsePuzzleFile('RP1.not-a-puzzle').valid, 'a broken string');
+        assert.ok(!parsePuzzleFile('{"format":').valid, 'broken JSON');
+        assert.ok(!parsePuzzleFile(null).valid, 'nothing at all');
+        assert.throws(() => encodePuzzleFile({ format: FORMAT, version: VERSION }), 'a file without a puzzle');
+    });
+});
+
+describe('PuzzleFile - verification', () => {
+    test('A file\'s solution scores what verifyGame scores for it, in either form', () => {
+        const expected = verifyGame(PUZZLE, PLACEMENTS);
+        const file = toPuzzleFile(PUZZLE, PLACEMENTS);
+        assert.ok(expected.valid, 'the solution is legal');
+        assert.deepEqual(verifyPuzzleFile(file), expected, 'from the file');
+        assert.deepEqual(verifyPuzzleFile(encodePuzzleFile(file)), expected, 'and from its string');
+        assert.ok(!verifyPuzzleFile(toPuzzleFile(PUZZLE)).valid, 'a file with no placements has nothing to verify');
+        const cheat = toPuzzleFile(PUZZLE, [PLACEMENTS[0], PLACEMENTS[0]]);
+        assert.ok(!verifyPuzzleFile(cheat).valid, 'overlapping placements are still rejected');
+    });
+});
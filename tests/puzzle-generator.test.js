@@ -7,8 +7,19 @@
  */
 
 import { describe, test, assert } from './run-tests.js';
-import { generateMainPuzzle, generateDailyPuzzle } from '../js/core/PuzzleGenerator.js';
+import { generateMainPuzzle, generateDailyPuzzle, generateEndlessPuzzle, rankedPuzzleOptions } from '../js/core/PuzzleGenerator.js';
+import { joinTimes } from '../js/core/Endless.js';
+import { physicsVersionOn } from '../js/core/PhysicsBackends.js';
 import { verifyGame } from '../js/core/GameVerifier.js';
+import { CONFIG } from '../js/config.js';
+import { createMirrorFromConfig } from '../js/core/Simulation.js';
+import { RigidSurfaceAreaGenerator } from '../js/validation/RigidSurfaceAreaGenerator.js';
+import { BIG_BOARD } from '../js/core/Board.js';
+import { SeededRandom } from '../js/validation/SeededRandom.js';
+import { MirrorGenerator } from '../js/generators/MirrorGenerator.js';
+import { SpawnerGenerator } from '../js/generators/SpawnerGenerator.js';
+import { MirrorPlacementValidation } from '../js/validation/MirrorPlacementValidation.js';
+import { DailyChallenge, LASER_PROFILES_FROM } from '../js/validation/DailyChallenge.js';
 
 describe('PuzzleGenerator - headless server generation', () => {
     test('Generates a main puzzle with mirrors, inventory, and spawners', () => {
@@ -72,3 +83,372 @@ describe('PuzzleGenerator - headless server generation', () => {
         assert.ok(typeof result.score === 'number', 'produces an authoritative score');
     });
 });
+
+describe('PuzzleGenerator - special materials', () => {
+    const MATERIALS = { absorber: 1, oneWay: 1 };
+
+    test('Requested absorbers and one-way mirrors appear in the inventory', () => {
+        const p = generateMainPuzzle({ materials: MATERIALS });
+        const count = (m) => p.mirrorInventory.filter(inv => inv.material === m).length;
+        assert.equal(count('absorber'), 1, 'one absorber issued');
+        assert.equal(count('oneWay'), 1, 'one one-way mirror issued');
+        assert.equal(
+            JSON.stringify(p.mirrors.map(m => m.material)),
+            JSON.stringify(p.mirrorInventory.map(m => m.material)),
+            'rendered mirrors carry the same materials as the inventory'
+        );
+    });
+
+    test('Plain boards issue no material field', () => {
+        const p = generateMainPuzzle();
+        assert.ok(p.mirrorInventory.every(inv => inv.material === undefined), 'no material keys');
+    });
+
+    test('Materials survive the createMirrorFromConfig round-trip', () => {
+        const p = generateMainPuzzle({ materials: MATERIALS });
+        for (const cfg of p.mirrors) {
+            const mirror = createMirrorFromConfig(cfg);
+            assert.equal(mirror.material, cfg.material || 'reflective', `${cfg.shape} keeps its material`);
+        }
+    });
+
+    test('A board with special pieces, placed as issued, verifies cleanly', () => {
+        const p = generateMainPuzzle({ materials: MATERIALS });
+        const placements = p.mirrors.map(m => ({ x: m.x, y: m.y, rotation: m.rotation }));
+        const result = verifyGame(
+            { mode: 'main', mirrorInventory: p.mirrorInventory, spawners: p.spawners },
+            placements
+        );
+        assert.ok(result.valid, `issued board is valid (${result.reason || 'ok'})`);
+    });
+
+    test('Rejects an unknown material', () => {
+        assert.throws(() => generateMainPuzzle({ materials: { lava: 1 } }), 'unknown material throws');
+    });
+
+    test('Special pieces spend the same 84 surface-area budget', () => {
+        const configs = RigidSurfaceAreaGenerator.assignMaterials(
+            RigidSurfaceAreaGenerator.generateExact84Configuration(),
+            { absorber: 2 }
+        );
+        const byMaterial = RigidSurfaceAreaGenerator.calculateTotalByMaterial(configs);
+        const total = Object.values(byMaterial).reduce((a, b) => a + b, 0);
+        assert.equal(total, 84, 'the per-material totals still sum to 84');
+        assert.ok(byMaterial.reflective > 0, 'at least one mirror stays reflective');
+    });
+});
+
+describe('PuzzleGenerator - portal pairs', () => {
+    test('Requested portal pairs are issued as matching partners that verify', () => {
+        const p = generateMainPuzzle({ portalPairs: 1 });
+        const portals = p.mirrorInventory.filter(inv => inv.material === 'portal');
+        assert.equal(portals.length, 2, 'one pair issued');
+        assert.equal(portals[0].portalPair, portals[1].portalPair, 'the two portals share a pair id');
+        const { portalPair: a, ...first } = portals[0];
+        const { portalPair: b, ...second } = portals[1];
+        assert.equal(JSON.stringify(first), JSON.stringify(second), 'partners are identical pieces');
+
+        const placements = p.mirrors.map(m => ({ x: m.x, y: m.y, rotation: m.rotation }));
+        const result = verifyGame(
+            { mode: 'main', mirrorInventory: p.mirrorInventory, spawners: p.spawners },
+            placements
+        );
+        assert.ok(result.valid, `issued board is valid (${result.reason || 'ok'})`);
+    });
+
+    test('Portal pairs spend the same 84 surface-area budget', () => {
+        const configs = RigidSurfaceAreaGenerator.assignPortalPairs(
+            RigidSurfaceAreaGenerator.generateExact84Configuration(), 2
+        );
+        assert.equal(RigidSurfaceAreaGenerator.calculateTotal(configs), 84, 'total is still 84');
+        assert.ok(configs.some(c => !c.material), 'at least one plain piece remains');
+    });
+
+    test('Portals must be requested as pairs', () => {
+        assert.throws(() => generateMainPuzzle({ materials: { portal: 2 } }), 'lone portals rejected');
+    });
+});
+
+describe('PuzzleGenerator - multiple cores', () => {
+    const CORES = [{ x: 400, y: 300 }, { x: 180, y: 160, hp: 2, weight: 2 }];
+
+    test('Issues the cores and scoring mode, and the board verifies', () => {
+        const p = generateMainPuzzle({ cores: CORES, scoring: 'weighted' });
+        assert.equal(p.cores.length, 2, 'both cores issued');
+        assert.equal(p.cores[1].hp, 2, 'hit points carried through');
+        assert.equal(p.scoring, 'weighted', 'scoring mode issued');
+
+        const placements = p.mirrors.map(m => ({ x: m.x, y: m.y, rotation: m.rotation }));
+        const result = verifyGame(
+            { mode: 'main', mirrorInventory: p.mirrorInventory, spawners: p.spawners, cores: p.cores, scoring: p.scoring },
+            placements
+        );
+        assert.ok(result.valid, `issued board is valid (${result.reason || 'ok'})`);
+    });
+
+    test('Single-core puzzles issue no cores field', () => {
+        const p = generateMainPuzzle();
+        assert.equal(p.cores, undefined, 'no cores key');
+        assert.equal(p.scoring, undefined, 'no scoring key');
+    });
+
+    test('Rejects an unknown scoring mode', () => {
+        assert.throws(() => generateMainPuzzle({ cores: CORES, scoring: 'bestOf' }), 'unknown scoring throws');
+    });
+});
+
+describe('PuzzleGenerator - spawner waves', () => {
+    test('Issues an escalating schedule that verifies', () => {
+        const p = generateMainPuzzle({ waves: { stagger: 5, repeatEvery: 20, count: 2 } });
+        assert.equal(JSON.stringify(p.spawners.map(s => s.delay)), JSON.stringify([0, 5, 10, 15, 20]),
+            'each spawner starts 5s after the last');
+        assert.ok(p.spawners.every(s => s.repeatEvery === 20 && s.count === 2), 'interval and count issued');
+
+        const placements = p.mirrors.map(m => ({ x: m.x, y: m.y, rotation: m.rotation }));
+        const result = verifyGame({ mode: 'main', mirrorInventory: p.mirrorInventory, spawners: p.spawners }, placements);
+        assert.ok(result.valid, `issued board is valid (${result.reason || 'ok'})`);
+    });
+
+    test('Plain boards issue single-shot spawners only', () => {
+        const p = generateMainPuzzle();
+        assert.ok(p.spawners.every(s => Object.keys(s).join() === 'x,y,angle'), 'no wave keys');
+    });
+});
+
+describe('PuzzleGenerator - endless mode', () => {
+    test('Issues a main board plus the spawners that join after the cap, and it verifies', () => {
+        const p = generateEndlessPuzzle();
+        assert.equal(p.mode, 'endless', 'endless mode');
+        const joining = p.spawners.slice(5);
+        assert.equal(JSON.stringify(joining.map(s => s.delay)), JSON.stringify(joinTimes()), 'one spawner per join time');
+        assert.ok(joining.every(s => s.count === 1 && s.repeatEvery === 0), 'each fires once as it joins');
+
+        const placements = p.mirrors.map(m => ({ x: m.x, y: m.y, rotation: m.rotation }));
+        const result = verifyGame(p, placements);
+        assert.ok(result.valid, `issued board is valid (${result.reason || 'ok'})`);
+    });
+});
+
+describe('PuzzleGenerator - laser profiles', () => {
+    test('Issues the requested laser types, and the board verifies', () => {
+        const p = generateMainPuzzle({ laserProfiles: { fast: 2, accelerating: 1 } });
+        const count = (profile) => p.spawners.filter(s => s.laserProfile === profile).length;
+        assert.equal(count('fast'), 2, 'two fast spawners');
+        assert.equal(count('accelerating'), 1, 'one accelerating spawner');
+        assert.equal(p.spawners.filter(s => !s.laserProfile).length, 2, 'the rest stay normal (no key)');
+
+        const placements = p.mirrors.map(m => ({ x: m.x, y: m.y, rotation: m.rotation }));
+        const result = verifyGame({ mode: 'main', mirrorInventory: p.mirrorInventory, spawners: p.spawners }, placements);
+        assert.ok(result.valid, `issued board is valid (${result.reason || 'ok'})`);
+    });
+
+    test('Rejects an unknown laser profile', () => {
+        assert.throws(() => generateMainPuzzle({ laserProfiles: { warp: 1 } }), 'unknown profile throws');
+    });
+
+    test('Daily spawners carry only known laser types', () => {
+        const p = generateDailyPuzzle();
+        assert.ok(p.spawners.every(s => !s.laserProfile || s.laserProfile in { slow: 1, fast: 1, accelerating: 1 }),
+            'special profiles only, normal left implicit');
+    });
+
+    test('Dailies get laser types from LASER_PROFILES_FROM on; earlier ones are dealt as they were played', () => {
+        // 2026-06-01 as it was issued before there were laser types
+        const issued = [
+            { x: 0, y: 309.1514290585888, angle: 0.2792526803190927 },
+            { x: 234.90818747547837, y: 0, angle: 2.356194490192345 },
+            { x: 800, y: 536.4216449141604, angle: 4.014257279586958 },
+            { x: 511.1147763492143, y: 0, angle: 1.8849555921538759 },
+            { x: 800, y: 161.64474492503552, angle: 4.171336912266447 },
+            { x: 102.25186350394593, y: 0, angle: 2.111848394913139 },
+        ];
+        assert.deepEqual(generateDailyPuzzle({ date: '2026-06-01' }).spawners, issued, 'an old daily is unchanged');
+
+        const days = Array.from({ length: 14 }, (_, i) => new Date(Date.parse(LASER_PROFILES_FROM) + i * 86400000).toISOString().slice(0, 10));
+        assert.ok(days.some(date => generateDailyPuzzle({ date }).spawners.some(s => s.laserProfile)),
+            'later dailies have laser types');
+        const before = new Date(Date.parse(LASER_PROFILES_FROM) - 86400000).toISOString().slice(0, 10);
+        assert.ok(DailyChallenge.generateDailyConfig(before).spawners.every(s => s.laserProfile === undefined),
+            'the day before has none, not even normal');
+    });
+});
+
+describe('PuzzleGenerator - moving mirrors', () => {
+    test('Issues rail and spinning mirrors whose board verifies', () => {
+        const p = generateMainPuzzle({ motion: { rail: 1, spin: 1 } });
+        const types = p.mirrorInventory.filter(m => m.motion).map(m => m.motion.type).sort();
+        assert.equal(JSON.stringify(types), JSON.stringify(['rail', 'spin']), 'one rail, one spinner');
+
+        const placements = p.mirrors.map(m => ({ x: m.x, y: m.y, rotation: m.rotation }));
+        const result = verifyGame({ mode: 'main', mirrorInventory: p.mirrorInventory, spawners: p.spawners }, placements);
+        assert.ok(result.valid, `issued board is valid (${result.reason || 'ok'})`);
+    });
+
+    test('Rejects an unknown motion type', () => {
+        assert.throws(() => generateMainPuzzle({ motion: { orbit: 1 } }), 'unknown motion throws');
+    });
+});
+
+describe('PuzzleGenerator - walls and blocked cells', () => {
+    const WALLS = [{ x1: 120, y1: 80, x2: 120, y2: 200 }, { x1: 600, y1: 480, x2: 720, y2: 480, material: 'absorber' }];
+    const CELLS = [{ col: 10, row: 20 }, { col: 11, row: 20 }, { col: 30, row: 8 }];
+
+    test('Issues the terrain, keeps mirrors off it, and the board verifies', () => {
+        const p = generateMainPuzzle({ walls: WALLS, blockedCells: CELLS });
+        assert.equal(p.walls.length, 2, 'both walls issued');
+        assert.equal(p.walls[0].material, 'reflective', 'material defaults to reflective');
+        assert.equal(p.blockedCells.length, 3, 'cells issued');
+
+        const placements = p.mirrors.map(m => ({ x: m.x, y: m.y, rotation: m.rotation }));
+        const result = verifyGame(
+            { mode: 'main', mirrorInventory: p.mirrorInventory, spawners: p.spawners, walls: p.walls, blockedCells: p.blockedCells },
+            placements
+        );
+        assert.ok(result.valid, `issued board is valid (${result.reason || 'ok'})`);
+    });
+
+    test('Plain boards issue no terrain fields', () => {
+        const p = generateMainPuzzle();
+        assert.equal(p.walls, undefined, 'no walls key');
+        assert.equal(p.blockedCells, undefined, 'no blockedCells key');
+    });
+
+    test('Rejects malformed terrain', () => {
+        assert.throws(() => generateMainPuzzle({ walls: [{ x1: 0, y1: 0, x2: 0, y2: 0 }] }), 'zero-length wall throws');
+        assert.throws(() => generateMainPuzzle({ blockedCells: [{ col: -1, row: 0 }] }), 'off-grid cell throws');
+    });
+
+    test('Generating leaves the zones of the board on the field as they were', () => {
+        MirrorPlacementValidation.withPuzzle({ blockedCells: CELLS }, () => {
+            const zones = JSON.stringify(MirrorPlacementValidation.forbiddenZones);
+            generateMainPuzzle({ walls: WALLS, cores: [{ x: 300, y: 300 }, { x: 500, y: 300 }], board: 'circle' });
+            generateDailyPuzzle({ date: '2026-06-01' });
+            assert.equal(MirrorPlacementValidation.blockedCells, CELLS, 'the game\'s blocked cells');
+            assert.equal(MirrorPlacementValidation.walls, null, 'no walls');
+            assert.equal(MirrorPlacementValidation.board, null, 'the plain canvas');
+            assert.equal(JSON.stringify(MirrorPlacementValidation.forbiddenZones), zones, 'the same zones');
+        });
+    });
+});
+
+describe('PuzzleGenerator - laser annihilation', () => {
+    test('Issues the annihilate rule only when asked', () => {
+        assert.equal(generateMainPuzzle({ laserInteraction: 'annihilate' }).laserInteraction, 'annihilate', 'rule issued');
+        assert.equal(generateMainPuzzle().laserInteraction, undefined, 'no key on classic boards');
+    });
+
+    test('Rejects an unknown laser interaction', () => {
+        assert.throws(() => generateMainPuzzle({ laserInteraction: 'merge' }), 'unknown rule throws');
+    });
+});
+
+describe('PuzzleGenerator - physics versions', () => {
+    test('Issues every puzzle with the physics version of the day', () => {
+        const today = physicsVersionOn(DailyChallenge.getTodayString());
+        assert.equal(generateMainPuzzle().physicsVersion, today, 'main puzzle');
+        assert.equal(generateDailyPuzzle().physicsVersion, today, 'daily puzzle');
+    });
+
+    test('A new physics version starts at a day\'s boundary, for the whole day', () => {
+        const from = CONFIG.PHYSICS_VERSION_FROM;
+        const before = new Date(Date.parse(`${from}T00:00:00Z`) - 86400000).toISOString().slice(0, 10);
+        assert.equal(generateDailyPuzzle({ date: before }).physicsVersion, 1, 'the day before keeps version 1');
+        assert.equal(generateDailyPuzzle({ date: from }).physicsVersion, CONFIG.PHYSICS_VERSION, 'its first day has it');
+    });
+});
+
+describe('PuzzleGenerator - board shapes', () => {
+    const onOutline = (outline, s) => outline.some((a, i) => {
+        const b = outline[(i + 1) % outline.length];
+        const t = Math.max(0, Math.min(1, ((s.x - a.x) * (b.x - a.x) + (s.y - a.y) * (b.y - a.y)) / ((b.x - a.x) ** 2 + (b.y - a.y) ** 2)));
+        return Math.hypot(a.x + (b.x - a.x) * t - s.x, a.y + (b.y - a.y) * t - s.y) < 1e-6;
+    });
+
+    test('Issues a named shape\'s outline, with spawners on it, and the board verifies', () => {
+        for (const shape of ['circle', 'l-shape']) {
+            const p = generateMainPuzzle({ board: shape });
+            assert.ok(Array.isArray(p.board.outline) && p.board.outline.length >= 3, `${shape}: outline issued`);
+            assert.ok(p.spawners.every(s => onOutline(p.board.outline, s)), `${shape}: spawners sit on the outline`);
+
+            const placements = p.mirrors.map(m => ({ x: m.x, y: m.y, rotation: m.rotation }));
+            const result = verifyGame(p, placements);
+            assert.ok(result.valid, `${shape}: issued board is valid (${result.reason || 'ok'})`);
+        }
+    });
+
+    test('Shapes fit the big board too', () => {
+        const p = generateMainPuzzle({ board: 'circle', ruleset: BIG_BOARD });
+        assert.ok(p.board.outline.some(v => v.x > CONFIG.CANVAS_WIDTH), 'the arena spans the bigger canvas');
+        const placements = p.mirrors.map(m => ({ x: m.x, y: m.y, rotation: m.rotation }));
+        assert.ok(verifyGame(p, placements).valid, 'and verifies under its rules');
+    });
+
+    test('Plain boards issue no board, and unknown shapes throw', () => {
+        assert.equal(generateMainPuzzle().board, undefined, 'no board key');
+        assert.throws(() => generateMainPuzzle({ board: 'hexagon' }), 'unknown shape throws');
+    });
+});
+
+describe('PuzzleGenerator - ranked boards', () => {
+    test('A seed always picks the same special pieces, and some seeds pick none', () => {
+        const picked = Array.from({ length: 60 }, (_, seed) => rankedPuzzleOptions(seed));
+        assert.deepEqual(picked, Array.from({ length: 60 }, (_, seed) => rankedPuzzleOptions(seed)), 'the same every time');
+        assert.ok(picked.some(options => Object.keys(options).length === 0), 'plain boards still come up');
+        assert.ok(picked.some(options => options.materials?.absorber), 'some boards bring in an absorber');
+        assert.ok(picked.some(options => options.materials?.oneWay), 'some boards bring in a one-way mirror');
+    });
+
+    test('Ranked boards only vary their materials, so they stay comparable on one leaderboard', () => {
+        for (let seed = 0; seed < 60; seed++) {
+            const keys = Object.keys(rankedPuzzleOptions(seed));
+            assert.ok(keys.every(key => key === 'materials'), `${seed}: only materials (${keys.join(', ')})`);
+        }
+    });
+
+    test('A ranked board carries its pieces, and verifies as issued', () => {
+        // 11: an absorber; 4: a one-way mirror
+        for (const [seed, material] of [[11, 'absorber'], [4, 'oneWay']]) {
+            const options = rankedPuzzleOptions(seed);
+            const p = generateMainPuzzle({ seed, ...options });
+            assert.ok(p.mirrorInventory.some(m => m.material === material), `${seed}: the ${material} is issued`);
+            const result = verifyGame(p, p.mirrors.map(m => ({ x: m.x, y: m.y, rotation: m.rotation })));
+            assert.ok(result.valid, `${seed}: issued board is valid (${result.reason || 'ok'})`);
+        }
+    });
+});
+
+describe('PuzzleGenerator - seeds', () => {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    // Stands in for the live Game, as PuzzleGenerator's own stub does
+    const STUB = { safeUpdateVertices: mirror => mirror.updateVertices() };
+
+    test('The same seed always generates the same board, and returns the seed', () => {
+        const a = generateMainPuzzle({ seed: 42 });
+        assert.equal(a.seed, 42, 'the seed is issued with the board');
+        assert.ok(same(a, generateMainPuzzle({ seed: 42 })), 'plain boards repeat');
+        assert.ok(!same(a, generateMainPuzzle({ seed: 43 })), 'another seed, another board');
+        assert.ok(Number.isInteger(generateMainPuzzle().seed), 'unseeded boards get a seed of their own');
+
+        const options = { seed: 7, materials: { absorber: 1 }, portalPairs: 1, motion: { rail: 1 }, laserProfiles: { fast: 1 }, board: 'circle' };
+        assert.ok(same(generateMainPuzzle(options), generateMainPuzzle(options)), 'so do boards with every option');
+        assert.ok(same(generateEndlessPuzzle({ seed: 9 }), generateEndlessPuzzle({ seed: 9 })), 'and endless boards');
+    });
+
+    test('The generators, given one SeededRandom, build the board issued for its seed', () => {
+        const issued = generateMainPuzzle({ seed: 2024 });
+        const rng = new SeededRandom(2024);
+        const mirrors = new MirrorGenerator(STUB, rng).generateMirrors();
+        const spawners = new SpawnerGenerator(STUB, rng).generateSpawners();
+        assert.ok(same(mirrors.map(m => [m.shape, m.x, m.y, m.rotation]), issued.mirrors.map(m => [m.shape, m.x, m.y, m.rotation])),
+            'the same mirrors');
+        assert.ok(same(spawners.map(s => [s.x, s.y, s.angle]), issued.spawners.map(s => [s.x, s.y, s.angle])), 'the same spawners');
+        assert.ok(same(RigidSurfaceAreaGenerator.generateExact84Configuration(new SeededRandom(5)),
+            RigidSurfaceAreaGenerator.generateExact84Configuration(new SeededRandom(5))), 'the same catalog picks');
+    });
+
+    test('Rejects seeds no board code can hold', () => {
+        assert.throws(() => generateMainPuzzle({ seed: -1 }), 'negative seed throws');
+        assert.throws(() => generateMainPuzzle({ seed: 1.5 }), 'fractional seed throws');
+        assert.throws(() => generateMainPuzzle({ seed: '42' }), 'seeds are numbers');
+    });
+});
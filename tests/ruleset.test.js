@@ -0,0 +1,128 @@
+/**
+ * Tests for rulesets (js/core/Ruleset.js): boards played, generated and verified
+ * under rules other than the CONFIG defaults, side by side in one process.
+ */
+
+import { describe, test, assert } from './run-tests.js';
+import { RULES, DEFAULT_RULESET, createRuleset, validateRuleset, withRuleset, useRuleset } from '../js/core/Ruleset.js';
+import { simulateSurvivalTime, buildSimulation, stepLasers, createMirrorFromConfig } from '../js/core/Simulation.js';
+import { verifyGame } from '../js/core/GameVerifier.js';
+import { generateMainPuzzle } from '../js/core/PuzzleGenerator.js';
+import { SimpleValidator } from '../js/validation/SimpleValidator.js';
+import { MirrorPlacementValidation } from '../js/validation/MirrorPlacementValidation.js';
+import { CONFIG } from '../js/config.js';
+
+const SHOT = [{ x: 100, y: 300, angle: 0 }];
+const BIG = { CANVAS_WIDTH: 1000, CANVAS_HEIGHT: 800 };
+
+describe('Ruleset - building and checking', () => {
+    test('A ruleset is every rule, the defaults where not overridden', () => {
+        const rules = createRuleset({ LASER_SPEED: 12 });
+        assert.ok(Object.isFrozen(rules), 'frozen');
+        assert.equal(rules.LASER_SPEED, 12, 'override applied');
+        assert.ok(RULES.every(rule => rule === 'LASER_SPEED' || rules[rule] === DEFAULT_RULESET[rule]), 'the rest are the defaults');
+        assert.equal(createRuleset(rules), rules, 'a ruleset passes through as is');
+    });
+
+    test('Rejects unknown rules and unusable values', () => {
+        assert.ok(!validateRuleset({ PHYSICS_DT: 0.01 }).valid, 'the timestep is not a rule');
+        assert.ok(!validateRuleset({ LASER_SPEED: 0 }).valid, 'speeds must be positive');
+        assert.ok(!validateRuleset({ MAX_WALLS: 1.5 }).valid, 'counts must be whole');
+        assert.ok(validateRuleset({ MAX_SPLIT_BEAMS: 0 }).valid, 'but may be zero');
+        assert.ok(!validateRuleset({ CANVAS_WIDTH: 810 }).valid, 'the board is whole grid cells');
+        assert.ok(!validateRuleset({ ENDLESS_MAX_TIME: 100 }).valid, 'the endless ceiling is past the cap');
+        assert.ok(!validateRuleset(null).valid, 'not an object');
+        assert.throws(() => createRuleset({ LASER_SPEED: -1 }), 'createRuleset throws on a bad rule');
+    });
+
+    test('withRuleset puts CONFIG back afterwards, even when the call throws', () => {
+        const seen = withRuleset(createRuleset(BIG), () => CONFIG.CANVAS_WIDTH);
+        assert.equal(seen, 1000, 'the rules are in CONFIG during the call');
+        assert.throws(() => withRuleset(createRuleset(BIG), () => { throw new Error('boom'); }), 'the error still surfaces');
+        assert.equal(CONFIG.CANVAS_WIDTH, DEFAULT_RULESET.CANVAS_WIDTH, 'and CONFIG is back to the defaults');
+    });
+
+    test('The placement grid and zones are back to the rules in force afterwards', () => {
+        SimpleValidator.ensureInitialized();
+        const grid = JSON.stringify(MirrorPlacementValidation.gridIntersections);
+        const zones = JSON.stringify(MirrorPlacementValidation.forbiddenZones);
+        const inside = withRuleset(createRuleset({ ...BIG, CORE_EXCLUSION_RADIUS: 300 }), () => {
+            SimpleValidator.ensureInitialized();
+            return MirrorPlacementValidation.forbiddenZones.find(zone => zone.type === 'circle').radius;
+        });
+        assert.equal(inside, 300, 'built for the rules during the call');
+        assert.equal(JSON.stringify(MirrorPlacementValidation.gridIntersections), grid, 'the grid is the default board\'s again');
+        assert.equal(JSON.stringify(MirrorPlacementValidation.forbiddenZones), zones, 'and so are the zones');
+    });
+    test('useRuleset keeps a board\'s rules in CONFIG until the next switch', () => {
+        const big = useRuleset({ ...BIG });
+        try {
+            assert.equal(big.CANVAS_WIDTH, 1000, 'the rules now in force');
+            assert.equal(CONFIG.CANVAS_WIDTH, 1000, 'are in CONFIG');
+            assert.equal(useRuleset({ ...BIG }), big, 'the same rules again keep them');
+            assert.equal(withRuleset(createRuleset(), () => CONFIG.CANVAS_WIDTH), DEFAULT_RULESET.CANVAS_WIDTH, 'a call under other rules');
+            assert.equal(CONFIG.CANVAS_WIDTH, 1000, 'comes back to the board\'s');
+        } finally {
+            assert.equal(useRuleset(null), DEFAULT_RULESET, 'no rules = the defaults');
+        }
+        assert.equal(CONFIG.CANVAS_WIDTH, DEFAULT_RULESET.CANVAS_WIDTH, 'back in CONFIG');
+    });
+});
+
+describe('Ruleset - scoring under other rules', () => {
+    test('The same board scores by the rules it is run under', () => {
+        const normal = simulateSurvivalTime([], SHOT);
+        const fast = simulateSurvivalTime([], SHOT, { ruleset: { LASER_SPEED: CONFIG.LASER_SPEED * 2 } });
+        const big = simulateSurvivalTime([], SHOT, { ruleset: BIG });
+        assert.ok(fast < normal, `twice the laser speed breaches sooner (${normal}s -> ${fast}s)`);
+        assert.equal(big, CONFIG.MAX_GAME_TIME, 'on a bigger board the core moves off the shot\'s line');
+        assert.equal(simulateSurvivalTime([], SHOT), normal, 'and the defaults score as before');
+        assert.equal(simulateSurvivalTime([], [{ ...SHOT[0], delay: 20 }], { ruleset: { MAX_GAME_TIME: 10 } }), 10,
+            'the cap comes from the rules too');
+    });
+
+    test('A simulation stepped by hand plays by the rules it was built under, whatever CONFIG holds', () => {
+        const shot = [{ x: 100, y: 400, angle: 0 }];
+        const sim = buildSimulation([], shot, { ruleset: BIG });
+        const other = createRuleset({ LASER_SPEED: CONFIG.LASER_SPEED * 2, CORE_EXCLUSION_RADIUS: 300 });
+        let steps = 1;
+        // Stepped with yet other rules in CONFIG, as when a verification runs in between
+        while (steps < 1000 && !withRuleset(other, () => stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT, sim.waves))) {
+            steps++;
+        }
+        assert.equal(sim.handler.cores[0].x, 500, 'the core is in the middle of the big board');
+        assert.ok(Math.abs(steps * CONFIG.PHYSICS_DT - simulateSurvivalTime([], shot, { ruleset: BIG })) < 1e-9,
+            'it breaches when the scored run does');
+    });
+});
+
+describe('Ruleset - generating and verifying', () => {
+    test('A board generated under other rules carries them and verifies under them', () => {
+        const p = generateMainPuzzle({ ruleset: BIG });
+        assert.equal(JSON.stringify(p.ruleset), JSON.stringify(createRuleset(BIG)), 'issued with its full ruleset');
+        assert.ok(p.spawners.some(s => s.x === 1000 || s.y === 800), 'spawners sit on the big board\'s edges');
+
+        const placements = p.mirrors.map(m => ({ x: m.x, y: m.y, rotation: m.rotation }));
+        const result = verifyGame(p, placements);
+        assert.ok(result.valid, `verifies under its own rules (${result.reason || 'ok'})`);
+        assert.equal(generateMainPuzzle().ruleset.CANVAS_WIDTH, DEFAULT_RULESET.CANVAS_WIDTH, 'plain boards carry the defaults');
+    });
+
+    test('Verification goes by the puzzle\'s rules, not the current ones', () => {
+        const puzzle = {
+            mode: 'main',
+            mirrorInventory: [{ shape: 'square', size: 40, width: 40, height: 40 }],
+            spawners: SHOT,
+        };
+        const placement = [{ x: 200, y: 150, rotation: 0 }];
+        const small = { ...puzzle, ruleset: { ...DEFAULT_RULESET, CORE_EXCLUSION_RADIUS: 300 } };
+        assert.ok(verifyGame(puzzle, placement).valid, 'legal under the defaults');
+        assert.ok(!verifyGame(small, placement).valid, 'inside a wider keep-out zone');
+        assert.ok(verifyGame(puzzle, placement).valid, 'and legal again under the defaults');
+        assert.ok(!verifyGame({ ...puzzle, ruleset: { LASER_SPEED: 'fast' } }, placement).valid, 'a broken ruleset is rejected');
+
+        const mirror = createMirrorFromConfig({ ...puzzle.mirrorInventory[0], ...placement[0] });
+        assert.ok(!SimpleValidator.validateMirror(mirror, [], { CORE_EXCLUSION_RADIUS: 300 }).valid,
+            'SimpleValidator checks under a ruleset it is given');
+    });
+});
@@ -0,0 +1,57 @@
+/**
+ * Tests for the batch scoring pool (js/core/ScoringPool.js): jobs scored on
+ * worker threads come back in order with exactly the scores the simulation
+ * gives on this thread.
+ */
+import { describe, test, assert } from './run-tests.js';
+import { ScoringPool, scoreJob } from '../js/core/ScoringPool.js';
+import { simulateSurvivalTime } from '../js/core/Simulation.js';
+
+const INVENTORY = [
+    { shape: 'square', size: 40, width: 40, height: 40 },
+    { shape: 'rectangle', size: 20, width: 20, height: 80, material: 'splitter' },
+];
+const SPAWNERS = [{ x: 100, y: 300, angle: 0 }, { x: 400, y: 0, angle: 1.9 }];
+// A spread of layouts, from the core left open to the shot blocked
+const JOBS = [0, 90, 200, 250, 300].map(x => ({
+    inventory: INVENTORY,
+    placements: [{ x: x || 600, y: 300, rotation: 45 }, { x: 600, y: 150, rotation: x % 180 }],
+    spawners: SPAWNERS,
+}));
+
+// Workers are asynchronous; run them before the (synchronous) tests read the results
+const pool = await ScoringPool.forNode(2);
+const results = await pool.scoreAll(JOBS);
+const withEvents = await pool.score({ ...JOBS[1], events: true });
+const fixed = await pool.score({ ...JOBS[1], options: { physicsVersion: 2 } });
+const broken = await pool.score({ inventory: INVENTORY, spawners: SPAWNERS }).catch(error => error);
+const afterError = await pool.score(JOBS[0]);
+pool.close();
+const closed = await pool.score(JOBS[0]).catch(error => error);
+
+describe('ScoringPool - batch scoring on worker threads', () => {
+    test('Scores come back in order, identical to scoring on this thread', () => {
+        assert.equal(results.length, JOBS.length, 'one result per job');
+        JOBS.forEach((job, i) => {
+            const configs = job.inventory.map((inv, j) => ({ ...inv, ...job.placements[j] }));
+            assert.equal(results[i].score, simulateSurvivalTime(configs, job.spawners), `job ${i + 1}`);
+        });
+        assert.ok(new Set(results.map(r => r.score)).size > 1, 'the layouts score differently');
+    });
+
+    test('Events are sent back only when asked for', () => {
+        assert.equal(results[1].events, undefined, 'no events by default');
+        assert.equal(withEvents.score, results[1].score, 'same score with events');
+        assert.deepEqual(withEvents.events, scoreJob({ ...JOBS[1], events: true }).events, 'the run\'s events');
+    });
+
+    test('Puzzle options reach the simulation', () => {
+        assert.equal(fixed.score, scoreJob({ ...JOBS[1], options: { physicsVersion: 2 } }).score, 'fixed-point physics');
+    });
+
+    test('A bad job is rejected without taking the pool down', () => {
+        assert.ok(broken instanceof Error, `rejected (${broken.message})`);
+        assert.equal(afterError.score, results[0].score, 'the next job still scores');
+        assert.ok(closed instanceof Error, 'a closed pool refuses jobs');
+    });
+});
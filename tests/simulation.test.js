@@ -10,8 +10,17 @@
  */
 
 import { describe, test, assert } from './run-tests.js';
-import { simulateSurvivalTime, buildSimulation } from '../js/core/Simulation.js';
+import { simulateSurvivalTime, buildSimulation, stepLasers } from '../js/core/Simulation.js';
+import { findLaserCrossings } from '../js/core/Annihilation.js';
 import { CONFIG } from '../js/config.js';
+import { EventLog } from '../js/core/SimulationEvents.js';
+import { snapshot, restore } from '../js/core/SimulationSnapshot.js';
+import { stampFallenCores } from '../js/core/Cores.js';
+import { GRID_SCALE, sinDeg, cosDeg, atan2Deg } from '../js/core/FixedPoint.js';
+import { physicsBackend } from '../js/core/PhysicsBackends.js';
+import { MirrorGrid } from '../js/core/MirrorGrid.js';
+import { StabilityCheck } from '../js/core/Stability.js';
+import { timeCap, joinTimes } from '../js/core/Endless.js';
 
 describe('Simulation - headless execution & determinism', () => {
     const NO_MIRRORS = [];
@@ -66,3 +75,976 @@ describe('Simulation - headless execution & determinism', () => {
         assert.equal(lasers.length, 1, 'one laser built from the spawner');
     });
 });
+
+describe('Simulation - beam-splitter mirrors', () => {
+    const DIRECT_HIT = [{ x: 100, y: 300, angle: 0 }];
+    const blocker = (material) => ({
+        x: 200, y: 300, shape: 'square', size: 40, width: 40, height: 40, rotation: 0, material,
+    });
+
+    test('A plain mirror blocks the beam, a splitter lets half of it through', () => {
+        const plain = simulateSurvivalTime([blocker()], DIRECT_HIT);
+        const split = simulateSurvivalTime([blocker('splitter')], DIRECT_HIT);
+        assert.equal(plain, CONFIG.MAX_GAME_TIME, 'the reflective square shields the core');
+        assert.ok(split < CONFIG.MAX_GAME_TIME, `the transmitted beam breaches (${split}s)`);
+    });
+
+    test('A split spawns a second laser: one reflected, one continuing forward', () => {
+        const { mirrors, lasers, handler } = buildSimulation([blocker('splitter')], DIRECT_HIT);
+        for (let i = 0; i < 40 && lasers.length < 2; i++) {
+            stepLasers(lasers, mirrors, handler, CONFIG.PHYSICS_DT);
+        }
+        assert.equal(lasers.length, 2, 'the splitter added one beam');
+        assert.ok(lasers[0].vx < 0, 'the original laser was reflected back');
+        assert.ok(lasers[1].vx > 0, 'the spawned beam keeps the incoming direction');
+    });
+
+    test('Spawned beams are capped at MAX_SPLIT_BEAMS per game', () => {
+        // Two splitters facing each other across a laser's path keep re-splitting.
+        const facing = [
+            { x: 300, y: 100, shape: 'rectangle', size: 40, width: 20, height: 40, rotation: 0, material: 'splitter' },
+            { x: 500, y: 100, shape: 'rectangle', size: 40, width: 20, height: 40, rotation: 0, material: 'splitter' },
+        ];
+        const spawners = [{ x: 100, y: 100, angle: 0 }];
+        const { mirrors, lasers, handler } = buildSimulation(facing, spawners);
+        let most = lasers.length;
+        for (let i = 0; i < 6000; i++) {
+            stepLasers(lasers, mirrors, handler, CONFIG.PHYSICS_DT);
+            most = Math.max(most, lasers.length);
+        }
+        assert.equal(handler.splitBeamsRemaining, 0, 'the split budget was used up');
+        assert.ok(most <= spawners.length + CONFIG.MAX_SPLIT_BEAMS,
+            `never more than ${spawners.length + CONFIG.MAX_SPLIT_BEAMS} lasers (saw ${most})`);
+    });
+
+    test('Splitter boards score deterministically', () => {
+        const a = simulateSurvivalTime([blocker('splitter')], DIRECT_HIT);
+        const b = simulateSurvivalTime([blocker('splitter')], DIRECT_HIT);
+        assert.equal(a, b, 'same splitter board -> same score');
+    });
+});
+
+describe('Simulation - absorber and one-way mirrors', () => {
+    const DIRECT_HIT = [{ x: 100, y: 300, angle: 0 }];
+    // A square's mirrored (first) face is its top edge; rotating 270 turns it to
+    // face the incoming laser, rotating 90 turns it away.
+    const block = (material, rotation = 0) => ({
+        x: 200, y: 300, shape: 'square', size: 40, width: 40, height: 40, rotation, material,
+    });
+
+    test('An absorber removes the laser on contact', () => {
+        const { mirrors, lasers, handler } = buildSimulation([block('absorber')], DIRECT_HIT);
+        for (let i = 0; i < 60; i++) {
+            stepLasers(lasers, mirrors, handler, CONFIG.PHYSICS_DT);
+        }
+        assert.equal(lasers.length, 0, 'the laser was absorbed');
+        assert.equal(simulateSurvivalTime([block('absorber')], DIRECT_HIT), CONFIG.MAX_GAME_TIME,
+            'an absorbed laser never reaches the core');
+    });
+
+    test('A one-way mirror reflects a laser hitting the front of its mirrored face', () => {
+        const t = simulateSurvivalTime([block('oneWay', 270)], DIRECT_HIT);
+        assert.equal(t, CONFIG.MAX_GAME_TIME, 'the mirrored face shields the core');
+    });
+
+    test('A one-way mirror lets a laser through from the other side', () => {
+        const t = simulateSurvivalTime([block('oneWay', 90)], DIRECT_HIT);
+        assert.ok(t < CONFIG.MAX_GAME_TIME, `the laser passes through and breaches (${t}s)`);
+    });
+
+    test('Non-mirrored faces of a one-way mirror are transparent', () => {
+        const t = simulateSurvivalTime([block('oneWay', 0)], DIRECT_HIT);
+        assert.ok(t < CONFIG.MAX_GAME_TIME, `a side face does not reflect (${t}s)`);
+    });
+});
+
+describe('Simulation - refractive glass blocks', () => {
+    const glass = (refractiveIndex, extra = {}) => ({
+        x: 200, y: 300, shape: 'square', size: 60, width: 60, height: 60, rotation: 0,
+        material: 'glass', refractiveIndex, ...extra,
+    });
+    const angleOf = (laser) => Math.round(Math.atan2(laser.vy, laser.vx) * 180 / Math.PI);
+
+    // Step until the laser is inside its glass block, returning that laser.
+    function stepIntoGlass(sim) {
+        for (let i = 0; i < 120; i++) {
+            stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT);
+            if (sim.lasers[0].transitMirror) return sim.lasers[0];
+        }
+        return null;
+    }
+
+    test('A head-on beam passes straight through glass (no mirroring)', () => {
+        const withGlass = simulateSurvivalTime([glass(1.5)], [{ x: 100, y: 300, angle: 0 }]);
+        assert.ok(withGlass < CONFIG.MAX_GAME_TIME, `the beam still reaches the core (${withGlass}s)`);
+    });
+
+    test('An angled beam bends toward the normal by Snell\'s law, then leaves parallel', () => {
+        const sim = buildSimulation([glass(1.5)], [{ x: 100, y: 250, angle: 20 * Math.PI / 180 }]);
+        const inside = stepIntoGlass(sim);
+        assert.ok(inside, 'the beam entered the glass');
+        const expected = Math.round(Math.asin(Math.sin(20 * Math.PI / 180) / 1.5) * 180 / Math.PI);
+        assert.equal(angleOf(inside), expected, `refracted to ${expected} degrees inside`);
+
+        while (inside.transitMirror) stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT);
+        assert.equal(angleOf(sim.lasers[0]), 20, 'exits at its original 20 degree heading');
+    });
+
+    test('A denser block bends the beam more', () => {
+        const spawner = [{ x: 100, y: 250, angle: 20 * Math.PI / 180 }];
+        const light = stepIntoGlass(buildSimulation([glass(1.2)], spawner));
+        const dense = stepIntoGlass(buildSimulation([glass(2.4)], spawner));
+        assert.ok(angleOf(dense) < angleOf(light),
+            `index 2.4 bends to ${angleOf(dense)} deg, index 1.2 to ${angleOf(light)} deg`);
+    });
+
+    test('Past the critical angle the beam is totally internally reflected', () => {
+        // A right-angle prism: the beam enters a leg square-on and meets the
+        // hypotenuse at 45 degrees, past critical for n = 1.5 (41.8) but not 1.2 (56.4).
+        const prism = (n) => ({
+            x: 200, y: 300, shape: 'rightTriangle', size: 80, width: 80, height: 80, rotation: 0,
+            material: 'glass', refractiveIndex: n,
+        });
+        const run = (n) => {
+            const sim = buildSimulation([prism(n)], [{ x: 100, y: 320, angle: 0 }]);
+            for (let i = 0; i < 45; i++) stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT);
+            return sim.lasers[0];
+        };
+        const trapped = run(1.5);
+        assert.equal(angleOf(trapped), 90, 'n = 1.5 turns the beam 90 degrees inside the prism');
+        assert.equal(trapped.totalReflections, 1, 'the internal reflection counts as a bounce');
+        assert.ok(run(1.2).vx > 0, 'n = 1.2 lets the beam out through the hypotenuse');
+    });
+
+    test('Glass boards score deterministically', () => {
+        const board = [glass(1.7, { rotation: 30 })];
+        const spawners = [{ x: 100, y: 280, angle: 0.1 }, { x: 400, y: 0, angle: 1.9 }];
+        assert.equal(simulateSurvivalTime(board, spawners), simulateSurvivalTime(board, spawners),
+            'same glass board -> same score');
+    });
+});
+
+describe('Simulation - portal pairs', () => {
+    // Portal A faces a laser heading right; its partner B sits above the core,
+    // turned 90 degrees, so the beam comes out of B heading down at the core.
+    const portal = (x, y, rotation, portalPair = 0) => ({
+        x, y, shape: 'square', size: 40, width: 40, height: 40, rotation, material: 'portal', portalPair,
+    });
+    const SPAWNER = [{ x: 100, y: 300, angle: 0 }];
+
+    test('A laser entering a portal comes out of its partner, turned by their relative rotation', () => {
+        const sim = buildSimulation([portal(200, 300, 0), portal(400, 140, 90)], SPAWNER);
+        const laser = sim.lasers[0];
+        for (let i = 0; i < 120 && laser.totalReflections === 0; i++) {
+            stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT);
+        }
+        assert.ok(Math.abs(laser.x - 400) < 1, `the beam reappears at the partner (x = ${laser.x})`);
+        assert.ok(laser.vy > 0 && Math.abs(laser.vx) < 1e-6, 'and heads down, turned 90 degrees');
+        assert.equal(laser.totalReflections, 1, 'the jump counts as a bounce');
+    });
+
+    test('Fixed-point physics turns the beam through a portal with its own trig', () => {
+        const sim = buildSimulation([portal(200, 300, 0), portal(400, 140, 90)], SPAWNER, { physicsVersion: 2 });
+        const laser = sim.lasers[0];
+        for (let i = 0; i < 120 && laser.totalReflections === 0; i++) {
+            stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT);
+        }
+        assert.equal(laser.vx, 0, 'exactly straight down, where Math.cos(90 degrees) is not quite 0');
+        assert.ok(laser.vy > 0, 'heading down');
+    });
+
+    test('A portal pair changes where the beam goes', () => {
+        const plain = [{ ...portal(200, 300, 0), material: 'reflective' }, { ...portal(400, 140, 90), material: 'reflective' }];
+        const linked = [portal(200, 300, 0), portal(400, 140, 90)];
+        assert.equal(simulateSurvivalTime(plain, SPAWNER), CONFIG.MAX_GAME_TIME, 'a plain block shields the core');
+        const t = simulateSurvivalTime(linked, SPAWNER);
+        assert.ok(t < CONFIG.MAX_GAME_TIME, `the portal sends the beam into the core (${t}s)`);
+    });
+
+    test('An unpaired portal reflects like a mirror', () => {
+        const t = simulateSurvivalTime([portal(200, 300, 0)], SPAWNER);
+        assert.equal(t, CONFIG.MAX_GAME_TIME, 'no partner, no jump');
+    });
+});
+
+describe('Simulation - multiple cores', () => {
+    const CENTER = { x: 400, y: 300 };
+    const CORNER = { x: 200, y: 140 };
+    const AT_CENTER = [{ x: 100, y: 300, angle: 0 }];
+
+    test('With no cores given, the single center core falls to the first hit', () => {
+        const plain = simulateSurvivalTime([], AT_CENTER);
+        const explicit = simulateSurvivalTime([], AT_CENTER, { cores: [{ ...CENTER, radius: 50, hp: 1 }] });
+        assert.ok(plain < CONFIG.MAX_GAME_TIME, `the center core is breached (${plain}s)`);
+        assert.equal(explicit, plain, 'an explicit center core scores the same');
+    });
+
+    test('The run lasts until the last core falls', () => {
+        const cores = [CENTER, CORNER];
+        const t = simulateSurvivalTime([], AT_CENTER, { cores });
+        assert.equal(t, CONFIG.MAX_GAME_TIME, 'the untouched corner core survives, so the run does');
+    });
+
+    test('A core with hit points to spare absorbs lasers', () => {
+        const twoBeams = [{ x: 100, y: 300, angle: 0 }, { x: 400, y: 60, angle: Math.PI / 2 }];
+        const tough = simulateSurvivalTime([], twoBeams, { cores: [{ ...CENTER, hp: 3 }] });
+        const fragile = simulateSurvivalTime([], twoBeams, { cores: [{ ...CENTER, hp: 2 }] });
+        assert.equal(tough, CONFIG.MAX_GAME_TIME, 'three hit points outlast two lasers');
+        assert.ok(fragile < CONFIG.MAX_GAME_TIME, `two hit points fall to two lasers (${fragile}s)`);
+    });
+
+    test('Lasers pass over a fallen core', () => {
+        const line = [{ x: 100, y: 300, angle: 0 }, { x: 60, y: 300, angle: 0 }];
+        const cores = [{ x: 300, y: 300 }, { x: 500, y: 300 }];
+        const t = simulateSurvivalTime([], line, { cores });
+        assert.ok(t < CONFIG.MAX_GAME_TIME, `the second laser crosses the first wreck to the far core (${t}s)`);
+    });
+
+    test('Weighted scoring averages each core\'s survival time by weight', () => {
+        const cores = [{ ...CENTER, weight: 3 }, { ...CORNER, weight: 1 }];
+        const fell = simulateSurvivalTime([], AT_CENTER, { cores: [CENTER] });
+        const weighted = simulateSurvivalTime([], AT_CENTER, { cores, scoring: 'weighted' });
+        const expected = (3 * fell + CONFIG.MAX_GAME_TIME) / 4;
+        assert.ok(Math.abs(weighted - expected) < 1e-9, `weighted score ${weighted} = ${expected}`);
+    });
+});
+
+describe('Simulation - timed spawner waves', () => {
+    const AT_CENTER = { x: 100, y: 300, angle: 0 };
+    const steps = (sim, n) => {
+        for (let i = 0; i < n; i++) stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT, sim.waves);
+    };
+
+    test('A delayed spawner fires on the tick its delay comes up', () => {
+        const sim = buildSimulation([], [{ ...AT_CENTER, delay: 1 }]);
+        assert.equal(sim.lasers.length, 0, 'nothing fires at launch');
+        steps(sim, 59);
+        assert.equal(sim.lasers.length, 0, 'still waiting just before one second');
+        steps(sim, 1);
+        assert.equal(sim.lasers.length, 1, 'the shot fires at one second');
+    });
+
+    test('A delay pushes the breach back by exactly that long', () => {
+        const now = simulateSurvivalTime([], [AT_CENTER]);
+        const later = simulateSurvivalTime([], [{ ...AT_CENTER, delay: 2 }]);
+        assert.ok(Math.abs(later - now - 2) < 1e-9, `breach moves from ${now}s to ${later}s`);
+    });
+
+    test('A repeating spawner fires count shots, repeatEvery apart', () => {
+        const sim = buildSimulation([], [{ x: 100, y: 100, angle: 0, repeatEvery: 1, count: 3 }]);
+        assert.equal(sim.waves.shotsLeft(0), 2, 'first shot at launch');
+        assert.ok(Math.abs(sim.waves.timeUntilNext(0) - 1) < 1e-9, 'next shot a second away');
+        steps(sim, 60);
+        assert.equal(sim.waves.shotsLeft(0), 1, 'second shot after one second');
+        steps(sim, 60);
+        assert.equal(sim.waves.shotsLeft(0), 0, 'third shot after two seconds');
+        assert.equal(sim.waves.timeUntilNext(0), null, 'no more shots to count down to');
+    });
+
+    test('Later waves can breach a core that survives the first', () => {
+        const cores = [{ x: 400, y: 300, hp: 2 }];
+        const single = simulateSurvivalTime([], [AT_CENTER], { cores });
+        const waves = simulateSurvivalTime([], [{ ...AT_CENTER, repeatEvery: 5, count: 2 }], { cores });
+        assert.equal(single, CONFIG.MAX_GAME_TIME, 'one shot cannot take two hit points');
+        assert.ok(waves < CONFIG.MAX_GAME_TIME, `the second wave finishes the core (${waves}s)`);
+    });
+});
+
+describe('Simulation - laser profiles', () => {
+    const AT_CENTER = { x: 100, y: 300, angle: 0 };
+    // A 20px-thick wall between the spawner and the core
+    const WALL = { x: 200, y: 300, shape: 'rectangle', width: 20, height: 100, rotation: 0 };
+
+    test('Fast lasers breach sooner and slow lasers later than normal ones', () => {
+        const normal = simulateSurvivalTime([], [AT_CENTER]);
+        const fast = simulateSurvivalTime([], [{ ...AT_CENTER, laserProfile: 'fast' }]);
+        const slow = simulateSurvivalTime([], [{ ...AT_CENTER, laserProfile: 'slow' }]);
+        assert.ok(fast < normal && normal < slow, `fast ${fast}s < normal ${normal}s < slow ${slow}s`);
+        assert.equal(simulateSurvivalTime([], [{ ...AT_CENTER, laserProfile: 'normal' }]), normal,
+            'an explicit normal profile plays exactly as before');
+    });
+
+    test('Fast lasers move in short sub-steps; normal lasers in one', () => {
+        const sim = buildSimulation([], [AT_CENTER, { ...AT_CENTER, laserProfile: 'fast' }]);
+        const [normal, fast] = sim.lasers;
+        assert.equal(normal.substepsFor(CONFIG.PHYSICS_DT), 1, 'normal lasers take one step');
+        const n = fast.substepsFor(CONFIG.PHYSICS_DT);
+        assert.ok(n > 1, `fast lasers sub-step (${n})`);
+        assert.ok(fast.speed * CONFIG.PHYSICS_DT * CONFIG.LASER_TIME_SCALE / n <= CONFIG.MAX_LASER_STEP,
+            'no sub-step is longer than MAX_LASER_STEP');
+    });
+
+    test('Even a very fast laser cannot tunnel through a thin mirror', () => {
+        const sim = buildSimulation([WALL], [AT_CENTER]);
+        const laser = sim.lasers[0];
+        laser.speed = CONFIG.LASER_SPEED * 6; // ~28px per physics step, wider than the wall
+        laser.vx = laser.speed;
+        let furthest = laser.x;
+        for (let i = 0; i < 60 && sim.lasers.length; i++) {
+            stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT);
+            furthest = Math.max(furthest, laser.x);
+        }
+        assert.ok(furthest < 210, `the laser turned back at the wall (reached x = ${furthest})`);
+        assert.equal(simulateSurvivalTime([WALL], [{ ...AT_CENTER, laserProfile: 'fast' }]), CONFIG.MAX_GAME_TIME,
+            'a fast laser is shielded like a normal one');
+    });
+
+    test('Accelerating lasers speed up on every reflection, up to their cap', () => {
+        const profile = CONFIG.LASER_PROFILES.accelerating;
+        const sim = buildSimulation([], [{ ...AT_CENTER, laserProfile: 'accelerating' }]);
+        const laser = sim.lasers[0];
+        const start = laser.speed;
+        laser.speedUp();
+        assert.ok(Math.abs(laser.speed - start * (1 + profile.boostPerReflection)) < 1e-9, 'one boost');
+        assert.ok(Math.abs(Math.hypot(laser.vx, laser.vy) - laser.speed) < 1e-9, 'velocity matches speed');
+        for (let i = 0; i < 50; i++) laser.speedUp();
+        assert.equal(laser.speed, CONFIG.LASER_SPEED * profile.maxSpeed, 'capped at maxSpeed');
+    });
+
+    test('An accelerating laser gains speed off a mirror and keeps it', () => {
+        const sim = buildSimulation([WALL], [{ x: 100, y: 300, angle: 0.3, laserProfile: 'accelerating' }]);
+        const laser = sim.lasers[0];
+        const start = laser.speed;
+        for (let i = 0; i < 60 && laser.totalReflections === 0; i++) {
+            stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT);
+        }
+        assert.equal(laser.totalReflections, 1, 'the laser bounced');
+        assert.ok(laser.speed > start, `faster after the bounce (${start} -> ${laser.speed})`);
+        assert.ok(Math.abs(Math.hypot(laser.vx, laser.vy) - laser.speed) < 1e-9, 'the snapped heading keeps the new speed');
+    });
+
+    test('Mixed-profile boards score deterministically', () => {
+        const spawners = [
+            { x: 100, y: 280, angle: 0.1, laserProfile: 'accelerating' },
+            { x: 400, y: 0, angle: 1.9, laserProfile: 'fast' },
+            { x: 800, y: 500, angle: 3.5, laserProfile: 'slow' },
+        ];
+        const board = [{ ...WALL, rotation: 30 }];
+        assert.equal(simulateSurvivalTime(board, spawners), simulateSurvivalTime(board, spawners),
+            'same profiles -> same score');
+    });
+});
+
+describe('Simulation - moving mirrors', () => {
+    // A block across the beam's path, above the core's line until it slides down
+    const block = (motion, extra = {}) => ({
+        x: 250, y: 300, shape: 'rectangle', width: 20, height: 80, rotation: 0, motion, ...extra,
+    });
+    const AT_CENTER = [{ x: 100, y: 300, angle: 0 }];
+
+    test('A static block shields the core; sliding it off the beam\'s line does not', () => {
+        assert.equal(simulateSurvivalTime([block(undefined)], AT_CENTER), CONFIG.MAX_GAME_TIME, 'static block shields');
+        const rail = { type: 'rail', dx: 0, dy: -150, period: 2 };
+        const t = simulateSurvivalTime([block(rail)], AT_CENTER);
+        assert.ok(t < CONFIG.MAX_GAME_TIME, `the block slides away and the laser gets through (${t}s)`);
+    });
+
+    test('A rail mirror reaches the far end at half its period and is back at a full one', () => {
+        const rail = { type: 'rail', dx: 120, dy: -60, period: 4 };
+        const sim = buildSimulation([block(rail, { y: 150 })], []);
+        const mirror = sim.mirrors[0];
+        for (let i = 0; i < 120; i++) stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT);
+        assert.ok(Math.abs(mirror.x - 370) < 1e-9 && Math.abs(mirror.y - 90) < 1e-9, `far end at 2s (${mirror.x}, ${mirror.y})`);
+        for (let i = 0; i < 120; i++) stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT);
+        assert.ok(Math.abs(mirror.x - 250) < 1e-9 && Math.abs(mirror.y - 150) < 1e-9, `home again at 4s (${mirror.x}, ${mirror.y})`);
+    });
+
+    test('A spinning mirror turns at its rate and its collision edges follow', () => {
+        const sim = buildSimulation([block({ type: 'spin', rate: 45 })], []);
+        const mirror = sim.mirrors[0];
+        for (let i = 0; i < 60; i++) stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT);
+        assert.ok(Math.abs(mirror.rotation - 45) < 1e-9, `turned 45 degrees in a second (${mirror.rotation})`);
+        const edges = sim.collisionSystem.laserCollisionBoundaries.get('mirror_0').edges;
+        assert.ok(Math.abs(edges[0].start.x - mirror.vertices[0].x) < 1e-9, 'collision edges match the turned vertices');
+    });
+
+    test('Moving boards score bit-identically run to run', () => {
+        const board = [
+            block({ type: 'spin', rate: -30 }, { x: 250, y: 200 }),
+            block({ type: 'rail', dx: 100, dy: 0, period: 5 }, { x: 550, y: 420 }),
+        ];
+        const spawners = [{ x: 100, y: 280, angle: 0.1 }, { x: 400, y: 0, angle: 1.9 }, { x: 800, y: 500, angle: 3.5 }];
+        assert.equal(simulateSurvivalTime(board, spawners), simulateSurvivalTime(board, spawners),
+            'same moving board -> same score');
+    });
+
+    test('A second launch on the same board starts from the placed poses', () => {
+        const sim = buildSimulation([
+            block({ type: 'spin', rate: 45 }, { rotation: 10 }),
+            block({ type: 'rail', dx: 100, dy: 0, period: 5 }, { x: 550, y: 420 }),
+        ], []);
+        const pose = () => sim.mirrors.map(m => ({ x: m.x, y: m.y, rotation: m.rotation }));
+        // Launch, play a while and end the run, then launch again as the game does
+        const first = pose();
+        for (let i = 0; i < 70; i++) stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT);
+        assert.notEqual(JSON.stringify(pose()), JSON.stringify(first), 'the mirrors moved during the run');
+        sim.handler.restoreMirrors();
+        sim.handler.initialize(sim.mirrors);
+        assert.deepEqual(pose(), first, 'back where they were placed');
+        for (let i = 0; i < 70; i++) stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT);
+        const again = pose();
+        sim.handler.restoreMirrors();
+        assert.deepEqual(pose(), first, 'and again after the second run');
+        assert.ok(Math.abs(again[0].rotation - 62.5) < 1e-9, `the second run turns from the placed rotation (${again[0].rotation})`);
+    });
+});
+
+describe('Simulation - walls', () => {
+    const AT_CENTER = [{ x: 100, y: 300, angle: 0 }];
+    const wall = (material) => ({ x1: 250, y1: 250, x2: 250, y2: 350, material });
+
+    test('A reflective wall across the beam shields the core', () => {
+        assert.ok(simulateSurvivalTime([], AT_CENTER) < CONFIG.MAX_GAME_TIME, 'breached without the wall');
+        const t = simulateSurvivalTime([], AT_CENTER, { walls: [wall('reflective')] });
+        assert.equal(t, CONFIG.MAX_GAME_TIME, 'the wall turns the beam back');
+    });
+
+    test('An absorbing wall swallows the laser', () => {
+        const sim = buildSimulation([], AT_CENTER, { walls: [wall('absorber')] });
+        for (let i = 0; i < 60; i++) stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT, sim.waves);
+        assert.equal(sim.lasers.length, 0, 'no laser left after a second');
+    });
+
+    test('A reflective wall bounces the beam back along its path', () => {
+        const sim = buildSimulation([], AT_CENTER, { walls: [wall()] });
+        for (let i = 0; i < 60; i++) stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT, sim.waves);
+        const laser = sim.lasers[0];
+        assert.ok(laser.x < 250 && Math.abs(laser.y - 300) < 1e-6, `still on its line, left of the wall (${laser.x}, ${laser.y})`);
+    });
+
+    test('A move across two walls hits the nearer one, whatever their order', () => {
+        // An absorber a hair behind a reflective wall, listed first
+        const walls = [{ ...wall('absorber'), x1: 250.5, x2: 250.5 }, wall('reflective')];
+        const events = [];
+        const sim = buildSimulation([], AT_CENTER, { walls, observer: event => events.push(event) });
+        for (let i = 0; i < 60; i++) stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT, sim.waves);
+        assert.equal(events.find(event => event.type === 'wall')?.wall, 1, 'bounced off the reflective wall');
+        assert.ok(!events.some(event => event.type === 'absorb'), 'never reaching the absorber behind it');
+    });
+});
+
+describe('Simulation - board outlines', () => {
+    // The canvas less its top-right corner (x > 560, y < 240)
+    const L_SHAPE = { outline: [
+        { x: 0, y: 0 }, { x: 560, y: 0 }, { x: 560, y: 240 }, { x: 800, y: 240 }, { x: 800, y: 600 }, { x: 0, y: 600 }
+    ] };
+    const edgeBounces = (board, spawners, steps) => {
+        const bounces = [];
+        const sim = buildSimulation([], spawners, { board, observer: e => { if (e.type === 'edge') bounces.push(e); } });
+        for (let i = 0; i < steps; i++) stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT, sim.waves);
+        return { sim, bounces };
+    };
+
+    test('Lasers bounce off the outline, not the canvas edge behind it', () => {
+        const { sim, bounces } = edgeBounces(L_SHAPE, [{ x: 100, y: 100, angle: 0 }], 150);
+        assert.equal(bounces[0].side, 'outline', 'the first bounce is off the outline');
+        assert.equal(bounces[0].edge, 1, 'off the notch\'s side');
+        assert.ok(bounces[0].x < 560 && bounces[0].y === 100, `just inside it (${bounces[0].x}, ${bounces[0].y})`);
+        assert.ok(sim.lasers[0].vx < 0, 'heading back the way it came');
+
+        const plain = edgeBounces(null, [{ x: 100, y: 100, angle: 0 }], 200);
+        assert.equal(plain.bounces[0].side, 'right', 'without the outline it reaches the canvas edge');
+    });
+
+    test('Outline bounces never retire a laser, like the canvas edges', () => {
+        const pen = { outline: [{ x: 100, y: 200 }, { x: 300, y: 200 }, { x: 340, y: 300 }, { x: 300, y: 400 }, { x: 100, y: 400 }] };
+        const { sim, bounces } = edgeBounces(pen, [{ x: 100, y: 260, angle: 0.3 }], 3000);
+        assert.ok(bounces.length > 50, `more bounces than the reflection limit (${bounces.length})`);
+        assert.equal(sim.lasers.length, 1, 'and the laser is still in flight');
+        assert.equal(sim.lasers[0].totalReflections, 0, 'none of them counted');
+    });
+
+    test('A shaped board scores the same under both physics versions, every time', () => {
+        const spawners = [{ x: 0, y: 500, angle: -0.3 }, { x: 700, y: 600, angle: -2 }];
+        const scores = [1, 2, 1, 2].map(physicsVersion => simulateSurvivalTime([], spawners, { board: L_SHAPE, physicsVersion }));
+        assert.equal(scores[0], scores[2], 'float physics repeats');
+        assert.equal(scores[1], scores[3], 'fixed physics repeats');
+        assert.notEqual(scores[0], simulateSurvivalTime([], spawners), 'and the outline changed the run');
+    });
+});
+
+describe('Simulation - laser annihilation', () => {
+    // Both beams cover 150px to (250, 300), arriving on the same step
+    const CROSSING = [{ x: 100, y: 300, angle: 0 }, { x: 250, y: 150, angle: Math.PI / 2 }];
+
+    test('Crossing beams pass through each other by default', () => {
+        const t = simulateSurvivalTime([], CROSSING);
+        assert.ok(t < CONFIG.MAX_GAME_TIME, `the beam at the core gets through (${t}s)`);
+        assert.equal(simulateSurvivalTime([], CROSSING, { laserInteraction: 'none' }), t, "'none' is the default");
+    });
+
+    test('Under the annihilate rule, crossing beams cancel out', () => {
+        const t = simulateSurvivalTime([], CROSSING, { laserInteraction: 'annihilate' });
+        assert.equal(t, CONFIG.MAX_GAME_TIME, 'the crossing beam takes the core-bound one with it');
+
+        const sim = buildSimulation([], CROSSING, { laserInteraction: 'annihilate' });
+        let steps = 0;
+        while (sim.lasers.length > 0 && steps < 600) {
+            stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT, sim.waves);
+            steps++;
+        }
+        const [hit] = sim.handler.takeAnnihilations();
+        assert.equal(sim.lasers.length, 0, 'both beams are gone');
+        assert.ok(Math.abs(hit.x - 250) < 2 && Math.abs(hit.y - 300) < 2, `they met at the crossing (${hit.x}, ${hit.y})`);
+    });
+
+    test('Head-on beams on the same line meet', () => {
+        const crossings = findLaserCrossings([
+            { laser: 'a', x1: 100, y1: 100, x2: 102, y2: 100 },
+            { laser: 'b', x1: 103, y1: 100, x2: 101, y2: 100 },
+        ]);
+        assert.equal(crossings.length, 1, 'overlapping collinear paths meet');
+        assert.equal(crossings[0].x, 101.5, 'in the middle of the shared stretch');
+    });
+
+    test('Beams leaving the same point (a split) do not meet there', () => {
+        const crossings = findLaserCrossings([
+            { laser: 'parent', x1: 300, y1: 200, x2: 302, y2: 200 },
+            { laser: 'child', x1: 300, y1: 200, x2: 300, y2: 202 },
+        ]);
+        assert.equal(crossings.length, 0, 'no crossing');
+    });
+
+    test('A laser is spent by its first crossing, in laser order', () => {
+        const crossings = findLaserCrossings([
+            { laser: 'a', x1: 0, y1: 5, x2: 10, y2: 5 },
+            { laser: 'b', x1: 2, y1: 0, x2: 2, y2: 10 },
+            { laser: 'c', x1: 8, y1: 0, x2: 8, y2: 10 },
+        ]);
+        assert.equal(crossings.length, 1, 'one pair cancels');
+        assert.equal(`${crossings[0].a}${crossings[0].b}`, 'ab', 'the first pair in laser order');
+    });
+
+    test('The broad phase finds exactly the crossings a full pairwise check does', () => {
+        let seed = 7;
+        const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+        for (let round = 0; round < 20; round++) {
+            const segments = [];
+            for (let i = 0; i < 40; i++) {
+                const x = random() * 800, y = random() * 600, angle = random() * Math.PI * 2, length = random() * 60;
+                segments.push({ laser: i, x1: x, y1: y, x2: x + Math.cos(angle) * length, y2: y + Math.sin(angle) * length });
+            }
+            // Brute force: every pair, in laser order, with the same spend-once rule
+            const expected = [];
+            const spent = new Set();
+            for (let i = 0; i < segments.length; i++) {
+                for (let j = i + 1; j < segments.length; j++) {
+                    if (spent.has(i) || spent.has(j)) continue;
+                    const [hit] = findLaserCrossings([segments[i], segments[j]]);
+                    if (hit) { spent.add(i); spent.add(j); expected.push(`${i}-${j}`); }
+                }
+            }
+            const found = findLaserCrossings(segments).map(c => `${c.a}-${c.b}`);
+            assert.equal(found.join(), expected.join(), `round ${round}: same pairs`);
+        }
+    });
+
+    test('Annihilating boards score bit-identically run to run', () => {
+        const board = [
+            { x: 250, y: 200, shape: 'square', size: 40, rotation: 20 },
+            { x: 560, y: 420, shape: 'rectangle', width: 20, height: 80, rotation: 45 },
+        ];
+        const spawners = [
+            { x: 100, y: 280, angle: 0.1, repeatEvery: 1.5, count: 6 },
+            { x: 400, y: 0, angle: 1.9, repeatEvery: 2, count: 5 },
+            { x: 800, y: 500, angle: 3.5, repeatEvery: 1, count: 8, laserProfile: 'fast' },
+        ];
+        const options = { laserInteraction: 'annihilate' };
+        const a = simulateSurvivalTime(board, spawners, options);
+        const b = simulateSurvivalTime(board, spawners, options);
+        assert.equal(a, b, `same board -> same score (${a}s)`);
+    });
+});
+
+describe('Simulation - event log', () => {
+    const DIRECT_HIT = [{ x: 100, y: 300, angle: 0 }];
+    const square = (material) => ({
+        x: 200, y: 300, shape: 'square', size: 40, width: 40, height: 40, rotation: 0, material,
+    });
+    const wall = (material) => ({ x1: 250, y1: 250, x2: 250, y2: 350, material });
+    const run = (mirrors, spawners, options = {}) => {
+        const log = new EventLog();
+        const score = simulateSurvivalTime(mirrors, spawners, { ...options, observer: log.observer });
+        return { log, score };
+    };
+
+    test('Listening does not change the score', () => {
+        const board = [{ ...square(), rotation: 20 }];
+        const spawners = [{ x: 100, y: 280, angle: 0.1 }, { x: 400, y: 0, angle: 1.9 }];
+        assert.equal(run(board, spawners).score, simulateSurvivalTime(board, spawners), 'same score');
+    });
+
+    test('A direct hit reports the launch, the core hit and the breach', () => {
+        const { log, score } = run([], DIRECT_HIT);
+        const [spawn, core, breach] = log.events;
+        assert.equal(spawn.type, 'spawn', 'launch shot first');
+        assert.equal(spawn.step, 0, 'at launch');
+        assert.equal(spawn.laser, 0, 'shot 0');
+        assert.equal(`${core.type} ${breach.type}`, 'core breach', 'then the hit and the breach');
+        assert.equal(core.hpLeft, 0, 'the core is down');
+        assert.ok(Math.abs(breach.step * CONFIG.PHYSICS_DT - score) < 1e-9, `breach step matches the score (${score}s)`);
+    });
+
+    test('A reflection reports the mirror, its edge and the hit point', () => {
+        const { log } = run([square()], DIRECT_HIT);
+        const [reflect] = log.ofType('reflect');
+        assert.equal(reflect.mirror, 0, 'mirror 0');
+        assert.ok(Number.isInteger(reflect.edge) && reflect.edge >= 0, `edge index ${reflect.edge}`);
+        assert.ok(Math.abs(reflect.x - 180) < 1e-6 && Math.abs(reflect.y - 300) < 1e-6, `on the near face (${reflect.x}, ${reflect.y})`);
+        assert.ok(reflect.step > 0, 'during a step');
+        const [edge] = log.ofType('edge');
+        assert.equal(edge.side, 'left', 'the reflected beam then bounces off the left edge');
+    });
+
+    test('Split beams are reported joining under their parent\'s id', () => {
+        const { log } = run([square('splitter')], DIRECT_HIT);
+        const split = log.ofType('spawn').find(event => event.source === 'split');
+        assert.equal(split.laser, '0.1', 'first split of shot 0');
+    });
+
+    test('Walls report bounces and absorptions; parked lasers then exit', () => {
+        const bounce = run([], DIRECT_HIT, { walls: [wall()] }).log;
+        const [hit] = bounce.ofType('wall');
+        assert.equal(hit.wall, 0, 'wall 0');
+        assert.ok(Math.abs(hit.x - 250) < 1e-6, `at the wall (${hit.x})`);
+
+        const absorbed = run([], DIRECT_HIT, { walls: [wall('absorber')] }).log;
+        const types = absorbed.events.map(event => event.type);
+        assert.equal(types.join(), 'spawn,absorb,exit,stable', 'absorbed, then dropped, leaving the board clear');
+        assert.equal(absorbed.events[1].wall, 0, 'by wall 0');
+    });
+
+    test('A laser bounced past its limit is retired, then exits', () => {
+        // The wall bounces count; the board edge ones don't. Beams that can
+        // annihilate are never called a loop, so the run goes on to the limit
+        const { log } = run([], DIRECT_HIT, { walls: [wall()], laserInteraction: 'annihilate' });
+        const counts = log.counts();
+        assert.equal(counts.wall, 50, 'fifty wall bounces');
+        assert.equal(counts.maxReflections, 1, 'then retired');
+        const tail = log.events.slice(-3).map(event => event.type);
+        assert.equal(tail.join(), 'maxReflections,exit,stable', 'and dropped, leaving the board clear');
+    });
+
+    test('The same board reports the same stream, event for event', () => {
+        const board = [{ ...square(), rotation: 20 }, { ...square('splitter'), x: 560, y: 420 }];
+        const spawners = [
+            { x: 100, y: 280, angle: 0.1, repeatEvery: 2, count: 3 },
+            { x: 400, y: 0, angle: 1.9 },
+            { x: 800, y: 500, angle: 3.5, laserProfile: 'fast' },
+        ];
+        const options = { laserInteraction: 'annihilate' };
+        const a = JSON.stringify(run(board, spawners, options).log.events);
+        const b = JSON.stringify(run(board, spawners, options).log.events);
+        assert.ok(a.length > 2, 'events were reported');
+        assert.equal(a, b, 'identical streams');
+    });
+});
+
+describe('Simulation - snapshots', () => {
+    // Something of everything a run carries: moving mirrors, glass and splitter
+    // transits, walls, several cores and a repeating spawner
+    const BOARD = [
+        { x: 250, y: 200, shape: 'rectangle', width: 20, height: 80, rotation: 0, motion: { type: 'spin', rate: -30 } },
+        { x: 550, y: 420, shape: 'rectangle', width: 20, height: 80, rotation: 0, motion: { type: 'rail', dx: 100, dy: 0, period: 5 } },
+        { x: 200, y: 300, shape: 'square', size: 60, width: 60, height: 60, rotation: 10, material: 'glass', refractiveIndex: 1.5 },
+        { x: 600, y: 150, shape: 'square', size: 40, width: 40, height: 40, rotation: 20, material: 'splitter' },
+    ];
+    const SPAWNERS = [
+        { x: 100, y: 280, angle: 0.1, repeatEvery: 1.5, count: 4 },
+        { x: 400, y: 0, angle: 1.9 },
+        { x: 800, y: 500, angle: 3.5, laserProfile: 'accelerating' },
+    ];
+    const OPTIONS = {
+        cores: [{ x: 400, y: 300, radius: 20, hp: 2 }, { x: 650, y: 300, radius: 20, hp: 1 }],
+        walls: [{ x1: 700, y1: 100, x2: 700, y2: 200 }],
+    };
+    const build = () => buildSimulation(BOARD, SPAWNERS, OPTIONS);
+    const advance = (sim, steps) => {
+        for (let i = 0; i < steps; i++) {
+            stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT, sim.waves);
+            stampFallenCores(sim.handler.cores, sim.handler.step * CONFIG.PHYSICS_DT);
+        }
+    };
+
+    test('A snapshot survives JSON and resumes exactly where the run left off', () => {
+        const original = build();
+        advance(original, 200);
+        const saved = JSON.parse(JSON.stringify(snapshot(original)));
+        assert.ok(saved.lasers.length > 1, `lasers in flight (${saved.lasers.length})`);
+
+        const resumed = restore(build(), saved);
+        assert.equal(JSON.stringify(snapshot(resumed)), JSON.stringify(snapshot(original)), 'same state after restore');
+        assert.equal(resumed.mirrors[0].rotation, original.mirrors[0].rotation, 'spinning mirror posed');
+        assert.equal(resumed.mirrors[1].x, original.mirrors[1].x, 'rail mirror posed');
+
+        advance(original, 400);
+        advance(resumed, 400);
+        assert.equal(JSON.stringify(snapshot(resumed)), JSON.stringify(snapshot(original)), 'same state 400 steps on');
+    });
+
+    test('A beam saved inside glass leaves it the same way', () => {
+        const sim = buildSimulation([BOARD[2]], [{ x: 100, y: 250, angle: 20 * Math.PI / 180 }]);
+        while (!sim.lasers[0].transitMirror) advance(sim, 1);
+        const saved = JSON.parse(JSON.stringify(snapshot(sim)));
+        assert.equal(saved.lasers[0].transitMirror, 0, 'inside mirror 0');
+
+        const resumed = restore(buildSimulation([BOARD[2]], [{ x: 100, y: 250, angle: 20 * Math.PI / 180 }]), saved);
+        assert.equal(resumed.lasers[0].transitMirror, resumed.mirrors[0], 'transit points at the rebuilt mirror');
+        advance(sim, 60);
+        advance(resumed, 60);
+        assert.equal(resumed.lasers[0].x, sim.lasers[0].x, 'same x after leaving the glass');
+        assert.equal(resumed.lasers[0].vy, sim.lasers[0].vy, 'same heading after leaving the glass');
+    });
+
+    test('Rewinding to an earlier snapshot replays the same future', () => {
+        const sim = build();
+        advance(sim, 120);
+        const saved = snapshot(sim);
+        advance(sim, 300);
+        const later = JSON.stringify(snapshot(sim));
+
+        restore(sim, saved);
+        assert.equal(sim.handler.step, 120, 'back at step 120');
+        advance(sim, 300);
+        assert.equal(JSON.stringify(snapshot(sim)), later, 'same state on replaying');
+    });
+
+    test('Restoring onto a different board is refused', () => {
+        const saved = snapshot(build());
+        assert.throws(() => restore(buildSimulation(BOARD.slice(1), SPAWNERS, OPTIONS), saved), 'fewer mirrors');
+        assert.throws(() => restore(buildSimulation(BOARD, SPAWNERS), saved), 'different cores');
+        assert.throws(() => restore(build(), { ...saved, version: 99 }), 'unknown version');
+        assert.throws(() => restore(buildSimulation(BOARD, SPAWNERS, { ...OPTIONS, physicsVersion: 2 }), saved), 'other physics');
+    });
+});
+
+describe('Simulation - fixed-point physics', () => {
+    const onGrid = (value) => Number.isInteger(value * GRID_SCALE);
+    const BOARD = [
+        { x: 250, y: 200, shape: 'rectangle', width: 20, height: 80, rotation: 35, motion: { type: 'spin', rate: -30 } },
+        { x: 200, y: 420, shape: 'square', size: 60, width: 60, height: 60, rotation: 10, material: 'glass', refractiveIndex: 1.5 },
+        { x: 600, y: 150, shape: 'hexagon', size: 60, width: 60, height: 60, rotation: 17 },
+    ];
+    const SPAWNERS = [{ x: 100, y: 280, angle: 0.1 }, { x: 800, y: 500, angle: 3.5 }];
+
+    test('Table trig agrees with Math to well within a grid step', () => {
+        let worst = 0;
+        for (let degrees = -720; degrees <= 720; degrees += 0.37) {
+            const radians = degrees * Math.PI / 180;
+            worst = Math.max(worst, Math.abs(sinDeg(degrees) - Math.sin(radians)), Math.abs(cosDeg(degrees) - Math.cos(radians)));
+        }
+        assert.ok(worst < 1e-6, `sin/cos within 1e-6 (${worst})`);
+        let worstAngle = 0;
+        for (let degrees = -179; degrees <= 180; degrees += 1.3) {
+            const radians = degrees * Math.PI / 180;
+            worstAngle = Math.max(worstAngle, Math.abs(atan2Deg(Math.sin(radians) * 7, Math.cos(radians) * 7) - degrees));
+        }
+        assert.ok(worstAngle < 1e-5, `atan2 within 1e-5 degrees (${worstAngle})`);
+    });
+
+    test('Table atan2 keeps Math.atan2\'s range on the axes', () => {
+        assert.equal(atan2Deg(0, 1), 0, 'east');
+        assert.equal(atan2Deg(1, 0), 90, 'south');
+        assert.equal(atan2Deg(0, -1), 180, 'west');
+        assert.equal(atan2Deg(-1, 0), -90, 'north');
+        assert.equal(sinDeg(90), 1, 'table peak is exact');
+    });
+
+    test('Lasers and mirror corners stay on the grid', () => {
+        const sim = buildSimulation(BOARD, SPAWNERS, { physicsVersion: 2 });
+        let offGrid = 0;
+        for (let i = 0; i < 600; i++) {
+            stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT, sim.waves);
+            offGrid += sim.lasers.filter(laser => ![laser.x, laser.y, laser.vx, laser.vy].every(onGrid)).length;
+        }
+        assert.equal(offGrid, 0, 'every laser on the grid after every step');
+        for (const mirror of sim.mirrors) {
+            assert.ok(mirror.vertices.every(v => onGrid(v.x) && onGrid(v.y)), `${mirror.shape} corners on the grid`);
+        }
+    });
+
+    test('Scores repeat exactly, and a straight shot lands as with float physics', () => {
+        const a = simulateSurvivalTime(BOARD, SPAWNERS, { physicsVersion: 2 });
+        assert.equal(simulateSurvivalTime(BOARD, SPAWNERS, { physicsVersion: 2 }), a, 'same score twice');
+        assert.equal(simulateSurvivalTime([], [{ x: 100, y: 300, angle: 0 }], { physicsVersion: 2 }),
+            simulateSurvivalTime([], [{ x: 100, y: 300, angle: 0 }]), 'a straight shot breaches at the same step');
+    });
+
+    test('Unknown physics versions are refused', () => {
+        assert.equal(physicsBackend().version, 1, 'missing version is the original float physics');
+        assert.throws(() => physicsBackend(3), 'version 3 does not exist');
+    });
+});
+
+describe('Simulation - collision broad phase', () => {
+    const square = (x, y, size) => [
+        { x: x - size / 2, y: y - size / 2 }, { x: x + size / 2, y: y - size / 2 },
+        { x: x + size / 2, y: y + size / 2 }, { x: x - size / 2, y: y + size / 2 },
+    ];
+
+    test('The grid finds the mirrors a move reaches, in index order', () => {
+        const grid = new MirrorGrid(100);
+        grid.update(2, square(150, 150, 40));
+        grid.update(0, square(250, 150, 40));
+        grid.update(1, square(700, 500, 40));
+        assert.deepEqual(grid.near(140, 150, 141, 150), [2], 'one cell, one mirror');
+        assert.deepEqual(grid.near(100, 150, 300, 152), [0, 2], 'across cells, ascending and once each');
+        assert.deepEqual(grid.near(400, 300, 405, 305), [], 'open board');
+        assert.deepEqual(grid.near(-50, -50, 900, 700), [0, 1, 2], 'off the board reaches the edge cells');
+        assert.deepEqual(grid.all(), [0, 1, 2], 'every mirror');
+    });
+
+    test('A mirror moved on the grid is only found where it now is', () => {
+        const grid = new MirrorGrid(100);
+        grid.update(0, square(150, 150, 40));
+        grid.update(0, square(650, 450, 40));
+        assert.deepEqual(grid.near(150, 150, 151, 151), [], 'gone from its old cell');
+        assert.deepEqual(grid.near(650, 450, 651, 451), [0], 'listed in its new one');
+        grid.clear();
+        assert.deepEqual(grid.near(650, 450, 651, 451), [], 'cleared');
+    });
+
+    test('Scores are identical with and without the broad phase', () => {
+        const BOARD = [
+            { x: 250, y: 200, shape: 'rectangle', width: 20, height: 80, rotation: 35, motion: { type: 'spin', rate: -30 } },
+            { x: 550, y: 420, shape: 'rectangle', width: 20, height: 80, rotation: 0, motion: { type: 'rail', dx: 100, dy: 0, period: 5 } },
+            { x: 200, y: 420, shape: 'square', size: 60, width: 60, height: 60, rotation: 10, material: 'glass', refractiveIndex: 1.5 },
+            { x: 600, y: 150, shape: 'square', size: 40, width: 40, height: 40, rotation: 20, material: 'splitter' },
+            { x: 650, y: 300, shape: 'hexagon', size: 60, width: 60, height: 60, rotation: 17 },
+        ];
+        const SPAWNERS = [
+            { x: 100, y: 280, angle: 0.1, repeatEvery: 1.5, count: 4 },
+            { x: 800, y: 500, angle: 3.5 },
+            { x: 400, y: 0, angle: 1.9, laserProfile: 'fast' },
+        ];
+        const score = (broadPhase) => {
+            CONFIG.BROAD_PHASE = broadPhase;
+            try {
+                return [1, 2].map(physicsVersion => simulateSurvivalTime(BOARD, SPAWNERS, { physicsVersion }));
+            } finally {
+                CONFIG.BROAD_PHASE = true;
+            }
+        };
+        assert.deepEqual(score(true), score(false), 'same scores under both physics versions');
+    });
+});
+
+describe('Simulation - stable defenses', () => {
+    // Up and down the left of the board, and along the top: never near the core
+    const LOOPS = [{ x: 100, y: 50, angle: -Math.PI / 2 }, { x: 50, y: 100, angle: 0 }];
+    const stableRun = (mirrors, spawners, options = {}) => {
+        const log = new EventLog();
+        const score = simulateSurvivalTime(mirrors, spawners, { ...options, observer: log.observer });
+        return { score, stable: log.ofType('stable')[0] || null };
+    };
+
+    test('Lasers circling clear of the core stop the run early with a perfect score', () => {
+        for (const physicsVersion of [1, 2]) {
+            const { score, stable } = stableRun([], LOOPS, { physicsVersion });
+            assert.equal(score, CONFIG.MAX_GAME_TIME, `perfect score (physics ${physicsVersion})`);
+            assert.equal(stable.reason, 'loop', 'because every laser is looping');
+            assert.ok(stable.step < 2000, `spotted by step ${stable.step} of ${CONFIG.MAX_GAME_TIME / CONFIG.PHYSICS_DT}`);
+        }
+    });
+
+    test('A laser bouncing off a mirror for good is a loop too', () => {
+        // Between the left edge and a mirror, above the core
+        const mirror = [{ x: 300, y: 100, shape: 'square', size: 40, width: 40, height: 40, rotation: 0 }];
+        for (const physicsVersion of [1, 2]) {
+            const log = new EventLog();
+            const score = simulateSurvivalTime(mirror, [{ x: 0, y: 100, angle: 0 }], { physicsVersion, observer: log.observer });
+            assert.equal(score, CONFIG.MAX_GAME_TIME, `perfect score (physics ${physicsVersion})`);
+            assert.ok(log.ofType('reflect').length > 0, 'off the mirror');
+            assert.equal(log.ofType('stable')[0]?.reason, 'loop', 'called a loop, not left to clear');
+        }
+    });
+
+    test('A run called stable really does last to the cap', () => {
+        const sim = buildSimulation([], LOOPS);
+        const check = new StabilityCheck(sim);
+        let calledAt = null;
+        let breached = false;
+        const steps = Math.round(CONFIG.MAX_GAME_TIME / CONFIG.PHYSICS_DT);
+        for (let step = 1; step < steps && !breached; step++) {
+            breached = stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT, sim.waves);
+            if (calledAt === null && check.check()) calledAt = step;
+        }
+        assert.ok(calledAt !== null, `called stable at step ${calledAt}`);
+        assert.ok(!breached, 'and never breached, all the way to the cap');
+        assert.equal(sim.lasers.length, LOOPS.length, 'both lasers still circling at the cap');
+    });
+
+    test('Rewinding mid-search keeps the loop search, so the run is called stable at the same step', () => {
+        const sim = buildSimulation([], LOOPS);
+        sim.stability = new StabilityCheck(sim);
+        const runToStable = () => {
+            do {
+                stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT, sim.waves);
+            } while (!sim.stability.check());
+            return sim.handler.step;
+        };
+        for (let i = 0; i < 300; i++) {
+            stepLasers(sim.lasers, sim.mirrors, sim.handler, CONFIG.PHYSICS_DT, sim.waves);
+            sim.stability.check();
+        }
+        assert.equal(sim.stability.reason, null, 'not stable yet');
+        const saved = JSON.parse(JSON.stringify(snapshot(sim)));
+        assert.ok(saved.stability.searches.every(search => search && search.power > 1), 'the searches are saved');
+        const calledAt = runToStable();
+
+        restore(sim, saved);
+        assert.equal(sim.stability.reason, null, 'not stable again after rewinding');
+        assert.equal(runToStable(), calledAt, `called stable at step ${calledAt} again`);
+    });
+
+    test('An empty board is stable once the last shot is gone', () => {
+        const { score, stable } = stableRun([], [{ x: 100, y: 300, angle: 0 }], { walls: [{ x1: 250, y1: 200, x2: 250, y2: 400, material: 'absorber' }] });
+        assert.equal(score, CONFIG.MAX_GAME_TIME, 'perfect score');
+        assert.equal(stable.reason, 'clear', 'because no lasers are left');
+    });
+
+    test('Loops are not trusted while shots are still to come, mirrors move or beams can annihilate', () => {
+        const late = stableRun([], [...LOOPS, { x: 100, y: 300, angle: 0, delay: 20 }]);
+        assert.ok(late.score > 20 && late.score < 30, `a later shot still breaches (${late.score}s)`);
+        assert.equal(late.stable, null, 'never called stable');
+
+        const spinner = [{ x: 700, y: 500, shape: 'square', size: 40, width: 40, height: 40, rotation: 0, motion: { type: 'spin', rate: 30 } }];
+        const sim = buildSimulation(spinner, LOOPS);
+        assert.ok(!new StabilityCheck(sim).canLoop, 'no loops with moving mirrors');
+        assert.ok(!new StabilityCheck(buildSimulation([], LOOPS, { laserInteraction: 'annihilate' })).canLoop,
+            'no loops when lasers can cancel each other');
+    });
+});
+
+describe('Simulation - endless mode', () => {
+    test('An endless run goes on past the cap; a main run stops at it', () => {
+        const late = [{ x: 100, y: 300, angle: 0, delay: CONFIG.MAX_GAME_TIME }];
+        assert.equal(simulateSurvivalTime([], late), CONFIG.MAX_GAME_TIME, 'main run scores the cap');
+        const endless = simulateSurvivalTime([], late, { endless: true });
+        assert.ok(endless > CONFIG.MAX_GAME_TIME && endless < CONFIG.MAX_GAME_TIME + 5,
+            `endless run breached by the shot fired at the cap (${endless}s)`);
+    });
+
+    test('Surviving to the ceiling scores it', () => {
+        assert.equal(simulateSurvivalTime([], [], { endless: true }), CONFIG.ENDLESS_MAX_TIME, 'an empty board holds to the ceiling');
+        assert.equal(timeCap('endless'), CONFIG.ENDLESS_MAX_TIME, 'endless boards are capped at the ceiling');
+        assert.equal(timeCap('daily'), CONFIG.MAX_GAME_TIME, 'others at the classic cap');
+    });
+
+    test('A run that never settles is bounded by the ceiling', () => {
+        // A spinning mirror keeps the looping laser from ever being called stable
+        const spinner = [{ x: 700, y: 500, shape: 'square', size: 40, width: 40, height: 40, rotation: 0, motion: { type: 'spin', rate: 30 } }];
+        let steps = 0;
+        const score = simulateSurvivalTime(spinner, [{ x: 100, y: 50, angle: -Math.PI / 2 }], { endless: true, onStep: () => steps++ });
+        assert.equal(score, CONFIG.ENDLESS_MAX_TIME, 'scored the ceiling');
+        assert.ok(steps <= Math.ceil(CONFIG.ENDLESS_MAX_TIME / CONFIG.PHYSICS_DT), `stopped after ${steps} steps`);
+    });
+
+    test('Spawners join from the cap at every interval before the ceiling', () => {
+        const times = joinTimes();
+        assert.equal(times[0], CONFIG.MAX_GAME_TIME, 'the first joins at the cap');
+        assert.ok(times.every((t, i) => i === 0 || t - times[i - 1] === CONFIG.ENDLESS_JOIN_INTERVAL), 'then one every interval');
+        assert.ok(times[times.length - 1] < CONFIG.ENDLESS_MAX_TIME
+            && times[times.length - 1] + CONFIG.ENDLESS_JOIN_INTERVAL >= CONFIG.ENDLESS_MAX_TIME, 'up to the ceiling');
+    });
+});